@@ -0,0 +1,82 @@
+/**
+ * Express application for the Historify reference backend
+ * Implements the REST API described in docs/API.md under /api
+ */
+
+import express, { Router } from 'express'
+import cors from 'cors'
+import { createAuthService } from './lib/auth.js'
+import { errorHandler, notFoundHandler, requestIdMiddleware } from './lib/errors.js'
+import { createFileStore } from './lib/files.js'
+import { createOcrRunner } from './lib/ocr.js'
+import { createPaymentProvider } from './lib/payments.js'
+import { createRateLimiter } from './lib/rateLimit.js'
+import { createRecordStore } from './lib/records.js'
+import { createSearchIndex } from './lib/searchIndex.js'
+import { createUsageService } from './lib/usage.js'
+import { createAnalyticsRouter } from './routes/analytics.js'
+import { createAuthRouter } from './routes/auth.js'
+import { createDocumentsRouter } from './routes/documents.js'
+import { createEventsRouter } from './routes/events.js'
+import { createFileContentRouter, createFilesRouter } from './routes/files.js'
+import { createLinksRouter } from './routes/links.js'
+import { createOcrRouter } from './routes/ocr.js'
+import { createPeopleRouter } from './routes/people.js'
+import { createPlacesRouter } from './routes/places.js'
+import { createOverlaysRouter } from './routes/overlays.js'
+import { createParcelsRouter } from './routes/parcels.js'
+import { createSearchRouter } from './routes/search.js'
+import { createSubscriptionRouter } from './routes/subscription.js'
+import { createUsersRouter } from './routes/users.js'
+
+/**
+ * `services.payments` replaces the default payment provider, see lib/payments.js
+ */
+export const createApp = (db, config, services = {}) => {
+  const records = createRecordStore(db)
+  const files = createFileStore(db, config)
+  const usage = createUsageService(db)
+  const searchIndex = createSearchIndex(db)
+  const auth = createAuthService(db, config)
+  const ocr = createOcrRunner({ db, config, records, files, usage, searchIndex })
+  const payments = services.payments || createPaymentProvider()
+  const ctx = { db, config, records, files, usage, searchIndex, auth, ocr, payments }
+
+  const app = express()
+  app.set('trust proxy', true)
+  app.use(requestIdMiddleware)
+  app.use(cors({ origin: config.corsOrigins, exposedHeaders: ['X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After'] }))
+  app.use(express.json({ limit: '25mb' }))
+
+  const api = Router()
+
+  // Public routes
+  api.get('/health', (req, res) => res.json({ status: 'ok' }))
+  api.use('/auth', createAuthRouter(ctx))
+  api.use('/files', createFileContentRouter(ctx))
+
+  // Everything below requires a Bearer token. Each router is guarded on its own so that an unknown
+  // path is a 404 that does not count against the rate limit.
+  const guard = [auth.requireAuth, createRateLimiter(config)]
+  api.use('/users', guard, createUsersRouter(ctx))
+  api.use('/documents', guard, createDocumentsRouter(ctx))
+  api.use('/events', guard, createEventsRouter(ctx))
+  api.use('/links', guard, createLinksRouter(ctx))
+  api.use('/people', guard, createPeopleRouter(ctx))
+  api.use('/places', guard, createPlacesRouter(ctx))
+  api.use('/overlays', guard, createOverlaysRouter(ctx))
+  api.use('/parcels', guard, createParcelsRouter(ctx))
+  api.use('/files', guard, createFilesRouter(ctx))
+  api.use('/ocr', guard, createOcrRouter(ctx))
+  api.use('/search', guard, createSearchRouter(ctx))
+  api.use('/subscription', guard, createSubscriptionRouter(ctx))
+  api.use('/analytics', guard, createAnalyticsRouter(ctx))
+
+  app.use('/api', api)
+  app.use(notFoundHandler)
+  app.use(errorHandler)
+
+  return { app, ocr }
+}
+
+export default createApp
@@ -0,0 +1,34 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { startTestServer } from './testServer.js'
+
+describe('API routing', () => {
+  let server
+
+  beforeEach(async () => {
+    server = await startTestServer({}, { rateLimitingEnabled: true, rateLimits: { free: 2 } })
+  })
+
+  afterEach(() => server.close())
+
+  it('answers unknown paths with a 404, signed in or not', async () => {
+    const { token } = await server.register()
+
+    const anonymous = await server.request('/nowhere')
+    expect(anonymous.status).toBe(404)
+    expect(anonymous.body.error.code).toBe('NOT_FOUND')
+    expect((await server.request('/nowhere', { token })).status).toBe(404)
+  })
+
+  it('only counts known routes against the rate limit', async () => {
+    const { token } = await server.register()
+    await server.request('/nowhere', { token })
+    await server.request('/nowhere', { token })
+
+    expect((await server.request('/events', { token })).status).toBe(200)
+    expect((await server.request('/people', { token })).status).toBe(200)
+    const limited = await server.request('/places', { token })
+    expect(limited.status).toBe(429)
+    expect(limited.body.error.code).toBe('RATE_LIMIT_EXCEEDED')
+    expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(3500)
+  })
+})
@@ -0,0 +1,55 @@
+/**
+ * Server configuration for the Historify reference backend
+ * Reads the same variables documented in .env.example
+ */
+
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url))
+const dataDir = path.join(serverDir, 'data')
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback
+}
+
+// DEV_DATABASE_URL uses the "sqlite:./dev.db" form from .env.example
+const resolveDatabasePath = (url) => {
+  if (!url) return path.join(dataDir, 'historify.db')
+  const filePath = url.replace(/^sqlite:/, '')
+  return filePath === ':memory:' ? filePath : path.resolve(filePath)
+}
+
+export const config = {
+  port: toNumber(process.env.PORT, 3001),
+  databasePath: resolveDatabasePath(process.env.DEV_DATABASE_URL),
+  storageDir: path.resolve(process.env.STORAGE_DIR || path.join(dataDir, 'files')),
+  jwtSecret: process.env.JWT_SECRET || 'historify-development-secret',
+  sessionTimeout: toNumber(process.env.SESSION_TIMEOUT, 86400),
+  refreshTokenExpiry: toNumber(process.env.REFRESH_TOKEN_EXPIRY, 604800),
+  corsOrigins: (process.env.CORS_ORIGINS || 'http://localhost:5173,http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean),
+  maxFileSize: toNumber(process.env.VITE_MAX_FILE_SIZE, 10 * 1024 * 1024),
+  allowedFileTypes: (process.env.VITE_ALLOWED_FILE_TYPES || 'application/pdf,image/jpeg,image/png,image/tiff')
+    .split(',')
+    .map(type => type.trim()),
+  rateLimits: {
+    free: toNumber(process.env.RATE_LIMIT_FREE, 100),
+    basic: toNumber(process.env.RATE_LIMIT_BASIC, 1000),
+    premium: toNumber(process.env.RATE_LIMIT_PREMIUM, 10000)
+  },
+  rateLimitingEnabled: process.env.RATE_LIMITING_ENABLED !== 'false',
+  ocr: {
+    serviceUrl: process.env.OCR_SERVICE_URL || process.env.VITE_OCR_SERVICE_URL || 'https://api.ocr.space/parse/image',
+    apiKey: process.env.OCR_API_KEY || process.env.VITE_OCR_API_KEY || '',
+    // Jobs processed at once; the rest wait in a queue where priority-tier jobs go first
+    concurrency: toNumber(process.env.OCR_CONCURRENCY, 2),
+    // A request to the OCR service taking longer than this fails the job
+    timeoutMs: toNumber(process.env.OCR_TIMEOUT_MS, 120000)
+  }
+}
+
+export default config
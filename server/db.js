@@ -0,0 +1,112 @@
+/**
+ * SQLite database for the Historify reference backend
+ * Collections (documents, events, links) are stored as JSON records per user
+ */
+
+import fs from 'node:fs'
+import path from 'node:path'
+import Database from 'better-sqlite3'
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    first_name TEXT,
+    last_name TEXT,
+    subscription_tier TEXT NOT NULL DEFAULT 'free',
+    subscription_status TEXT NOT NULL DEFAULT 'active',
+    subscription_start_date TEXT,
+    subscription_end_date TEXT,
+    preferences TEXT NOT NULL DEFAULT '{}',
+    created_date TEXT NOT NULL,
+    last_login_date TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS refresh_tokens (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    record_id TEXT NOT NULL,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    data TEXT NOT NULL,
+    created_date TEXT NOT NULL,
+    updated_date TEXT NOT NULL,
+    PRIMARY KEY (collection, record_id)
+  );
+  CREATE INDEX IF NOT EXISTS records_by_user ON records (collection, user_id);
+
+  CREATE TABLE IF NOT EXISTS files (
+    file_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    file_name TEXT NOT NULL,
+    file_type TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    storage_path TEXT NOT NULL,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    upload_date TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS ocr_jobs (
+    processing_id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    document_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    progress INTEGER NOT NULL DEFAULT 0,
+    options TEXT NOT NULL DEFAULT '{}',
+    priority INTEGER NOT NULL DEFAULT 0,
+    result TEXT,
+    error TEXT,
+    created_date TEXT NOT NULL,
+    updated_date TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS usage_log (
+    user_id TEXT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    action TEXT NOT NULL,
+    amount INTEGER NOT NULL DEFAULT 1,
+    detail TEXT,
+    created_date TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS usage_by_user ON usage_log (user_id, action, created_date);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+    record_id UNINDEXED,
+    user_id UNINDEXED,
+    file_name,
+    ocr_text,
+    tokenize = 'porter unicode61'
+  );
+  CREATE VIRTUAL TABLE IF NOT EXISTS documents_vocab USING fts5vocab(documents_fts, 'row');
+`
+
+// Columns added after a table was first created; CREATE TABLE IF NOT EXISTS will not add them
+const ADDED_COLUMNS = [
+  { table: 'ocr_jobs', column: 'priority', definition: 'INTEGER NOT NULL DEFAULT 0' }
+]
+
+const addMissingColumns = (db) => {
+  ADDED_COLUMNS.forEach(({ table, column, definition }) => {
+    const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column)
+    if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+  })
+}
+
+export const openDatabase = (databasePath) => {
+  if (databasePath !== ':memory:') {
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true })
+  }
+
+  const db = new Database(databasePath)
+  db.pragma('journal_mode = WAL')
+  db.pragma('foreign_keys = ON')
+  db.exec(SCHEMA)
+  addMissingColumns(db)
+  return db
+}
+
+export default openDatabase
@@ -0,0 +1,31 @@
+/**
+ * Entry point for the Historify reference backend
+ * Usage: npm run server (reads configuration from the environment, see .env.example)
+ */
+
+import { config } from './config.js'
+import { openDatabase } from './db.js'
+import { createApp } from './app.js'
+
+const db = openDatabase(config.databasePath)
+const { app, ocr } = createApp(db, config)
+
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; using an insecure development secret')
+}
+
+ocr.resumeUnfinished()
+
+const server = app.listen(config.port, () => {
+  console.log(`Historify API listening on http://localhost:${config.port}/api`)
+})
+
+const shutdown = () => {
+  server.close(() => {
+    db.close()
+    process.exit(0)
+  })
+}
+
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
@@ -0,0 +1,108 @@
+/**
+ * Authentication helpers for the Historify reference backend
+ * Short-lived JWT access tokens plus rotating refresh tokens stored hashed in SQLite
+ */
+
+import crypto from 'node:crypto'
+import jwt from 'jsonwebtoken'
+import { authenticationError } from './errors.js'
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+/**
+ * Public user shape returned by every auth and profile endpoint
+ */
+export const serializeUser = (row, tiers) => {
+  const tier = tiers[row.subscription_tier.toUpperCase()] || tiers.FREE
+  return {
+    userId: row.user_id,
+    email: row.email,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    subscriptionTier: tier.id,
+    subscriptionStatus: row.subscription_status,
+    subscriptionStartDate: row.subscription_start_date,
+    subscriptionEndDate: row.subscription_end_date,
+    uploadLimit: tier.features.uploadLimit,
+    storageLimit: tier.features.storageLimit * 1024 * 1024,
+    preferences: JSON.parse(row.preferences || '{}'),
+    createdDate: row.created_date,
+    lastLoginDate: row.last_login_date
+  }
+}
+
+export const createAuthService = (db, config) => {
+  const insertRefresh = db.prepare('INSERT INTO refresh_tokens (token_hash, user_id, expires_at) VALUES (?, ?, ?)')
+  const findRefresh = db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?')
+  const deleteRefresh = db.prepare('DELETE FROM refresh_tokens WHERE token_hash = ?')
+  const purgeExpired = db.prepare('DELETE FROM refresh_tokens WHERE expires_at < ?')
+
+  /**
+   * Issue an access token and a new refresh token for a user
+   */
+  const issueTokens = (userId) => {
+    const token = jwt.sign({ sub: userId }, config.jwtSecret, { expiresIn: config.sessionTimeout })
+    const refreshToken = crypto.randomBytes(48).toString('base64url')
+    const expiresAt = new Date(Date.now() + config.refreshTokenExpiry * 1000).toISOString()
+
+    purgeExpired.run(new Date().toISOString())
+    insertRefresh.run(hashToken(refreshToken), userId, expiresAt)
+
+    return {
+      token,
+      refreshToken,
+      expiresIn: config.sessionTimeout,
+      refreshExpiresIn: config.refreshTokenExpiry
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a fresh pair; the old refresh token is revoked
+   */
+  const rotateRefreshToken = (refreshToken) => {
+    const stored = refreshToken && findRefresh.get(hashToken(refreshToken))
+    if (!stored) {
+      throw authenticationError('Refresh token is invalid')
+    }
+
+    deleteRefresh.run(stored.token_hash)
+    if (new Date(stored.expires_at) < new Date()) {
+      throw authenticationError('Refresh token has expired')
+    }
+
+    return { userId: stored.user_id, ...issueTokens(stored.user_id) }
+  }
+
+  const revokeRefreshToken = (refreshToken) => {
+    if (refreshToken) deleteRefresh.run(hashToken(refreshToken))
+  }
+
+  /**
+   * Express middleware that requires a valid Bearer token
+   */
+  const requireAuth = (req, res, next) => {
+    const header = req.get('Authorization') || ''
+    const [scheme, token] = header.split(' ')
+
+    if (scheme !== 'Bearer' || !token) {
+      return next(authenticationError())
+    }
+
+    try {
+      const payload = jwt.verify(token, config.jwtSecret)
+      const user = db.prepare('SELECT * FROM users WHERE user_id = ?').get(payload.sub)
+      if (!user) return next(authenticationError('User no longer exists'))
+      req.user = user
+      next()
+    } catch (error) {
+      next(authenticationError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'))
+    }
+  }
+
+  return {
+    issueTokens,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    requireAuth
+  }
+}
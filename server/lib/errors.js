@@ -0,0 +1,77 @@
+/**
+ * Error envelope helpers for the Historify reference backend
+ * Every failure is returned as { error: { code, message, details, timestamp, requestId } }
+ */
+
+export const ERROR_CODES = {
+  VALIDATION: { code: 'VALIDATION_ERROR', status: 400 },
+  AUTHENTICATION: { code: 'AUTHENTICATION_ERROR', status: 401 },
+  SUBSCRIPTION_LIMIT: { code: 'SUBSCRIPTION_LIMIT_EXCEEDED', status: 402 },
+  PAYMENT: { code: 'PAYMENT_FAILED', status: 402 },
+  AUTHORIZATION: { code: 'AUTHORIZATION_ERROR', status: 403 },
+  NOT_FOUND: { code: 'NOT_FOUND', status: 404 },
+  CONFLICT: { code: 'CONFLICT', status: 409 },
+  RATE_LIMIT: { code: 'RATE_LIMIT_EXCEEDED', status: 429 },
+  INTERNAL: { code: 'INTERNAL_ERROR', status: 500 }
+}
+
+export class ApiError extends Error {
+  constructor({ code, status }, message, details = null) {
+    super(message)
+    this.name = 'ApiError'
+    this.code = code
+    this.status = status
+    this.details = details
+  }
+}
+
+export const validationError = (message, details) => new ApiError(ERROR_CODES.VALIDATION, message, details)
+export const authenticationError = (message = 'Invalid or missing authentication') =>
+  new ApiError(ERROR_CODES.AUTHENTICATION, message)
+export const notFoundError = (resource = 'Resource') => new ApiError(ERROR_CODES.NOT_FOUND, `${resource} not found`)
+export const subscriptionLimitError = (message, details) =>
+  new ApiError(ERROR_CODES.SUBSCRIPTION_LIMIT, message, details)
+export const paymentError = (message, details) => new ApiError(ERROR_CODES.PAYMENT, message, details)
+
+const generateRequestId = () => `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+/**
+ * Tag every request with an id that is echoed back in headers and error bodies
+ */
+export const requestIdMiddleware = (req, res, next) => {
+  req.requestId = req.get('X-Request-Id') || generateRequestId()
+  res.set('X-Request-Id', req.requestId)
+  next()
+}
+
+export const notFoundHandler = (req, res, next) => {
+  next(new ApiError(ERROR_CODES.NOT_FOUND, `Route ${req.method} ${req.path} not found`))
+}
+
+/**
+ * Final Express error handler producing the documented envelope
+ */
+export const errorHandler = (err, req, res, next) => {
+  let error = err
+
+  if (!(error instanceof ApiError)) {
+    if (error.type === 'entity.parse.failed') {
+      error = validationError('Request body is not valid JSON')
+    } else if (error.name === 'MulterError') {
+      error = validationError(error.message, { field: error.field })
+    } else {
+      console.error('Unhandled server error:', err)
+      error = new ApiError(ERROR_CODES.INTERNAL, 'An unexpected error occurred')
+    }
+  }
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+      timestamp: new Date().toISOString(),
+      requestId: req.requestId
+    }
+  })
+}
@@ -0,0 +1,102 @@
+/**
+ * Local disk file storage for the Historify reference backend
+ * Files are served through signed URLs so <img> and <a> tags work without a Bearer header
+ */
+
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+import multer from 'multer'
+import { validationError } from './errors.js'
+import { generateId } from './records.js'
+
+/**
+ * Multer middleware accepting a single "file" field held in memory
+ */
+export const createUploadMiddleware = (config) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.maxFileSize, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!config.allowedFileTypes.includes(file.mimetype)) {
+      callback(validationError(`File type ${file.mimetype} not supported`, {
+        field: 'file',
+        allowedTypes: config.allowedFileTypes
+      }))
+      return
+    }
+    callback(null, true)
+  }
+}).single('file')
+
+export const parseMetadata = (raw) => {
+  if (!raw) return {}
+  try {
+    const metadata = JSON.parse(raw)
+    return metadata && typeof metadata === 'object' ? metadata : {}
+  } catch {
+    throw validationError('metadata must be a JSON object', { field: 'metadata' })
+  }
+}
+
+export const createFileStore = (db, config) => {
+  const insert = db.prepare(`
+    INSERT INTO files (file_id, user_id, file_name, file_type, file_size, storage_path, metadata, upload_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `)
+  const find = db.prepare('SELECT * FROM files WHERE file_id = ?')
+  const remove = db.prepare('DELETE FROM files WHERE file_id = ?')
+
+  const sign = (fileId) => crypto.createHmac('sha256', config.jwtSecret).update(fileId).digest('base64url')
+
+  const verifySignature = (fileId, signature) => {
+    if (!signature) return false
+    const expected = Buffer.from(sign(fileId))
+    const actual = Buffer.from(String(signature))
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
+  }
+
+  const serialize = (row, baseUrl) => ({
+    fileId: row.file_id,
+    fileName: row.file_name,
+    fileSize: row.file_size,
+    fileType: row.file_type,
+    fileUrl: `${baseUrl}/files/${row.file_id}/content?sig=${sign(row.file_id)}`,
+    uploadDate: row.upload_date,
+    metadata: JSON.parse(row.metadata || '{}')
+  })
+
+  /**
+   * Persist a multer in-memory upload to disk and record it
+   */
+  const save = (userId, upload, metadata = {}) => {
+    const fileId = generateId('file')
+    const extension = path.extname(upload.originalname).toLowerCase()
+    const userDir = path.join(config.storageDir, userId)
+    const storagePath = path.join(userDir, `${fileId}${extension}`)
+
+    fs.mkdirSync(userDir, { recursive: true })
+    fs.writeFileSync(storagePath, upload.buffer)
+
+    const uploadDate = new Date().toISOString()
+    insert.run(fileId, userId, upload.originalname, upload.mimetype, upload.size, storagePath, JSON.stringify(metadata), uploadDate)
+    return find.get(fileId)
+  }
+
+  const get = (fileId) => find.get(fileId) || null
+
+  const read = (row) => fs.readFileSync(row.storage_path)
+
+  const destroy = (row) => {
+    remove.run(row.file_id)
+    fs.rmSync(row.storage_path, { force: true })
+  }
+
+  return {
+    save,
+    get,
+    read,
+    destroy,
+    serialize,
+    verifySignature
+  }
+}
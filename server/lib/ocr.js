@@ -0,0 +1,183 @@
+/**
+ * Server-side OCR job runner for POST /ocr/process
+ * Uses the OCR.space API with the server's key so the key never reaches the browser.
+ * Jobs wait in a queue (priority-tier jobs first) and run a few at a time.
+ */
+
+import { generateId } from './records.js'
+import { entityService } from '../../src/services/entities.js'
+import { toDocumentDateFields } from '../../src/utils/historicalDate.js'
+
+export const createOcrRunner = ({ db, config, records, files, usage, searchIndex }) => {
+  const insertJob = db.prepare(`
+    INSERT INTO ocr_jobs (processing_id, user_id, document_id, status, progress, options, priority, created_date, updated_date)
+    VALUES (?, ?, ?, 'queued', 0, ?, ?, ?, ?)
+  `)
+  const updateJob = db.prepare(`
+    UPDATE ocr_jobs SET status = ?, progress = ?, result = ?, error = ?, updated_date = ? WHERE processing_id = ?
+  `)
+  const findJob = db.prepare('SELECT * FROM ocr_jobs WHERE processing_id = ? AND user_id = ?')
+  const nextJobs = db.prepare(`
+    SELECT * FROM ocr_jobs WHERE status = 'queued' ORDER BY priority DESC, created_date, rowid LIMIT ?
+  `)
+  const requeueInterrupted = db.prepare("UPDATE ocr_jobs SET status = 'queued', progress = 0 WHERE status = 'processing'")
+
+  let running = 0
+
+  const setJob = (processingId, status, progress, result = null, error = null) => {
+    updateJob.run(status, progress, result && JSON.stringify(result), error, new Date().toISOString(), processingId)
+  }
+
+  const recognize = async (file, options) => {
+    if (!config.ocr.apiKey) {
+      throw new Error('No OCR provider is configured on the server (set OCR_API_KEY)')
+    }
+
+    const formData = new FormData()
+    formData.append('file', new Blob([files.read(file)], { type: file.file_type }), file.file_name)
+    formData.append('language', options.language || 'eng')
+    formData.append('apikey', config.ocr.apiKey)
+    formData.append('OCREngine', '2')
+    formData.append('detectOrientation', String(options.detectOrientation !== false))
+    formData.append('scale', String(options.scale !== false))
+    formData.append('isOverlayRequired', 'true')
+
+    let result
+    try {
+      const response = await fetch(config.ocr.serviceUrl, {
+        method: 'POST',
+        body: formData,
+        signal: AbortSignal.timeout(config.ocr.timeoutMs)
+      })
+      result = await response.json()
+    } catch (error) {
+      if (error.name !== 'TimeoutError') throw error
+      throw new Error(`The OCR service did not respond within ${config.ocr.timeoutMs / 1000} seconds`)
+    }
+
+    if (result.IsErroredOnProcessing) {
+      throw new Error([].concat(result.ErrorMessage || 'OCR processing failed').join(' '))
+    }
+
+    // OCR.space returns one parsed result per PDF/TIFF page
+    const pages = (result.ParsedResults || []).map((page, index) => ({
+      pageNumber: index + 1,
+      text: page.ParsedText || '',
+      confidence: page.TextOverlay?.HasOverlay ? 0.9 : 0.7,
+      provider: 'ocr.space',
+      words: (page.TextOverlay?.Lines || []).flatMap((line, lineIndex) =>
+        line.Words.map(word => ({
+          text: word.WordText,
+          confidence: null,
+          line: lineIndex,
+          bbox: { x: word.Left, y: word.Top, width: word.Width, height: word.Height }
+        }))
+      )
+    }))
+
+    return {
+      text: pages.map(page => page.text).join('\n\n'),
+      confidence: pages.length ? pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length : 0,
+      provider: 'ocr.space',
+      pages
+    }
+  }
+
+  const run = async (job) => {
+    const startedAt = Date.now()
+    const document = records.get('documents', job.user_id, job.document_id)
+    const file = document?.fileId ? files.get(document.fileId) : null
+
+    try {
+      if (!file || file.user_id !== job.user_id) throw new Error('Document has no stored file to process')
+
+      setJob(job.processing_id, 'processing', 10)
+      const ocr = await recognize(file, JSON.parse(job.options || '{}'))
+      const { pages, ...ocrSummary } = ocr
+      const pageCount = pages.length || 1
+      const result = { ...ocrSummary, pages: pageCount, processingTime: Math.round((Date.now() - startedAt) / 1000) }
+
+      // Re-read so edits made while OCR was running are not overwritten
+      const latest = records.get('documents', job.user_id, job.document_id) || document
+      const entities = entityService.extract(result.text)
+      const updated = {
+        ...latest,
+        processingId: job.processing_id,
+        ocrText: result.text,
+        ocrConfidence: result.confidence,
+        ocrProvider: result.provider,
+        entities,
+        // A record date entered while OCR was running is kept
+        ...toDocumentDateFields(latest, entities),
+        processingStatus: 'completed',
+        // Keep page images the client uploaded; OCR supplies text and word boxes
+        pages: pages.map((page, index) => ({ ...latest.pages?.[index], ...page })),
+        metadata: { ...latest.metadata, pages: pageCount }
+      }
+      records.update('documents', job.user_id, job.document_id, updated)
+      searchIndex.indexDocument(job.user_id, updated)
+      usage.record(job.user_id, 'process_ocr', pageCount, { confidence: result.confidence })
+
+      setJob(job.processing_id, 'completed', 100, result)
+    } catch (error) {
+      const latest = records.get('documents', job.user_id, job.document_id)
+      if (latest) {
+        records.update('documents', job.user_id, job.document_id, {
+          ...latest,
+          processingId: job.processing_id,
+          processingStatus: 'failed'
+        })
+      }
+      setJob(job.processing_id, 'failed', 100, null, error.message)
+    }
+  }
+
+  const pump = () => {
+    const slots = config.ocr.concurrency - running
+    if (slots <= 0) return
+
+    nextJobs.all(slots).forEach(job => {
+      running++
+      setJob(job.processing_id, 'processing', 0)
+      run(job).finally(() => {
+        running--
+        pump()
+      })
+    })
+  }
+
+  const start = (userId, documentId, options = {}, { priority = false } = {}) => {
+    const processingId = generateId('proc')
+    const now = new Date().toISOString()
+    insertJob.run(processingId, userId, documentId, JSON.stringify(options), priority ? 1 : 0, now, now)
+
+    pump()
+    return processingId
+  }
+
+  const status = (userId, processingId) => {
+    const job = findJob.get(processingId, userId)
+    if (!job) return null
+
+    return {
+      processingId: job.processing_id,
+      documentId: job.document_id,
+      status: job.status,
+      progress: job.progress,
+      result: job.result ? JSON.parse(job.result) : null,
+      error: job.error
+    }
+  }
+
+  // Jobs interrupted by a restart are queued again
+  const resumeUnfinished = () => {
+    requeueInterrupted.run()
+    pump()
+  }
+
+  return {
+    start,
+    status,
+    resumeUnfinished
+  }
+}
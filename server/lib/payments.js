@@ -0,0 +1,17 @@
+/**
+ * Payment provider hook for subscription upgrades
+ * A provider is { charge({ user, tier, paymentMethod }) } resolving to { paymentId } once the
+ * payment has gone through, and throwing (e.g. paymentError) when it is declined. Deployments pass
+ * their own to createApp(db, config, { payments }); the reference backend takes no payments, so by
+ * default every paid upgrade is refused.
+ */
+
+import { paymentError } from './errors.js'
+
+export const createPaymentProvider = () => ({
+  async charge({ tier }) {
+    throw paymentError('Paid plans cannot be purchased: no payment provider is configured', { tier: tier.id })
+  }
+})
+
+export default createPaymentProvider
@@ -0,0 +1,42 @@
+/**
+ * In-memory hourly rate limiter keyed by user and subscription tier
+ */
+
+import { ApiError, ERROR_CODES } from './errors.js'
+
+const WINDOW_MS = 60 * 60 * 1000
+
+export const createRateLimiter = (config) => {
+  const windows = new Map()
+
+  return (req, res, next) => {
+    if (!config.rateLimitingEnabled || !req.user) return next()
+
+    const tier = req.user.subscription_tier || 'free'
+    const limit = config.rateLimits[tier] || config.rateLimits.free
+    const now = Date.now()
+
+    let window = windows.get(req.user.user_id)
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + WINDOW_MS }
+      windows.set(req.user.user_id, window)
+    }
+    window.count += 1
+
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(limit - window.count, 0)),
+      'X-RateLimit-Reset': String(Math.floor(window.resetAt / 1000))
+    })
+
+    if (window.count > limit) {
+      res.set('Retry-After', String(Math.ceil((window.resetAt - now) / 1000)))
+      return next(new ApiError(ERROR_CODES.RATE_LIMIT, 'Too many requests', {
+        limit,
+        resetAt: new Date(window.resetAt).toISOString()
+      }))
+    }
+
+    next()
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Record date filtering and sorting shared by GET /documents and GET /search/documents
+ * `dateFrom`/`dateTo` are dates as written ("1880", "1890s") matched against when each record was
+ * made; `uploadedFrom`/`uploadedTo` are ISO days matched against when it was uploaded.
+ */
+
+import { validationError } from './errors.js'
+import { compareDocuments, getDocumentSpan, isDocumentInRange, toDateRange } from '../../src/utils/historicalDate.js'
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/
+
+export const filterByDates = (documents, query) => {
+  let filtered = documents
+
+  const { range, error } = toDateRange(String(query.dateFrom || ''), String(query.dateTo || ''))
+  if (error) throw validationError(error, { fields: ['dateFrom', 'dateTo'] })
+  if (range) {
+    filtered = filtered.filter(doc => isDocumentInRange(doc, range))
+  }
+
+  for (const field of ['uploadedFrom', 'uploadedTo']) {
+    if (query[field] !== undefined && !ISO_DAY.test(query[field])) {
+      throw validationError(`${field} must be an ISO date (YYYY-MM-DD)`, { field })
+    }
+  }
+  if (query.uploadedFrom) {
+    filtered = filtered.filter(doc => (doc.uploadDate || '').slice(0, 10) >= query.uploadedFrom)
+  }
+  if (query.uploadedTo) {
+    // uploadedTo names a day, so anything uploaded during it counts
+    filtered = filtered.filter(doc => doc.uploadDate && doc.uploadDate.slice(0, 10) <= query.uploadedTo)
+  }
+
+  return filtered
+}
+
+/**
+ * Sort by record date in `direction` (1 or -1), undated records last either way
+ */
+export const sortByRecordDate = (documents, direction) => [...documents].sort((a, b) => {
+  const aDated = Boolean(getDocumentSpan(a))
+  if (aDated !== Boolean(getDocumentSpan(b))) return aDated ? -1 : 1
+  return compareDocuments(a, b) * direction
+})
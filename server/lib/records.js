@@ -0,0 +1,52 @@
+/**
+ * Generic per-user JSON record store backed by the records table
+ */
+
+export const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+
+export const createRecordStore = (db) => {
+  const statements = {
+    list: db.prepare('SELECT data FROM records WHERE collection = ? AND user_id = ? ORDER BY created_date'),
+    get: db.prepare('SELECT data FROM records WHERE collection = ? AND user_id = ? AND record_id = ?'),
+    exists: db.prepare('SELECT 1 FROM records WHERE collection = ? AND record_id = ?'),
+    insert: db.prepare(`
+      INSERT INTO records (collection, record_id, user_id, data, created_date, updated_date)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    update: db.prepare(`
+      UPDATE records SET data = ?, updated_date = ?
+      WHERE collection = ? AND user_id = ? AND record_id = ?
+    `),
+    remove: db.prepare('DELETE FROM records WHERE collection = ? AND user_id = ? AND record_id = ?')
+  }
+
+  return {
+    list(collection, userId) {
+      return statements.list.all(collection, userId).map(row => JSON.parse(row.data))
+    },
+
+    get(collection, userId, recordId) {
+      const row = statements.get.get(collection, userId, recordId)
+      return row ? JSON.parse(row.data) : null
+    },
+
+    exists(collection, recordId) {
+      return Boolean(statements.exists.get(collection, recordId))
+    },
+
+    insert(collection, userId, recordId, data) {
+      const now = new Date().toISOString()
+      statements.insert.run(collection, recordId, userId, JSON.stringify(data), now, now)
+      return data
+    },
+
+    update(collection, userId, recordId, data) {
+      statements.update.run(JSON.stringify(data), new Date().toISOString(), collection, userId, recordId)
+      return data
+    },
+
+    remove(collection, userId, recordId) {
+      return statements.remove.run(collection, userId, recordId).changes > 0
+    }
+  }
+}
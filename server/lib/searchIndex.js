@@ -0,0 +1,79 @@
+/**
+ * Full-text document search using SQLite FTS5 with BM25 ranking
+ */
+
+const tokenizeQuery = (query) => (query || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+
+/**
+ * Build an FTS5 MATCH expression from user input without exposing FTS syntax
+ */
+export const buildMatchExpression = (query, { fuzzy = false, exactPhrase = false } = {}) => {
+  const terms = tokenizeQuery(query)
+  if (terms.length === 0) return null
+
+  if (exactPhrase) return `"${terms.join(' ')}"`
+  return terms.map(term => (fuzzy ? `"${term}"*` : `"${term}"`)).join(fuzzy ? ' OR ' : ' ')
+}
+
+export const createSearchIndex = (db) => {
+  const remove = db.prepare('DELETE FROM documents_fts WHERE record_id = ?')
+  const insert = db.prepare('INSERT INTO documents_fts (record_id, user_id, file_name, ocr_text) VALUES (?, ?, ?, ?)')
+  const match = db.prepare(`
+    SELECT record_id,
+           bm25(documents_fts, 5.0, 1.0) AS rank,
+           snippet(documents_fts, 3, '<mark>', '</mark>', '...', 16) AS matched_text
+    FROM documents_fts
+    WHERE documents_fts MATCH ? AND user_id = ?
+    ORDER BY rank
+  `)
+  const vocabulary = db.prepare(`
+    SELECT term FROM documents_vocab WHERE term >= ? AND term < ? ORDER BY doc DESC, term LIMIT ?
+  `)
+
+  const indexDocument = (userId, document) => {
+    remove.run(document.documentId)
+    insert.run(document.documentId, userId, document.fileName || '', document.ocrText || '')
+  }
+
+  const removeDocument = (documentId) => {
+    remove.run(documentId)
+  }
+
+  /**
+   * Returns matches as { documentId, relevanceScore, matchedText, highlights }
+   */
+  const search = (userId, query, options) => {
+    const expression = buildMatchExpression(query, options)
+    if (!expression) return []
+
+    // Rows come best first. bm25() is negative with better matches lower, and close to zero when the
+    // terms are in most documents, so scores are shown relative to the best match, which scores 1.
+    const rows = match.all(expression, userId)
+    const best = rows[0]?.rank
+
+    return rows.map(row => ({
+      documentId: row.record_id,
+      relevanceScore: best < 0 ? Math.max(Math.round(row.rank / best * 1000) / 1000, 0.001) : 1,
+      matchedText: row.matched_text,
+      highlights: [...row.matched_text.matchAll(/<mark>(.*?)<\/mark>/g)].map(m => m[1])
+    }))
+  }
+
+  // Note: vocabulary terms are porter-stemmed, matching how the index stores them
+  const suggest = (partial, limit = 5) => {
+    const prefix = tokenizeQuery(partial).pop()
+    if (!prefix || prefix.length < 2) return []
+    return vocabulary.all(prefix, `${prefix}\uffff`, limit).map(row => row.term)
+  }
+
+  return {
+    indexDocument,
+    removeDocument,
+    search,
+    suggest
+  }
+}
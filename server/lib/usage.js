@@ -0,0 +1,99 @@
+/**
+ * Usage metering for the Historify reference backend
+ * Mirrors the limits enforced client-side by subscriptionService
+ */
+
+import { SUBSCRIPTION_TIERS } from '../../src/services/subscription.js'
+import { subscriptionLimitError } from './errors.js'
+
+export const getTier = (user) => SUBSCRIPTION_TIERS[(user.subscription_tier || 'free').toUpperCase()] || SUBSCRIPTION_TIERS.FREE
+
+export const getCurrentPeriodStart = () => {
+  const now = new Date()
+  return new Date(now.getFullYear(), now.getMonth(), 1).toISOString()
+}
+
+export const createUsageService = (db) => {
+  const insert = db.prepare('INSERT INTO usage_log (user_id, action, amount, detail, created_date) VALUES (?, ?, ?, ?, ?)')
+  const sumSince = db.prepare(`
+    SELECT action, COALESCE(SUM(amount), 0) AS total FROM usage_log
+    WHERE user_id = ? AND created_date >= ? GROUP BY action
+  `)
+  const storageUsed = db.prepare('SELECT COALESCE(SUM(file_size), 0) AS total FROM files WHERE user_id = ?')
+
+  const record = (userId, action, amount = 1, detail = null) => {
+    insert.run(userId, action, amount, detail === null ? null : JSON.stringify(detail), new Date().toISOString())
+  }
+
+  /**
+   * Usage for the current billing period, in the shape of subscriptionService.getUserUsage
+   */
+  const getUsage = (userId) => {
+    const totals = Object.fromEntries(
+      sumSince.all(userId, getCurrentPeriodStart()).map(row => [row.action, row.total])
+    )
+
+    return {
+      userId,
+      documentsUploaded: totals.upload_document || 0,
+      storageUsed: storageUsed.get(userId).total,
+      ocrPagesProcessed: totals.process_ocr || 0,
+      searchesPerformed: totals.search || 0,
+      currentPeriodStart: getCurrentPeriodStart()
+    }
+  }
+
+  /**
+   * Throw SUBSCRIPTION_LIMIT_EXCEEDED when an action would exceed the user's tier
+   */
+  const assertWithinLimits = (user, action, amount = 1) => {
+    const { features } = getTier(user)
+    const usage = getUsage(user.user_id)
+
+    const checks = {
+      upload_document: [usage.documentsUploaded + amount <= features.uploadLimit, 'Monthly upload limit reached', features.uploadLimit],
+      process_ocr: [usage.ocrPagesProcessed + amount <= features.ocrProcessing, 'Monthly OCR page limit reached', features.ocrProcessing],
+      use_storage: [usage.storageUsed + amount <= features.storageLimit * 1024 * 1024, 'Storage limit reached', features.storageLimit]
+    }
+
+    const [allowed, message, limit] = checks[action] || [true]
+    if (!allowed) {
+      throw subscriptionLimitError(message, { action, limit, tier: getTier(user).id })
+    }
+  }
+
+  const getUsageDisplay = (user) => {
+    const { features } = getTier(user)
+    const usage = getUsage(user.user_id)
+    const percentage = (used, limit) => Math.min(Math.round((used / limit) * 100), 100)
+    const storageUsedMB = Math.round(usage.storageUsed / (1024 * 1024))
+
+    return {
+      uploads: {
+        used: usage.documentsUploaded,
+        limit: features.uploadLimit,
+        percentage: percentage(usage.documentsUploaded, features.uploadLimit),
+        unit: 'documents'
+      },
+      storage: {
+        used: storageUsedMB,
+        limit: features.storageLimit,
+        percentage: percentage(usage.storageUsed, features.storageLimit * 1024 * 1024),
+        unit: 'MB'
+      },
+      ocr: {
+        used: usage.ocrPagesProcessed,
+        limit: features.ocrProcessing,
+        percentage: percentage(usage.ocrPagesProcessed, features.ocrProcessing),
+        unit: 'pages'
+      }
+    }
+  }
+
+  return {
+    record,
+    getUsage,
+    getUsageDisplay,
+    assertWithinLimits
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * /analytics routes
+ */
+
+import { Router } from 'express'
+import { getCurrentPeriodStart, getTier } from '../lib/usage.js'
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  const value = key(item)
+  counts[value] = (counts[value] || 0) + 1
+  return counts
+}, {})
+
+const extensionOf = (fileType) => ({
+  'application/pdf': 'pdf',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/tiff': 'tiff'
+}[fileType] || 'other')
+
+export const createAnalyticsRouter = ({ db, records, usage }) => {
+  const router = Router()
+  const periodLog = db.prepare(`
+    SELECT action, amount, detail FROM usage_log WHERE user_id = ? AND created_date >= ?
+  `)
+
+  router.get('/usage', (req, res) => {
+    const periodStart = getCurrentPeriodStart()
+    const entries = periodLog.all(req.user.user_id, periodStart)
+      .map(entry => ({ ...entry, detail: entry.detail ? JSON.parse(entry.detail) : {} }))
+    const byAction = (action) => entries.filter(entry => entry.action === action)
+
+    const uploads = byAction('upload_document')
+    const ocrRuns = byAction('process_ocr')
+    const searches = byAction('search')
+    const pagesProcessed = ocrRuns.reduce((sum, entry) => sum + entry.amount, 0)
+    const weightedConfidence = ocrRuns.reduce((sum, entry) => sum + (entry.detail.confidence || 0) * entry.amount, 0)
+
+    const queryCounts = countBy(searches.filter(s => s.detail.query), s => s.detail.query.toLowerCase())
+
+    res.json({
+      period: periodStart.slice(0, 7),
+      uploads: {
+        total: uploads.length,
+        byFileType: countBy(uploads, entry => extensionOf(entry.detail.fileType))
+      },
+      storage: {
+        used: usage.getUsage(req.user.user_id).storageUsed,
+        limit: getTier(req.user).features.storageLimit * 1024 * 1024
+      },
+      ocr: {
+        pagesProcessed,
+        averageConfidence: pagesProcessed ? Math.round((weightedConfidence / pagesProcessed) * 100) / 100 : null
+      },
+      searches: {
+        total: searches.length,
+        topQueries: Object.entries(queryCounts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([query]) => query)
+      }
+    })
+  })
+
+  router.get('/documents', (req, res) => {
+    const documents = records.list('documents', req.user.user_id)
+    const links = records.list('links', req.user.user_id)
+    const linkedIds = new Set(links.flatMap(link => link.documentIds))
+
+    res.json({
+      total: documents.length,
+      bySource: countBy(documents, doc => doc.metadata?.source || 'Unknown'),
+      byFileType: countBy(documents, doc => extensionOf(doc.metadata?.fileType)),
+      linked: documents.filter(doc => linkedIds.has(doc.documentId)).length,
+      links: links.length,
+      byLinkType: countBy(links, link => link.linkType)
+    })
+  })
+
+  return router
+}
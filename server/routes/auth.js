@@ -0,0 +1,99 @@
+/**
+ * /auth routes: register, login, refresh and logout
+ */
+
+import { Router } from 'express'
+import bcrypt from 'bcryptjs'
+import { SUBSCRIPTION_TIERS } from '../../src/services/subscription.js'
+import { serializeUser } from '../lib/auth.js'
+import { ApiError, ERROR_CODES, authenticationError, validationError } from '../lib/errors.js'
+import { generateId } from '../lib/records.js'
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Same rules as validatePassword in src/utils/errorHandler.js
+const validatePassword = (password) => {
+  const errors = []
+  if (typeof password !== 'string' || password.length < 8) errors.push('Password must be at least 8 characters long')
+  if (!/[A-Z]/.test(password)) errors.push('Password must contain at least one uppercase letter')
+  if (!/[a-z]/.test(password)) errors.push('Password must contain at least one lowercase letter')
+  if (!/\d/.test(password)) errors.push('Password must contain at least one number')
+  return errors
+}
+
+export const createAuthRouter = ({ db, auth }) => {
+  const router = Router()
+
+  const findByEmail = db.prepare('SELECT * FROM users WHERE email = ?')
+  const findById = db.prepare('SELECT * FROM users WHERE user_id = ?')
+  const insertUser = db.prepare(`
+    INSERT INTO users (user_id, email, password_hash, first_name, last_name, subscription_tier, created_date, last_login_date)
+    VALUES (?, ?, ?, ?, ?, 'free', ?, ?)
+  `)
+  const touchLogin = db.prepare('UPDATE users SET last_login_date = ? WHERE user_id = ?')
+
+  const respondWithSession = (res, userRow, status = 200) => {
+    res.status(status).json({
+      user: serializeUser(userRow, SUBSCRIPTION_TIERS),
+      ...auth.issueTokens(userRow.user_id)
+    })
+  }
+
+  router.post('/register', async (req, res) => {
+    const { email, password, firstName = null, lastName = null } = req.body || {}
+
+    if (!EMAIL_PATTERN.test(email || '')) {
+      throw validationError('Invalid email format', { field: 'email' })
+    }
+    const passwordErrors = validatePassword(password)
+    if (passwordErrors.length > 0) {
+      throw validationError('Password does not meet requirements', { field: 'password', errors: passwordErrors })
+    }
+    if (findByEmail.get(email)) {
+      throw new ApiError(ERROR_CODES.CONFLICT, 'An account with this email already exists', { field: 'email' })
+    }
+
+    // New accounts always start on the free tier; upgrades go through /subscription/upgrade
+    const userId = generateId('user')
+    const now = new Date().toISOString()
+    const passwordHash = await bcrypt.hash(password, 10)
+    insertUser.run(userId, email, passwordHash, firstName, lastName, now, now)
+
+    respondWithSession(res, findById.get(userId), 201)
+  })
+
+  router.post('/login', async (req, res) => {
+    const { email, password } = req.body || {}
+
+    if (typeof email !== 'string' || !email) {
+      throw validationError('Email is required', { field: 'email' })
+    }
+    if (typeof password !== 'string' || !password) {
+      throw validationError('Password is required', { field: 'password' })
+    }
+
+    const user = findByEmail.get(email)
+
+    if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+      throw authenticationError('Invalid email or password')
+    }
+
+    touchLogin.run(new Date().toISOString(), user.user_id)
+    respondWithSession(res, findById.get(user.user_id))
+  })
+
+  router.post('/refresh', (req, res) => {
+    const { userId, ...tokens } = auth.rotateRefreshToken(req.body?.refreshToken)
+    const user = findById.get(userId)
+    if (!user) throw authenticationError('User no longer exists')
+
+    res.json({ user: serializeUser(user, SUBSCRIPTION_TIERS), ...tokens })
+  })
+
+  router.post('/logout', (req, res) => {
+    auth.revokeRefreshToken(req.body?.refreshToken)
+    res.json({ success: true })
+  })
+
+  return router
+}
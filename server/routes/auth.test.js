@@ -0,0 +1,43 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { startTestServer } from '../testServer.js'
+
+describe('POST /auth/login', () => {
+  let server
+
+  beforeEach(async () => {
+    server = await startTestServer()
+    await server.register()
+  })
+
+  afterEach(() => server.close())
+
+  const login = (body) => server.request('/auth/login', { method: 'POST', body })
+
+  it('signs in with the registered email and password', async () => {
+    const { status, body } = await login({ email: 'user1@example.com', password: 'Password1' })
+
+    expect(status).toBe(200)
+    expect(body.token).toBeTruthy()
+  })
+
+  it('rejects a missing or malformed email or password as invalid', async () => {
+    const noEmail = await login({ password: 'Password1' })
+    expect(noEmail.status).toBe(400)
+    expect(noEmail.body.error).toMatchObject({ code: 'VALIDATION_ERROR', details: { field: 'email' } })
+
+    const objectEmail = await login({ email: { $ne: null }, password: 'Password1' })
+    expect(objectEmail.status).toBe(400)
+
+    const arrayPassword = await login({ email: 'user1@example.com', password: ['Password1'] })
+    expect(arrayPassword.status).toBe(400)
+    expect(arrayPassword.body.error.details).toEqual({ field: 'password' })
+  })
+
+  it('does not say which of the email or password was wrong', async () => {
+    const wrongPassword = await login({ email: 'user1@example.com', password: 'Password2' })
+    const unknownEmail = await login({ email: 'nobody@example.com', password: 'Password1' })
+
+    expect(wrongPassword.status).toBe(401)
+    expect(unknownEmail.body.error.message).toBe(wrongPassword.body.error.message)
+  })
+})
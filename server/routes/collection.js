@@ -0,0 +1,118 @@
+/**
+ * Generic CRUD router for per-user JSON collections (documents, events, links, people, places, overlays, parcels)
+ */
+
+import { Router } from 'express'
+import { ApiError, ERROR_CODES, notFoundError, validationError } from '../lib/errors.js'
+import { generateId } from '../lib/records.js'
+
+const DEFAULT_PAGE_SIZE = 20
+const MAX_PAGE_SIZE = 100
+
+export const paginate = (records, query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1)
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE)
+  const total = records.length
+  const totalPages = Math.max(Math.ceil(total / limit), 1)
+
+  return {
+    items: records.slice((page - 1) * limit, page * limit),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrev: page > 1
+    }
+  }
+}
+
+export const createCollectionRouter = ({ records }, options) => {
+  const {
+    collection,
+    idField,
+    idPrefix,
+    listKey = collection,
+    label = 'Record',
+    createdField = 'createdDate',
+    required = [],
+    filter = (items) => items,
+    validate = () => {},
+    beforeCreate = (record) => record,
+    afterWrite = () => {},
+    afterDelete = () => {}
+  } = options
+
+  const router = Router()
+  const protectedFields = [idField, 'userId', createdField]
+
+  const findOrThrow = (req) => {
+    const record = records.get(collection, req.user.user_id, req.params.id)
+    if (!record) throw notFoundError(label)
+    return record
+  }
+
+  router.get('/', (req, res) => {
+    const filtered = filter(records.list(collection, req.user.user_id), req.query)
+    const { items, pagination } = paginate(filtered, req.query)
+    res.json({ [listKey]: items, pagination })
+  })
+
+  router.post('/', async (req, res) => {
+    const body = req.body || {}
+    const missing = required.filter(field => body[field] === undefined || body[field] === '')
+    if (missing.length > 0) {
+      throw validationError(`Missing required field: ${missing.join(', ')}`, { fields: missing })
+    }
+
+    // Client-generated ids are kept so offline-created records stay stable once synced. Sending the
+    // same create again, e.g. when the outbox replays one whose response was lost, returns the record.
+    const requestedId = typeof body[idField] === 'string' ? body[idField] : null
+    if (requestedId) {
+      const existing = records.get(collection, req.user.user_id, requestedId)
+      if (existing) return res.json(existing)
+      if (records.exists(collection, requestedId)) {
+        throw new ApiError(ERROR_CODES.CONFLICT, `${label} id is already in use`, { field: idField })
+      }
+    }
+    const recordId = requestedId || generateId(idPrefix)
+    validate(body, req)
+
+    const record = await beforeCreate({
+      ...body,
+      [idField]: recordId,
+      userId: req.user.user_id,
+      [createdField]: body[createdField] || new Date().toISOString()
+    }, req)
+
+    records.insert(collection, req.user.user_id, recordId, record)
+    afterWrite(req.user.user_id, record)
+    res.status(201).json(record)
+  })
+
+  router.get('/:id', (req, res) => {
+    res.json(findOrThrow(req))
+  })
+
+  router.patch('/:id', (req, res) => {
+    const existing = findOrThrow(req)
+    const updates = { ...(req.body || {}) }
+    protectedFields.forEach(field => delete updates[field])
+
+    const updated = { ...existing, ...updates }
+    validate(updated, req)
+    records.update(collection, req.user.user_id, req.params.id, updated)
+    afterWrite(req.user.user_id, updated)
+    res.json(updated)
+  })
+
+  router.delete('/:id', (req, res) => {
+    const existing = findOrThrow(req)
+    records.remove(collection, req.user.user_id, req.params.id)
+    afterDelete(req.user.user_id, existing)
+    res.json({ success: true, message: `${label} deleted successfully` })
+  })
+
+  return router
+}
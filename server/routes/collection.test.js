@@ -0,0 +1,40 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { startTestServer } from '../testServer.js'
+
+describe('collection routes', () => {
+  let server
+  let token
+
+  beforeEach(async () => {
+    server = await startTestServer()
+    ;({ token } = await server.register())
+  })
+
+  afterEach(() => server.close())
+
+  it('keeps the client id and returns the record when the same create is sent again', async () => {
+    const person = { personId: 'person_offline_1', name: 'Ada Smith' }
+
+    const first = await server.request('/people', { method: 'POST', token, body: person })
+    expect(first.status).toBe(201)
+    expect(first.body.personId).toBe('person_offline_1')
+
+    const replayed = await server.request('/people', { method: 'POST', token, body: person })
+    expect(replayed.status).toBe(200)
+    expect(replayed.body).toEqual(first.body)
+
+    const { body } = await server.request('/people', { token })
+    expect(body.people.map(saved => saved.personId)).toEqual(['person_offline_1'])
+  })
+
+  it('rejects an id another account already uses', async () => {
+    await server.request('/people', { method: 'POST', token, body: { personId: 'person_1', name: 'Ada Smith' } })
+    const other = await server.register()
+
+    const { status, body } = await server.request('/people', {
+      method: 'POST', token: other.token, body: { personId: 'person_1', name: 'Mary Jones' }
+    })
+    expect(status).toBe(409)
+    expect(body.error.code).toBe('CONFLICT')
+  })
+})
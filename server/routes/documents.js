@@ -0,0 +1,135 @@
+/**
+ * /documents routes
+ * JSON bodies create a document record directly; multipart bodies store the file and start OCR
+ */
+
+import { Router } from 'express'
+import { createUploadMiddleware, parseMetadata } from '../lib/files.js'
+import { validationError } from '../lib/errors.js'
+import { getTier } from '../lib/usage.js'
+import { filterByDates, sortByRecordDate } from '../lib/recordDates.js'
+import { createCollectionRouter } from './collection.js'
+
+const SORT_FIELDS = {
+  uploaded: doc => doc.uploadDate || '',
+  name: doc => (doc.fileName || '').toLowerCase(),
+  size: doc => doc.metadata?.fileSize || 0
+}
+
+const filterDocuments = (documents, query) => {
+  let filtered = documents
+
+  if (query.fileType) {
+    filtered = filtered.filter(doc => doc.metadata?.fileType?.includes(query.fileType))
+  }
+  if (query.source) {
+    filtered = filtered.filter(doc => doc.metadata?.source === query.source)
+  }
+  filtered = filterByDates(filtered, query)
+
+  const direction = query.sortOrder === 'asc' ? 1 : -1
+  const key = SORT_FIELDS[query.sortBy]
+  if (query.sortBy === 'date') {
+    filtered = sortByRecordDate(filtered, direction)
+  } else if (key) {
+    filtered = [...filtered].sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * direction)
+  }
+
+  return filtered
+}
+
+export const createDocumentsRouter = (ctx) => {
+  const { records, files, usage, ocr, searchIndex, config } = ctx
+  const router = Router()
+  const upload = createUploadMiddleware(config)
+
+  // Multipart upload: store the file, create the record and queue OCR in one call
+  router.post('/', (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next('route')
+    upload(req, res, next)
+  }, (req, res) => {
+    if (!req.file) throw validationError('A file is required', { field: 'file' })
+
+    const metadata = parseMetadata(req.body.metadata)
+    usage.assertWithinLimits(req.user, 'upload_document')
+    usage.assertWithinLimits(req.user, 'use_storage', req.file.size)
+    // OCR pages are recorded by the runner once it knows the page count, as for POST /ocr/process
+    usage.assertWithinLimits(req.user, 'process_ocr', Number(metadata.pages) || 1)
+
+    const file = files.save(req.user.user_id, req.file, metadata)
+    const fileInfo = files.serialize(file, `${req.protocol}://${req.get('host')}/api`)
+    const { ocrOptions, ...documentMetadata } = metadata
+
+    const document = {
+      documentId: file.file_id.replace(/^file_/, 'doc_'),
+      userId: req.user.user_id,
+      fileName: req.file.originalname,
+      uploadDate: fileInfo.uploadDate,
+      ocrText: '',
+      processingStatus: 'processing',
+      metadata: {
+        ...documentMetadata,
+        fileSize: req.file.size,
+        fileType: req.file.mimetype
+      },
+      tags: Array.isArray(metadata.tags) ? metadata.tags : [],
+      linkedDocuments: [],
+      fileId: file.file_id,
+      fileUrl: fileInfo.fileUrl
+    }
+
+    records.insert('documents', req.user.user_id, document.documentId, document)
+    searchIndex.indexDocument(req.user.user_id, document)
+    usage.record(req.user.user_id, 'upload_document', 1, { fileType: req.file.mimetype })
+
+    const processingId = ocr.start(req.user.user_id, document.documentId, ocrOptions || {}, {
+      priority: getTier(req.user).features.priorityProcessing
+    })
+
+    res.status(202).json({
+      documentId: document.documentId,
+      fileName: document.fileName,
+      uploadDate: document.uploadDate,
+      status: 'processing',
+      fileUrl: document.fileUrl,
+      processingId
+    })
+  })
+
+  router.use(createCollectionRouter(ctx, {
+    collection: 'documents',
+    idField: 'documentId',
+    idPrefix: 'doc',
+    label: 'Document',
+    createdField: 'uploadDate',
+    required: ['fileName'],
+    filter: filterDocuments,
+    // OCR reads the file a document points at, so it must be one of the user's own. Ids of files
+    // uploaded offline are unknown here until the file itself is synced.
+    validate: (document, req) => {
+      const file = document.fileId ? files.get(document.fileId) : null
+      if (file && file.user_id !== req.user.user_id) {
+        throw validationError('fileId does not refer to one of your files', { field: 'fileId' })
+      }
+    },
+    beforeCreate: (document, req) => {
+      usage.assertWithinLimits(req.user, 'upload_document')
+      usage.record(req.user.user_id, 'upload_document', 1, { fileType: document.metadata?.fileType || null })
+      return {
+        ocrText: '',
+        metadata: {},
+        linkedDocuments: [],
+        tags: [],
+        ...document
+      }
+    },
+    afterWrite: (userId, document) => searchIndex.indexDocument(userId, document),
+    afterDelete: (userId, document) => {
+      searchIndex.removeDocument(document.documentId)
+      const file = document.fileId ? files.get(document.fileId) : null
+      if (file && file.user_id === userId) files.destroy(file)
+    }
+  }))
+
+  return router
+}
@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { startTestServer } from '../testServer.js'
+import { createUsageService } from '../lib/usage.js'
+
+const upload = (pages) => {
+  const form = new FormData()
+  form.append('file', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), 'census.pdf')
+  form.append('metadata', JSON.stringify({ pages }))
+  return form
+}
+
+describe('POST /documents (multipart)', () => {
+  let server
+  let account
+
+  beforeEach(async () => {
+    server = await startTestServer()
+    account = await server.register()
+  })
+
+  afterEach(() => server.close())
+
+  it('stores the file and queues OCR within the plan\'s limits', async () => {
+    const { status, body } = await server.request('/documents', {
+      method: 'POST', token: account.token, body: upload(2)
+    })
+
+    expect(status).toBe(202)
+    expect(body.processingId).toBeTruthy()
+  })
+
+  it('refuses the upload when its pages would exceed the OCR page limit', async () => {
+    // The free tier processes 50 pages a month
+    createUsageService(server.db).record(account.userId, 'process_ocr', 49)
+
+    const { status, body } = await server.request('/documents', {
+      method: 'POST', token: account.token, body: upload(2)
+    })
+
+    expect(status).toBe(402)
+    expect(body.error.details.action).toBe('process_ocr')
+
+    const { body: listed } = await server.request('/documents', { token: account.token })
+    expect(listed.documents).toEqual([])
+  })
+})
+
+describe('document files', () => {
+  let server
+
+  beforeEach(async () => {
+    server = await startTestServer()
+  })
+
+  afterEach(() => server.close())
+
+  it('only points a document at the user\'s own files', async () => {
+    const owner = await server.register()
+    const other = await server.register()
+    const form = new FormData()
+    form.append('file', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), 'deed.pdf')
+    const { body: file } = await server.request('/files/upload', { method: 'POST', token: owner.token, body: form })
+
+    const created = await server.request('/documents', {
+      method: 'POST', token: other.token, body: { fileName: 'deed.pdf', fileId: file.fileId }
+    })
+    expect(created.status).toBe(400)
+    expect(created.body.error.details).toEqual({ field: 'fileId' })
+
+    const { body: document } = await server.request('/documents', {
+      method: 'POST', token: other.token, body: { fileName: 'deed.pdf' }
+    })
+    const patched = await server.request(`/documents/${document.documentId}`, {
+      method: 'PATCH', token: other.token, body: { fileId: file.fileId }
+    })
+    expect(patched.status).toBe(400)
+
+    const own = await server.request('/documents', {
+      method: 'POST', token: owner.token, body: { fileName: 'deed.pdf', fileId: file.fileId }
+    })
+    expect(own.status).toBe(201)
+  })
+})
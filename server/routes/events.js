@@ -0,0 +1,85 @@
+/**
+ * /events routes
+ * `date` and `endDate` are ISO days used for sorting; `dateText` and `endDateText` keep uncertain
+ * dates as the researcher wrote them ("c. 1905", "1910s"), and filtering uses the whole span they cover
+ */
+
+import { Router } from 'express'
+import { validationError } from '../lib/errors.js'
+import { createCollectionRouter } from './collection.js'
+import { getEventSpan, overlaps, toDateRange } from '../../src/utils/historicalDate.js'
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/
+
+const assertEvent = (event) => {
+  if (event.date !== undefined && !(typeof event.date === 'string' && ISO_DAY.test(event.date))) {
+    throw validationError('date must be an ISO date (YYYY-MM-DD)', { field: 'date' })
+  }
+  if (event.endDate !== undefined && event.endDate !== null && !(typeof event.endDate === 'string' && ISO_DAY.test(event.endDate))) {
+    throw validationError('endDate must be an ISO date (YYYY-MM-DD) or null', { field: 'endDate' })
+  }
+  if (event.date && event.endDate && event.endDate < event.date) {
+    throw validationError('endDate must not come before date', { field: 'endDate' })
+  }
+  for (const field of ['dateText', 'endDateText']) {
+    if (event[field] !== undefined && event[field] !== null && typeof event[field] !== 'string') {
+      throw validationError(`${field} must be a string or null`, { field })
+    }
+  }
+}
+
+// Events match a date range that any part of their span overlaps, so "1910s" is found from 1915
+// and an event running 1900-1920 from 1910
+const filterEvents = (events, query) => {
+  let filtered = events
+
+  if (query.themeTag) {
+    filtered = filtered.filter(event => event.themeTag === query.themeTag)
+  }
+  if (query.personId) {
+    filtered = filtered.filter(event => event.personIds?.includes(query.personId))
+  }
+  const { range, error } = toDateRange(String(query.dateFrom || ''), String(query.dateTo || ''))
+  if (error) throw validationError(error, { fields: ['dateFrom', 'dateTo'] })
+  if (range) {
+    filtered = filtered.filter(event => overlaps(getEventSpan(event), range))
+  }
+
+  return [...filtered].sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+}
+
+export const createEventsRouter = (ctx) => {
+  const router = Router()
+
+  // The updates are checked together with the stored event, so a new endDate cannot come before
+  // the date already saved; a missing event is left to the collection router's 404
+  router.patch('/:id', (req, res, next) => {
+    const existing = ctx.records.get('events', req.user.user_id, req.params.id)
+    assertEvent({ ...existing, ...(req.body || {}) })
+    next()
+  })
+
+  router.use(createCollectionRouter(ctx, {
+    collection: 'events',
+    idField: 'eventId',
+    idPrefix: 'event',
+    label: 'Event',
+    required: ['title', 'date'],
+    filter: filterEvents,
+    beforeCreate: (event) => {
+      assertEvent(event)
+      return {
+        description: '',
+        themeTag: '',
+        associatedDocuments: [],
+        personIds: [],
+        dateText: null,
+        endDate: null,
+        endDateText: null,
+        ...event
+      }
+    }
+  }))
+
+  return router
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { startTestServer } from '../testServer.js'
+import { toEventDateFields } from '../../src/utils/historicalDate.js'
+
+describe('/events', () => {
+  let server
+  let token
+
+  const create = async (title, start, end) => {
+    const { status, body } = await server.request('/events', {
+      method: 'POST', token, body: { title, ...toEventDateFields(start, end).fields }
+    })
+    expect(status).toBe(201)
+    return body
+  }
+
+  const titles = async (query) => {
+    const { status, body } = await server.request(`/events?${new URLSearchParams(query)}`, { token })
+    expect(status).toBe(200)
+    return body.events.map(event => event.title)
+  }
+
+  beforeEach(async () => {
+    server = await startTestServer()
+    ;({ token } = await server.register())
+  })
+
+  afterEach(() => server.close())
+
+  it('filters on the whole span of each event, not its midpoint', async () => {
+    await create('Mill years', '1900', '1920')
+    await create('Strike', '1910s')
+    await create('Fire', '1905-04-15')
+
+    // The mill's midpoint is in 1910, but it ran until 1920
+    expect(await titles({ dateFrom: '1915-06-01' })).toEqual(['Mill years', 'Strike'])
+    // The strike's midpoint is 1915, but "1910s" could be 1910
+    expect(await titles({ dateTo: '1910-03-01' })).toEqual(['Mill years', 'Fire', 'Strike'])
+    expect(await titles({ dateFrom: '1906', dateTo: '1909' })).toEqual(['Mill years'])
+  })
+
+  it('rejects a date range it cannot read', async () => {
+    const { status, body } = await server.request('/events?dateFrom=soon', { token })
+    expect(status).toBe(400)
+    expect(body.error.details.fields).toEqual(['dateFrom', 'dateTo'])
+  })
+
+  it('checks an update against the stored dates', async () => {
+    const event = await create('Mill years', '1900', '1920')
+
+    const backwards = await server.request(`/events/${event.eventId}`, {
+      method: 'PATCH', token, body: { endDate: '1890-01-01' }
+    })
+    expect(backwards.status).toBe(400)
+    expect(backwards.body.error.details.field).toBe('endDate')
+
+    const moved = await server.request(`/events/${event.eventId}`, {
+      method: 'PATCH', token, body: { endDate: '1930-07-02', endDateText: '1930' }
+    })
+    expect(moved.status).toBe(200)
+    expect(moved.body).toMatchObject({ date: '1900-07-02', endDate: '1930-07-02' })
+  })
+
+  it('still answers 404 for an update to a missing event', async () => {
+    const { status } = await server.request('/events/event_missing', {
+      method: 'PATCH', token, body: { title: 'Nothing' }
+    })
+    expect(status).toBe(404)
+  })
+})
@@ -0,0 +1,63 @@
+/**
+ * /files routes: upload, info, signed download and delete
+ */
+
+import { Router } from 'express'
+import { createUploadMiddleware, parseMetadata } from '../lib/files.js'
+import { ApiError, ERROR_CODES, notFoundError, validationError } from '../lib/errors.js'
+
+const baseUrl = (req) => `${req.protocol}://${req.get('host')}/api`
+
+/**
+ * Signed download route; mounted before authentication
+ */
+export const createFileContentRouter = ({ files }) => {
+  const router = Router()
+
+  router.get('/:fileId/content', (req, res) => {
+    const file = files.get(req.params.fileId)
+    if (!file || !files.verifySignature(file.file_id, req.query.sig)) {
+      throw notFoundError('File')
+    }
+
+    res.set('Content-Type', file.file_type)
+    res.set('Content-Disposition', `inline; filename="${encodeURIComponent(file.file_name)}"`)
+    res.set('Cache-Control', 'private, max-age=86400')
+    res.sendFile(file.storage_path)
+  })
+
+  return router
+}
+
+export const createFilesRouter = ({ files, usage, config }) => {
+  const router = Router()
+  const upload = createUploadMiddleware(config)
+
+  const findOwnFile = (req) => {
+    const file = files.get(req.params.fileId)
+    if (!file) throw notFoundError('File')
+    if (file.user_id !== req.user.user_id) {
+      throw new ApiError(ERROR_CODES.AUTHORIZATION, 'You do not have access to this file')
+    }
+    return file
+  }
+
+  router.post('/upload', upload, (req, res) => {
+    if (!req.file) throw validationError('A file is required', { field: 'file' })
+
+    usage.assertWithinLimits(req.user, 'use_storage', req.file.size)
+    const file = files.save(req.user.user_id, req.file, parseMetadata(req.body.metadata))
+    res.status(201).json(files.serialize(file, baseUrl(req)))
+  })
+
+  router.get('/:fileId', (req, res) => {
+    res.json(files.serialize(findOwnFile(req), baseUrl(req)))
+  })
+
+  router.delete('/:fileId', (req, res) => {
+    files.destroy(findOwnFile(req))
+    res.json({ success: true, message: 'File deleted successfully' })
+  })
+
+  return router
+}
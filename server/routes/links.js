@@ -0,0 +1,29 @@
+/**
+ * /links routes
+ */
+
+import { validationError } from '../lib/errors.js'
+import { createCollectionRouter } from './collection.js'
+
+export const createLinksRouter = (ctx) => createCollectionRouter(ctx, {
+  collection: 'links',
+  idField: 'linkId',
+  idPrefix: 'link',
+  label: 'Link',
+  required: ['documentIds', 'linkType'],
+  filter: (links, query) => (query.documentId
+    ? links.filter(link => link.documentIds.includes(query.documentId))
+    : links),
+  beforeCreate: (link, req) => {
+    if (!Array.isArray(link.documentIds) || link.documentIds.length < 2) {
+      throw validationError('A link needs at least two documentIds', { field: 'documentIds' })
+    }
+
+    const missing = link.documentIds.filter(id => !ctx.records.get('documents', req.user.user_id, id))
+    if (missing.length > 0) {
+      throw validationError('Linked documents do not exist', { field: 'documentIds', missing })
+    }
+
+    return { description: '', ...link }
+  }
+})
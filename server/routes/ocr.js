@@ -0,0 +1,43 @@
+/**
+ * /ocr routes: start processing and poll status
+ */
+
+import { Router } from 'express'
+import { notFoundError, validationError } from '../lib/errors.js'
+import { getTier } from '../lib/usage.js'
+
+export const createOcrRouter = ({ records, usage, ocr }) => {
+  const router = Router()
+
+  router.post('/process', (req, res) => {
+    const { documentId, options = {} } = req.body || {}
+    if (!documentId) throw validationError('documentId is required', { field: 'documentId' })
+
+    const document = records.get('documents', req.user.user_id, documentId)
+    if (!document) throw notFoundError('Document')
+    if (!document.fileId) {
+      throw validationError('Document has no stored file to process', { field: 'documentId' })
+    }
+
+    usage.assertWithinLimits(req.user, 'process_ocr', document.metadata?.pages || 1)
+    records.update('documents', req.user.user_id, documentId, { ...document, processingStatus: 'processing' })
+
+    const processingId = ocr.start(req.user.user_id, documentId, options, {
+      priority: getTier(req.user).features.priorityProcessing
+    })
+    res.status(202).json({
+      processingId,
+      status: 'queued',
+      estimatedTime: 30,
+      message: 'OCR processing queued'
+    })
+  })
+
+  router.get('/status/:processingId', (req, res) => {
+    const status = ocr.status(req.user.user_id, req.params.processingId)
+    if (!status) throw notFoundError('Processing job')
+    res.json(status)
+  })
+
+  return router
+}
@@ -0,0 +1,45 @@
+import http from 'node:http'
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { startTestServer } from '../testServer.js'
+
+describe('server OCR', () => {
+  let server
+  let ocrService
+
+  beforeEach(async () => {
+    // An OCR service that takes the upload and never answers
+    ocrService = http.createServer(() => {})
+    await new Promise(resolve => ocrService.listen(0, resolve))
+    server = await startTestServer({}, {
+      ocr: {
+        serviceUrl: `http://127.0.0.1:${ocrService.address().port}/parse/image`,
+        apiKey: 'test_key',
+        concurrency: 1,
+        timeoutMs: 100
+      }
+    })
+  })
+
+  afterEach(async () => {
+    await server.close()
+    ocrService.closeAllConnections()
+    await new Promise(resolve => ocrService.close(resolve))
+  })
+
+  it('fails the job when the OCR service does not answer in time', async () => {
+    const { token } = await server.register()
+    const form = new FormData()
+    form.append('file', new Blob(['%PDF-1.4'], { type: 'application/pdf' }), 'census.pdf')
+    const { body: uploaded } = await server.request('/documents', { method: 'POST', token, body: form })
+
+    let status
+    do {
+      await new Promise(resolve => setTimeout(resolve, 50))
+      ;({ body: status } = await server.request(`/ocr/status/${uploaded.processingId}`, { token }))
+    } while (status.status !== 'failed')
+
+    expect(status.error).toBe('The OCR service did not respond within 0.1 seconds')
+    const { body: document } = await server.request(`/documents/${uploaded.documentId}`, { token })
+    expect(document.processingStatus).toBe('failed')
+  })
+})
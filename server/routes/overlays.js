@@ -0,0 +1,56 @@
+/**
+ * /overlays routes
+ * Scanned historical maps warped onto the basemap with ground control points
+ */
+
+import { Router } from 'express'
+import { validationError } from '../lib/errors.js'
+import { createCollectionRouter } from './collection.js'
+
+const TRANSFORMATIONS = ['affine', 'projective']
+
+const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite)
+
+const isControlPoint = (point) => point && isPoint(point.image) &&
+  (point.position === null || (isPoint(point.position) && Math.abs(point.position[0]) <= 90 && Math.abs(point.position[1]) <= 180))
+
+const assertOverlay = (overlay) => {
+  if (overlay.controlPoints !== undefined &&
+    (!Array.isArray(overlay.controlPoints) || !overlay.controlPoints.every(isControlPoint))) {
+    throw validationError('controlPoints must be a list of { image: [x, y], position: [latitude, longitude] | null }', { field: 'controlPoints' })
+  }
+  if (overlay.opacity !== undefined && !(Number.isFinite(overlay.opacity) && overlay.opacity >= 0 && overlay.opacity <= 1)) {
+    throw validationError('opacity must be between 0 and 1', { field: 'opacity' })
+  }
+  if (overlay.transformation !== undefined && !TRANSFORMATIONS.includes(overlay.transformation)) {
+    throw validationError(`transformation must be one of: ${TRANSFORMATIONS.join(', ')}`, { field: 'transformation' })
+  }
+}
+
+export const createOverlaysRouter = (ctx) => {
+  const router = Router()
+
+  router.patch('/:id', (req, res, next) => {
+    assertOverlay(req.body || {})
+    next()
+  })
+
+  router.use(createCollectionRouter(ctx, {
+    collection: 'overlays',
+    idField: 'overlayId',
+    idPrefix: 'overlay',
+    label: 'Overlay',
+    required: ['name', 'fileId', 'imageWidth', 'imageHeight'],
+    beforeCreate: (overlay) => {
+      assertOverlay(overlay)
+      return { year: null, controlPoints: [], transformation: 'affine', opacity: 0.7, visible: true, ...overlay }
+    },
+    // The scan goes with its overlay
+    afterDelete: (userId, overlay) => {
+      const file = ctx.files.get(overlay.fileId)
+      if (file && file.user_id === userId) ctx.files.destroy(file)
+    }
+  }))
+
+  return router
+}
@@ -0,0 +1,46 @@
+/**
+ * /parcels routes
+ * Land plots drawn on the map, with the deeds that make up their chain of title
+ */
+
+import { Router } from 'express'
+import { validationError } from '../lib/errors.js'
+import { createCollectionRouter } from './collection.js'
+
+const isPosition = (position) => Array.isArray(position) && position.length === 2 &&
+  position.every(Number.isFinite) && Math.abs(position[0]) <= 90 && Math.abs(position[1]) <= 180
+
+const assertParcel = (parcel) => {
+  if (parcel.polygon !== undefined && !(Array.isArray(parcel.polygon) && parcel.polygon.length >= 3 && parcel.polygon.every(isPosition))) {
+    throw validationError('polygon must be a list of at least 3 [latitude, longitude] points', { field: 'polygon' })
+  }
+  if (parcel.documentIds !== undefined && !(Array.isArray(parcel.documentIds) && parcel.documentIds.every(id => typeof id === 'string'))) {
+    throw validationError('documentIds must be a list of document ids', { field: 'documentIds' })
+  }
+}
+
+export const createParcelsRouter = (ctx) => {
+  const router = Router()
+
+  router.patch('/:id', (req, res, next) => {
+    assertParcel(req.body || {})
+    next()
+  })
+
+  router.use(createCollectionRouter(ctx, {
+    collection: 'parcels',
+    idField: 'parcelId',
+    idPrefix: 'parcel',
+    label: 'Parcel',
+    required: ['name', 'polygon'],
+    filter: (parcels, query) => (query.documentId
+      ? parcels.filter(parcel => (parcel.documentIds || []).includes(query.documentId))
+      : parcels),
+    beforeCreate: (parcel) => {
+      assertParcel(parcel)
+      return { lot: null, block: null, description: '', documentIds: [], ...parcel }
+    }
+  }))
+
+  return router
+}
@@ -0,0 +1,53 @@
+/**
+ * /people routes
+ * Person records for the people registry, with citations back to the documents they appear in
+ */
+
+import { createCollectionRouter } from './collection.js'
+
+const filterPeople = (people, query) => {
+  let filtered = people
+
+  if (query.documentId) {
+    filtered = filtered.filter(person =>
+      (person.citations || []).some(citation => citation.documentId === query.documentId))
+  }
+  if (query.q) {
+    const q = query.q.toLowerCase()
+    filtered = filtered.filter(person =>
+      [person.name, ...(person.nameVariants || [])].some(name => name.toLowerCase().includes(q)))
+  }
+
+  return [...filtered].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+export const createPeopleRouter = (ctx) => createCollectionRouter(ctx, {
+  collection: 'people',
+  idField: 'personId',
+  idPrefix: 'person',
+  label: 'Person',
+  required: ['name'],
+  filter: filterPeople,
+  beforeCreate: (person) => ({
+    nameVariants: [],
+    birth: null,
+    death: null,
+    residences: [],
+    occupations: [],
+    citations: [],
+    notes: '',
+    ...person
+  }),
+  // Events and links keep pointing at people by id; drop references to a deleted person
+  afterDelete: (userId, person) => {
+    ctx.records.list('events', userId)
+      .filter(event => event.personIds?.includes(person.personId))
+      .forEach(event => ctx.records.update('events', userId, event.eventId, {
+        ...event,
+        personIds: event.personIds.filter(id => id !== person.personId)
+      }))
+    ctx.records.list('links', userId)
+      .filter(link => link.personId === person.personId)
+      .forEach(link => ctx.records.update('links', userId, link.linkId, { ...link, personId: null }))
+  }
+})
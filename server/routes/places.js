@@ -0,0 +1,45 @@
+/**
+ * /places routes
+ * Map markers for addresses and place names found in documents, geocoded or pinned by hand
+ */
+
+import { Router } from 'express'
+import { validationError } from '../lib/errors.js'
+import { createCollectionRouter } from './collection.js'
+
+const isPosition = (position) => position === null ||
+  (Array.isArray(position) && position.length === 2 && position.every(Number.isFinite) &&
+    Math.abs(position[0]) <= 90 && Math.abs(position[1]) <= 180)
+
+const assertPosition = (place) => {
+  if (place.position !== undefined && !isPosition(place.position)) {
+    throw validationError('position must be [latitude, longitude] or null', { field: 'position' })
+  }
+}
+
+export const createPlacesRouter = (ctx) => {
+  const router = Router()
+
+  // Corrected pins are checked the same way as new ones
+  router.patch('/:id', (req, res, next) => {
+    assertPosition(req.body || {})
+    next()
+  })
+
+  router.use(createCollectionRouter(ctx, {
+    collection: 'places',
+    idField: 'placeId',
+    idPrefix: 'place',
+    label: 'Place',
+    required: ['name'],
+    filter: (places, query) => (query.documentId
+      ? places.filter(place => place.documentId === query.documentId)
+      : places),
+    beforeCreate: (place) => {
+      assertPosition(place)
+      return { kind: 'place', position: null, source: null, documentId: null, year: null, ...place }
+    }
+  }))
+
+  return router
+}
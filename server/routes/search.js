@@ -0,0 +1,87 @@
+/**
+ * /search routes backed by the FTS5 index
+ */
+
+import { Router } from 'express'
+import { paginate } from './collection.js'
+import { filterByDates, sortByRecordDate } from '../lib/recordDates.js'
+
+const toArray = (value) => {
+  if (value === undefined) return []
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => v.trim()).filter(Boolean)
+}
+
+export const createSearchRouter = ({ records, usage, searchIndex }) => {
+  const router = Router()
+
+  router.get('/documents', (req, res) => {
+    const { q = '', sortBy = 'relevance', sortOrder = 'desc' } = req.query
+    const fileTypes = toArray(req.query.fileTypes)
+    const sources = toArray(req.query.sources)
+    const tags = toArray(req.query.tags)
+    const documents = new Map(records.list('documents', req.user.user_id).map(doc => [doc.documentId, doc]))
+
+    let results = searchIndex
+      .search(req.user.user_id, q, {
+        fuzzy: req.query.fuzzy === 'true',
+        exactPhrase: req.query.exactPhrase === 'true'
+      })
+      .map(match => ({ ...documents.get(match.documentId), ...match }))
+      .filter(result => result.fileName)
+
+    if (fileTypes.length > 0) {
+      results = results.filter(doc => fileTypes.some(type =>
+        doc.metadata?.fileType?.includes(type) || doc.fileName.toLowerCase().endsWith(type.toLowerCase())))
+    }
+    if (sources.length > 0) {
+      results = results.filter(doc => sources.includes(doc.metadata?.source))
+    }
+    if (tags.length > 0) {
+      results = results.filter(doc => (doc.tags || []).some(tag => tags.includes(tag)))
+    }
+    results = filterByDates(results, req.query)
+
+    const sortKeys = {
+      relevance: doc => doc.relevanceScore,
+      uploaded: doc => doc.uploadDate,
+      name: doc => doc.fileName.toLowerCase()
+    }
+    const direction = sortOrder === 'asc' ? 1 : -1
+    if (sortBy === 'date') {
+      results = sortByRecordDate(results, direction)
+    } else {
+      const key = sortKeys[sortBy] || sortKeys.relevance
+      results.sort((a, b) => (key(a) > key(b) ? 1 : key(a) < key(b) ? -1 : 0) * direction)
+    }
+
+    usage.record(req.user.user_id, 'search', 1, { query: q, resultCount: results.length })
+
+    const { items, pagination } = paginate(results, req.query)
+    res.json({
+      results: items,
+      total: results.length,
+      query: q,
+      filters: {
+        fileTypes,
+        sources,
+        tags,
+        dateFrom: req.query.dateFrom,
+        dateTo: req.query.dateTo,
+        uploadedFrom: req.query.uploadedFrom,
+        uploadedTo: req.query.uploadedTo
+      },
+      pagination: {
+        limit: pagination.limit,
+        offset: (pagination.page - 1) * pagination.limit,
+        hasMore: pagination.hasNext
+      }
+    })
+  })
+
+  router.get('/suggestions', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 5, 20)
+    res.json({ suggestions: searchIndex.suggest(req.query.q, limit) })
+  })
+
+  return router
+}
@@ -0,0 +1,30 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { startTestServer } from '../testServer.js'
+
+describe('GET /search/documents', () => {
+  let server
+  let token
+
+  beforeEach(async () => {
+    server = await startTestServer()
+    ;({ token } = await server.register())
+  })
+
+  afterEach(() => server.close())
+
+  const save = (fileName, ocrText) => server.request('/documents', { method: 'POST', token, body: { fileName, ocrText } })
+
+  it('scores matches against the best one, even for a term every document has', async () => {
+    await save('census.pdf', 'John Smith, farmer')
+    await save('deed.pdf', 'Smith to Smith, lot 15, Smith farm')
+    await save('letter.pdf', 'Dear Mr Smith')
+
+    const { body } = await server.request('/search/documents?q=smith', { token })
+
+    expect(body.results).toHaveLength(3)
+    expect(body.results[0].fileName).toBe('deed.pdf')
+    const scores = body.results.map(result => result.relevanceScore)
+    expect(scores[0]).toBe(1)
+    expect(scores.every(score => score > 0 && score <= 1)).toBe(true)
+  })
+})
@@ -0,0 +1,82 @@
+/**
+ * /subscription routes
+ * Paid tiers are only granted once the payment provider (lib/payments.js) has taken the payment
+ */
+
+import { Router } from 'express'
+import { SUBSCRIPTION_TIERS } from '../../src/services/subscription.js'
+import { validationError } from '../lib/errors.js'
+import { getTier } from '../lib/usage.js'
+
+const nextBillingDate = (startDate) => {
+  if (!startDate) return null
+  const next = new Date(startDate)
+  next.setMonth(next.getMonth() + 1)
+  return next.toISOString()
+}
+
+export const createSubscriptionRouter = ({ db, payments }) => {
+  const router = Router()
+  const findById = db.prepare('SELECT * FROM users WHERE user_id = ?')
+  const setTier = db.prepare(`
+    UPDATE users SET subscription_tier = ?, subscription_status = 'active',
+      subscription_start_date = ?, subscription_end_date = NULL
+    WHERE user_id = ?
+  `)
+  const cancel = db.prepare(`
+    UPDATE users SET subscription_status = 'cancelled', subscription_end_date = ? WHERE user_id = ?
+  `)
+
+  const serialize = (user) => {
+    const tier = getTier(user)
+    return {
+      ...tier,
+      status: user.subscription_status,
+      startDate: user.subscription_start_date || user.created_date,
+      nextBillingDate: user.subscription_status === 'active' ? nextBillingDate(user.subscription_start_date) : null,
+      endDate: user.subscription_end_date
+    }
+  }
+
+  router.get('/', (req, res) => {
+    res.json(serialize(req.user))
+  })
+
+  router.post('/upgrade', async (req, res) => {
+    const { tier, paymentMethod } = req.body || {}
+    const target = SUBSCRIPTION_TIERS[String(tier || '').toUpperCase()]
+
+    if (!target) {
+      throw validationError('Unknown subscription tier', {
+        field: 'tier',
+        allowedTiers: Object.values(SUBSCRIPTION_TIERS).map(t => t.id)
+      })
+    }
+    let payment = null
+    if (target.price > 0) {
+      if (!paymentMethod) {
+        throw validationError('A payment method is required for paid tiers', { field: 'paymentMethod' })
+      }
+      payment = await payments.charge({ user: req.user, tier: target, paymentMethod })
+    }
+
+    setTier.run(target.id, new Date().toISOString(), req.user.user_id)
+    res.json({
+      success: true,
+      subscription: serialize(findById.get(req.user.user_id)),
+      paymentId: payment?.paymentId || null
+    })
+  })
+
+  router.post('/cancel', (req, res) => {
+    const endDate = nextBillingDate(req.user.subscription_start_date) || new Date().toISOString()
+    cancel.run(endDate, req.user.user_id)
+    res.json({
+      success: true,
+      message: `Subscription cancelled. Access continues until ${endDate.slice(0, 10)}.`,
+      endDate
+    })
+  })
+
+  return router
+}
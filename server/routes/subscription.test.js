@@ -0,0 +1,65 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { startTestServer } from '../testServer.js'
+
+describe('POST /subscription/upgrade', () => {
+  let server
+
+  afterEach(() => server.close())
+
+  it('refuses paid tiers when no payment provider is configured', async () => {
+    server = await startTestServer()
+    const { token } = await server.register()
+
+    const upgrade = await server.request('/subscription/upgrade', {
+      method: 'POST', token, body: { tier: 'premium', paymentMethod: 'card_123' }
+    })
+    expect(upgrade.status).toBe(402)
+    expect(upgrade.body.error.code).toBe('PAYMENT_FAILED')
+
+    const { body } = await server.request('/subscription', { token })
+    expect(body.id).toBe('free')
+  })
+
+  it('requires a payment method for paid tiers', async () => {
+    server = await startTestServer()
+    const { token } = await server.register()
+
+    const upgrade = await server.request('/subscription/upgrade', {
+      method: 'POST', token, body: { tier: 'basic' }
+    })
+    expect(upgrade.status).toBe(400)
+    expect(upgrade.body.error.details.field).toBe('paymentMethod')
+  })
+
+  it('grants the tier once the payment provider takes the payment', async () => {
+    const charges = []
+    server = await startTestServer({
+      payments: {
+        async charge({ user, tier, paymentMethod }) {
+          charges.push([user.user_id, tier.id, paymentMethod])
+          return { paymentId: 'pay_1' }
+        }
+      }
+    })
+    const { userId, token } = await server.register()
+
+    const upgrade = await server.request('/subscription/upgrade', {
+      method: 'POST', token, body: { tier: 'basic', paymentMethod: 'card_123' }
+    })
+    expect(upgrade.status).toBe(200)
+    expect(upgrade.body.paymentId).toBe('pay_1')
+    expect(upgrade.body.subscription.id).toBe('basic')
+    expect(charges).toEqual([[userId, 'basic', 'card_123']])
+  })
+
+  it('moves to the free tier without a payment', async () => {
+    server = await startTestServer()
+    const { token } = await server.register()
+
+    const upgrade = await server.request('/subscription/upgrade', {
+      method: 'POST', token, body: { tier: 'free' }
+    })
+    expect(upgrade.status).toBe(200)
+    expect(upgrade.body.paymentId).toBeNull()
+  })
+})
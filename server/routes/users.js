@@ -0,0 +1,45 @@
+/**
+ * /users routes: profile and usage
+ */
+
+import { Router } from 'express'
+import { SUBSCRIPTION_TIERS } from '../../src/services/subscription.js'
+import { serializeUser } from '../lib/auth.js'
+import { validationError } from '../lib/errors.js'
+
+export const createUsersRouter = ({ db, usage }) => {
+  const router = Router()
+  const updateProfile = db.prepare(`
+    UPDATE users SET first_name = ?, last_name = ?, preferences = ? WHERE user_id = ?
+  `)
+  const findById = db.prepare('SELECT * FROM users WHERE user_id = ?')
+
+  router.get('/profile', (req, res) => {
+    const storageUsed = usage.getUsage(req.user.user_id).storageUsed
+    res.json({ ...serializeUser(req.user, SUBSCRIPTION_TIERS), storageUsed })
+  })
+
+  // Only name and preferences are editable here; tier changes go through /subscription
+  router.patch('/profile', (req, res) => {
+    const { firstName, lastName, preferences } = req.body || {}
+    if (preferences !== undefined && (typeof preferences !== 'object' || Array.isArray(preferences))) {
+      throw validationError('preferences must be an object', { field: 'preferences' })
+    }
+
+    const current = req.user
+    updateProfile.run(
+      firstName ?? current.first_name,
+      lastName ?? current.last_name,
+      JSON.stringify({ ...JSON.parse(current.preferences || '{}'), ...(preferences || {}) }),
+      current.user_id
+    )
+
+    res.json(serializeUser(findById.get(current.user_id), SUBSCRIPTION_TIERS))
+  })
+
+  router.get('/usage', (req, res) => {
+    res.json(usage.getUsageDisplay(req.user))
+  })
+
+  return router
+}
@@ -0,0 +1,63 @@
+/**
+ * Route test helper: the app on an in-memory database, listening on a free port
+ * OCR jobs are queued but never run, so tests make no calls to the OCR service, unless `overrides`
+ * sets the OCR concurrency. `overrides` replaces any other config value too.
+ */
+
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { config } from './config.js'
+import { openDatabase } from './db.js'
+import { createApp } from './app.js'
+
+export const startTestServer = async (services = {}, overrides = {}) => {
+  const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'historify-test-'))
+  const db = openDatabase(':memory:')
+  const { app } = createApp(db, {
+    ...config,
+    storageDir,
+    rateLimitingEnabled: false,
+    ...overrides,
+    ocr: { ...config.ocr, concurrency: 0, ...overrides.ocr }
+  }, services)
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening))
+  })
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`
+
+  /**
+   * fetch against the API; JSON bodies are encoded, FormData is sent as is
+   */
+  const request = async (endpoint, { token, body, ...options } = {}) => {
+    const isFormData = body instanceof FormData
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      ...options,
+      headers: {
+        ...(isFormData || body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: isFormData || body === undefined ? body : JSON.stringify(body)
+    })
+    return { status: response.status, headers: response.headers, body: await response.json() }
+  }
+
+  let accounts = 0
+  const register = async () => {
+    accounts += 1
+    const { body } = await request('/auth/register', {
+      method: 'POST',
+      body: { email: `user${accounts}@example.com`, password: 'Password1' }
+    })
+    return { userId: body.user.userId, token: body.token }
+  }
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve))
+    db.close()
+    fs.rmSync(storageDir, { recursive: true, force: true })
+  }
+
+  return { db, request, register, close }
+}
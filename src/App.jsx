@@ -1,19 +1,85 @@
 import React, { useState } from 'react'
 import Header from './components/Header'
 import Dashboard from './components/Dashboard'
+import SearchView from './components/SearchView'
 import DocumentUpload from './components/DocumentUpload'
 import DocumentViewer from './components/DocumentViewer'
 import Timeline from './components/Timeline'
 import MapView from './components/MapView'
+import PeopleRegistry from './components/PeopleRegistry'
+import PersonDetail from './components/PersonDetail'
+import RelationshipGraph from './components/RelationshipGraph'
 import AuthModal from './components/AuthModal'
 import { useAuth } from './hooks/useAuth'
 import { useDocuments } from './hooks/useDocuments'
+import { useSavedSearches } from './hooks/useSavedSearches'
+import { savedSearchService } from './services/savedSearches'
 
 function App() {
-  const { user, login, logout, showAuth, setShowAuth } = useAuth()
-  const { documents, events, links, addDocument, addEvent, addLink } = useDocuments()
+  const { user, login, register, logout, showAuth, setShowAuth, sessionMessage } = useAuth()
+  const {
+    documents,
+    events,
+    links,
+    people,
+    places,
+    overlays,
+    parcels,
+    loading,
+    error,
+    clearError,
+    updateDocument,
+    addEvent,
+    updateEvent,
+    deleteEvent,
+    addLink,
+    addPerson,
+    updatePerson,
+    deletePerson,
+    addPlace,
+    updatePlace,
+    deletePlace,
+    addOverlay,
+    updateOverlay,
+    deleteOverlay,
+    addParcel,
+    updateParcel,
+    deleteParcel
+  } = useDocuments(user)
+  const { savedSearches, history: searchHistory, notifications } = useSavedSearches(user, documents, loading)
   const [activeView, setActiveView] = useState('dashboard')
   const [selectedDocument, setSelectedDocument] = useState(null)
+  const [documentSearchQuery, setDocumentSearchQuery] = useState('')
+  const [selectedPersonId, setSelectedPersonId] = useState(null)
+  const [searchQuery, setSearchQuery] = useState('')
+
+  // Look the selected document up again so edits show up without reselecting it
+  const viewedDocument = documents.find(doc => doc.documentId === selectedDocument?.documentId) || selectedDocument
+  const viewedPerson = people.find(person => person.personId === selectedPersonId) || null
+
+  const viewDocument = (doc, searchQuery = '') => {
+    setSelectedDocument(doc)
+    setDocumentSearchQuery(searchQuery)
+    setActiveView('document')
+  }
+
+  const openSearch = (query = '') => {
+    setSearchQuery(query)
+    setActiveView('search')
+  }
+
+  // Open the document a notification is about, showing where the saved search matched it
+  const openNotification = (notification) => {
+    savedSearchService.markRead([notification.notificationId]).catch(() => {})
+    const doc = documents.find(d => d.documentId === notification.documentId)
+    const search = savedSearches.find(saved => saved.searchId === notification.searchId)
+    if (doc) viewDocument(doc, search?.options?.mode === 'fuzzy' ? '' : search?.query || '')
+  }
+
+  const viewPerson = (person) => {
+    setSelectedPersonId(person.personId)
+    setActiveView('person')
+  }
 
   const renderView = () => {
     if (!user) {
@@ -62,31 +128,112 @@ function App() {
 
     switch (activeView) {
       case 'upload':
-        return <DocumentUpload onDocumentAdded={addDocument} />
+        return <DocumentUpload user={user} />
+      case 'search':
+        return (
+          <SearchView
+            user={user}
+            documents={documents}
+            initialQuery={searchQuery}
+            savedSearches={savedSearches}
+            searchHistory={searchHistory}
+            onViewDocument={viewDocument}
+          />
+        )
       case 'document':
         return (
           <DocumentViewer 
-            document={selectedDocument} 
+            document={viewedDocument} 
+            searchQuery={documentSearchQuery}
             documents={documents}
             links={links}
+            people={people}
+            user={user}
             onAddLink={addLink}
+            onUpdateDocument={updateDocument}
+            onAddPerson={addPerson}
+            onUpdatePerson={updatePerson}
+            onViewPerson={viewPerson}
             onBack={() => setActiveView('dashboard')}
           />
         )
+      case 'people':
+        return (
+          <PeopleRegistry
+            people={people}
+            loading={loading}
+            onAddPerson={addPerson}
+            onViewPerson={viewPerson}
+          />
+        )
+      case 'person':
+        return (
+          <PersonDetail
+            person={viewedPerson}
+            documents={documents}
+            events={events}
+            onUpdatePerson={updatePerson}
+            onDeletePerson={deletePerson}
+            onUpdateEvent={updateEvent}
+            onViewDocument={viewDocument}
+            onBack={() => setActiveView('people')}
+          />
+        )
       case 'timeline':
-        return <Timeline events={events} documents={documents} onAddEvent={addEvent} />
+        return (
+          <Timeline
+            user={user}
+            events={events}
+            documents={documents}
+            people={people}
+            onAddEvent={addEvent}
+            onUpdateEvent={updateEvent}
+            onDeleteEvent={deleteEvent}
+            onViewPerson={viewPerson}
+            onViewDocument={viewDocument}
+          />
+        )
       case 'map':
-        return <MapView documents={documents} events={events} />
+        return (
+          <MapView
+            documents={documents}
+            events={events}
+            places={places}
+            onAddPlace={addPlace}
+            onUpdatePlace={updatePlace}
+            onDeletePlace={deletePlace}
+            overlays={overlays}
+            onAddOverlay={addOverlay}
+            onUpdateOverlay={updateOverlay}
+            onDeleteOverlay={deleteOverlay}
+            parcels={parcels}
+            links={links}
+            onAddParcel={addParcel}
+            onUpdateParcel={updateParcel}
+            onDeleteParcel={deleteParcel}
+            onViewDocument={viewDocument}
+          />
+        )
+      case 'graph':
+        return (
+          <RelationshipGraph
+            documents={documents}
+            events={events}
+            links={links}
+            people={people}
+            onViewDocument={viewDocument}
+            onViewPerson={viewPerson}
+          />
+        )
       default:
         return (
           <Dashboard 
             documents={documents} 
             events={events}
             links={links}
-            onViewDocument={(doc) => {
-              setSelectedDocument(doc)
-              setActiveView('document')
-            }}
+            loading={loading}
+            onViewDocument={viewDocument}
+            onOpenSearch={openSearch}
           />
         )
     }
@@ -100,12 +247,33 @@ function App() {
           onLogout={logout}
           activeView={activeView}
           onViewChange={setActiveView}
+          notifications={notifications}
+          onOpenNotification={openNotification}
+          onMarkAllRead={() => savedSearchService.markRead(notifications.map(n => n.notificationId)).catch(() => {})}
+          onDismissNotification={(notification) => savedSearchService.dismissNotification(notification.notificationId).catch(() => {})}
         />
       )}
+      {user && error && (
+        <div className="max-w-6xl mx-auto px-4 pt-4">
+          <div className="flex items-center justify-between p-4 bg-red-50 border border-red-200 rounded-lg">
+            <div className="text-sm text-red-800">
+              <span className="font-medium">{error.title}:</span> {error.message}
+            </div>
+            <button
+              onClick={clearError}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
       {renderView()}
       {showAuth && (
         <AuthModal 
           onLogin={login}
+          onRegister={register}
+          message={sessionMessage}
           onClose={() => setShowAuth(false)}
         />
       )}
@@ -1,29 +1,67 @@
 import React, { useState } from 'react'
-import { X, Mail, Lock, User } from 'lucide-react'
+import { X, Mail, Lock, User, AlertCircle, Loader } from 'lucide-react'
+import { ApiError } from '../services/api'
+import { handleAuthError, validateEmail, validatePassword } from '../utils/errorHandler'
 
-const AuthModal = ({ onLogin, onClose }) => {
+const AuthModal = ({ onLogin, onRegister, onClose, message }) => {
   const [isSignUp, setIsSignUp] = useState(false)
   const [formData, setFormData] = useState({
     email: '',
     password: '',
     confirmPassword: '',
-    subscriptionTier: 'free'
+    firstName: '',
+    lastName: ''
   })
+  const [errors, setErrors] = useState([])
+  const [submitting, setSubmitting] = useState(false)
 
-  const handleSubmit = (e) => {
+  const validate = () => {
+    const validationErrors = [...validateEmail(formData.email).errors]
+
+    if (isSignUp) {
+      validationErrors.push(...validatePassword(formData.password).errors)
+      if (formData.password !== formData.confirmPassword) {
+        validationErrors.push('Passwords do not match')
+      }
+    } else if (!formData.password) {
+      validationErrors.push('Password is required')
+    }
+
+    return validationErrors
+  }
+
+  const handleSubmit = async (e) => {
     e.preventDefault()
-    
-    // Mock user creation/login
-    const user = {
-      userId: Math.random().toString(36).substr(2, 9),
-      email: formData.email,
-      subscriptionTier: formData.subscriptionTier,
-      uploadLimit: formData.subscriptionTier === 'free' ? 10 : formData.subscriptionTier === 'basic' ? 100 : 1000,
-      storageUsed: 0
+
+    const validationErrors = validate()
+    setErrors(validationErrors)
+    if (validationErrors.length > 0) return
+
+    setSubmitting(true)
+    try {
+      if (isSignUp) {
+        await onRegister({
+          email: formData.email,
+          password: formData.password,
+          firstName: formData.firstName || undefined,
+          lastName: formData.lastName || undefined
+        })
+      } else {
+        await onLogin({ email: formData.email, password: formData.password })
+      }
+      onClose()
+    } catch (error) {
+      const friendly = handleAuthError({ message: error.message, action: isSignUp ? 'register' : 'login' })
+      // Server validation messages are safe to show as-is
+      setErrors([error instanceof ApiError && error.status < 500 ? error.message : friendly.message])
+    } finally {
+      setSubmitting(false)
     }
-    
-    onLogin(user)
-    onClose()
+  }
+
+  const toggleMode = () => {
+    setIsSignUp(!isSignUp)
+    setErrors([])
   }
 
   return (
@@ -41,7 +79,59 @@ const AuthModal = ({ onLogin, onClose }) => {
           </button>
         </div>
         
-        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+        <form onSubmit={handleSubmit} noValidate className="p-6 space-y-4">
+          {message && errors.length === 0 && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              {message}
+            </div>
+          )}
+
+          {errors.length > 0 && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              {errors.map(error => (
+                <div key={error} className="flex items-start space-x-2 text-sm text-red-800">
+                  <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                  <span>{error}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Name (Sign Up only) */}
+          {isSignUp && (
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  First Name
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <User className="h-4 w-4 text-gray-400" />
+                  </div>
+                  <input
+                    type="text"
+                    value={formData.firstName}
+                    onChange={(e) => setFormData(prev => ({ ...prev, firstName: e.target.value }))}
+                    className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                    placeholder="First name"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Last Name
+                </label>
+                <input
+                  type="text"
+                  value={formData.lastName}
+                  onChange={(e) => setFormData(prev => ({ ...prev, lastName: e.target.value }))}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                  placeholder="Last name"
+                />
+              </div>
+            </div>
+          )}
+
           {/* Email */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -104,29 +194,19 @@ const AuthModal = ({ onLogin, onClose }) => {
             </div>
           )}
 
-          {/* Subscription Tier (Sign Up only) */}
           {isSignUp && (
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Subscription Plan
-              </label>
-              <select
-                value={formData.subscriptionTier}
-                onChange={(e) => setFormData(prev => ({ ...prev, subscriptionTier: e.target.value }))}
-                className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
-              >
-                <option value="free">Free (10 uploads/month)</option>
-                <option value="basic">Basic $5/mo (100 uploads/month)</option>
-                <option value="premium">Premium $15/mo (Unlimited)</option>
-              </select>
-            </div>
+            <p className="text-xs text-gray-500">
+              New accounts start on the Free plan. You can upgrade from your account once signed in.
+            </p>
           )}
 
           <button
             type="submit"
-            className="w-full bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 transition-colors duration-200"
+            disabled={submitting}
+            className="w-full flex items-center justify-center space-x-2 bg-purple-600 text-white py-2 px-4 rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
           >
-            {isSignUp ? 'Create Account' : 'Sign In'}
+            {submitting && <Loader className="h-4 w-4 animate-spin" />}
+            <span>{isSignUp ? 'Create Account' : 'Sign In'}</span>
           </button>
         </form>
 
@@ -134,7 +214,7 @@ const AuthModal = ({ onLogin, onClose }) => {
           <p className="text-sm text-gray-600">
             {isSignUp ? 'Already have an account?' : "Don't have an account?"}
             <button
-              onClick={() => setIsSignUp(!isSignUp)}
+              onClick={toggleMode}
               className="ml-2 text-purple-600 hover:text-purple-700 font-medium"
             >
               {isSignUp ? 'Sign In' : 'Sign Up'}
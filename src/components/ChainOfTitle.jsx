@@ -0,0 +1,84 @@
+import React from 'react'
+import { ArrowRight, AlertTriangle, Calendar, FileText } from 'lucide-react'
+import { buildChainOfTitle, getCurrentOwners } from '../utils/deeds'
+
+const formatAmount = (consideration) => {
+  if (!consideration) return null
+  return consideration.amount !== null
+    ? `$${consideration.amount.toLocaleString(undefined, { minimumFractionDigits: consideration.amount % 1 ? 2 : 0 })}`
+    : consideration.text
+}
+
+const names = (list) => (list.length ? list.join(', ') : 'Unknown')
+
+/**
+ * A parcel's deeds in date order, from the earliest grantor to the current owner
+ */
+const ChainOfTitle = ({ parcel, documents, links, onViewDocument }) => {
+  const chain = buildChainOfTitle(parcel, documents, links)
+  const owners = getCurrentOwners(chain)
+
+  if (chain.length === 0) {
+    return <p className="text-sm text-gray-500">No deeds are attached to this parcel yet.</p>
+  }
+
+  return (
+    <div>
+      {owners.length > 0 && (
+        <p className="text-sm text-gray-600 mb-4">
+          Last recorded owner: <span className="font-medium text-gray-900">{names(owners)}</span>
+        </p>
+      )}
+
+      <ol className="relative border-l-2 border-amber-200 ml-2 space-y-6">
+        {chain.map((entry, index) => (
+          <li key={entry.document.documentId} className="ml-6">
+            <span className="absolute -left-[9px] w-4 h-4 rounded-full bg-amber-500 border-2 border-white" />
+
+            {!entry.linked && (
+              <div className="flex items-start space-x-2 p-2 mb-2 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+                <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+                <span>
+                  Gap in the chain: {names(entry.deed.grantors)} did not receive the land in the deed before.
+                  A deed, will or probate record may be missing.
+                </span>
+              </div>
+            )}
+
+            <div className="flex items-center space-x-2 text-xs text-gray-500 mb-1">
+              <Calendar className="h-3 w-3" />
+              <span>{entry.deed.date?.text || 'Undated'}</span>
+              {entry.deed.recordedDate && entry.deed.recordedDate !== entry.deed.date && (
+                <span>· recorded {entry.deed.recordedDate.text}</span>
+              )}
+              {entry.deed.recording && <span>· Book {entry.deed.recording.book}, Page {entry.deed.recording.page}</span>}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-medium text-gray-900">{names(entry.deed.grantors)}</span>
+              <ArrowRight className="h-4 w-4 text-amber-600" />
+              <span className="font-medium text-gray-900">{names(entry.deed.grantees)}</span>
+              {formatAmount(entry.deed.consideration) && (
+                <span className="text-gray-500">for {formatAmount(entry.deed.consideration)}</span>
+              )}
+            </div>
+
+            <button
+              onClick={() => onViewDocument?.(entry.document)}
+              className="flex items-center space-x-1 mt-1 text-xs text-blue-600 hover:underline"
+            >
+              <FileText className="h-3 w-3" />
+              <span>{entry.document.fileName}</span>
+            </button>
+
+            {index === chain.length - 1 && !entry.date && chain.length > 1 && (
+              <p className="text-xs text-gray-400 mt-1">Undated deeds are listed last.</p>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+export default ChainOfTitle
@@ -1,23 +1,40 @@
-import React, { useState } from 'react'
-import { Search, FileText, Link as LinkIcon, Calendar, BarChart3 } from 'lucide-react'
+import React, { useMemo, useState } from 'react'
+import { Search, FileText, Link as LinkIcon, Calendar, BarChart3, Loader, SlidersHorizontal } from 'lucide-react'
 import SearchInput from './SearchInput'
+import { searchService } from '../services/search'
+import { toDateRange, formatDocumentDate } from '../utils/historicalDate'
 
-const Dashboard = ({ documents, events, links, onViewDocument }) => {
+const Dashboard = ({ documents, events, links, loading = false, onViewDocument, onOpenSearch }) => {
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedFilter, setSelectedFilter] = useState('all')
+  const [recordFrom, setRecordFrom] = useState('')
+  const [recordTo, setRecordTo] = useState('')
+  const [sortByRecordDate, setSortByRecordDate] = useState(false)
 
-  const filteredDocuments = documents.filter(doc => {
-    const matchesSearch = doc.fileName.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         doc.ocrText.toLowerCase().includes(searchQuery.toLowerCase())
-    
-    if (selectedFilter === 'all') return matchesSearch
-    if (selectedFilter === 'linked') return matchesSearch && links.some(link => 
+  // Best matches first while searching; the search page has the full set of options
+  const { results: matchingDocuments, error: searchError } = useMemo(() => (searchQuery.trim()
+    ? searchService.search(searchQuery, documents, { limit: documents.length })
+    : { results: documents, error: null }), [searchQuery, documents])
+
+  const suggestions = useMemo(
+    () => searchService.getSuggestions(searchQuery, documents),
+    [searchQuery, documents]
+  )
+
+  const recordRangeError = toDateRange(recordFrom, recordTo).error
+
+  // "Recent" is about uploads; the record date range is about when the documents were written
+  const filteredDocuments = searchService.applyFilters(matchingDocuments, { dateFrom: recordFrom, dateTo: recordTo }).filter(doc => {
+    if (selectedFilter === 'linked') return links.some(link => 
       link.documentIds.includes(doc.documentId))
-    if (selectedFilter === 'recent') return matchesSearch && 
-      new Date(doc.uploadDate) > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+    if (selectedFilter === 'recent') return new Date(doc.uploadDate) >
+      new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
     
-    return matchesSearch
+    return true
   })
+  const sortedDocuments = sortByRecordDate
+    ? searchService.sortResults(filteredDocuments, 'date', 'asc')
+    : filteredDocuments
 
   const stats = [
     { label: 'Documents', value: documents.length, icon: FileText, color: 'text-blue-600' },
@@ -50,9 +67,20 @@ const Dashboard = ({ documents, events, links, onViewDocument }) => {
             <SearchInput
               value={searchQuery}
               onChange={setSearchQuery}
+              suggestions={suggestions}
               placeholder="Search documents by name or content..."
             />
+            {searchError && (
+              <p className="mt-2 text-sm text-red-600">{searchError.message}</p>
+            )}
           </div>
+          <button
+            onClick={() => onOpenSearch(searchQuery)}
+            className="flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800 whitespace-nowrap"
+          >
+            <SlidersHorizontal className="h-4 w-4" />
+            <span>Advanced search</span>
+          </button>
           <div className="flex space-x-2">
             {['all', 'linked', 'recent'].map(filter => (
               <button
@@ -64,22 +92,56 @@ const Dashboard = ({ documents, events, links, onViewDocument }) => {
                     : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
                 }`}
               >
-                {filter.charAt(0).toUpperCase() + filter.slice(1)}
+                {filter === 'recent' ? 'Recently uploaded' : filter.charAt(0).toUpperCase() + filter.slice(1)}
               </button>
             ))}
           </div>
         </div>
+
+        <div className="flex flex-wrap items-center gap-2 mt-4 text-sm text-gray-600">
+          <span>Records from</span>
+          <input
+            type="text"
+            value={recordFrom}
+            onChange={(e) => setRecordFrom(e.target.value)}
+            placeholder="e.g. 1880"
+            className="w-28 px-2 py-1 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+          />
+          <span>to</span>
+          <input
+            type="text"
+            value={recordTo}
+            onChange={(e) => setRecordTo(e.target.value)}
+            placeholder="e.g. 1890s"
+            className="w-28 px-2 py-1 border border-gray-300 rounded-md focus:ring-purple-500 focus:border-purple-500"
+          />
+          <label className="flex items-center space-x-2 ml-auto">
+            <input
+              type="checkbox"
+              checked={sortByRecordDate}
+              onChange={(e) => setSortByRecordDate(e.target.checked)}
+              className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+            />
+            <span>Oldest records first</span>
+          </label>
+          {recordRangeError && <p className="w-full text-red-600">{recordRangeError}</p>}
+        </div>
       </div>
 
       {/* Documents Grid */}
       <div className="bg-white rounded-lg shadow-card">
         <div className="p-6 border-b border-gray-200">
           <h2 className="text-xl font-semibold text-gray-900">
-            Documents ({filteredDocuments.length})
+            Documents ({sortedDocuments.length})
           </h2>
         </div>
         
-        {filteredDocuments.length === 0 ? (
+        {loading && documents.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <Loader className="h-8 w-8 mx-auto mb-4 text-purple-600 animate-spin" />
+            <p>Loading your archive...</p>
+          </div>
+        ) : sortedDocuments.length === 0 ? (
           <div className="p-8 text-center text-gray-500">
             {documents.length === 0 ? (
               <div>
@@ -97,10 +159,10 @@ const Dashboard = ({ documents, events, links, onViewDocument }) => {
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 p-6">
-            {filteredDocuments.map(doc => (
+            {sortedDocuments.map(doc => (
               <div
                 key={doc.documentId}
-                onClick={() => onViewDocument(doc)}
+                onClick={() => onViewDocument(doc, searchQuery)}
                 className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow duration-200 cursor-pointer"
               >
                 <div className="flex items-start justify-between mb-3">
@@ -117,9 +179,12 @@ const Dashboard = ({ documents, events, links, onViewDocument }) => {
                 </p>
                 
                 <div className="flex items-center justify-between text-xs text-gray-500">
-                  <span>{new Date(doc.uploadDate).toLocaleDateString()}</span>
+                  <span className="text-gray-700">{formatDocumentDate(doc) || 'Undated'}</span>
                   <span>{doc.metadata?.source || 'Unknown source'}</span>
                 </div>
+                <p className="text-xs text-gray-400 mt-1">
+                  Uploaded {new Date(doc.uploadDate).toLocaleDateString()}
+                </p>
               </div>
             ))}
           </div>
@@ -0,0 +1,151 @@
+import React, { useState } from 'react'
+import { CalendarClock, PenLine } from 'lucide-react'
+import { entityService } from '../services/entities'
+import {
+  DOCUMENT_DATE_SOURCES,
+  formatDocumentDate,
+  formatEventDate,
+  toDocumentDateFields,
+  toEventDateFields
+} from '../utils/historicalDate'
+
+const SOURCE_LABELS = {
+  [DOCUMENT_DATE_SOURCES.OCR]: 'Read from the text',
+  [DOCUMENT_DATE_SOURCES.MANUAL]: 'Entered by hand'
+}
+
+/**
+ * When the record itself was made, as opposed to when it was uploaded. Read from the text, it can
+ * be corrected or given as a range ("1880" to "1890s") when the text has no usable date.
+ */
+const DocumentDate = ({ document, onSave }) => {
+  const [editing, setEditing] = useState(false)
+  const [form, setForm] = useState({ date: '', endDate: '' })
+  const [saving, setSaving] = useState(false)
+
+  const recordDate = formatDocumentDate(document)
+  const dateCheck = form.date.trim() ? toEventDateFields(form.date, form.endDate) : null
+  const isManual = document.dateSource === DOCUMENT_DATE_SOURCES.MANUAL
+
+  const openEdit = () => {
+    setForm({
+      date: document.dateText || document.date || '',
+      endDate: document.endDateText || document.endDate || ''
+    })
+    setEditing(true)
+  }
+
+  const save = async (updates) => {
+    setSaving(true)
+    try {
+      await onSave(updates)
+      setEditing(false)
+    } catch {
+      // The document store reports the failure
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSave = () => {
+    if (!dateCheck?.fields) return
+    save({ ...dateCheck.fields, dateSource: DOCUMENT_DATE_SOURCES.MANUAL })
+  }
+
+  // Go back to the date found in the text, forgetting the one entered by hand
+  const handleUseText = () => {
+    const entities = document.entities || entityService.extract(document.ocrText || '')
+    save(toDocumentDateFields({}, entities))
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <CalendarClock className="h-5 w-5 mr-2" />
+          Record Date
+        </h3>
+        {onSave && !editing && (
+          <button
+            onClick={openEdit}
+            className="flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800"
+          >
+            <PenLine className="h-4 w-4" />
+            <span>Edit</span>
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Date</label>
+              <input
+                type="text"
+                value={form.date}
+                onChange={(e) => setForm(prev => ({ ...prev, date: e.target.value }))}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500"
+                placeholder="e.g. 12 May 1884, c. 1880"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">
+                To <span className="text-gray-400">(optional)</span>
+              </label>
+              <input
+                type="text"
+                value={form.endDate}
+                onChange={(e) => setForm(prev => ({ ...prev, endDate: e.target.value }))}
+                className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500"
+                placeholder="e.g. 1890s"
+              />
+            </div>
+          </div>
+          {dateCheck?.error ? (
+            <p className="text-xs text-red-600">{dateCheck.error}</p>
+          ) : dateCheck && (
+            <p className="text-xs text-gray-500">{formatEventDate(dateCheck.fields)}</p>
+          )}
+          <div className="flex items-center justify-between">
+            <button
+              onClick={handleUseText}
+              disabled={saving}
+              className="text-xs text-purple-600 hover:text-purple-800 disabled:opacity-50"
+            >
+              Use date from text
+            </button>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => setEditing(false)}
+                className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving || !dateCheck?.fields}
+                className="px-3 py-1 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : recordDate ? (
+        <div>
+          <p className="text-sm font-medium text-gray-900">{recordDate}</p>
+          <p className="text-xs text-gray-500 mt-1">
+            {SOURCE_LABELS[isManual ? DOCUMENT_DATE_SOURCES.MANUAL : DOCUMENT_DATE_SOURCES.OCR]}
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No date found in the text. Add one so the record can be found by date.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default DocumentDate
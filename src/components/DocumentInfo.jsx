@@ -0,0 +1,218 @@
+import React, { useMemo, useState } from 'react'
+import { Info, Users, Calendar, Home, Ship, Globe, Briefcase, UserPlus, FileSignature } from 'lucide-react'
+import { entityService } from '../services/entities'
+import { addAppearance, createPersonFromEntity, isCited } from '../utils/people'
+import { describeLot, getDeed } from '../utils/deeds'
+
+const LAYOUT_LABELS = {
+  census: 'Census record',
+  manifest: 'Passenger manifest',
+  deed: 'Deed',
+  newspaper: 'Newspaper',
+  generic: 'General document'
+}
+
+const Section = ({ icon: Icon, title, items, render }) => {
+  if (!items?.length) return null
+
+  return (
+    <div>
+      <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2 flex items-center">
+        <Icon className="h-3 w-3 mr-1" />
+        {title} ({items.length})
+      </h4>
+      <ul className="space-y-1">
+        {items.map((item, index) => (
+          <li key={index} className="text-sm text-gray-700">{render(item)}</li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+const describePerson = (person) => [
+  person.age !== null && `age ${person.age}`,
+  person.occupation,
+  person.origin && `from ${person.origin}`,
+  person.address
+].filter(Boolean).join(' · ')
+
+/**
+ * Grantor, grantee, property, price and dates of a deed
+ */
+const DeedTerms = ({ deed }) => {
+  const terms = [
+    ['Grantor', deed.grantors.join(', ')],
+    ['Grantee', deed.grantees.join(', ')],
+    ['Property', deed.property || describeLot(deed)],
+    ['Lot / Block', deed.property && describeLot(deed)],
+    ['Consideration', deed.consideration && (deed.consideration.amount !== null
+      ? `$${deed.consideration.amount.toLocaleString()}`
+      : deed.consideration.text)],
+    ['Dated', deed.date?.text],
+    ['Recorded', deed.recordedDate && deed.recordedDate !== deed.date && deed.recordedDate.text],
+    ['Recording', deed.recording && `Book ${deed.recording.book}, Page ${deed.recording.page}`],
+    ['Witnesses', deed.witnesses.join(', ')]
+  ].filter(([, value]) => value)
+
+  if (terms.length === 0) return null
+
+  return (
+    <div>
+      <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-2 flex items-center">
+        <FileSignature className="h-3 w-3 mr-1" />
+        Deed Terms
+      </h4>
+      <dl className="grid grid-cols-3 gap-x-2 gap-y-1 text-sm">
+        {terms.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="text-gray-500">{label}</dt>
+            <dd className="col-span-2 text-gray-700">{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    </div>
+  )
+}
+
+/**
+ * An extracted person, linked to their registry record or with actions to add them
+ */
+const PersonEntity = ({ entity, document, people, onAddPerson, onUpdatePerson, onViewPerson }) => {
+  const [saving, setSaving] = useState(false)
+  const registered = people.find(person => isCited(person, document.documentId, entity))
+  // People sharing the surname are the likeliest matches
+  const candidates = [...people].sort((a, b) =>
+    Number(b.name.endsWith(entity.surname)) - Number(a.name.endsWith(entity.surname)) || a.name.localeCompare(b.name))
+
+  const save = async (action) => {
+    setSaving(true)
+    try {
+      await action()
+    } catch {
+      // The document store reports the failure
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const linkTo = (personId) => {
+    const person = people.find(p => p.personId === personId)
+    if (person) save(() => onUpdatePerson(person.personId, addAppearance(person, document, entity)))
+  }
+
+  return (
+    <>
+      <div className="flex items-start justify-between">
+        <div className="min-w-0">
+          {registered && onViewPerson ? (
+            <button onClick={() => onViewPerson(registered)} className="font-medium text-purple-700 hover:text-purple-900">
+              {entity.name}
+            </button>
+          ) : (
+            <span className="font-medium text-gray-900">{entity.name}</span>
+          )}
+          {entity.role && <span className="ml-1 text-xs text-purple-600">{entity.role}</span>}
+        </div>
+        {!registered && onAddPerson && (
+          <button
+            onClick={() => save(() => onAddPerson(createPersonFromEntity(document, entity)))}
+            disabled={saving}
+            className="p-1 text-gray-400 hover:text-purple-600 disabled:opacity-50 transition-colors duration-200"
+            title="Add to people registry"
+          >
+            <UserPlus className="h-4 w-4" />
+          </button>
+        )}
+      </div>
+      {describePerson(entity) && (
+        <span className="block text-xs text-gray-500">{describePerson(entity)}</span>
+      )}
+      {!registered && onUpdatePerson && people.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => linkTo(e.target.value)}
+          disabled={saving}
+          className="mt-1 w-full px-2 py-1 border border-gray-200 rounded text-xs text-gray-600 focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+        >
+          <option value="">Same person as...</option>
+          {candidates.map(person => (
+            <option key={person.personId} value={person.personId}>{person.name}</option>
+          ))}
+        </select>
+      )}
+    </>
+  )
+}
+
+const DocumentInfo = ({ document, people = [], onAddPerson, onUpdatePerson, onViewPerson }) => {
+  // Documents processed before extraction existed are analysed on the fly
+  const entities = useMemo(
+    () => document.entities || entityService.extract(document.ocrText),
+    [document.entities, document.ocrText]
+  )
+  const total = entityService.countEntities(entities)
+  const deed = useMemo(() => getDeed(document), [document.entities, document.ocrText])
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+        <Info className="h-5 w-5 mr-2" />
+        Document Info
+      </h3>
+      <p className="text-xs text-gray-500 mb-4">
+        {LAYOUT_LABELS[entities.layout] || LAYOUT_LABELS.generic} · {total} detail{total === 1 ? '' : 's'} found in the text
+      </p>
+
+      {total === 0 ? (
+        <p className="text-gray-500 text-sm">No people, places or dates were found in this document's text.</p>
+      ) : (
+        <div className="space-y-4 max-h-96 overflow-y-auto">
+          {deed && <DeedTerms deed={deed} />}
+          <Section
+            icon={Users}
+            title="People"
+            items={entities.people}
+            render={person => (
+              <PersonEntity
+                entity={person}
+                document={document}
+                people={people}
+                onAddPerson={onAddPerson}
+                onUpdatePerson={onUpdatePerson}
+                onViewPerson={onViewPerson}
+              />
+            )}
+          />
+          <Section
+            icon={Calendar}
+            title="Dates"
+            items={entities.dates}
+            render={date => (
+              <>
+                {date.text}
+                {date.label && <span className="ml-1 text-xs text-gray-500">({date.label})</span>}
+              </>
+            )}
+          />
+          <Section icon={Home} title="Addresses" items={entities.addresses} render={address => address.text} />
+          <Section icon={Ship} title="Ships" items={entities.ships} render={ship => ship.name} />
+          <Section
+            icon={Globe}
+            title="Countries"
+            items={entities.countries}
+            render={country => (
+              <>
+                {country.name}
+                {country.origin && <span className="ml-1 text-xs text-gray-500">(origin)</span>}
+              </>
+            )}
+          />
+          <Section icon={Briefcase} title="Occupations" items={entities.occupations} render={occupation => occupation.name} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DocumentInfo
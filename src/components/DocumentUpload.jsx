@@ -1,15 +1,31 @@
 import React, { useState } from 'react'
-import { Upload, File, CheckCircle, Loader, X, AlertCircle } from 'lucide-react'
-import { apiService } from '../services/api'
+import { Upload, File, CheckCircle, Loader, X, AlertCircle, Zap } from 'lucide-react'
 import { subscriptionService } from '../services/subscription'
-import { handleFileUploadError, handleOCRError, validateFile } from '../utils/errorHandler'
+import { ocrQueue, JOB_STATUS } from '../services/ocrQueue'
+import { LOCAL_OCR_LANGUAGES } from '../services/localOcr'
+import { useOcrJobs } from '../hooks/useOcrJobs'
+import { validateFile } from '../utils/errorHandler'
 
-const DocumentUpload = ({ onDocumentAdded, user }) => {
+const DEFAULT_OCR_LANGUAGE = import.meta.env.VITE_OCR_DEFAULT_LANGUAGE || 'eng'
+
+/**
+ * Describe what a running job is doing, e.g. "OCR page 3 of 40..."
+ */
+const describeProgress = (job) => {
+  if (job.processingId) return 'Processing on server...'
+
+  const recognised = job.pages.filter(page => typeof page.text === 'string').length
+  return job.pageCount > 1
+    ? `OCR page ${Math.min(recognised + 1, job.pageCount)} of ${job.pageCount}...`
+    : 'Processing OCR...'
+}
+
+const DocumentUpload = ({ user }) => {
   const [dragActive, setDragActive] = useState(false)
-  const [files, setFiles] = useState([])
-  const [processing, setProcessing] = useState([])
   const [errors, setErrors] = useState([])
-  const [uploadProgress, setUploadProgress] = useState({})
+  const jobs = useOcrJobs()
+  const [ocrProvider, setOcrProvider] = useState('ocr.space')
+  const [ocrLanguage, setOcrLanguage] = useState(DEFAULT_OCR_LANGUAGE)
 
   const handleDrag = (e) => {
     e.preventDefault()
@@ -62,13 +78,7 @@ const DocumentUpload = ({ onDocumentAdded, user }) => {
       })
 
       if (validation.isValid) {
-        validatedFiles.push({
-          id: Math.random().toString(36).substr(2, 9),
-          file,
-          name: file.name,
-          size: file.size,
-          status: 'pending'
-        })
+        validatedFiles.push(file)
       } else {
         newErrors.push({
           id: Math.random().toString(36).substr(2, 9),
@@ -82,133 +92,22 @@ const DocumentUpload = ({ onDocumentAdded, user }) => {
       setErrors(prev => [...prev, ...newErrors])
     }
 
-    if (validatedFiles.length > 0) {
-      setFiles(prev => [...prev, ...validatedFiles])
-      processFiles(validatedFiles)
-    }
-  }
-
-  const processFiles = async (filesToProcess) => {
-    for (const fileItem of filesToProcess) {
-      try {
-        setProcessing(prev => [...prev, fileItem.id])
-        
-        // Update file status to uploading
-        setFiles(prev => prev.map(f => 
-          f.id === fileItem.id ? { ...f, status: 'uploading' } : f
-        ))
-        
-        // Upload file to storage
-        setUploadProgress(prev => ({ ...prev, [fileItem.id]: 0 }))
-        const uploadResult = await apiService.uploadFile(fileItem.file, {
-          source: 'User Upload',
-          uploadedBy: user.userId
-        })
-        
-        setUploadProgress(prev => ({ ...prev, [fileItem.id]: 50 }))
-        
-        // Update file status to processing OCR
-        setFiles(prev => prev.map(f => 
-          f.id === fileItem.id ? { ...f, status: 'processing' } : f
-        ))
-        
-        // Process OCR
-        const ocrResult = await apiService.processOCR(fileItem.file, {
-          provider: 'ocr.space',
-          language: 'eng'
-        })
-        
-        setUploadProgress(prev => ({ ...prev, [fileItem.id]: 90 }))
-        
-        // Create document record
-        const documentData = {
-          fileName: fileItem.name,
-          ocrText: ocrResult.text,
-          ocrConfidence: ocrResult.confidence,
-          ocrProvider: ocrResult.provider,
-          metadata: {
-            source: 'User Upload',
-            fileSize: fileItem.size,
-            fileType: fileItem.file.type,
-            uploadedBy: user.userId
-          },
-          fileUrl: uploadResult.fileUrl,
-          linkedDocuments: []
-        }
-        
-        const savedDocument = await apiService.saveDocument(documentData)
-        
-        // Update usage statistics
-        subscriptionService.updateUsage(user.userId, 'upload_document', 1)
-        subscriptionService.updateUsage(user.userId, 'use_storage', fileItem.size)
-        subscriptionService.updateUsage(user.userId, 'process_ocr', 1)
-        
-        setUploadProgress(prev => ({ ...prev, [fileItem.id]: 100 }))
-        
-        // Update file status to completed
-        setFiles(prev => prev.map(f => 
-          f.id === fileItem.id ? { ...f, status: 'completed', document: savedDocument } : f
-        ))
-        
-        // Add to documents list
-        onDocumentAdded(savedDocument)
-        
-      } catch (error) {
-        console.error('File processing error:', error)
-        
-        // Handle different types of errors
-        let errorMessage
-        if (error.message?.includes('OCR')) {
-          errorMessage = handleOCRError(error, fileItem.file)
-        } else {
-          errorMessage = handleFileUploadError(error, fileItem.file)
-        }
-        
-        // Update file status to error
-        setFiles(prev => prev.map(f => 
-          f.id === fileItem.id ? { 
-            ...f, 
-            status: 'error', 
-            error: errorMessage.message 
-          } : f
-        ))
-        
-        // Add error to errors list
+    // Processing continues in the background queue, even if the user leaves this page
+    validatedFiles.forEach(file => {
+      ocrQueue.enqueue(file, { provider: ocrProvider, language: ocrLanguage }).catch(error => {
         setErrors(prev => [...prev, {
-          id: fileItem.id,
-          message: errorMessage.message,
+          id: Math.random().toString(36).substr(2, 9),
+          message: `${file.name}: ${error.message}`,
           type: 'processing'
         }])
-      } finally {
-        setProcessing(prev => prev.filter(id => id !== fileItem.id))
-        setUploadProgress(prev => {
-          const newProgress = { ...prev }
-          delete newProgress[fileItem.id]
-          return newProgress
-        })
-      }
-    }
-  }
-
-  const removeFile = (fileId) => {
-    setFiles(prev => prev.filter(f => f.id !== fileId))
+      })
+    })
   }
 
   const removeError = (errorId) => {
     setErrors(prev => prev.filter(e => e.id !== errorId))
   }
 
-  const retryFile = (fileId) => {
-    const file = files.find(f => f.id === fileId)
-    if (file) {
-      processFiles([file])
-    }
-  }
-
-  const clearCompleted = () => {
-    setFiles(prev => prev.filter(f => f.status !== 'completed'))
-  }
-
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes'
     const k = 1024
@@ -303,18 +202,49 @@ const DocumentUpload = ({ onDocumentAdded, user }) => {
             Maximum file size: 50MB per file
           </p>
         </div>
+
+        {/* OCR Options */}
+        <div className="mt-6 grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Text Recognition
+            </label>
+            <select
+              value={ocrProvider}
+              onChange={(e) => setOcrProvider(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+            >
+              <option value="ocr.space">Online (falls back to this device when offline)</option>
+              <option value="local">On this device only</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Document Language
+            </label>
+            <select
+              value={ocrLanguage}
+              onChange={(e) => setOcrLanguage(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+            >
+              {Object.entries(LOCAL_OCR_LANGUAGES).map(([code, { name }]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
       </div>
 
       {/* File List */}
-      {files.length > 0 && (
+      {jobs.length > 0 && (
         <div className="bg-white rounded-lg shadow-card">
           <div className="p-6 border-b border-gray-200 flex items-center justify-between">
             <h2 className="text-xl font-semibold text-gray-900">
-              Processing Queue ({files.length})
+              Processing Queue ({jobs.length})
             </h2>
-            {files.some(f => f.status === 'completed') && (
+            {jobs.some(job => job.status === JOB_STATUS.COMPLETED) && (
               <button
-                onClick={clearCompleted}
+                onClick={() => ocrQueue.clearCompleted()}
                 className="text-sm text-gray-600 hover:text-gray-800"
               >
                 Clear Completed
@@ -323,8 +253,8 @@ const DocumentUpload = ({ onDocumentAdded, user }) => {
           </div>
           
           <div className="divide-y divide-gray-200">
-            {files.map(fileItem => (
-              <div key={fileItem.id} className="p-6">
+            {jobs.map(job => (
+              <div key={job.jobId} className="p-6">
                 <div className="flex items-center space-x-4">
                   <div className="flex-shrink-0">
                     <File className="h-8 w-8 text-gray-400" />
@@ -332,56 +262,63 @@ const DocumentUpload = ({ onDocumentAdded, user }) => {
                   
                   <div className="flex-1 min-w-0">
                     <h3 className="text-sm font-medium text-gray-900 truncate">
-                      {fileItem.name}
+                      {job.fileName}
                     </h3>
-                    <p className="text-sm text-gray-500">
-                      {formatFileSize(fileItem.size)}
+                    <p className="text-sm text-gray-500 flex items-center space-x-2">
+                      <span>{formatFileSize(job.fileSize)}</span>
+                      {job.pageCount > 1 && <span>· {job.pageCount} pages</span>}
+                      {job.priority && (
+                        <span className="inline-flex items-center text-xs text-purple-600">
+                          <Zap className="h-3 w-3 mr-0.5" />
+                          Priority
+                        </span>
+                      )}
                     </p>
                     
                     {/* Progress Bar */}
-                    {uploadProgress[fileItem.id] !== undefined && (
+                    {(job.status === JOB_STATUS.UPLOADING || job.status === JOB_STATUS.PROCESSING) && (
                       <div className="mt-2">
                         <div className="w-full bg-gray-200 rounded-full h-2">
                           <div 
                             className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                            style={{ width: `${uploadProgress[fileItem.id]}%` }}
+                            style={{ width: `${job.progress}%` }}
                           />
                         </div>
                         <p className="text-xs text-gray-500 mt-1">
-                          {uploadProgress[fileItem.id]}% complete
+                          {job.progress}% complete
                         </p>
                       </div>
                     )}
                   </div>
                   
                   <div className="flex items-center space-x-2">
-                    {fileItem.status === 'pending' && (
+                    {job.status === JOB_STATUS.QUEUED && (
                       <span className="text-sm text-gray-500">Waiting...</span>
                     )}
-                    {fileItem.status === 'uploading' && (
+                    {job.status === JOB_STATUS.UPLOADING && (
                       <div className="flex items-center space-x-2">
                         <Loader className="h-4 w-4 text-blue-600 animate-spin" />
                         <span className="text-sm text-blue-600">Uploading...</span>
                       </div>
                     )}
-                    {fileItem.status === 'processing' && (
+                    {job.status === JOB_STATUS.PROCESSING && (
                       <div className="flex items-center space-x-2">
                         <Loader className="h-4 w-4 text-purple-600 animate-spin" />
-                        <span className="text-sm text-purple-600">Processing OCR...</span>
+                        <span className="text-sm text-purple-600">{describeProgress(job)}</span>
                       </div>
                     )}
-                    {fileItem.status === 'completed' && (
+                    {job.status === JOB_STATUS.COMPLETED && (
                       <div className="flex items-center space-x-2">
                         <CheckCircle className="h-4 w-4 text-green-600" />
                         <span className="text-sm text-green-600">Completed</span>
                       </div>
                     )}
-                    {fileItem.status === 'error' && (
+                    {job.status === JOB_STATUS.FAILED && (
                       <div className="flex items-center space-x-2">
                         <AlertCircle className="h-4 w-4 text-red-600" />
                         <span className="text-sm text-red-600">Error</span>
                         <button
-                          onClick={() => retryFile(fileItem.id)}
+                          onClick={() => ocrQueue.retry(job.jobId)}
                           className="text-xs text-blue-600 hover:text-blue-800 underline"
                         >
                           Retry
@@ -390,7 +327,7 @@ const DocumentUpload = ({ onDocumentAdded, user }) => {
                     )}
                     
                     <button
-                      onClick={() => removeFile(fileItem.id)}
+                      onClick={() => ocrQueue.remove(job.jobId)}
                       className="p-1 text-gray-400 hover:text-gray-600 transition-colors duration-200"
                     >
                       <X className="h-4 w-4" />
@@ -399,9 +336,9 @@ const DocumentUpload = ({ onDocumentAdded, user }) => {
                 </div>
                 
                 {/* Error Message */}
-                {fileItem.status === 'error' && fileItem.error && (
+                {job.status === JOB_STATUS.FAILED && job.error && (
                   <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-md">
-                    <p className="text-sm text-red-800">{fileItem.error}</p>
+                    <p className="text-sm text-red-800">{job.error}</p>
                   </div>
                 )}
               </div>
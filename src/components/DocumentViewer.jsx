@@ -1,11 +1,34 @@
 import React, { useState } from 'react'
-import { ArrowLeft, Link as LinkIcon, Plus, Users, Calendar, MapPin } from 'lucide-react'
+import { ArrowLeft, Link as LinkIcon, Plus, Users, Calendar, MapPin, FileText } from 'lucide-react'
+import PageViewer from './PageViewer'
+import RevisionHistory from './RevisionHistory'
+import DocumentInfo from './DocumentInfo'
+import DocumentDate from './DocumentDate'
+import LinkSuggestions from './LinkSuggestions'
+import { apiService } from '../services/api'
+import { correctPage, restoreRevision } from '../utils/revisions'
+import { addAppearance, isCited } from '../utils/people'
+import { formatDocumentDate } from '../utils/historicalDate'
 
-const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
+const DocumentViewer = ({
+  document,
+  searchQuery,
+  documents,
+  links,
+  people = [],
+  user,
+  onAddLink,
+  onUpdateDocument,
+  onAddPerson,
+  onUpdatePerson,
+  onViewPerson,
+  onBack
+}) => {
   const [showLinkModal, setShowLinkModal] = useState(false)
   const [selectedDocuments, setSelectedDocuments] = useState([])
   const [linkType, setLinkType] = useState('reference')
   const [linkDescription, setLinkDescription] = useState('')
+  const [linkPersonId, setLinkPersonId] = useState('')
 
   if (!document) return null
 
@@ -13,6 +36,8 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
     link.documentIds.includes(document.documentId)
   )
 
+  const linkedPerson = (link) => link.personId && people.find(person => person.personId === link.personId)
+
   const availableDocuments = documents.filter(doc => 
     doc.documentId !== document.documentId &&
     !existingLinks.some(link => link.documentIds.includes(doc.documentId))
@@ -22,10 +47,12 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
     if (selectedDocuments.length === 0) return
 
     const newLink = {
-      linkId: Math.random().toString(36).substr(2, 9),
+      linkId: apiService.generateLocalId('link'),
       documentIds: [document.documentId, ...selectedDocuments],
       linkType,
       description: linkDescription,
+      // "Same person" links can name the registry person they are about
+      personId: linkType === 'person' && linkPersonId ? linkPersonId : null,
       createdDate: new Date().toISOString()
     }
 
@@ -33,8 +60,50 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
     setShowLinkModal(false)
     setSelectedDocuments([])
     setLinkDescription('')
+    setLinkPersonId('')
+  }
+
+  /**
+   * Accept a proposed "same person" link; if either mention is already in the people
+   * registry, the other becomes another appearance of that person
+   */
+  const handleAcceptSuggestion = async (candidate) => {
+    const [entity, otherEntity] = candidate.people
+    const otherDocument = documents.find(doc => doc.documentId === candidate.documentIds[1])
+    const person = people.find(p => isCited(p, document.documentId, entity) || isCited(p, otherDocument.documentId, otherEntity))
+
+    await onAddLink({
+      linkId: apiService.generateLocalId('link'),
+      documentIds: candidate.documentIds,
+      linkType: 'person',
+      description: candidate.explanation,
+      personId: person?.personId || null,
+      confidence: candidate.score,
+      suggestionId: candidate.suggestionId,
+      createdDate: new Date().toISOString()
+    })
+
+    if (person && onUpdatePerson) {
+      const [missingDocument, missingEntity] = isCited(person, document.documentId, entity)
+        ? [otherDocument, otherEntity]
+        : [document, entity]
+      await onUpdatePerson(person.personId, addAppearance(person, missingDocument, missingEntity))
+    }
   }
 
+  // Rejections are kept on the document so the pair is not proposed again
+  const handleRejectSuggestion = (candidate) =>
+    onUpdateDocument(document.documentId, {
+      linkRejections: [...(document.linkRejections || []), candidate.suggestionId]
+    })
+
+  // Corrections are saved as new revisions so earlier transcriptions can be compared and restored
+  const handleSaveText = (pageIndex, text) =>
+    onUpdateDocument(document.documentId, correctPage(document, pageIndex, text, user))
+
+  const handleRestoreRevision = (revision) =>
+    onUpdateDocument(document.documentId, restoreRevision(document, revision, user))
+
   return (
     <div className="max-w-6xl mx-auto px-4 py-8">
       {/* Header */}
@@ -53,6 +122,7 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
               {document.fileName}
             </h1>
             <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+              {formatDocumentDate(document) && <span>Record date: {formatDocumentDate(document)}</span>}
               <span>Uploaded: {new Date(document.uploadDate).toLocaleDateString()}</span>
               <span>Source: {document.metadata?.source || 'Unknown'}</span>
               <span>Size: {document.metadata?.fileSize ? Math.round(document.metadata.fileSize / 1024) + ' KB' : 'Unknown'}</span>
@@ -72,31 +142,43 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Document Content */}
         <div className="lg:col-span-2 space-y-6">
-          {/* OCR Text */}
-          <div className="bg-white rounded-lg shadow-card p-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-4">Document Content</h2>
-            <div className="prose max-w-none">
-              <div className="bg-gray-50 rounded-lg p-4 font-mono text-sm leading-relaxed whitespace-pre-wrap">
-                {document.ocrText}
-              </div>
-            </div>
-          </div>
-
-          {/* Document Preview Placeholder */}
-          <div className="bg-white rounded-lg shadow-card p-6">
-            <h2 className="text-xl font-semibold text-gray-900 mb-4">Document Preview</h2>
-            <div className="bg-gray-100 rounded-lg h-96 flex items-center justify-center">
-              <div className="text-center text-gray-500">
-                <FileText className="h-12 w-12 mx-auto mb-2" />
-                <p>Document preview would appear here</p>
-                <p className="text-sm">Supported formats: PDF, Images</p>
-              </div>
-            </div>
-          </div>
+          {/* Page Images and OCR Text */}
+          <PageViewer
+            document={document}
+            searchQuery={searchQuery}
+            onSaveText={onUpdateDocument && handleSaveText}
+          />
         </div>
 
         {/* Sidebar */}
         <div className="space-y-6">
+          {/* When the record was made, found in the text or entered by hand */}
+          <DocumentDate
+            document={document}
+            onSave={onUpdateDocument && ((updates) => onUpdateDocument(document.documentId, updates))}
+          />
+
+          {/* People, places and dates extracted from the text */}
+          <DocumentInfo
+            document={document}
+            people={people}
+            onAddPerson={onAddPerson}
+            onUpdatePerson={onUpdatePerson}
+            onViewPerson={onViewPerson}
+          />
+
+          {/* Proposed links to the same people in other documents */}
+          {onUpdateDocument && (
+            <LinkSuggestions
+              document={document}
+              documents={documents}
+              links={links}
+              people={people}
+              onAccept={handleAcceptSuggestion}
+              onReject={handleRejectSuggestion}
+            />
+          )}
+
           {/* Existing Links */}
           <div className="bg-white rounded-lg shadow-card p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
@@ -120,6 +202,16 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
                     </div>
                     
                     <p className="text-sm text-gray-700 mb-2">{link.description}</p>
+
+                    {linkedPerson(link) && (
+                      <button
+                        onClick={() => onViewPerson?.(linkedPerson(link))}
+                        className="flex items-center text-xs text-purple-600 hover:text-purple-800 mb-2"
+                      >
+                        <Users className="h-3 w-3 mr-1" />
+                        {linkedPerson(link).name}
+                      </button>
+                    )}
                     
                     <div className="space-y-1">
                       {link.documentIds
@@ -139,6 +231,13 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
             )}
           </div>
 
+          {/* Transcription Revisions (remounted per revision so the comparison defaults to the latest two) */}
+          <RevisionHistory
+            key={`${document.documentId}_${document.revisions?.length || 0}`}
+            document={document}
+            onRestore={onUpdateDocument && handleRestoreRevision}
+          />
+
           {/* Document Metadata */}
           <div className="bg-white rounded-lg shadow-card p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Metadata</h3>
@@ -155,6 +254,14 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
                 <span className="font-medium">{document.metadata?.source || 'Unknown'}</span>
               </div>
               
+              {document.metadata?.pages > 1 && (
+                <div className="flex items-center space-x-2 text-sm">
+                  <FileText className="h-4 w-4 text-gray-400" />
+                  <span className="text-gray-600">Pages:</span>
+                  <span className="font-medium">{document.metadata.pages}</span>
+                </div>
+              )}
+
               {document.metadata?.fileType && (
                 <div className="flex items-center space-x-2 text-sm">
                   <FileText className="h-4 w-4 text-gray-400" />
@@ -194,6 +301,25 @@ const DocumentViewer = ({ document, documents, links, onAddLink, onBack }) => {
                 </select>
               </div>
 
+              {/* Person */}
+              {linkType === 'person' && people.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Person
+                  </label>
+                  <select
+                    value={linkPersonId}
+                    onChange={(e) => setLinkPersonId(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                  >
+                    <option value="">Not in the people registry</option>
+                    {[...people].sort((a, b) => a.name.localeCompare(b.name)).map(person => (
+                      <option key={person.personId} value={person.personId}>{person.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Description */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -1,14 +1,21 @@
 import React from 'react'
-import { Search, Upload, FileText, Clock, Map, User, LogOut } from 'lucide-react'
+import { Search, Upload, FileText, Clock, Map, Network, User, Users, LogOut } from 'lucide-react'
+import NotificationMenu from './NotificationMenu'
 
-const Header = ({ user, onLogout, activeView, onViewChange }) => {
+const Header = ({ user, onLogout, activeView, onViewChange, notifications = [], onOpenNotification, onMarkAllRead, onDismissNotification }) => {
   const navItems = [
     { id: 'dashboard', label: 'Dashboard', icon: FileText },
+    { id: 'search', label: 'Search', icon: Search },
     { id: 'upload', label: 'Upload', icon: Upload },
+    { id: 'people', label: 'People', icon: Users },
     { id: 'timeline', label: 'Timeline', icon: Clock },
     { id: 'map', label: 'Map', icon: Map },
+    { id: 'graph', label: 'Graph', icon: Network },
   ]
 
+  // Detail pages highlight the section they belong to
+  const currentSection = activeView === 'person' ? 'people' : activeView
+
   return (
     <header className="bg-white shadow-card border-b border-gray-200">
       <div className="max-w-6xl mx-auto px-4">
@@ -25,7 +32,7 @@ const Header = ({ user, onLogout, activeView, onViewChange }) => {
                 key={id}
                 onClick={() => onViewChange(id)}
                 className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium transition-colors duration-200 ${
-                  activeView === id
+                  currentSection === id
                     ? 'text-purple-700 bg-purple-50'
                     : 'text-gray-600 hover:text-purple-700 hover:bg-gray-50'
                 }`}
@@ -38,6 +45,12 @@ const Header = ({ user, onLogout, activeView, onViewChange }) => {
 
           {/* User Menu */}
           <div className="flex items-center space-x-4">
+            <NotificationMenu
+              notifications={notifications}
+              onOpen={onOpenNotification}
+              onMarkAllRead={onMarkAllRead}
+              onDismiss={onDismissNotification}
+            />
             <div className="flex items-center space-x-2 text-sm text-gray-600">
               <User size={18} />
               <span>{user.email}</span>
@@ -63,7 +76,7 @@ const Header = ({ user, onLogout, activeView, onViewChange }) => {
                 key={id}
                 onClick={() => onViewChange(id)}
                 className={`flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium whitespace-nowrap transition-colors duration-200 ${
-                  activeView === id
+                  currentSection === id
                     ? 'text-purple-700 bg-purple-50'
                     : 'text-gray-600 hover:text-purple-700'
                 }`}
@@ -0,0 +1,128 @@
+import React, { useEffect, useRef } from 'react'
+import { useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { fitTransform, toCssMatrix3d } from '../utils/georeference'
+
+// Scans sit above the basemap tiles and below markers
+const OVERLAY_PANE = 'historicalOverlays'
+const OVERLAY_PANE_Z_INDEX = 350
+
+const getOverlayPane = (map) => {
+  let pane = map.getPane(OVERLAY_PANE)
+  if (!pane) {
+    pane = map.createPane(OVERLAY_PANE)
+    pane.style.zIndex = OVERLAY_PANE_Z_INDEX
+    pane.style.pointerEvents = 'none'
+  }
+  return pane
+}
+
+/**
+ * Control points as pairs of scan pixel and unrounded layer point at the current zoom
+ */
+const toLayerPairs = (map, controlPoints) => controlPoints
+  .filter(point => point.position)
+  .map(point => {
+    const layerPoint = map.project(point.position).subtract(map.getPixelOrigin())
+    return { from: point.image, to: [layerPoint.x, layerPoint.y] }
+  })
+
+/**
+ * One scan, warped onto the map by its control points.
+ * The <img> is transformed with a CSS matrix from its own pixels to layer points, refitted after each zoom.
+ */
+const WarpedImage = ({ overlay, imageUrl }) => {
+  const map = useMap()
+  const imageRef = useRef(null)
+
+  useEffect(() => {
+    // leaflet-zoom-hide keeps the image out of the way while a zoom animates
+    const image = L.DomUtil.create('img', 'leaflet-zoom-hide', getOverlayPane(map))
+    image.alt = ''
+    Object.assign(image.style, {
+      position: 'absolute',
+      left: '0',
+      top: '0',
+      maxWidth: 'none',
+      maxHeight: 'none',
+      transformOrigin: '0 0',
+      userSelect: 'none'
+    })
+    imageRef.current = image
+
+    return () => {
+      L.DomUtil.remove(image)
+      imageRef.current = null
+    }
+  }, [map])
+
+  useEffect(() => {
+    const image = imageRef.current
+    if (!image) return
+
+    if (imageUrl) image.src = imageUrl
+    image.style.width = `${overlay.imageWidth}px`
+    image.style.height = `${overlay.imageHeight}px`
+    image.style.opacity = overlay.opacity ?? 0.7
+
+    const update = () => {
+      const fit = fitTransform(toLayerPairs(map, overlay.controlPoints || []), overlay.transformation)
+      image.style.display = fit && imageUrl ? '' : 'none'
+      if (fit) image.style.transform = toCssMatrix3d(fit.matrix)
+    }
+
+    update()
+    map.on('zoomend viewreset', update)
+    return () => {
+      map.off('zoomend viewreset', update)
+    }
+  }, [map, overlay, imageUrl])
+
+  return null
+}
+
+/**
+ * Shows the scans only left of the swipe line so the modern map shows through on the right.
+ * `swipe` is the line's position as a percentage of the map width, or null for no swipe.
+ */
+const SwipeClip = ({ swipe }) => {
+  const map = useMap()
+
+  useEffect(() => {
+    const pane = getOverlayPane(map)
+    if (swipe === null) return
+
+    // The pane is positioned in layer points, so the visible area is worked out from the container
+    const update = () => {
+      const size = map.getSize()
+      const topLeft = map.containerPointToLayerPoint([0, 0])
+      const bottomRight = map.containerPointToLayerPoint(size)
+      const edge = map.containerPointToLayerPoint([(size.x * swipe) / 100, 0])
+      pane.style.clip = `rect(${topLeft.y}px, ${edge.x}px, ${bottomRight.y}px, ${topLeft.x}px)`
+    }
+
+    update()
+    map.on('move zoomend viewreset resize', update)
+    return () => {
+      map.off('move zoomend viewreset resize', update)
+      pane.style.clip = ''
+    }
+  }, [map, swipe])
+
+  return null
+}
+
+/**
+ * Georeferenced historical maps for a react-leaflet map.
+ * `imageUrls` maps overlay ids to displayable scan URLs.
+ */
+const HistoricalOverlays = ({ overlays, imageUrls = {}, swipe = null }) => (
+  <>
+    {overlays.map(overlay => (
+      <WarpedImage key={overlay.overlayId} overlay={overlay} imageUrl={imageUrls[overlay.overlayId]} />
+    ))}
+    <SwipeClip swipe={swipe} />
+  </>
+)
+
+export default HistoricalOverlays
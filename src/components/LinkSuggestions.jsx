@@ -0,0 +1,102 @@
+import React, { useMemo, useState } from 'react'
+import { Sparkles, Check, X } from 'lucide-react'
+import { recordLinkageService } from '../services/recordLinkage'
+
+// Proposals shown before "Show all"
+const INITIAL_COUNT = 3
+
+const scoreColor = (score) => (score >= 0.8 ? 'bg-green-100 text-green-800'
+  : score >= 0.65 ? 'bg-yellow-100 text-yellow-800'
+    : 'bg-gray-100 text-gray-700')
+
+const LinkSuggestions = ({ document, documents, links, people = [], onAccept, onReject }) => {
+  const [showAll, setShowAll] = useState(false)
+  const [busyId, setBusyId] = useState(null)
+
+  const candidates = useMemo(
+    () => recordLinkageService.findCandidates(document, documents, { links, people }),
+    [document, documents, links, people]
+  )
+
+  if (candidates.length === 0) return null
+
+  const handle = async (action, candidate) => {
+    setBusyId(candidate.suggestionId)
+    try {
+      await action(candidate)
+    } catch {
+      // The document store reports the failure
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const visible = showAll ? candidates : candidates.slice(0, INITIAL_COUNT)
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+        <Sparkles className="h-5 w-5 mr-2" />
+        Suggested Links ({candidates.length})
+      </h3>
+      <p className="text-xs text-gray-500 mb-4">People in this document who may appear in others</p>
+
+      <div className="space-y-3">
+        {visible.map(candidate => {
+          const otherDocument = documents.find(doc => doc.documentId === candidate.documentIds[1])
+
+          return (
+            <div key={candidate.suggestionId} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex items-start justify-between mb-2">
+                <p className="text-sm font-medium text-gray-900">{candidate.explanation}</p>
+                <span className={`ml-2 px-2 py-0.5 rounded text-xs font-medium flex-shrink-0 ${scoreColor(candidate.score)}`}>
+                  {Math.round(candidate.score * 100)}%
+                </span>
+              </div>
+
+              <p className="text-xs text-gray-600 truncate mb-2">→ {otherDocument?.fileName}</p>
+
+              <ul className="text-xs text-gray-500 mb-3 space-y-0.5">
+                {candidate.reasons.map(reason => (
+                  <li key={reason.label} className={reason.weight < 0 ? 'text-red-600' : ''}>
+                    {reason.weight < 0 ? '−' : '+'} {reason.label}
+                  </li>
+                ))}
+              </ul>
+
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handle(onAccept, candidate)}
+                  disabled={busyId === candidate.suggestionId}
+                  className="flex-1 flex items-center justify-center space-x-1 bg-purple-600 text-white px-3 py-1.5 rounded-lg text-sm hover:bg-purple-700 disabled:opacity-50 transition-colors duration-200"
+                >
+                  <Check className="h-4 w-4" />
+                  <span>Link</span>
+                </button>
+                <button
+                  onClick={() => handle(onReject, candidate)}
+                  disabled={busyId === candidate.suggestionId}
+                  className="flex-1 flex items-center justify-center space-x-1 bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50 transition-colors duration-200"
+                >
+                  <X className="h-4 w-4" />
+                  <span>Not a match</span>
+                </button>
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      {candidates.length > INITIAL_COUNT && (
+        <button
+          onClick={() => setShowAll(prev => !prev)}
+          className="mt-3 text-sm text-purple-600 hover:text-purple-800"
+        >
+          {showAll ? 'Show fewer' : `Show all ${candidates.length}`}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default LinkSuggestions
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react'
+import { Clock, Play, Pause } from 'lucide-react'
+
+// Playback covers the whole span in about this long, one year per step
+const PLAYBACK_DURATION = 15000
+const MIN_STEP_INTERVAL = 150
+const MAX_STEP_INTERVAL = 800
+
+/**
+ * Year range picker with playback for the map.
+ * `range` is { from, to } or null when the map is not filtered by time; `onChange` takes a
+ * range or an updater function, like a state setter. Playback keeps the start year and moves
+ * the end year forward, so the map fills in as it would have grown.
+ */
+const MapTimeSlider = ({ min, max, range, onChange }) => {
+  const [playing, setPlaying] = useState(false)
+  const hasYears = min !== null && max !== null
+
+  useEffect(() => {
+    if (!playing) return
+
+    const interval = Math.min(Math.max(PLAYBACK_DURATION / Math.max(max - min, 1), MIN_STEP_INTERVAL), MAX_STEP_INTERVAL)
+    const timer = setInterval(() => {
+      onChange(prev => ({ ...prev, to: Math.min(prev.to + 1, max) }))
+    }, interval)
+
+    return () => clearInterval(timer)
+  }, [playing, min, max])
+
+  useEffect(() => {
+    if (playing && (!range || range.to >= max)) setPlaying(false)
+  }, [playing, range, max])
+
+  const toggleFilter = (enabled) => {
+    setPlaying(false)
+    onChange(enabled ? { from: min, to: max } : null)
+  }
+
+  const togglePlayback = () => {
+    if (playing) {
+      setPlaying(false)
+      return
+    }
+    // Start again from the first year when the end has been reached
+    onChange(prev => {
+      const current = prev || { from: min, to: max }
+      return current.to >= max ? { ...current, to: current.from } : current
+    })
+    setPlaying(true)
+  }
+
+  const setYear = (field, value) => {
+    setPlaying(false)
+    onChange(prev => {
+      const next = { ...prev, [field]: value }
+      // The handles cannot cross
+      if (field === 'from' && next.to < value) next.to = value
+      if (field === 'to' && next.from > value) next.from = value
+      return next
+    })
+  }
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-center gap-4">
+      <label className="flex items-center space-x-2 cursor-pointer flex-shrink-0">
+        <input
+          type="checkbox"
+          checked={Boolean(range)}
+          onChange={(e) => toggleFilter(e.target.checked)}
+          disabled={!hasYears}
+          className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+        />
+        <Clock className="h-5 w-5 text-gray-400" />
+        <span className="text-sm font-medium text-gray-700">Time:</span>
+      </label>
+
+      {!hasYears ? (
+        <span className="text-sm text-gray-500">Nothing on the map has a year yet.</span>
+      ) : (
+        <div className={`flex flex-1 items-center gap-4 ${range ? '' : 'opacity-50'}`}>
+          <button
+            onClick={togglePlayback}
+            disabled={!range || min === max}
+            className="p-2 rounded-full bg-purple-600 text-white hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            title={playing ? 'Pause' : 'Play through the years'}
+          >
+            {playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+          </button>
+
+          <div className="flex-1 grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {['from', 'to'].map(field => (
+              <div key={field} className="flex items-center space-x-2">
+                <span className="text-xs text-gray-500 w-8">{field === 'from' ? 'From' : 'To'}</span>
+                <input
+                  type="range"
+                  min={min}
+                  max={max}
+                  value={range ? range[field] : field === 'from' ? min : max}
+                  onChange={(e) => setYear(field, Number(e.target.value))}
+                  disabled={!range}
+                  className="flex-1 accent-purple-600"
+                />
+                <span className="text-sm font-medium text-gray-900 w-10 text-right">
+                  {range ? range[field] : field === 'from' ? min : max}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default MapTimeSlider
@@ -1,57 +1,414 @@
 import React, { useState, useEffect } from 'react'
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet'
-import { Layers, FileText, Calendar, Settings } from 'lucide-react'
+import { MapContainer, TileLayer, Marker, Popup, Polygon, Polyline, CircleMarker, Tooltip, useMap, useMapEvents } from 'react-leaflet'
+import L from 'leaflet'
+import { Layers, FileText, Calendar, MapPin, Search, X, Loader, ImagePlus, PenLine, Trash2, SplitSquareHorizontal, Hexagon, Undo2 } from 'lucide-react'
+import HistoricalOverlays from './HistoricalOverlays'
+import OverlayEditor from './OverlayEditor'
+import ParcelForm from './ParcelForm'
+import ChainOfTitle from './ChainOfTitle'
+import MapTimeSlider from './MapTimeSlider'
+import { geocoderService, PLACE_KINDS } from '../services/geocoder'
+import { apiService } from '../services/api'
+import { TRANSFORMATIONS, MIN_CONTROL_POINTS } from '../utils/georeference'
+import { describeLot, getParcelYear } from '../utils/deeds'
+import { formatEventDate, getEventYear, compareDocuments, formatDocumentDate, getDocumentYear } from '../utils/historicalDate'
 
-const MapView = ({ documents, events }) => {
-  const [showHistoricalLayer, setShowHistoricalLayer] = useState(false)
+// Shown until the collection has places of its own
+const WORLD_CENTER = [20, 0]
+const WORLD_ZOOM = 2
+
+const MARKER_COLORS = {
+  [PLACE_KINDS.PLACE]: '#3b82f6',
+  event: '#22c55e',
+  [PLACE_KINDS.ADDRESS]: '#a855f7'
+}
+
+const PARCEL_COLOR = '#d97706'
+
+const SOURCE_LABELS = {
+  gazetteer: 'Offline gazetteer',
+  nominatim: 'OpenStreetMap Nominatim',
+  manual: 'Placed by hand'
+}
+
+const markerIcon = (kind) => L.divIcon({
+  className: '',
+  html: `<span style="display:block;width:18px;height:18px;border-radius:9999px;border:3px solid white;box-shadow:0 1px 3px rgba(0,0,0,.4);background:${MARKER_COLORS[kind]}"></span>`,
+  iconSize: [18, 18],
+  iconAnchor: [9, 9],
+  popupAnchor: [0, -10]
+})
+
+// Scans the browser can draw as an overlay
+const OVERLAY_FILE_TYPES = 'image/png,image/jpeg,image/webp'
+
+const MARKER_ICONS = Object.fromEntries(Object.keys(MARKER_COLORS).map(kind => [kind, markerIcon(kind)]))
+
+/**
+ * Places at the same coordinates share a marker, e.g. one address named in several documents
+ */
+const groupPlaces = (places) => {
+  const groups = new Map()
+  places.forEach(place => {
+    const key = `${place.kind}:${place.position[0].toFixed(5)},${place.position[1].toFixed(5)}`
+    if (!groups.has(key)) {
+      groups.set(key, { id: key, kind: place.kind, position: place.position, title: place.name, places: [] })
+    }
+    groups.get(key).places.push(place)
+  })
+  return [...groups.values()]
+}
+
+/**
+ * Pixel size of an image file, needed to place control points on it
+ */
+const readImageSize = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file)
+  const image = new Image()
+  image.onload = () => {
+    URL.revokeObjectURL(url)
+    resolve({ width: image.naturalWidth, height: image.naturalHeight })
+  }
+  image.onerror = () => {
+    URL.revokeObjectURL(url)
+    reject(new Error(`${file.name} could not be read as an image`))
+  }
+  image.src = url
+})
+
+const missingControlPoints = (overlay) => Math.max(
+  MIN_CONTROL_POINTS[overlay.transformation || TRANSFORMATIONS.AFFINE] -
+    (overlay.controlPoints || []).filter(point => point.position).length,
+  0
+)
+
+/**
+ * The historical maps of an era: dated overlays from the latest year up to `year`, so
+ * a newer atlas replaces an older one as time moves on. Undated overlays are always shown.
+ */
+const selectEraOverlays = (overlays, year) => {
+  const eraYear = Math.max(...overlays.map(overlay => overlay.year).filter(mapYear => mapYear && mapYear <= year))
+  return overlays.filter(overlay => !overlay.year || overlay.year === eraYear)
+}
+
+/**
+ * Frame the map around the collection's markers
+ */
+const FitToMarkers = ({ positions }) => {
+  const map = useMap()
+  const boundsKey = positions.map(position => position.join(',')).join(';')
+
+  useEffect(() => {
+    if (positions.length === 1) map.setView(positions[0], 13)
+    else if (positions.length > 1) map.fitBounds(positions, { padding: [40, 40], maxZoom: 14 })
+  }, [boundsKey])
+
+  return null
+}
+
+/**
+ * Sets a place's position from the next click on the map
+ */
+const PinPlacer = ({ onPlace }) => {
+  useMapEvents({
+    click: (e) => onPlace([e.latlng.lat, e.latlng.lng])
+  })
+  return null
+}
+
+/**
+ * Adds a corner to the parcel being drawn on each click
+ */
+const ParcelDrawer = ({ onAddVertex }) => {
+  useMapEvents({
+    click: (e) => onAddVertex([e.latlng.lat, e.latlng.lng])
+  })
+  return null
+}
+
+const MapView = ({
+  documents,
+  events,
+  places = [],
+  overlays = [],
+  parcels = [],
+  links = [],
+  onAddPlace,
+  onUpdatePlace,
+  onDeletePlace,
+  onAddOverlay,
+  onUpdateOverlay,
+  onDeleteOverlay,
+  onAddParcel,
+  onUpdateParcel,
+  onDeleteParcel,
+  onViewDocument
+}) => {
+  const [map, setMap] = useState(null)
   const [selectedFilter, setSelectedFilter] = useState('all')
-  const [mapCenter] = useState([40.7128, -74.0060]) // Default to NYC
-  
-  // Mock historical locations for demonstration
-  const historicalMarkers = [
-    {
-      id: 1,
-      position: [40.7614, -73.9776],
-      title: "Central Park Historical Site",
-      type: "location",
-      description: "Site of historical significance mentioned in multiple documents",
-      associatedDocuments: documents.slice(0, 2).map(d => d.documentId),
-      year: "1857"
-    },
-    {
-      id: 2,
-      position: [40.7505, -73.9934],
-      title: "Times Square Development",
-      type: "event",
-      description: "Location of major urban development event",
-      associatedEvents: events.slice(0, 1).map(e => e.eventId),
-      year: "1904"
-    },
-    {
-      id: 3,
-      position: [40.7282, -74.0776],
-      title: "Ellis Island Immigration Center",
-      type: "location",
-      description: "Primary immigration processing center",
-      associatedDocuments: documents.slice(1, 3).map(d => d.documentId),
-      year: "1892"
+  const [geocoding, setGeocoding] = useState(null)
+  const [notice, setNotice] = useState('')
+  const [placingId, setPlacingId] = useState(null)
+  const [overlayUrls, setOverlayUrls] = useState({})
+  const [uploadingOverlay, setUploadingOverlay] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [opacityDrafts, setOpacityDrafts] = useState({})
+  const [swipe, setSwipe] = useState(null)
+  const [drawing, setDrawing] = useState(null)
+  const [parcelForm, setParcelForm] = useState(null)
+  const [selectedParcelId, setSelectedParcelId] = useState(null)
+  const [timeRange, setTimeRange] = useState(null)
+
+  // Undated places and events cannot be placed in time, so the time filter hides them
+  const inTimeRange = (year) => !timeRange || (Number.isFinite(year) && year >= timeRange.from && year <= timeRange.to)
+
+  // A place is as old as the record naming it, so a corrected record date moves it in time
+  const datedPlaces = places.map(place => {
+    const doc = place.documentId && documents.find(d => d.documentId === place.documentId)
+    return { ...place, year: (doc && getDocumentYear(doc)) ?? place.year }
+  })
+  const located = datedPlaces.filter(place => place.position)
+  const unplaced = datedPlaces.filter(place => !place.position)
+  const placing = places.find(place => place.placeId === placingId)
+  const showParcels = selectedFilter === 'all' || selectedFilter === 'parcel'
+  const selectedParcel = parcels.find(parcel => parcel.parcelId === selectedParcelId)
+  const parcelYears = Object.fromEntries(parcels.map(parcel => [parcel.parcelId, getParcelYear(parcel, documents)]))
+  // A parcel stays on the map from its first deed onwards
+  const activeParcels = parcels.filter(parcel => !timeRange || !parcelYears[parcel.parcelId] || parcelYears[parcel.parcelId] <= timeRange.to)
+
+  const eventMarkers = events
+    .filter(event => Number.isFinite(event.location?.latitude) && Number.isFinite(event.location?.longitude))
+    .map(event => ({
+      id: `event:${event.eventId}`,
+      kind: 'event',
+      position: [event.location.latitude, event.location.longitude],
+      title: event.title,
+      year: getEventYear(event),
+      event
+    }))
+
+  const markers = [...groupPlaces(located.filter(place => inTimeRange(place.year))), ...eventMarkers.filter(marker => inTimeRange(marker.year))]
+  const filteredMarkers = selectedFilter === 'all'
+    ? markers
+    : markers.filter(marker => marker.kind === selectedFilter)
+
+  const years = [
+    ...datedPlaces.map(place => place.year),
+    ...eventMarkers.map(marker => marker.year),
+    ...overlays.map(overlay => overlay.year),
+    ...Object.values(parcelYears)
+  ].filter(Number.isFinite)
+  const minYear = years.length ? Math.min(...years) : null
+  const maxYear = years.length ? Math.max(...years) : null
+
+  const documentsWithText = documents.filter(doc => doc.ocrText)
+  const shownOverlays = overlays.filter(overlay => overlay.visible !== false)
+  const eraOverlays = timeRange ? selectEraOverlays(shownOverlays, timeRange.to) : shownOverlays
+  const visibleOverlays = eraOverlays
+    .map(overlay => overlay.overlayId in opacityDrafts ? { ...overlay, opacity: opacityDrafts[overlay.overlayId] } : overlay)
+  const editingOverlay = editing && overlays.find(overlay => overlay.overlayId === editing.overlayId)
+
+  // Scans saved offline are rebuilt from IndexedDB, so their URLs are resolved rather than stored
+  const overlayFilesKey = overlays.map(overlay => `${overlay.overlayId}:${overlay.fileId}`).join(';')
+  useEffect(() => {
+    let cancelled = false
+    const objectUrls = []
+
+    Promise.all(overlays.map(async overlay => {
+      const url = await apiService.resolveFileUrl(overlay).catch(() => null)
+      if (url?.startsWith('blob:')) objectUrls.push(url)
+      return [overlay.overlayId, url]
+    })).then(entries => {
+      if (!cancelled) setOverlayUrls(Object.fromEntries(entries))
+    })
+
+    return () => {
+      cancelled = true
+      objectUrls.forEach(url => URL.revokeObjectURL(url))
+    }
+  }, [overlayFilesKey])
+
+  const handleGeocode = async () => {
+    setNotice('')
+    setGeocoding({ done: 0, total: documentsWithText.length })
+    let known = places
+    let found = 0
+    let pinned = 0
+
+    for (const document of documentsWithText) {
+      const newPlaces = await geocoderService.geocodeDocument(document, known)
+      for (const place of newPlaces) {
+        try {
+          await onAddPlace(place)
+          found++
+          if (place.position) pinned++
+        } catch {
+          // The document store reports the failure
+        }
+      }
+      known = [...known, ...newPlaces]
+      setGeocoding(prev => ({ ...prev, done: prev.done + 1 }))
     }
-  ]
 
-  const filteredMarkers = selectedFilter === 'all' 
-    ? historicalMarkers 
-    : historicalMarkers.filter(marker => marker.type === selectedFilter)
+    setGeocoding(null)
+    setNotice(found === 0
+      ? 'No new places found in your documents.'
+      : `Found ${found} new place${found === 1 ? '' : 's'}; ${pinned} placed on the map${found > pinned ? ', the rest are waiting for a pin' : ''}.`)
+  }
+
+  const openEditor = (overlayId) => {
+    const center = map ? map.getCenter() : { lat: WORLD_CENTER[0], lng: WORLD_CENTER[1] }
+    setEditing({ overlayId, center: [center.lat, center.lng], zoom: map ? map.getZoom() : WORLD_ZOOM })
+  }
+
+  const handleOverlayUpload = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setNotice('')
+    setUploadingOverlay(true)
+    try {
+      const { width, height } = await readImageSize(file)
+      const upload = await apiService.uploadFile(file, { purpose: 'overlay' })
+      const saved = await onAddOverlay({
+        name: file.name.replace(/\.[^.]+$/, ''),
+        fileId: upload.fileId,
+        fileUrl: upload.fileUrl,
+        fileName: file.name,
+        imageWidth: width,
+        imageHeight: height,
+        year: null,
+        controlPoints: [],
+        transformation: TRANSFORMATIONS.AFFINE,
+        opacity: 0.7,
+        visible: true
+      })
+      openEditor(saved.overlayId)
+    } catch (error) {
+      setNotice(`The historical map could not be added: ${error.message}`)
+    } finally {
+      setUploadingOverlay(false)
+    }
+  }
+
+  // The slider moves the scan straight away and is saved when it is let go
+  const commitOpacity = (overlayId) => {
+    if (!(overlayId in opacityDrafts)) return
+    onUpdateOverlay(overlayId, { opacity: opacityDrafts[overlayId] })
+      .catch(() => {})
+      .finally(() => setOpacityDrafts(prev => {
+        const next = { ...prev }
+        delete next[overlayId]
+        return next
+      }))
+  }
+
+  const handleDeleteOverlay = (overlay) => {
+    if (!window.confirm(`Remove the historical map "${overlay.name}"? The uploaded scan is deleted too.`)) return
+    onDeleteOverlay(overlay.overlayId).catch(() => {})
+  }
+
+  // Drawing and pinning both take map clicks, so only one runs at a time
+  const startDrawing = (parcelId = null) => {
+    setPlacingId(null)
+    setDrawing({ parcelId, vertices: [] })
+  }
+
+  const finishDrawing = () => {
+    if (drawing.parcelId) {
+      onUpdateParcel(drawing.parcelId, { polygon: drawing.vertices }).catch(() => {})
+    } else {
+      setParcelForm({ parcel: { polygon: drawing.vertices } })
+    }
+    setDrawing(null)
+  }
+
+  const handleSaveParcel = async (values) => {
+    if (parcelForm.parcel.parcelId) {
+      await onUpdateParcel(parcelForm.parcel.parcelId, values)
+    } else {
+      const saved = await onAddParcel({ ...values, polygon: parcelForm.parcel.polygon })
+      setSelectedParcelId(saved.parcelId)
+    }
+  }
+
+  const handleDeleteParcel = (parcel) => {
+    if (!window.confirm(`Delete the parcel "${parcel.name}"? Its deeds are not affected.`)) return
+    setSelectedParcelId(null)
+    onDeleteParcel(parcel.parcelId).catch(() => {})
+  }
+
+  const handlePlacePin = (position) => {
+    onUpdatePlace(placingId, { position, source: 'manual' }).catch(() => {})
+    setPlacingId(null)
+  }
+
+  // Dragging a marker corrects every place it stands for
+  const handleMarkerMoved = (marker, e) => {
+    const { lat, lng } = e.target.getLatLng()
+    marker.places.forEach(place => {
+      onUpdatePlace(place.placeId, { position: [lat, lng], source: 'manual' }).catch(() => {})
+    })
+  }
+
+  const renderDocuments = (documentIds) => (
+    <div>
+      <div className="flex items-center space-x-1 text-xs text-gray-700 mb-1">
+        <FileText className="h-3 w-3" />
+        <span>Documents ({documentIds.length})</span>
+      </div>
+      <div className="space-y-1">
+        {documentIds
+          .map(docId => documents.find(d => d.documentId === docId))
+          .filter(Boolean)
+          .sort(compareDocuments)
+          .map(doc => (
+            <div
+              key={doc.documentId}
+              onClick={() => onViewDocument?.(doc)}
+              className="text-xs text-blue-600 hover:underline cursor-pointer"
+            >
+              {doc.fileName}
+              {formatDocumentDate(doc) && <span className="text-gray-500"> · {formatDocumentDate(doc)}</span>}
+            </div>
+          ))}
+      </div>
+    </div>
+  )
 
   return (
     <div className="max-w-6xl mx-auto px-4 py-8">
       {/* Header */}
-      <div className="mb-8">
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">Geo-Historical Map</h1>
-        <p className="text-gray-600">
-          Explore historical locations and events on an interactive map
-        </p>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Geo-Historical Map</h1>
+          <p className="text-gray-600">
+            Explore the places named in your documents on an interactive map
+          </p>
+        </div>
+
+        <button
+          onClick={handleGeocode}
+          disabled={Boolean(geocoding) || documentsWithText.length === 0 || !onAddPlace}
+          className="mt-4 md:mt-0 flex items-center space-x-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+        >
+          {geocoding ? <Loader className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+          <span>
+            {geocoding ? `Finding places (${geocoding.done} of ${geocoding.total})...` : 'Find Places in Documents'}
+          </span>
+        </button>
       </div>
 
+      {notice && (
+        <div className="flex items-center justify-between p-4 mb-6 bg-purple-50 border border-purple-200 rounded-lg text-sm text-purple-800">
+          <span>{notice}</span>
+          <button onClick={() => setNotice('')} className="text-purple-600 hover:text-purple-800">
+            <X className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+
       {/* Controls */}
       <div className="bg-white rounded-lg shadow-card p-6 mb-8">
         <div className="flex flex-col md:flex-row md:items-center md:justify-between space-y-4 md:space-y-0">
@@ -60,15 +417,41 @@ const MapView = ({ documents, events }) => {
               <Layers className="h-5 w-5 text-gray-400" />
               <span className="text-sm font-medium text-gray-700">Map Layers:</span>
             </div>
-            <label className="flex items-center space-x-2 cursor-pointer">
+            <label
+              className={`flex items-center space-x-2 px-3 py-1 rounded-lg text-sm bg-purple-50 text-purple-700 transition-colors duration-200 ${
+                uploadingOverlay || !onAddOverlay ? 'opacity-50 cursor-not-allowed' : 'hover:bg-purple-100 cursor-pointer'
+              }`}
+            >
+              {uploadingOverlay ? <Loader className="h-4 w-4 animate-spin" /> : <ImagePlus className="h-4 w-4" />}
+              <span>{uploadingOverlay ? 'Uploading...' : 'Add Historical Map'}</span>
               <input
-                type="checkbox"
-                checked={showHistoricalLayer}
-                onChange={(e) => setShowHistoricalLayer(e.target.checked)}
-                className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+                type="file"
+                accept={OVERLAY_FILE_TYPES}
+                onChange={handleOverlayUpload}
+                disabled={uploadingOverlay || !onAddOverlay}
+                className="hidden"
               />
-              <span className="text-sm text-gray-700">Historical Overlay</span>
             </label>
+            <button
+              onClick={() => setSwipe(swipe === null ? 50 : null)}
+              disabled={visibleOverlays.length === 0}
+              className={`flex items-center space-x-2 px-3 py-1 rounded-lg text-sm transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${
+                swipe !== null ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+              title="Compare historical maps with the modern map"
+            >
+              <SplitSquareHorizontal className="h-4 w-4" />
+              <span>Swipe</span>
+            </button>
+            <button
+              onClick={() => startDrawing()}
+              disabled={Boolean(drawing) || !onAddParcel}
+              className="flex items-center space-x-2 px-3 py-1 rounded-lg text-sm bg-amber-50 text-amber-700 hover:bg-amber-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+              title="Outline a property on the map and trace its deeds"
+            >
+              <Hexagon className="h-4 w-4" />
+              <span>Draw Parcel</span>
+            </button>
           </div>
 
           <div className="flex items-center space-x-4">
@@ -79,103 +462,389 @@ const MapView = ({ documents, events }) => {
               className="px-3 py-1 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
             >
               <option value="all">All Markers</option>
-              <option value="location">Locations</option>
+              <option value={PLACE_KINDS.PLACE}>Places</option>
+              <option value={PLACE_KINDS.ADDRESS}>Addresses</option>
               <option value="event">Events</option>
+              <option value="parcel">Parcels</option>
             </select>
           </div>
         </div>
+
+        <div className="mt-6 pt-6 border-t border-gray-100">
+          <MapTimeSlider min={minYear} max={maxYear} range={timeRange} onChange={setTimeRange} />
+          {timeRange && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing {markers.length} marker{markers.length === 1 ? '' : 's'} and {activeParcels.length} parcel{activeParcels.length === 1 ? '' : 's'} from {timeRange.from} to {timeRange.to}
+              {visibleOverlays.some(overlay => overlay.year) && `, with the ${visibleOverlays.find(overlay => overlay.year).year} map`}
+            </p>
+          )}
+        </div>
+
+        {/* Layer panel */}
+        {overlays.length > 0 && (
+          <div className="mt-6 pt-6 border-t border-gray-100 divide-y divide-gray-100">
+            {overlays.map(overlay => {
+              const missing = missingControlPoints(overlay)
+              const opacity = opacityDrafts[overlay.overlayId] ?? overlay.opacity ?? 0.7
+              return (
+                <div key={overlay.overlayId} className="flex flex-col md:flex-row md:items-center md:justify-between py-3 gap-3">
+                  <label className="flex items-center space-x-3 min-w-0 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={overlay.visible !== false}
+                      onChange={(e) => onUpdateOverlay(overlay.overlayId, { visible: e.target.checked }).catch(() => {})}
+                      disabled={!onUpdateOverlay}
+                      className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+                    />
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">
+                        {overlay.name}{overlay.year ? ` (${overlay.year})` : ''}
+                      </p>
+                      <p className={`text-xs ${missing ? 'text-yellow-700' : 'text-gray-500'}`}>
+                        {missing
+                          ? `Needs ${missing} more control point${missing === 1 ? '' : 's'} before it can be shown`
+                          : `${overlay.controlPoints.length} control points`}
+                        {!missing && overlay.visible !== false && !eraOverlays.includes(overlay) && ' · outside the chosen years'}
+                      </p>
+                    </div>
+                  </label>
+
+                  <div className="flex items-center space-x-3 flex-shrink-0">
+                    <span className="text-xs text-gray-500">Opacity</span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={Math.round(opacity * 100)}
+                      onChange={(e) => setOpacityDrafts(prev => ({ ...prev, [overlay.overlayId]: Number(e.target.value) / 100 }))}
+                      onPointerUp={() => commitOpacity(overlay.overlayId)}
+                      onKeyUp={() => commitOpacity(overlay.overlayId)}
+                      disabled={!onUpdateOverlay}
+                      className="w-28 accent-purple-600"
+                    />
+                    <button
+                      onClick={() => openEditor(overlay.overlayId)}
+                      disabled={!onUpdateOverlay}
+                      className="p-1 text-gray-400 hover:text-purple-600 transition-colors duration-200"
+                      title="Edit control points"
+                    >
+                      <PenLine className="h-4 w-4" />
+                    </button>
+                    {onDeleteOverlay && (
+                      <button
+                        onClick={() => handleDeleteOverlay(overlay)}
+                        className="p-1 text-gray-400 hover:text-red-600 transition-colors duration-200"
+                        title="Remove historical map"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
       </div>
 
+      {placing && (
+        <div className="flex items-center justify-between p-4 mb-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <span>Click on the map to place <span className="font-medium">{placing.name}</span></span>
+          <button onClick={() => setPlacingId(null)} className="text-yellow-700 hover:text-yellow-900 font-medium">
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {drawing && (
+        <div className="flex items-center justify-between p-4 mb-4 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <span>
+            Click the map at each corner of the parcel ({drawing.vertices.length} point{drawing.vertices.length === 1 ? '' : 's'} so far)
+          </span>
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => setDrawing(prev => ({ ...prev, vertices: prev.vertices.slice(0, -1) }))}
+              disabled={drawing.vertices.length === 0}
+              className="flex items-center space-x-1 text-amber-700 hover:text-amber-900 disabled:opacity-50"
+            >
+              <Undo2 className="h-4 w-4" />
+              <span>Undo</span>
+            </button>
+            <button
+              onClick={finishDrawing}
+              disabled={drawing.vertices.length < 3}
+              className="font-medium text-amber-700 hover:text-amber-900 disabled:opacity-50"
+            >
+              Finish
+            </button>
+            <button onClick={() => setDrawing(null)} className="text-amber-700 hover:text-amber-900 font-medium">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Map */}
       <div className="bg-white rounded-lg shadow-card overflow-hidden">
-        <div className="h-[600px] relative">
+        <div className={`h-[600px] relative ${placing || drawing ? 'cursor-crosshair' : ''}`}>
           <MapContainer
-            center={mapCenter}
-            zoom={12}
+            center={WORLD_CENTER}
+            zoom={WORLD_ZOOM}
             style={{ height: '100%', width: '100%' }}
             className="rounded-lg"
+            ref={setMap}
           >
             <TileLayer
               attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
               url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
             />
-            
-            {/* Historical Overlay */}
-            {showHistoricalLayer && (
-              <TileLayer
-                attribution='Historical overlay'
-                url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                opacity={0.5}
-              />
+
+            <HistoricalOverlays overlays={visibleOverlays} imageUrls={overlayUrls} swipe={swipe} />
+
+            {/* Framed on everything, so the map holds still while the time slider plays */}
+            <FitToMarkers
+              positions={[
+                ...groupPlaces(located).map(marker => marker.position),
+                ...eventMarkers.map(marker => marker.position),
+                ...parcels.flatMap(parcel => parcel.polygon)
+              ]}
+            />
+            {placing && <PinPlacer onPlace={handlePlacePin} />}
+            {drawing && (
+              <ParcelDrawer onAddVertex={(vertex) => setDrawing(prev => ({ ...prev, vertices: [...prev.vertices, vertex] }))} />
             )}
 
-            {/* Historical Markers */}
+            {/* Parcels */}
+            {showParcels && activeParcels.map(parcel => (
+              <Polygon
+                key={parcel.parcelId}
+                positions={parcel.polygon}
+                interactive={!drawing && !placing}
+                pathOptions={{
+                  color: PARCEL_COLOR,
+                  weight: parcel.parcelId === selectedParcelId ? 4 : 2,
+                  fillOpacity: parcel.parcelId === selectedParcelId ? 0.35 : 0.2
+                }}
+                eventHandlers={{ click: () => setSelectedParcelId(parcel.parcelId) }}
+              >
+                <Tooltip sticky>
+                  {[parcel.name, describeLot({ lot: parcel.lot, block: parcel.block })].filter(Boolean).join(' · ')}
+                </Tooltip>
+              </Polygon>
+            ))}
+
+            {drawing && drawing.vertices.length > 0 && (
+              <>
+                <Polyline
+                  positions={drawing.vertices.length > 2 ? [...drawing.vertices, drawing.vertices[0]] : drawing.vertices}
+                  pathOptions={{ color: PARCEL_COLOR, dashArray: '6 6' }}
+                  interactive={false}
+                />
+                {drawing.vertices.map((vertex, index) => (
+                  <CircleMarker
+                    key={index}
+                    center={vertex}
+                    radius={5}
+                    pathOptions={{ color: 'white', weight: 2, fillColor: PARCEL_COLOR, fillOpacity: 1 }}
+                    interactive={false}
+                  />
+                ))}
+              </>
+            )}
+
+            {/* Places and Events */}
             {filteredMarkers.map(marker => (
-              <Marker key={marker.id} position={marker.position}>
+              <Marker
+                key={marker.id}
+                position={marker.position}
+                icon={MARKER_ICONS[marker.kind]}
+                draggable={Boolean(marker.places && onUpdatePlace)}
+                eventHandlers={marker.places ? { dragend: (e) => handleMarkerMoved(marker, e) } : {}}
+              >
                 <Popup>
                   <div className="p-2 min-w-[250px]">
                     <h3 className="font-semibold text-gray-900 mb-2">{marker.title}</h3>
-                    <p className="text-sm text-gray-600 mb-3">{marker.description}</p>
-                    
-                    <div className="space-y-2">
-                      <div className="flex items-center space-x-2 text-xs text-gray-500">
-                        <Calendar className="h-3 w-3" />
-                        <span>Year: {marker.year}</span>
-                      </div>
-                      
-                      {marker.associatedDocuments && marker.associatedDocuments.length > 0 && (
-                        <div>
-                          <div className="flex items-center space-x-1 text-xs text-gray-700 mb-1">
-                            <FileText className="h-3 w-3" />
-                            <span>Documents ({marker.associatedDocuments.length})</span>
-                          </div>
-                          <div className="space-y-1">
-                            {marker.associatedDocuments.map(docId => {
-                              const doc = documents.find(d => d.documentId === docId)
-                              return doc ? (
-                                <div key={docId} className="text-xs text-blue-600 hover:underline cursor-pointer">
-                                  {doc.fileName}
-                                </div>
-                              ) : null
-                            })}
-                          </div>
+
+                    {marker.event ? (
+                      <div className="space-y-2">
+                        <p className="text-sm text-gray-600">{marker.event.description}</p>
+                        <div className="flex items-center space-x-2 text-xs text-gray-500">
+                          <Calendar className="h-3 w-3" />
+                          <span>{formatEventDate(marker.event)}</span>
                         </div>
-                      )}
-                      
-                      {marker.associatedEvents && marker.associatedEvents.length > 0 && (
-                        <div>
-                          <div className="flex items-center space-x-1 text-xs text-gray-700 mb-1">
+                        {marker.event.associatedDocuments?.length > 0 && renderDocuments(marker.event.associatedDocuments)}
+                      </div>
+                    ) : (
+                      <div className="space-y-2">
+                        {marker.places[0].displayName && marker.places[0].displayName !== marker.title && (
+                          <p className="text-sm text-gray-600">{marker.places[0].displayName}</p>
+                        )}
+                        <p className="text-xs text-gray-500">
+                          {SOURCE_LABELS[marker.places[0].source] || 'Unknown source'} · drag the pin to correct it
+                        </p>
+
+                        {marker.places.some(place => place.year) && (
+                          <div className="flex items-center space-x-2 text-xs text-gray-500">
                             <Calendar className="h-3 w-3" />
-                            <span>Events ({marker.associatedEvents.length})</span>
+                            <span>
+                              Year: {[...new Set(marker.places.map(place => place.year).filter(Boolean))].sort().join(', ')}
+                            </span>
                           </div>
-                          <div className="space-y-1">
-                            {marker.associatedEvents.map(eventId => {
-                              const event = events.find(e => e.eventId === eventId)
-                              return event ? (
-                                <div key={eventId} className="text-xs text-green-600 hover:underline cursor-pointer">
-                                  {event.title}
-                                </div>
-                              ) : null
-                            })}
-                          </div>
-                        </div>
-                      )}
-                    </div>
+                        )}
+
+                        {renderDocuments([...new Set(marker.places.map(place => place.documentId).filter(Boolean))])}
+                      </div>
+                    )}
                   </div>
                 </Popup>
               </Marker>
             ))}
           </MapContainer>
+
+          {/* Swipe: historical maps left of the line, the modern map right of it */}
+          {swipe !== null && (
+            <>
+              <div
+                className="absolute top-0 bottom-0 w-0.5 bg-white shadow pointer-events-none z-[1000]"
+                style={{ left: `${swipe}%` }}
+              />
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={swipe}
+                onChange={(e) => setSwipe(Number(e.target.value))}
+                className="absolute bottom-4 left-1/4 w-1/2 z-[1000] accent-purple-600"
+                title="Drag to compare with the modern map"
+              />
+            </>
+          )}
         </div>
       </div>
 
+      {editingOverlay && (
+        <OverlayEditor
+          overlay={editingOverlay}
+          imageUrl={overlayUrls[editingOverlay.overlayId]}
+          center={editing.center}
+          zoom={editing.zoom}
+          onSave={(updates) => onUpdateOverlay(editingOverlay.overlayId, updates)}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      {parcelForm && (
+        <ParcelForm
+          parcel={parcelForm.parcel}
+          documents={documents}
+          title={parcelForm.parcel.parcelId ? 'Edit Parcel' : 'New Parcel'}
+          onSave={handleSaveParcel}
+          onClose={() => setParcelForm(null)}
+        />
+      )}
+
+      {/* Selected parcel and its chain of title */}
+      {selectedParcel && (
+        <div className="bg-white rounded-lg shadow-card p-6 mt-6">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{selectedParcel.name}</h3>
+              <p className="text-sm text-gray-500">
+                {[describeLot({ lot: selectedParcel.lot, block: selectedParcel.block }), selectedParcel.description].filter(Boolean).join(' · ')}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setParcelForm({ parcel: selectedParcel })}
+                disabled={!onUpdateParcel}
+                className="p-1 text-gray-400 hover:text-purple-600 transition-colors duration-200"
+                title="Edit parcel and deeds"
+              >
+                <PenLine className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => startDrawing(selectedParcel.parcelId)}
+                disabled={Boolean(drawing) || !onUpdateParcel}
+                className="p-1 text-gray-400 hover:text-amber-600 transition-colors duration-200"
+                title="Redraw boundary"
+              >
+                <Hexagon className="h-4 w-4" />
+              </button>
+              {onDeleteParcel && (
+                <button
+                  onClick={() => handleDeleteParcel(selectedParcel)}
+                  className="p-1 text-gray-400 hover:text-red-600 transition-colors duration-200"
+                  title="Delete parcel"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              )}
+              <button
+                onClick={() => setSelectedParcelId(null)}
+                className="p-1 text-gray-400 hover:text-gray-600 transition-colors duration-200"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+
+          <h4 className="text-sm font-medium text-gray-700 mb-3">Chain of Title</h4>
+          <ChainOfTitle parcel={selectedParcel} documents={documents} links={links} onViewDocument={onViewDocument} />
+        </div>
+      )}
+
+      {/* Places waiting for a pin */}
+      {unplaced.length > 0 && (
+        <div className="bg-white rounded-lg shadow-card p-6 mt-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-1">Places to Pin ({unplaced.length})</h3>
+          <p className="text-sm text-gray-500 mb-4">These were found in your documents but could not be located automatically.</p>
+          <div className="divide-y divide-gray-100">
+            {unplaced.map(place => {
+              const doc = documents.find(d => d.documentId === place.documentId)
+              return (
+                <div key={place.placeId} className="flex items-center justify-between py-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{place.name}</p>
+                    {doc && <p className="text-xs text-gray-500 truncate">{doc.fileName}</p>}
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0 ml-4">
+                    <button
+                      onClick={() => {
+                        setDrawing(null)
+                        setPlacingId(place.placeId)
+                      }}
+                      disabled={!onUpdatePlace}
+                      className={`flex items-center space-x-1 px-3 py-1 rounded-lg text-sm transition-colors duration-200 ${
+                        placingId === place.placeId ? 'bg-purple-600 text-white' : 'bg-purple-50 text-purple-700 hover:bg-purple-100'
+                      }`}
+                    >
+                      <MapPin className="h-4 w-4" />
+                      <span>Place Pin</span>
+                    </button>
+                    {onDeletePlace && (
+                      <button
+                        onClick={() => onDeletePlace(place.placeId).catch(() => {})}
+                        className="p-1 text-gray-400 hover:text-gray-600 transition-colors duration-200"
+                        title="Not a place"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Legend */}
       <div className="bg-white rounded-lg shadow-card p-6 mt-6">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Map Legend</h3>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <div className="flex items-center space-x-3">
             <div className="w-4 h-4 bg-blue-500 rounded-full"></div>
-            <span className="text-sm text-gray-700">Historical Locations</span>
+            <span className="text-sm text-gray-700">Places</span>
           </div>
           <div className="flex items-center space-x-3">
             <div className="w-4 h-4 bg-green-500 rounded-full"></div>
@@ -183,7 +852,11 @@ const MapView = ({ documents, events }) => {
           </div>
           <div className="flex items-center space-x-3">
             <div className="w-4 h-4 bg-purple-500 rounded-full"></div>
-            <span className="text-sm text-gray-700">Property Records</span>
+            <span className="text-sm text-gray-700">Addresses</span>
+          </div>
+          <div className="flex items-center space-x-3">
+            <div className="w-4 h-4 bg-amber-500 bg-opacity-40 border-2 border-amber-600"></div>
+            <span className="text-sm text-gray-700">Property Parcels</span>
           </div>
         </div>
       </div>
@@ -191,4 +864,4 @@ const MapView = ({ documents, events }) => {
   )
 }
 
-export default MapView
\ No newline at end of file
+export default MapView
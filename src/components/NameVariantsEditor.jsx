@@ -0,0 +1,90 @@
+import React, { useState } from 'react'
+import { AlertCircle } from 'lucide-react'
+import { nameVariantService } from '../services/nameVariants'
+import { handleError, ERROR_TYPES, ERROR_SEVERITY } from '../utils/errorHandler'
+
+// One group per line, its spellings separated by commas
+const toText = (groups) => groups.map(group => group.join(', ')).join('\n')
+const toGroups = (text) => text.split('\n').map(line => line.split(',').map(spelling => spelling.trim()).filter(Boolean))
+
+const NameVariantsEditor = ({ onSaved, onClose }) => {
+  const [text, setText] = useState(() => toText(nameVariantService.getGroups()))
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = async (action) => {
+    setSaving(true)
+    setError(null)
+    try {
+      await action()
+      onSaved()
+      onClose()
+    } catch (err) {
+      setError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.MEDIUM, { action: 'saveNameVariants' }).message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">Name Variants</h2>
+          <p className="text-sm text-gray-600 mt-1">
+            Spellings that stand for the same name. With spelling variants on, searching any one of
+            a group finds the others.
+          </p>
+        </div>
+
+        <div className="p-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Groups</label>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 font-mono text-sm"
+            rows={16}
+            placeholder={'One group per line, e.g.\nSmith, Smyth, Schmidt\nO\'Brien, O\'Bryan'}
+          />
+          <p className="text-xs text-gray-500 mt-2">
+            Accents, apostrophes and capitals are ignored, so O&apos;Brien and obrien are the same spelling.
+          </p>
+
+          {error && (
+            <div className="mt-4 flex items-center p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex justify-between">
+          <button
+            onClick={() => run(() => nameVariantService.reset())}
+            disabled={saving}
+            className="px-4 py-2 text-purple-600 hover:text-purple-800 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Reset to defaults
+          </button>
+          <div className="flex space-x-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={() => run(() => nameVariantService.save(toGroups(text)))}
+              disabled={saving}
+              className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+              {saving ? 'Saving...' : 'Save Variants'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default NameVariantsEditor
@@ -0,0 +1,81 @@
+import React, { useState } from 'react'
+import { Bell, X } from 'lucide-react'
+import { NOTIFICATION_REASONS } from '../services/savedSearches'
+
+const REASON_LABELS = {
+  [NOTIFICATION_REASONS.UPLOADED]: 'New document',
+  [NOTIFICATION_REASONS.CORRECTED]: 'Corrected document'
+}
+
+/**
+ * The bell in the header: documents that newly match a saved search
+ */
+const NotificationMenu = ({ notifications, onOpen, onMarkAllRead, onDismiss }) => {
+  const [open, setOpen] = useState(false)
+  const unread = notifications.filter(notification => !notification.read).length
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(shown => !shown)}
+        className="relative p-2 text-gray-400 hover:text-gray-600 transition-colors duration-200"
+        title="Notifications"
+      >
+        <Bell size={18} />
+        {unread > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1rem] h-4 px-1 bg-purple-600 text-white rounded-full text-[10px] leading-4 text-center">
+            {unread > 9 ? '9+' : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+            {unread > 0 && (
+              <button onClick={onMarkAllRead} className="text-xs text-purple-600 hover:text-purple-800">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">
+              Save a search to hear when new documents match it.
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map(notification => (
+                <li key={notification.notificationId} className={`flex items-start px-4 py-3 ${notification.read ? '' : 'bg-purple-50'}`}>
+                  <button
+                    onClick={() => {
+                      setOpen(false)
+                      onOpen(notification)
+                    }}
+                    className="flex-1 min-w-0 text-left"
+                  >
+                    <p className="text-sm text-gray-900 truncate">{notification.fileName}</p>
+                    <p className="text-xs text-gray-600">
+                      {REASON_LABELS[notification.reason]} matching &ldquo;{notification.searchName}&rdquo;
+                    </p>
+                    <p className="text-xs text-gray-400">{new Date(notification.createdDate).toLocaleString()}</p>
+                  </button>
+                  <button
+                    onClick={() => onDismiss(notification)}
+                    className="p-1 ml-2 text-gray-400 hover:text-gray-600"
+                    title="Dismiss"
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationMenu
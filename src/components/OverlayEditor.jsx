@@ -0,0 +1,310 @@
+import React, { useState, useEffect } from 'react'
+import { MapContainer, TileLayer, Marker, useMap, useMapEvents } from 'react-leaflet'
+import L from 'leaflet'
+import { Crosshair, Trash2, X } from 'lucide-react'
+import HistoricalOverlays from './HistoricalOverlays'
+import { fitTransform, TRANSFORMATIONS, MIN_CONTROL_POINTS } from '../utils/georeference'
+
+const pointIcon = (number, active) => L.divIcon({
+  className: '',
+  html: `<span style="display:flex;align-items:center;justify-content:center;width:22px;height:22px;border-radius:9999px;border:2px solid white;box-shadow:0 1px 3px rgba(0,0,0,.4);font:600 11px sans-serif;color:white;background:${active ? '#eab308' : '#9333ea'}">${number}</span>`,
+  iconSize: [22, 22],
+  iconAnchor: [11, 11]
+})
+
+/**
+ * How far each control point lands from where it was placed, in metres on the ground.
+ * Fitted in Web Mercator metres, which are stretched by 1 / cos(latitude).
+ */
+const getResiduals = (controlPoints, transformation) => {
+  const placed = controlPoints.filter(point => point.position)
+  const fit = fitTransform(placed.map(point => {
+    const projected = L.CRS.EPSG3857.project(L.latLng(point.position))
+    return { from: point.image, to: [projected.x, projected.y] }
+  }), transformation)
+  if (!fit) return null
+
+  const scale = Math.cos((placed[0].position[0] * Math.PI) / 180)
+  return {
+    transformation: fit.transformation,
+    rmsError: fit.rmsError * scale,
+    byId: Object.fromEntries(placed.map((point, index) => [point.id, fit.residuals[index] * scale]))
+  }
+}
+
+/**
+ * Frame the editor map around the points placed so far, once, when it opens
+ */
+const FitToPoints = ({ positions }) => {
+  const map = useMap()
+
+  useEffect(() => {
+    if (positions.length === 1) map.setView(positions[0], 15)
+    else if (positions.length > 1) map.fitBounds(positions, { padding: [40, 40] })
+  }, [])
+
+  return null
+}
+
+const MapClick = ({ onClick }) => {
+  useMapEvents({
+    click: (e) => onClick([e.latlng.lat, e.latlng.lng])
+  })
+  return null
+}
+
+const OverlayEditor = ({ overlay, imageUrl, center, zoom, onSave, onClose }) => {
+  const [form, setForm] = useState({
+    name: overlay.name,
+    year: overlay.year ?? '',
+    transformation: overlay.transformation || TRANSFORMATIONS.AFFINE
+  })
+  const [controlPoints, setControlPoints] = useState(overlay.controlPoints || [])
+  const [activeId, setActiveId] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  const placed = controlPoints.filter(point => point.position)
+  const required = MIN_CONTROL_POINTS[form.transformation]
+  const residuals = getResiduals(controlPoints, form.transformation)
+  const preview = { ...overlay, controlPoints, transformation: form.transformation, opacity: 0.6 }
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  // A click on the scan starts a point; the next click on the map finishes it
+  const handleImageClick = (e) => {
+    const image = e.currentTarget
+    const id = `gcp_${Date.now()}`
+    setControlPoints(prev => [...prev, {
+      id,
+      image: [
+        (e.nativeEvent.offsetX / image.clientWidth) * overlay.imageWidth,
+        (e.nativeEvent.offsetY / image.clientHeight) * overlay.imageHeight
+      ],
+      position: null
+    }])
+    setActiveId(id)
+  }
+
+  const handleMapClick = (position) => {
+    if (!activeId) return
+    setControlPoints(prev => prev.map(point => point.id === activeId ? { ...point, position } : point))
+    setActiveId(null)
+  }
+
+  const handleMarkerMoved = (id, e) => {
+    const { lat, lng } = e.target.getLatLng()
+    setControlPoints(prev => prev.map(point => point.id === id ? { ...point, position: [lat, lng] } : point))
+  }
+
+  const handleRemove = (id) => {
+    setControlPoints(prev => prev.filter(point => point.id !== id))
+    if (activeId === id) setActiveId(null)
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      await onSave({
+        name: form.name.trim(),
+        year: form.year === '' ? null : Number(form.year),
+        transformation: form.transformation,
+        // Points never placed on the map are dropped
+        controlPoints: placed
+      })
+      onClose()
+    } catch {
+      // The document store reports the failure
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[1100]">
+      <div className="bg-white rounded-lg max-w-6xl w-full max-h-[95vh] flex flex-col">
+        <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">Georeference Historical Map</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              Click a landmark on the scan, then the same spot on the modern map. Street corners and
+              church steeples that still stand make good control points.
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-4 overflow-y-auto">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => update('name', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                placeholder="e.g., Sanborn Atlas, Sheet 12"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Map Year</label>
+              <input
+                type="number"
+                value={form.year}
+                onChange={(e) => update('year', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                placeholder="e.g., 1890"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Warp</label>
+              <select
+                value={form.transformation}
+                onChange={(e) => update('transformation', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              >
+                <option value={TRANSFORMATIONS.AFFINE}>Affine: shift, scale and rotate (3+ points)</option>
+                <option value={TRANSFORMATIONS.PROJECTIVE}>Projective: also corrects perspective (4+ points)</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            {/* Scan */}
+            <div className="border border-gray-200 rounded-lg overflow-auto h-[420px] bg-gray-50">
+              {imageUrl ? (
+                <div className="relative">
+                  <img
+                    src={imageUrl}
+                    alt={overlay.name}
+                    onClick={handleImageClick}
+                    className="w-full cursor-crosshair select-none"
+                    draggable={false}
+                  />
+                  {controlPoints.map((point, index) => (
+                    <span
+                      key={point.id}
+                      className={`absolute flex items-center justify-center w-5 h-5 -ml-2.5 -mt-2.5 rounded-full border-2 border-white text-[10px] font-semibold text-white shadow pointer-events-none ${
+                        point.id === activeId ? 'bg-yellow-500' : 'bg-purple-600'
+                      }`}
+                      style={{
+                        left: `${(point.image[0] / overlay.imageWidth) * 100}%`,
+                        top: `${(point.image[1] / overlay.imageHeight) * 100}%`
+                      }}
+                    >
+                      {index + 1}
+                    </span>
+                  ))}
+                </div>
+              ) : (
+                <div className="h-full flex items-center justify-center text-sm text-gray-500">Loading scan...</div>
+              )}
+            </div>
+
+            {/* Modern map */}
+            <div className={`border border-gray-200 rounded-lg overflow-hidden h-[420px] ${activeId ? 'cursor-crosshair' : ''}`}>
+              <MapContainer center={center} zoom={zoom} style={{ height: '100%', width: '100%' }}>
+                <TileLayer
+                  attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+                  url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                />
+                <HistoricalOverlays overlays={[preview]} imageUrls={{ [overlay.overlayId]: imageUrl }} />
+                <FitToPoints positions={placed.map(point => point.position)} />
+                <MapClick onClick={handleMapClick} />
+                {controlPoints.map((point, index) => point.position && (
+                  <Marker
+                    key={point.id}
+                    position={point.position}
+                    icon={pointIcon(index + 1, point.id === activeId)}
+                    draggable
+                    eventHandlers={{ dragend: (e) => handleMarkerMoved(point.id, e) }}
+                  />
+                ))}
+              </MapContainer>
+            </div>
+          </div>
+
+          {activeId && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              Now click the same spot on the modern map.
+            </div>
+          )}
+
+          {/* Control points */}
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-sm font-medium text-gray-700">Control Points ({placed.length})</h3>
+              <span className="text-xs text-gray-500">
+                {residuals
+                  ? `${residuals.transformation === TRANSFORMATIONS.PROJECTIVE ? 'Projective' : 'Affine'} fit, average error about ${Math.round(residuals.rmsError)} m`
+                  : `Place at least ${required} points to warp the scan`}
+              </span>
+            </div>
+            {controlPoints.length === 0 ? (
+              <p className="text-sm text-gray-500">No control points yet.</p>
+            ) : (
+              <div className="divide-y divide-gray-100">
+                {controlPoints.map((point, index) => (
+                  <div key={point.id} className="flex items-center justify-between py-2 text-sm">
+                    <div className="flex items-center space-x-3">
+                      <span className="w-5 text-center font-semibold text-purple-700">{index + 1}</span>
+                      <span className="text-gray-600">
+                        Scan {Math.round(point.image[0])}, {Math.round(point.image[1])}
+                      </span>
+                      <span className="text-gray-400">→</span>
+                      <span className="text-gray-600">
+                        {point.position
+                          ? `${point.position[0].toFixed(5)}, ${point.position[1].toFixed(5)}`
+                          : 'Not on the map yet'}
+                      </span>
+                      {residuals?.byId[point.id] !== undefined && (
+                        <span className={`text-xs ${residuals.byId[point.id] > residuals.rmsError * 2 ? 'text-red-600' : 'text-gray-400'}`}>
+                          off by {Math.round(residuals.byId[point.id])} m
+                        </span>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() => setActiveId(point.id)}
+                        className="p-1 text-gray-400 hover:text-purple-600 transition-colors duration-200"
+                        title="Place on the map again"
+                      >
+                        <Crosshair className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleRemove(point.id)}
+                        className="p-1 text-gray-400 hover:text-red-600 transition-colors duration-200"
+                        title="Remove point"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!form.name.trim() || saving}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            {saving ? 'Saving...' : 'Save Overlay'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OverlayEditor
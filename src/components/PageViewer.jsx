@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { ChevronLeft, ChevronRight, FileText, PenLine, Save, X, AlertTriangle, Loader } from 'lucide-react'
+import SearchInput from './SearchInput'
+import { apiService } from '../services/api'
+import { foldText } from '../utils/phonetics'
+
+// Words recognised below this confidence are flagged for review
+const CONFIDENCE_THRESHOLD = parseFloat(import.meta.env.VITE_OCR_CONFIDENCE_THRESHOLD) || 0.7
+
+/**
+ * Documents saved before page splitting have a single block of text and, at most, one image
+ */
+const getPages = (document) => {
+  if (document.pages?.length) return document.pages
+
+  const isImage = document.metadata?.fileType?.startsWith('image/')
+  return [{
+    pageNumber: 1,
+    fileId: isImage ? document.fileId : null,
+    fileUrl: isImage ? document.fileUrl : null,
+    text: document.ocrText,
+    confidence: document.ocrConfidence
+  }]
+}
+
+// Folded as search folds it, so "Muller" finds "Müller" and "OBrien" finds "O'Brien"
+const normalize = (text) => foldText(text).replace(/[^\p{L}\p{N}\s]/gu, '')
+
+const getTerms = (query) => normalize(query).split(/\s+/).filter(term => term.length > 1)
+
+const isHit = (text, terms) => {
+  const normalized = normalize(text)
+  return terms.some(term => normalized.includes(term))
+}
+
+/**
+ * Plain-text fallback for pages without word geometry; like the word boxes, whole words are marked
+ */
+const highlightText = (text, terms) => {
+  if (!text || terms.length === 0) return text
+
+  return text.split(/(\s+)/).map((part, index) =>
+    index % 2 === 0 && isHit(part, terms) ? <mark key={index} className="bg-yellow-200">{part}</mark> : part
+  )
+}
+
+/**
+ * Group words into their OCR lines, keeping each word's index into page.words
+ */
+const groupLines = (words) => words
+  .reduce((lines, word, index) => {
+    (lines[word.line] = lines[word.line] || []).push({ ...word, index })
+    return lines
+  }, [])
+  .filter(Boolean)
+
+const isFlagged = (word) => typeof word.confidence === 'number' && word.confidence < CONFIDENCE_THRESHOLD
+
+const PageViewer = ({ document, searchQuery = '', onSaveText }) => {
+  const pages = getPages(document)
+  const [pageIndex, setPageIndex] = useState(0)
+  const [imageUrl, setImageUrl] = useState(null)
+  const [findQuery, setFindQuery] = useState(searchQuery)
+  const [selectedWord, setSelectedWord] = useState(null)
+  const [scale, setScale] = useState(0)
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState('')
+  const [saving, setSaving] = useState(false)
+  const imageRef = useRef(null)
+  const overlayRef = useRef(null)
+  const transcriptionRef = useRef(null)
+
+  const page = pages[Math.min(pageIndex, pages.length - 1)]
+  const words = page.words || []
+  const terms = getTerms(findQuery)
+  // Once a page has been corrected its OCR words are superseded and no longer need review
+  const flaggedWords = page.corrected ? [] : words
+    .map((word, index) => ({ ...word, index }))
+    .filter(isFlagged)
+
+  // Open on the first page that matches the search the user came from
+  useEffect(() => {
+    const searchTerms = getTerms(searchQuery)
+    const firstHit = searchTerms.length ? pages.findIndex(p => isHit(p.text, searchTerms)) : -1
+    setFindQuery(searchQuery)
+    setPageIndex(Math.max(firstHit, 0))
+  }, [document.documentId, searchQuery])
+
+  useEffect(() => {
+    setSelectedWord(null)
+    setEditing(false)
+  }, [document.documentId, pageIndex])
+
+  useEffect(() => {
+    let cancelled = false
+    let objectUrl = null
+    setImageUrl(null)
+    setScale(0)
+
+    if (page.fileId || page.fileUrl) {
+      apiService.resolveFileUrl(page).then(url => {
+        if (url?.startsWith('blob:')) objectUrl = url
+        if (!cancelled) setImageUrl(url)
+      }).catch(() => {})
+    }
+
+    return () => {
+      cancelled = true
+      if (objectUrl) URL.revokeObjectURL(objectUrl)
+    }
+  }, [page.fileId, page.fileUrl])
+
+  // Word boxes are in source image pixels; keep them aligned as the image is resized
+  useEffect(() => {
+    const image = imageRef.current
+    if (!image || !imageUrl) return
+
+    const updateScale = () => {
+      if (image.naturalWidth) setScale(image.clientWidth / image.naturalWidth)
+    }
+    const observer = new ResizeObserver(updateScale)
+    observer.observe(image)
+    return () => observer.disconnect()
+  }, [imageUrl])
+
+  const selectWord = (index, source) => {
+    setSelectedWord(index)
+
+    // Bring the matching word into view on the other side
+    const target = source === 'image' ? transcriptionRef.current : overlayRef.current
+    target?.querySelector(`[data-word="${index}"]`)?.scrollIntoView({ block: 'nearest', inline: 'nearest' })
+  }
+
+  const wordClass = (index, word, surface) => {
+    if (index === selectedWord) return 'bg-purple-300/40 ring-2 ring-purple-500'
+    if (isHit(word.text, terms)) return 'bg-yellow-300/50'
+    if (!page.corrected && isFlagged(word)) {
+      return surface === 'image'
+        ? 'ring-1 ring-orange-400 hover:bg-orange-200/40'
+        : 'underline decoration-wavy decoration-orange-500 hover:bg-orange-100'
+    }
+    return 'hover:bg-purple-200/40'
+  }
+
+  const startEditing = () => {
+    setDraft(page.text || '')
+    setEditing(true)
+  }
+
+  const saveDraft = async () => {
+    setSaving(true)
+    try {
+      await onSaveText(Math.min(pageIndex, pages.length - 1), draft)
+      setEditing(false)
+    } catch {
+      // The document store reports the failure; keep the draft so nothing is lost
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+        <h2 className="text-xl font-semibold text-gray-900">Document Content</h2>
+        <div className="flex items-center space-x-4">
+          <SearchInput
+            value={findQuery}
+            onChange={setFindQuery}
+            placeholder="Find on page..."
+            className="w-48"
+          />
+          {pages.length > 1 && (
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setPageIndex(index => Math.max(index - 1, 0))}
+                disabled={pageIndex === 0}
+                className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-5 w-5" />
+              </button>
+              <span className="text-sm text-gray-600 whitespace-nowrap">
+                Page {page.pageNumber} of {pages.length}
+              </span>
+              <button
+                onClick={() => setPageIndex(index => Math.min(index + 1, pages.length - 1))}
+                disabled={pageIndex >= pages.length - 1}
+                className="p-1 rounded text-gray-600 hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                <ChevronRight className="h-5 w-5" />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Page Image with selectable text layer */}
+        <div className="bg-gray-100 rounded-lg min-h-96 max-h-[40rem] overflow-auto flex items-start justify-center">
+          {imageUrl ? (
+            <div className="relative">
+              <img
+                ref={imageRef}
+                src={imageUrl}
+                alt={`${document.fileName}, page ${page.pageNumber}`}
+                onLoad={(e) => setScale(e.target.clientWidth / e.target.naturalWidth)}
+                className="block max-w-full"
+              />
+              {scale > 0 && words.length > 0 && (
+                <div ref={overlayRef} className="absolute inset-0">
+                  {words.map((word, index) => (
+                    <span
+                      key={index}
+                      data-word={index}
+                      onClick={() => selectWord(index, 'image')}
+                      className={`absolute cursor-pointer text-transparent whitespace-pre leading-none overflow-hidden selection:bg-blue-400/40 ${wordClass(index, word, 'image')}`}
+                      style={{
+                        left: word.bbox.x * scale,
+                        top: word.bbox.y * scale,
+                        width: word.bbox.width * scale,
+                        height: word.bbox.height * scale,
+                        fontSize: word.bbox.height * scale * 0.85
+                      }}
+                    >
+                      {`${word.text} `}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="self-center text-center text-gray-500">
+              <FileText className="h-12 w-12 mx-auto mb-2" />
+              <p>No scan available for this page</p>
+            </div>
+          )}
+        </div>
+
+        {/* Page Text */}
+        <div>
+          <div className="flex items-center justify-between mb-2 min-h-8">
+            <div className="flex items-center space-x-3 text-xs text-gray-500">
+              {typeof page.confidence === 'number' && (
+                <span>OCR confidence: {Math.round(page.confidence * 100)}%</span>
+              )}
+              {page.corrected && <span className="text-green-700">Corrected</span>}
+              {flaggedWords.length > 0 && (
+                <span className="flex items-center text-orange-600">
+                  <AlertTriangle className="h-3 w-3 mr-1" />
+                  {flaggedWords.length} word{flaggedWords.length === 1 ? '' : 's'} to review
+                </span>
+              )}
+            </div>
+            {onSaveText && !editing && (
+              <button
+                onClick={startEditing}
+                className="flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800"
+              >
+                <PenLine className="h-4 w-4" />
+                <span>Edit</span>
+              </button>
+            )}
+          </div>
+
+          {editing ? (
+            <div className="space-y-3">
+              {flaggedWords.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {flaggedWords.map(word => (
+                    <button
+                      key={word.index}
+                      onClick={() => selectWord(word.index, 'text')}
+                      className={`px-2 py-0.5 rounded text-xs border ${
+                        word.index === selectedWord
+                          ? 'border-purple-500 bg-purple-50 text-purple-700'
+                          : 'border-orange-300 bg-orange-50 text-orange-800 hover:bg-orange-100'
+                      }`}
+                    >
+                      {word.text} ({Math.round(word.confidence * 100)}%)
+                    </button>
+                  ))}
+                </div>
+              )}
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                rows={20}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm leading-relaxed focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              />
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={() => setEditing(false)}
+                  disabled={saving}
+                  className="flex items-center space-x-1 px-3 py-1.5 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+                >
+                  <X className="h-4 w-4" />
+                  <span>Cancel</span>
+                </button>
+                <button
+                  onClick={saveDraft}
+                  disabled={saving || draft === (page.text || '')}
+                  className="flex items-center space-x-1 px-3 py-1.5 text-sm bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                >
+                  {saving ? <Loader className="h-4 w-4 animate-spin" /> : <Save className="h-4 w-4" />}
+                  <span>Save Correction</span>
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div
+              ref={transcriptionRef}
+              className="bg-gray-50 rounded-lg p-4 font-mono text-sm leading-relaxed whitespace-pre-wrap max-h-[40rem] overflow-y-auto"
+            >
+              {words.length > 0 && !page.corrected ? (
+                groupLines(words).map((line, lineIndex) => (
+                  <div key={lineIndex}>
+                    {line.map(word => (
+                      <React.Fragment key={word.index}>
+                        <span
+                          data-word={word.index}
+                          onClick={() => selectWord(word.index, 'text')}
+                          className={`cursor-pointer rounded ${wordClass(word.index, word, 'text')}`}
+                        >
+                          {word.text}
+                        </span>
+                        {' '}
+                      </React.Fragment>
+                    ))}
+                  </div>
+                ))
+              ) : (
+                highlightText(page.text, terms) || <span className="text-gray-400">No text recognised on this page</span>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PageViewer
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from 'react'
+import { getDeed, describeLot, matchesParcel } from '../utils/deeds'
+
+/**
+ * Modal for naming a parcel and choosing its deeds.
+ * Deeds whose lot and block match the parcel are listed first.
+ */
+const ParcelForm = ({ parcel, documents, title, onSave, onClose }) => {
+  const [form, setForm] = useState({
+    name: parcel.name || '',
+    lot: parcel.lot || '',
+    block: parcel.block || '',
+    description: parcel.description || '',
+    documentIds: parcel.documentIds || []
+  })
+  const [saving, setSaving] = useState(false)
+
+  const deeds = useMemo(
+    () => documents
+      .map(document => ({ document, deed: getDeed(document) }))
+      .filter(({ deed }) => deed),
+    [documents]
+  )
+  const sortedDeeds = [...deeds].sort((a, b) =>
+    Number(matchesParcel(form, b.deed)) - Number(matchesParcel(form, a.deed)) ||
+    (a.deed.date?.iso || '').localeCompare(b.deed.date?.iso || ''))
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  // The first deed chosen fills in a parcel that has no description yet
+  const toggleDeed = (documentId, deed) => {
+    setForm(prev => {
+      const selected = prev.documentIds.includes(documentId)
+      const next = {
+        ...prev,
+        documentIds: selected ? prev.documentIds.filter(id => id !== documentId) : [...prev.documentIds, documentId]
+      }
+      if (!selected && !prev.lot && !prev.block && !prev.name) {
+        next.lot = deed.lot || ''
+        next.block = deed.block || ''
+        next.name = deed.property || describeLot(deed)
+        next.description = deed.property || ''
+      }
+      return next
+    })
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      await onSave({
+        name: form.name.trim(),
+        lot: form.lot.trim() || null,
+        block: form.block.trim() || null,
+        description: form.description.trim(),
+        documentIds: form.documentIds
+      })
+      onClose()
+    } catch {
+      // The document store reports the failure
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[1100]">
+      <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">{title}</h2>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => update('name', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              placeholder="e.g., Smith homestead, Main Street"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Lot</label>
+              <input
+                type="text"
+                value={form.lot}
+                onChange={(e) => update('lot', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                placeholder="e.g., 15"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Block</label>
+              <input
+                type="text"
+                value={form.block}
+                onChange={(e) => update('block', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                placeholder="e.g., 3"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Legal Description</label>
+            <textarea
+              value={form.description}
+              onChange={(e) => update('description', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              rows={2}
+              placeholder="As written in the deed"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Deeds ({form.documentIds.length} selected)</label>
+            {sortedDeeds.length === 0 ? (
+              <p className="text-sm text-gray-500">No deeds found in your documents yet.</p>
+            ) : (
+              <div className="max-h-56 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+                {sortedDeeds.map(({ document, deed }) => (
+                  <label key={document.documentId} className="flex items-start space-x-3 p-3 cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={form.documentIds.includes(document.documentId)}
+                      onChange={() => toggleDeed(document.documentId, deed)}
+                      className="h-4 w-4 mt-0.5 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+                    />
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{document.fileName}</p>
+                      <p className="text-xs text-gray-500">
+                        {[deed.date?.text, describeLot(deed), deed.grantees.length && `to ${deed.grantees.join(', ')}`].filter(Boolean).join(' · ')}
+                      </p>
+                      {matchesParcel(form, deed) && (
+                        <span className="text-xs text-amber-700">Same lot and block</span>
+                      )}
+                    </div>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!form.name.trim() || saving}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            {saving ? 'Saving...' : 'Save Parcel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ParcelForm
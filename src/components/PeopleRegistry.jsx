@@ -0,0 +1,130 @@
+import React, { useState } from 'react'
+import { Plus, Users, Search, FileText, Loader } from 'lucide-react'
+import SearchInput from './SearchInput'
+import PersonForm from './PersonForm'
+import { formatLifespan, matchesName, sortByYear } from '../utils/people'
+
+const PeopleRegistry = ({ people, loading = false, onAddPerson, onViewPerson }) => {
+  const [searchQuery, setSearchQuery] = useState('')
+  const [showPersonForm, setShowPersonForm] = useState(false)
+
+  const filteredPeople = people
+    .filter(person => !searchQuery || matchesName(person, searchQuery))
+    .sort((a, b) => a.name.localeCompare(b.name))
+
+  const handleAddPerson = async (details) => {
+    const saved = await onAddPerson({
+      residences: [],
+      occupations: [],
+      citations: [],
+      ...details,
+      createdDate: new Date().toISOString()
+    })
+    onViewPerson(saved)
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-8">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">People</h1>
+          <p className="text-gray-600">
+            Everyone identified in your documents, with every record they appear in
+          </p>
+        </div>
+
+        <button
+          onClick={() => setShowPersonForm(true)}
+          className="mt-4 md:mt-0 flex items-center space-x-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors duration-200"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Person</span>
+        </button>
+      </div>
+
+      {/* Search */}
+      <div className="bg-white rounded-lg p-6 shadow-card mb-8">
+        <SearchInput
+          value={searchQuery}
+          onChange={setSearchQuery}
+          placeholder="Search people by name or variant..."
+        />
+      </div>
+
+      {/* People List */}
+      <div className="bg-white rounded-lg shadow-card">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">
+            People ({filteredPeople.length})
+          </h2>
+        </div>
+
+        {loading && people.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <Loader className="h-8 w-8 mx-auto mb-4 text-purple-600 animate-spin" />
+            <p>Loading the registry...</p>
+          </div>
+        ) : filteredPeople.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            {people.length === 0 ? (
+              <div>
+                <Users className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+                <p className="text-lg font-medium mb-2">No people yet</p>
+                <p>Add people from the Document Info panel of any document, or create them here.</p>
+              </div>
+            ) : (
+              <div>
+                <Search className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+                <p className="text-lg font-medium mb-2">No people found</p>
+                <p>Try a different spelling or name variant.</p>
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 p-6">
+            {filteredPeople.map(person => {
+              const occupations = [...new Set(sortByYear(person.occupations).map(o => o.name))]
+              const appearances = new Set((person.citations || []).map(c => c.documentId)).size
+
+              return (
+                <div
+                  key={person.personId}
+                  onClick={() => onViewPerson(person)}
+                  className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow duration-200 cursor-pointer"
+                >
+                  <h3 className="font-medium text-gray-900 truncate">{person.name}</h3>
+                  <p className="text-sm text-gray-600 mb-2">{formatLifespan(person)}</p>
+
+                  {person.nameVariants?.length > 0 && (
+                    <p className="text-xs text-gray-500 truncate mb-1">
+                      Also: {person.nameVariants.join(', ')}
+                    </p>
+                  )}
+                  {occupations.length > 0 && (
+                    <p className="text-xs text-gray-500 truncate mb-1">{occupations.join(', ')}</p>
+                  )}
+
+                  <div className="flex items-center text-xs text-gray-500 mt-3">
+                    <FileText className="h-3 w-3 mr-1" />
+                    {appearances} document{appearances === 1 ? '' : 's'}
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+
+      {showPersonForm && (
+        <PersonForm
+          title="Add Person"
+          onSave={handleAddPerson}
+          onClose={() => setShowPersonForm(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default PeopleRegistry
@@ -0,0 +1,302 @@
+import React, { useState } from 'react'
+import { ArrowLeft, PenLine, Trash2, FileText, Calendar, Home, Briefcase, X, Plus } from 'lucide-react'
+import PersonForm from './PersonForm'
+import { estimateBirth, estimateDeath, formatLifespan, removeCitation, sortByYear } from '../utils/people'
+import { compareEvents, formatEventDate } from '../utils/historicalDate'
+
+const getLine = (text, line) => (line === null || line === undefined ? '' : (text || '').split(/\r?\n/)[line] || '')
+
+/**
+ * The cited line with the quoted name highlighted
+ */
+const QuotedLine = ({ document, citation }) => {
+  const line = getLine(document?.ocrText, citation.line)
+  const at = line.indexOf(citation.quote)
+  if (!line || at === -1) return <span>{citation.quote}</span>
+
+  return (
+    <span>
+      {line.slice(0, at)}
+      <mark className="bg-yellow-200">{citation.quote}</mark>
+      {line.slice(at + citation.quote.length)}
+    </span>
+  )
+}
+
+const PersonDetail = ({ person, documents, events, onUpdatePerson, onDeletePerson, onUpdateEvent, onViewDocument, onBack }) => {
+  const [showPersonForm, setShowPersonForm] = useState(false)
+  const [eventToAttach, setEventToAttach] = useState('')
+
+  if (!person) return null
+
+  const citations = [...(person.citations || [])].sort((a, b) => (a.recordYear ?? Infinity) - (b.recordYear ?? Infinity))
+  const birth = estimateBirth(person)
+  const death = estimateDeath(person)
+  const personEvents = events
+    .filter(event => event.personIds?.includes(person.personId))
+    .sort(compareEvents)
+  const otherEvents = events.filter(event => !event.personIds?.includes(person.personId))
+
+  const attachEvent = () => {
+    const event = events.find(e => e.eventId === eventToAttach)
+    if (!event) return
+    onUpdateEvent(event.eventId, { personIds: [...(event.personIds || []), person.personId] }).catch(() => {})
+    setEventToAttach('')
+  }
+
+  const detachEvent = (event) => {
+    onUpdateEvent(event.eventId, { personIds: event.personIds.filter(id => id !== person.personId) }).catch(() => {})
+  }
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete ${person.name} from the registry? Documents are not affected.`)) return
+    try {
+      await onDeletePerson(person.personId)
+      onBack()
+    } catch {
+      // The document store reports the failure
+    }
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <button
+          onClick={onBack}
+          className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 mb-4 transition-colors duration-200"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          <span>Back to People</span>
+        </button>
+
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">{person.name}</h1>
+            <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600">
+              <span>{formatLifespan(person)}</span>
+              <span>{citations.length} appearance{citations.length === 1 ? '' : 's'}</span>
+            </div>
+          </div>
+
+          <div className="mt-4 md:mt-0 flex items-center space-x-2">
+            <button
+              onClick={() => setShowPersonForm(true)}
+              className="flex items-center space-x-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors duration-200"
+            >
+              <PenLine className="h-4 w-4" />
+              <span>Edit</span>
+            </button>
+            <button
+              onClick={handleDelete}
+              className="p-2 text-gray-400 hover:text-red-600 transition-colors duration-200"
+              title="Delete person"
+            >
+              <Trash2 className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        {/* Appearances */}
+        <div className="lg:col-span-2">
+          <div className="bg-white rounded-lg shadow-card p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+              <FileText className="h-5 w-5 mr-2" />
+              Appearances
+            </h2>
+
+            {citations.length === 0 ? (
+              <p className="text-gray-500 text-sm">
+                No appearances yet. Open a document and add this person from its Document Info panel.
+              </p>
+            ) : (
+              <div className="space-y-4">
+                {citations.map(citation => {
+                  const document = documents.find(doc => doc.documentId === citation.documentId)
+                  const details = [
+                    citation.role,
+                    citation.age !== null && `age ${citation.age}`,
+                    citation.occupation,
+                    citation.origin && `from ${citation.origin}`,
+                    citation.address
+                  ].filter(Boolean)
+
+                  return (
+                    <div key={citation.citationId} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex items-start justify-between mb-2">
+                        <button
+                          onClick={() => document && onViewDocument(document, citation.quote)}
+                          disabled={!document}
+                          className="text-left font-medium text-purple-700 hover:text-purple-900 disabled:text-gray-500 disabled:cursor-default"
+                        >
+                          {document ? document.fileName : 'Document no longer available'}
+                        </button>
+                        <div className="flex items-center space-x-2 flex-shrink-0">
+                          {citation.recordYear && (
+                            <span className="text-sm text-gray-500">{citation.recordYear}</span>
+                          )}
+                          <button
+                            onClick={() => onUpdatePerson(person.personId, removeCitation(person, citation.citationId)).catch(() => {})}
+                            className="p-1 text-gray-400 hover:text-gray-600 transition-colors duration-200"
+                            title="Remove this appearance"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </div>
+
+                      <p className="bg-gray-50 rounded p-2 font-mono text-sm text-gray-700 whitespace-pre-wrap">
+                        <QuotedLine document={document} citation={citation} />
+                      </p>
+
+                      {details.length > 0 && (
+                        <p className="text-xs text-gray-500 mt-2">{details.join(' · ')}</p>
+                      )}
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Sidebar */}
+        <div className="space-y-6">
+          {/* Life */}
+          <div className="bg-white rounded-lg shadow-card p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Life</h3>
+            <div className="space-y-3 text-sm">
+              <div>
+                <span className="text-gray-600">Born: </span>
+                <span className="font-medium">
+                  {!birth ? 'Unknown'
+                    : !birth.estimated ? birth.year
+                      : birth.earliest === birth.latest ? `c. ${birth.year}`
+                        : `${birth.earliest}–${birth.latest} (from recorded ages)`}
+                </span>
+              </div>
+              <div>
+                <span className="text-gray-600">Died: </span>
+                <span className="font-medium">
+                  {!death ? 'Unknown'
+                    : death.year ? `${death.estimated ? 'c. ' : ''}${death.year}`
+                      : `Unknown, alive in ${death.after}`}
+                </span>
+              </div>
+              {person.nameVariants?.length > 0 && (
+                <div>
+                  <span className="text-gray-600">Also recorded as: </span>
+                  <span className="font-medium">{person.nameVariants.join(', ')}</span>
+                </div>
+              )}
+              {person.notes && <p className="text-gray-700 whitespace-pre-wrap">{person.notes}</p>}
+            </div>
+          </div>
+
+          {/* Residences */}
+          <div className="bg-white rounded-lg shadow-card p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Home className="h-5 w-5 mr-2" />
+              Residences
+            </h3>
+            {person.residences?.length ? (
+              <ul className="space-y-2">
+                {sortByYear(person.residences).map((residence, index) => (
+                  <li key={index} className="flex justify-between text-sm">
+                    <span className="text-gray-900">{residence.address}</span>
+                    <span className="text-gray-500 ml-2">{residence.year || '—'}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-500 text-sm">No residences recorded.</p>
+            )}
+          </div>
+
+          {/* Occupations */}
+          <div className="bg-white rounded-lg shadow-card p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Briefcase className="h-5 w-5 mr-2" />
+              Occupations
+            </h3>
+            {person.occupations?.length ? (
+              <ul className="space-y-2">
+                {sortByYear(person.occupations).map((occupation, index) => (
+                  <li key={index} className="flex justify-between text-sm">
+                    <span className="text-gray-900">{occupation.name}</span>
+                    <span className="text-gray-500 ml-2">{occupation.year || '—'}</span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-500 text-sm">No occupations recorded.</p>
+            )}
+          </div>
+
+          {/* Timeline Events */}
+          <div className="bg-white rounded-lg shadow-card p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Calendar className="h-5 w-5 mr-2" />
+              Events ({personEvents.length})
+            </h3>
+            {personEvents.length === 0 ? (
+              <p className="text-gray-500 text-sm mb-4">Not part of any timeline events yet.</p>
+            ) : (
+              <ul className="space-y-2 mb-4">
+                {personEvents.map(event => (
+                  <li key={event.eventId} className="flex items-center justify-between text-sm">
+                    <div className="min-w-0">
+                      <p className="text-gray-900 truncate">{event.title}</p>
+                      <p className="text-xs text-gray-500">{formatEventDate(event)}</p>
+                    </div>
+                    <button
+                      onClick={() => detachEvent(event)}
+                      className="p-1 text-gray-400 hover:text-gray-600 transition-colors duration-200"
+                      title="Remove from event"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {otherEvents.length > 0 && (
+              <div className="flex items-center space-x-2">
+                <select
+                  value={eventToAttach}
+                  onChange={(e) => setEventToAttach(e.target.value)}
+                  className="flex-1 min-w-0 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                >
+                  <option value="">Attach to event...</option>
+                  {otherEvents.map(event => (
+                    <option key={event.eventId} value={event.eventId}>{event.title}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={attachEvent}
+                  disabled={!eventToAttach}
+                  className="p-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+                >
+                  <Plus className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {showPersonForm && (
+        <PersonForm
+          person={person}
+          title={`Edit ${person.name}`}
+          onSave={(updates) => onUpdatePerson(person.personId, updates)}
+          onClose={() => setShowPersonForm(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default PersonDetail
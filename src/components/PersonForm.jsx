@@ -0,0 +1,146 @@
+import React, { useState } from 'react'
+
+const toYear = (value) => {
+  const year = parseInt(value, 10)
+  return Number.isFinite(year) ? year : null
+}
+
+const toLifeEvent = (year, estimated) => (toYear(year) ? { year: toYear(year), estimated } : null)
+
+const PersonForm = ({ person, title, onSave, onClose }) => {
+  const [form, setForm] = useState({
+    name: person?.name || '',
+    nameVariants: (person?.nameVariants || []).join('\n'),
+    birthYear: person?.birth?.year || '',
+    birthEstimated: Boolean(person?.birth?.estimated),
+    deathYear: person?.death?.year || '',
+    deathEstimated: Boolean(person?.death?.estimated),
+    notes: person?.notes || ''
+  })
+  const [saving, setSaving] = useState(false)
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      await onSave({
+        name: form.name.trim(),
+        nameVariants: form.nameVariants.split('\n').map(name => name.trim()).filter(Boolean),
+        birth: toLifeEvent(form.birthYear, form.birthEstimated),
+        death: toLifeEvent(form.deathYear, form.deathEstimated),
+        notes: form.notes,
+        updatedDate: new Date().toISOString()
+      })
+      onClose()
+    } catch {
+      // The document store reports the failure; keep the form open
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-lg w-full max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200">
+          <h2 className="text-xl font-semibold text-gray-900">{title}</h2>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => update('name', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              placeholder="e.g., John Smith"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name Variants</label>
+            <textarea
+              value={form.nameVariants}
+              onChange={(e) => update('nameVariants', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              rows={3}
+              placeholder={'One per line, e.g.\nJohann Schmidt\nJ. Smith'}
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Birth Year</label>
+              <input
+                type="number"
+                value={form.birthYear}
+                onChange={(e) => update('birthYear', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                placeholder="Estimated from records"
+              />
+              <label className="flex items-center mt-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={form.birthEstimated}
+                  onChange={(e) => update('birthEstimated', e.target.checked)}
+                  className="h-4 w-4 mr-2 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+                />
+                Approximate
+              </label>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Death Year</label>
+              <input
+                type="number"
+                value={form.deathYear}
+                onChange={(e) => update('deathYear', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                placeholder="Unknown"
+              />
+              <label className="flex items-center mt-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={form.deathEstimated}
+                  onChange={(e) => update('deathEstimated', e.target.checked)}
+                  className="h-4 w-4 mr-2 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+                />
+                Approximate
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Notes</label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => update('notes', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              rows={3}
+              placeholder="Research notes, open questions..."
+            />
+          </div>
+        </div>
+
+        <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors duration-200"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!form.name.trim() || saving}
+            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+          >
+            {saving ? 'Saving...' : 'Save Person'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PersonForm
@@ -0,0 +1,315 @@
+import React, { useMemo, useState } from 'react'
+import { Network, Filter, Milestone, ZoomIn, ZoomOut, Maximize } from 'lucide-react'
+import { buildGraph, findShortestPath, NODE_TYPES, EDGE_TYPES } from '../utils/graph'
+import { runForceLayout } from '../utils/forceLayout'
+
+const WIDTH = 900
+const HEIGHT = 600
+
+// Link types as offered in the DocumentViewer link modal
+const LINK_TYPES = {
+  reference: { label: 'Reference', color: '#7c3aed' },
+  related: { label: 'Related Event', color: '#2563eb' },
+  person: { label: 'Same Person', color: '#16a34a' },
+  location: { label: 'Same Location', color: '#ea580c' },
+  continuation: { label: 'Document Series', color: '#db2777' }
+}
+
+const UNLINKED_COLOR = '#9ca3af'
+const EVENT_COLOR = '#f59e0b'
+const PERSON_COLOR = '#0d9488'
+const PATH_COLOR = '#dc2626'
+
+// Labels stay readable up to this many nodes; beyond it they show on hover
+const MAX_LABELLED_NODES = 40
+
+const EMPTY_FILTERS = { theme: '', source: '', yearFrom: '', yearTo: '' }
+
+const edgeColor = (edge) => (edge.type === EDGE_TYPES.LINK
+  ? LINK_TYPES[edge.linkType]?.color || UNLINKED_COLOR
+  : '#d1d5db')
+
+const truncate = (text, length = 24) => (text.length > length ? `${text.slice(0, length - 1)}…` : text)
+
+const RelationshipGraph = ({ documents, events, links, people = [], onViewDocument, onViewPerson }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [pathFrom, setPathFrom] = useState('')
+  const [pathTo, setPathTo] = useState('')
+  const [path, setPath] = useState(undefined)
+  const [hoveredId, setHoveredId] = useState(null)
+  const [zoom, setZoom] = useState(1)
+
+  const themes = [...new Set(events.map(event => event.themeTag).filter(Boolean))].sort()
+  const sources = [...new Set(documents.map(doc => doc.metadata?.source || 'Unknown'))].sort()
+
+  const graph = useMemo(
+    () => buildGraph({ documents, events, links, people }, filters),
+    [documents, events, links, people, filters]
+  )
+  const positions = useMemo(
+    () => runForceLayout(graph.nodes, graph.edges, {
+      width: WIDTH,
+      height: HEIGHT,
+      // Repulsion is quadratic in the number of nodes; large collections settle in fewer steps
+      iterations: graph.nodes.length > 200 ? 100 : 300
+    }),
+    [graph]
+  )
+
+  const documentNodes = graph.nodes.filter(node => node.type === NODE_TYPES.DOCUMENT)
+  const degree = (id) => graph.edges.filter(edge => edge.source === id || edge.target === id).length
+  const pathNodes = new Set(path?.nodeIds || [])
+  const pathEdges = new Set(path?.edgeIds || [])
+  const neighbours = new Set(hoveredId
+    ? graph.edges.filter(edge => edge.source === hoveredId || edge.target === hoveredId).flatMap(edge => [edge.source, edge.target])
+    : [])
+  const nodeById = new Map(graph.nodes.map(node => [node.id, node]))
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }))
+    setPath(undefined)
+  }
+
+  const handleFindPath = () => setPath(findShortestPath(graph, pathFrom, pathTo))
+
+  const handleNodeClick = (node) => {
+    if (node.type === NODE_TYPES.DOCUMENT) onViewDocument(node.record)
+    else if (node.type === NODE_TYPES.PERSON && onViewPerson) onViewPerson(node.record)
+  }
+
+  const nodeColor = (node) => (node.type === NODE_TYPES.EVENT ? EVENT_COLOR
+    : node.type === NODE_TYPES.PERSON ? PERSON_COLOR
+      : LINK_TYPES[node.linkType]?.color || UNLINKED_COLOR)
+
+  const isDimmed = (id) => (hoveredId && !neighbours.has(id) && id !== hoveredId) || (path && !pathNodes.has(id))
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Relationship Graph</h1>
+        <p className="text-gray-600">
+          See how your documents, events and people connect
+        </p>
+      </div>
+
+      {/* Filters and Path Finder */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-8">
+        <div className="bg-white rounded-lg shadow-card p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Filter className="h-5 w-5 mr-2" />
+            Filters
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <select
+              value={filters.theme}
+              onChange={(e) => updateFilter('theme', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+            >
+              <option value="">All themes</option>
+              {themes.map(theme => <option key={theme} value={theme}>{theme}</option>)}
+            </select>
+            <select
+              value={filters.source}
+              onChange={(e) => updateFilter('source', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+            >
+              <option value="">All sources</option>
+              {sources.map(source => <option key={source} value={source}>{source}</option>)}
+            </select>
+            <input
+              type="number"
+              value={filters.yearFrom}
+              onChange={(e) => updateFilter('yearFrom', e.target.value)}
+              placeholder="From year"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+            />
+            <input
+              type="number"
+              value={filters.yearTo}
+              onChange={(e) => updateFilter('yearTo', e.target.value)}
+              placeholder="To year"
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+            />
+          </div>
+          {Object.values(filters).some(Boolean) && (
+            <button
+              onClick={() => {
+                setFilters(EMPTY_FILTERS)
+                setPath(undefined)
+              }}
+              className="mt-3 text-sm text-purple-600 hover:text-purple-800"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow-card p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Milestone className="h-5 w-5 mr-2" />
+            How Are They Connected?
+          </h3>
+          <div className="grid grid-cols-2 gap-4 mb-3">
+            {[[pathFrom, setPathFrom, 'From document...'], [pathTo, setPathTo, 'To document...']].map(([value, setValue, placeholder]) => (
+              <select
+                key={placeholder}
+                value={value}
+                onChange={(e) => {
+                  setValue(e.target.value)
+                  setPath(undefined)
+                }}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+              >
+                <option value="">{placeholder}</option>
+                {documentNodes.map(node => <option key={node.id} value={node.id}>{node.label}</option>)}
+              </select>
+            ))}
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={handleFindPath}
+              disabled={!pathFrom || !pathTo}
+              className="bg-purple-600 text-white px-4 py-2 rounded-lg text-sm hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+              Find Path
+            </button>
+            {path && (
+              <button onClick={() => setPath(undefined)} className="text-sm text-gray-600 hover:text-gray-900">
+                Clear
+              </button>
+            )}
+          </div>
+          {path === null && (
+            <p className="mt-3 text-sm text-gray-600">These documents are not connected in the current view.</p>
+          )}
+          {path && (
+            <p className="mt-3 text-sm text-gray-700">
+              {path.edgeIds.length} step{path.edgeIds.length === 1 ? '' : 's'}: {path.nodeIds.map(id => nodeById.get(id)?.label).join(' → ')}
+            </p>
+          )}
+        </div>
+      </div>
+
+      {/* Graph */}
+      <div className="bg-white rounded-lg shadow-card">
+        <div className="p-6 border-b border-gray-200 flex flex-col md:flex-row md:items-center md:justify-between">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+            <Network className="h-5 w-5 mr-2" />
+            {documentNodes.length} documents · {graph.nodes.length - documentNodes.length} events and people · {graph.edges.length} connections
+          </h2>
+          <div className="mt-4 md:mt-0 flex items-center space-x-1">
+            <button onClick={() => setZoom(z => Math.min(z * 1.25, 4))} className="p-2 text-gray-500 hover:text-gray-900" title="Zoom in">
+              <ZoomIn className="h-4 w-4" />
+            </button>
+            <button onClick={() => setZoom(z => Math.max(z / 1.25, 0.5))} className="p-2 text-gray-500 hover:text-gray-900" title="Zoom out">
+              <ZoomOut className="h-4 w-4" />
+            </button>
+            <button onClick={() => setZoom(1)} className="p-2 text-gray-500 hover:text-gray-900" title="Fit">
+              <Maximize className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        {graph.nodes.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <Network className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+            <p className="text-lg font-medium mb-2">Nothing to show</p>
+            <p>Upload documents and link them, or loosen the filters.</p>
+          </div>
+        ) : (
+          <div className="overflow-auto">
+            <svg
+              viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+              className="w-full h-auto"
+              style={{ minWidth: WIDTH * zoom * 0.6 }}
+            >
+              <g transform={`translate(${WIDTH / 2} ${HEIGHT / 2}) scale(${zoom}) translate(${-WIDTH / 2} ${-HEIGHT / 2})`}>
+                {graph.edges.map(edge => {
+                  const from = positions.get(edge.source)
+                  const to = positions.get(edge.target)
+                  const onPath = pathEdges.has(edge.id)
+                  const faded = (path && !onPath) ||
+                    (hoveredId && edge.source !== hoveredId && edge.target !== hoveredId)
+                  return (
+                    <line
+                      key={edge.id}
+                      x1={from.x}
+                      y1={from.y}
+                      x2={to.x}
+                      y2={to.y}
+                      stroke={onPath ? PATH_COLOR : edgeColor(edge)}
+                      strokeWidth={onPath ? 3 : edge.type === EDGE_TYPES.LINK ? 2 : 1}
+                      strokeDasharray={edge.type === EDGE_TYPES.APPEARANCE ? '4 3' : undefined}
+                      opacity={faded ? 0.15 : 0.9}
+                    >
+                      {edge.label && <title>{edge.label}</title>}
+                    </line>
+                  )
+                })}
+
+                {graph.nodes.map(node => {
+                  const { x, y } = positions.get(node.id)
+                  const size = 6 + Math.min(degree(node.id), 6)
+                  const color = nodeColor(node)
+                  const clickable = node.type === NODE_TYPES.DOCUMENT || (node.type === NODE_TYPES.PERSON && onViewPerson)
+                  const showLabel = graph.nodes.length <= MAX_LABELLED_NODES || node.id === hoveredId || pathNodes.has(node.id)
+
+                  return (
+                    <g
+                      key={node.id}
+                      transform={`translate(${x} ${y})`}
+                      opacity={isDimmed(node.id) ? 0.25 : 1}
+                      onMouseEnter={() => setHoveredId(node.id)}
+                      onMouseLeave={() => setHoveredId(null)}
+                      onClick={() => handleNodeClick(node)}
+                      style={{ cursor: clickable ? 'pointer' : 'default' }}
+                    >
+                      <title>{node.year ? `${node.label} (${node.year})` : node.label}</title>
+                      {node.type === NODE_TYPES.EVENT ? (
+                        <rect x={-size} y={-size} width={size * 2} height={size * 2} fill={color} transform="rotate(45)" />
+                      ) : node.type === NODE_TYPES.PERSON ? (
+                        <circle r={size} fill="white" stroke={color} strokeWidth={3} />
+                      ) : (
+                        <circle r={size} fill={color} stroke={pathNodes.has(node.id) ? PATH_COLOR : 'white'} strokeWidth={2} />
+                      )}
+                      {showLabel && (
+                        <text y={size + 12} textAnchor="middle" className="fill-current text-gray-700" fontSize="11">
+                          {truncate(node.label)}
+                        </text>
+                      )}
+                    </g>
+                  )
+                })}
+              </g>
+            </svg>
+          </div>
+        )}
+
+        {/* Legend */}
+        <div className="p-6 border-t border-gray-200 flex flex-wrap gap-4 text-xs text-gray-600">
+          {Object.entries(LINK_TYPES).map(([type, { label, color }]) => (
+            <span key={type} className="flex items-center">
+              <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: color }} />
+              {label}
+            </span>
+          ))}
+          <span className="flex items-center">
+            <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: UNLINKED_COLOR }} />
+            Not linked
+          </span>
+          <span className="flex items-center">
+            <span className="inline-block w-3 h-3 rotate-45 mr-1" style={{ backgroundColor: EVENT_COLOR }} />
+            Event
+          </span>
+          <span className="flex items-center">
+            <span className="inline-block w-3 h-3 rounded-full border-2 mr-1" style={{ borderColor: PERSON_COLOR }} />
+            Person
+          </span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RelationshipGraph
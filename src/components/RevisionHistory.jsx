@@ -0,0 +1,139 @@
+import React, { useState } from 'react'
+import { History, RotateCcw, GitCompare, X } from 'lucide-react'
+import { diffWords, summarizeDiff } from '../utils/diff'
+import { getRevisions, joinPageTexts } from '../utils/revisions'
+
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'Unknown date')
+
+const revisionLabel = (revision, index) => `#${index + 1} · ${revision.author?.name || 'Unknown'} · ${formatTimestamp(revision.timestamp)}`
+
+const RevisionHistory = ({ document, onRestore }) => {
+  const revisions = getRevisions(document)
+  const latestIndex = revisions.length - 1
+  const [compareFrom, setCompareFrom] = useState(Math.max(latestIndex - 1, 0))
+  const [compareTo, setCompareTo] = useState(latestIndex)
+  const [showDiff, setShowDiff] = useState(false)
+  const [restoring, setRestoring] = useState(null)
+
+  const from = revisions[Math.min(compareFrom, latestIndex)]
+  const to = revisions[Math.min(compareTo, latestIndex)]
+  const segments = showDiff ? diffWords(joinPageTexts(from.pageTexts), joinPageTexts(to.pageTexts)) : []
+  const summary = summarizeDiff(segments)
+
+  const handleRestore = async (revision) => {
+    setRestoring(revision.revisionId)
+    try {
+      await onRestore(revision)
+    } catch {
+      // The document store reports the failure
+    } finally {
+      setRestoring(null)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <History className="h-5 w-5 mr-2" />
+        Revision History ({revisions.length})
+      </h3>
+
+      <div className="space-y-3 max-h-80 overflow-y-auto">
+        {[...revisions].reverse().map((revision, reversedIndex) => {
+          const index = latestIndex - reversedIndex
+          return (
+            <div key={revision.revisionId} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-sm font-medium text-gray-900">{revision.author?.name || 'Unknown'}</span>
+                {index === latestIndex ? (
+                  <span className="text-xs font-medium text-green-700">Current</span>
+                ) : (
+                  <button
+                    onClick={() => handleRestore(revision)}
+                    disabled={Boolean(restoring) || !onRestore}
+                    className="flex items-center space-x-1 text-xs text-purple-600 hover:text-purple-800 disabled:opacity-50"
+                  >
+                    <RotateCcw className="h-3 w-3" />
+                    <span>{restoring === revision.revisionId ? 'Restoring...' : 'Restore'}</span>
+                  </button>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">{formatTimestamp(revision.timestamp)}</p>
+              {revision.note && <p className="text-xs text-gray-600 mt-1">{revision.note}</p>}
+            </div>
+          )
+        })}
+      </div>
+
+      {revisions.length > 1 && (
+        <div className="mt-4 space-y-2">
+          <select
+            value={compareFrom}
+            onChange={(e) => setCompareFrom(Number(e.target.value))}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+          >
+            {revisions.map((revision, index) => (
+              <option key={revision.revisionId} value={index}>{revisionLabel(revision, index)}</option>
+            ))}
+          </select>
+          <select
+            value={compareTo}
+            onChange={(e) => setCompareTo(Number(e.target.value))}
+            className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+          >
+            {revisions.map((revision, index) => (
+              <option key={revision.revisionId} value={index}>{revisionLabel(revision, index)}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowDiff(true)}
+            className="w-full flex items-center justify-center space-x-2 px-3 py-2 text-sm text-purple-700 bg-purple-50 rounded-lg hover:bg-purple-100 transition-colors duration-200"
+          >
+            <GitCompare className="h-4 w-4" />
+            <span>Compare Revisions</span>
+          </button>
+        </div>
+      )}
+
+      {/* Diff Modal */}
+      {showDiff && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+          <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div className="p-6 border-b border-gray-200 flex items-start justify-between">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">Compare Revisions</h2>
+                <p className="text-sm text-gray-600 mt-1">
+                  {revisionLabel(from, Math.min(compareFrom, latestIndex))} → {revisionLabel(to, Math.min(compareTo, latestIndex))}
+                </p>
+                <p className="text-xs text-gray-500 mt-1">
+                  <span className="text-green-700">+{summary.added} words</span>
+                  {' · '}
+                  <span className="text-red-700">-{summary.removed} words</span>
+                </p>
+              </div>
+              <button
+                onClick={() => setShowDiff(false)}
+                className="p-1 text-gray-400 hover:text-gray-600 transition-colors duration-200"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+            <div className="p-6 overflow-y-auto font-mono text-sm leading-relaxed whitespace-pre-wrap">
+              {segments.map((segment, index) => {
+                if (segment.type === 'insert') {
+                  return <ins key={index} className="bg-green-100 text-green-900 no-underline">{segment.text}</ins>
+                }
+                if (segment.type === 'delete') {
+                  return <del key={index} className="bg-red-100 text-red-800">{segment.text}</del>
+                }
+                return <span key={index}>{segment.text}</span>
+              })}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RevisionHistory
@@ -0,0 +1,116 @@
+import React from 'react'
+import { Bookmark, Bell, BellOff, Trash2, History } from 'lucide-react'
+
+// How many of the latest searches are listed
+const RECENT_LIMIT = 5
+
+/**
+ * A search's options and filters in a few words, e.g. "fuzzy · Soundex · 1880 – 1890s"
+ */
+const describeSearch = (search) => [
+  search.options?.mode && search.options.mode !== 'standard' && search.options.mode,
+  search.options?.phonetic,
+  search.options?.variants && 'variants',
+  (search.filters?.dateFrom || search.filters?.dateTo) &&
+    `${search.filters.dateFrom || '…'} – ${search.filters.dateTo || '…'}`,
+  ...(search.filters?.sources || []),
+  ...(search.filters?.fileTypes || [])
+].filter(Boolean).join(' · ')
+
+/**
+ * Saved searches with their alerts, the latest searches run and what is searched most
+ */
+const SavedSearches = ({ savedSearches, history, analytics, onRun, onToggleNotify, onDelete, onClearHistory }) => {
+  // Latest first, each query once
+  const recent = [...history].reverse()
+    .filter((entry, index, entries) => entries.findIndex(other => other.query === entry.query) === index)
+    .slice(0, RECENT_LIMIT)
+
+  return (
+    <div className="bg-white rounded-lg shadow-card p-6 mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900 mb-2 flex items-center">
+            <Bookmark className="h-4 w-4 mr-1" />
+            Saved searches ({savedSearches.length})
+          </h3>
+          {savedSearches.length === 0 ? (
+            <p className="text-xs text-gray-500">
+              Save a search to run it again later and to be told when new documents match it.
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {savedSearches.map(search => (
+                <li key={search.searchId} className="flex items-center text-sm">
+                  <button
+                    onClick={() => onRun(search)}
+                    className="flex-1 min-w-0 text-left hover:text-purple-700"
+                    title={search.query}
+                  >
+                    <span className="font-medium text-gray-900">{search.name}</span>
+                    <span className="block text-xs text-gray-500 truncate">
+                      {search.query}{describeSearch(search) && ` · ${describeSearch(search)}`}
+                    </span>
+                  </button>
+                  <button
+                    onClick={() => onToggleNotify(search)}
+                    className={`p-1 ml-2 ${search.notify ? 'text-purple-600 hover:text-purple-800' : 'text-gray-400 hover:text-gray-600'}`}
+                    title={search.notify ? 'Notifying about new matches' : 'Not notifying about new matches'}
+                  >
+                    {search.notify ? <Bell className="h-4 w-4" /> : <BellOff className="h-4 w-4" />}
+                  </button>
+                  <button
+                    onClick={() => onDelete(search)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Delete saved search"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-semibold text-gray-900 flex items-center">
+              <History className="h-4 w-4 mr-1" />
+              Recent searches
+            </h3>
+            {history.length > 0 && (
+              <button onClick={onClearHistory} className="text-xs text-purple-600 hover:text-purple-800">
+                Clear history
+              </button>
+            )}
+          </div>
+          {recent.length === 0 ? (
+            <p className="text-xs text-gray-500">Searches you run are listed here.</p>
+          ) : (
+            <>
+              <ul className="space-y-1 mb-3">
+                {recent.map(entry => (
+                  <li key={entry.entryId} className="flex items-center justify-between text-sm">
+                    <button onClick={() => onRun(entry)} className="truncate text-left text-gray-700 hover:text-purple-700">
+                      {entry.query}
+                    </button>
+                    <span className="text-xs text-gray-500 ml-2 whitespace-nowrap">
+                      {entry.resultCount} {entry.resultCount === 1 ? 'result' : 'results'}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <p className="text-xs text-gray-500">
+                {analytics.totalSearches} searches, {analytics.uniqueQueries} different,
+                {' '}{Math.round(analytics.averageResultsPerSearch)} results on average.
+                {analytics.topQueries.length > 0 && ` Most searched: ${analytics.topQueries.slice(0, 3).map(top => top.query).join(', ')}.`}
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SavedSearches
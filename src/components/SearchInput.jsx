@@ -1,31 +1,112 @@
-import React from 'react'
+import React, { useState } from 'react'
 import { Search, X } from 'lucide-react'
 
-const SearchInput = ({ value, onChange, placeholder = "Search...", className = "" }) => {
+const SearchInput = ({
+  value,
+  onChange,
+  placeholder = "Search...",
+  className = "",
+  suggestions = [],
+  onSelectSuggestion,
+  onSubmit
+}) => {
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+
+  const showSuggestions = open && suggestions.length > 0
+
+  const selectSuggestion = (suggestion) => {
+    setOpen(false)
+    setActiveIndex(-1)
+    if (onSelectSuggestion) onSelectSuggestion(suggestion)
+    else onChange(suggestion)
+  }
+
+  const handleChange = (text) => {
+    onChange(text)
+    setOpen(true)
+    setActiveIndex(-1)
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault()
+      setOpen(true)
+      setActiveIndex(index => (index + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp' && showSuggestions) {
+      e.preventDefault()
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1))
+    } else if (e.key === 'Enter') {
+      if (showSuggestions && activeIndex >= 0) {
+        e.preventDefault()
+        selectSuggestion(suggestions[activeIndex])
+      } else if (onSubmit) {
+        setOpen(false)
+        onSubmit(value)
+      }
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+      setActiveIndex(-1)
+    }
+  }
+
   return (
     <div className={`relative ${className}`}>
       <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
         <Search className="h-4 w-4 text-gray-400" />
       </div>
-      
+
       <input
         type="text"
         value={value}
-        onChange={(e) => onChange(e.target.value)}
+        onChange={(e) => handleChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
         className="block w-full pl-10 pr-10 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500 text-sm"
         placeholder={placeholder}
+        role="combobox"
+        aria-expanded={showSuggestions}
+        aria-autocomplete="list"
       />
-      
+
       {value && (
         <button
-          onClick={() => onChange('')}
+          onClick={() => handleChange('')}
           className="absolute inset-y-0 right-0 pr-3 flex items-center"
         >
           <X className="h-4 w-4 text-gray-400 hover:text-gray-600" />
         </button>
       )}
+
+      {showSuggestions && (
+        <ul
+          role="listbox"
+          className="absolute z-20 mt-1 w-full bg-white border border-gray-200 rounded-lg shadow-lg py-1 text-sm"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Mouse down rather than click, which would come after the input's blur closed the list
+              onMouseDown={(e) => {
+                e.preventDefault()
+                selectSuggestion(suggestion)
+              }}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`px-3 py-2 cursor-pointer flex items-center ${
+                index === activeIndex ? 'bg-purple-50 text-purple-700' : 'text-gray-700'
+              }`}
+            >
+              <Search className="h-3 w-3 mr-2 text-gray-400" />
+              {suggestion}
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   )
 }
 
-export default SearchInput
\ No newline at end of file
+export default SearchInput
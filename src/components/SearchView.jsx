@@ -0,0 +1,573 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { Search, FileText, Lock, ArrowUp, ArrowDown, ChevronLeft, ChevronRight, HelpCircle, BookmarkPlus } from 'lucide-react'
+import SearchInput from './SearchInput'
+import NameVariantsEditor from './NameVariantsEditor'
+import SavedSearches from './SavedSearches'
+import { searchService } from '../services/search'
+import { nameVariantService } from '../services/nameVariants'
+import { savedSearchService } from '../services/savedSearches'
+import { subscriptionService } from '../services/subscription'
+import { toDateRange, formatDocumentDate } from '../utils/historicalDate'
+import { PHONETIC_ALGORITHMS } from '../utils/phonetics'
+import { handleError, ERROR_TYPES, ERROR_SEVERITY } from '../utils/errorHandler'
+
+const PAGE_SIZE = 10
+
+// A search counts towards the history once the query has stopped changing for this long
+const HISTORY_DELAY = 1500
+
+const SEARCH_MODES = [
+  { id: 'standard', label: 'Keywords', description: 'Words in any form, with AND, OR, NOT, "phrases" and fields' },
+  { id: 'phrase', label: 'Exact phrase', description: 'The words together, in this order', advanced: true },
+  { id: 'fuzzy', label: 'Fuzzy', description: 'Close spellings, for OCR errors and variant names', advanced: true }
+]
+
+// Sound-alike name matching, on top of any mode but exact phrase
+const PHONETIC_OPTIONS = [
+  { id: '', label: 'Off' },
+  { id: PHONETIC_ALGORITHMS.SOUNDEX, label: 'Soundex', description: 'The code census indexes use; Smith and Schmidt' },
+  { id: PHONETIC_ALGORITHMS.DAITCH_MOKOTOFF, label: 'Daitch-Mokotoff', description: 'Slavic, Yiddish and German names; Schwarz and Szwarc' },
+  { id: PHONETIC_ALGORITHMS.DOUBLE_METAPHONE, label: 'Double Metaphone', description: 'English and European names; Wasserman and Vasserman' }
+]
+
+const SORT_OPTIONS = [
+  { id: 'relevance', label: 'Relevance' },
+  { id: 'date', label: 'Record date' },
+  { id: 'uploaded', label: 'Upload date' },
+  { id: 'name', label: 'File name' },
+  { id: 'size', label: 'File size' }
+]
+
+const EMPTY_FILTERS = { sources: [], fileTypes: [], dateFrom: '', dateTo: '', uploadedFrom: '', uploadedTo: '' }
+
+// Shown under "Query syntax"; see utils/queryParser
+const QUERY_EXAMPLES = [
+  { query: 'Smith AND Ireland', description: 'both words' },
+  { query: 'Smith OR Smyth', description: 'either word; words side by side also match either' },
+  { query: 'Smith NOT deed', description: 'leave out documents with a word (also -deed)' },
+  { query: '"John Smith"', description: 'the exact phrase' },
+  { query: 'immigra*', description: 'any ending; sm?th stands for any one letter' },
+  { query: 'Smith NEAR/5 Ireland', description: 'within five words of each other' },
+  { query: 'name:"John Smith"', description: 'a person named in the document' },
+  { query: 'source:"Ellis Island"', description: 'fileName, ocrText, source, tags and entities work the same way' },
+  { query: 'year:1900..1920', description: 'record year; also uploaded:2024-03 and pages:2..' },
+  { query: '(Smith OR Jones) AND Ireland', description: 'group with parentheses' }
+]
+
+const FILE_TYPE_LABELS = {
+  'application/pdf': 'PDF',
+  'image/jpeg': 'JPEG image',
+  'image/png': 'PNG image',
+  'image/tiff': 'TIFF image',
+  'image/gif': 'GIF image',
+  'image/webp': 'WebP image'
+}
+
+const fileTypeLabel = (type) => FILE_TYPE_LABELS[type] || type
+
+/**
+ * Values of a facet across documents, with how many documents have each, most common first
+ */
+const countFacet = (documents, valueOf) => {
+  const counts = new Map()
+  documents.forEach(doc => {
+    const value = valueOf(doc)
+    if (value) counts.set(value, (counts.get(value) || 0) + 1)
+  })
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+}
+
+const toggle = (values, value) => (values.includes(value)
+  ? values.filter(existing => existing !== value)
+  : [...values, value])
+
+const Highlighted = ({ text, query }) => (
+  <>
+    {searchService.highlightMatches(text, query).map((segment, index) => (
+      segment.match
+        ? <mark key={index} className="bg-yellow-200">{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+)
+
+const FacetGroup = ({ title, options, selected, labelOf = (value) => value, onToggle }) => (
+  <div className="mb-6">
+    <h3 className="text-sm font-semibold text-gray-900 mb-2">{title}</h3>
+    {options.length === 0 ? (
+      <p className="text-xs text-gray-500">None</p>
+    ) : (
+      <ul className="space-y-1">
+        {options.map(([value, count]) => (
+          <li key={value}>
+            <label className="flex items-center text-sm text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={selected.includes(value)}
+                onChange={() => onToggle(value)}
+                className="mr-2 text-purple-600 focus:ring-purple-500 rounded"
+              />
+              <span className="flex-1 truncate">{labelOf(value)}</span>
+              <span className="text-xs text-gray-500 ml-2">{count}</span>
+            </label>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+)
+
+const SearchView = ({ user, documents, initialQuery = '', savedSearches = [], searchHistory = [], onViewDocument }) => {
+  const [query, setQuery] = useState(initialQuery)
+  const [mode, setMode] = useState('standard')
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [sortBy, setSortBy] = useState('relevance')
+  const [sortOrder, setSortOrder] = useState('desc')
+  const [page, setPage] = useState(0)
+  const [showSyntax, setShowSyntax] = useState(false)
+  const [phonetic, setPhonetic] = useState('')
+  const [variants, setVariants] = useState(false)
+  const [editingVariants, setEditingVariants] = useState(false)
+  // Bumped when the variant dictionary loads or is edited, so results are searched again
+  const [variantsVersion, setVariantsVersion] = useState(0)
+  // The name being typed for a new saved search, or null when not saving
+  const [saveName, setSaveName] = useState(null)
+  const [saveError, setSaveError] = useState(null)
+
+  const canUseAdvanced = subscriptionService.canPerformAction(user, 'advanced_search')
+  // A plan change can leave an advanced mode selected that is no longer allowed
+  const activeMode = canUseAdvanced ? mode : 'standard'
+  const hasQuery = query.trim().length > 0
+  // Exact phrases are matched as written
+  const spellingOptions = activeMode !== 'phrase'
+  const activePhonetic = canUseAdvanced && spellingOptions ? phonetic || null : null
+  const activeVariants = spellingOptions && variants
+
+  useEffect(() => {
+    setQuery(initialQuery)
+  }, [initialQuery])
+
+  useEffect(() => {
+    nameVariantService.load(user?.userId).then(() => setVariantsVersion(version => version + 1))
+  }, [user?.userId])
+
+  // Back to the first page whenever the result set changes
+  useEffect(() => {
+    setPage(0)
+  }, [query, activeMode, activePhonetic, activeVariants, variantsVersion, filters, sortBy, sortOrder])
+
+  const suggestions = useMemo(
+    () => searchService.getSuggestions(query, documents),
+    [query, documents]
+  )
+
+  // Facet counts are over everything the query matches, before the facets narrow it
+  const matches = useMemo(() => searchService.search(query, documents, {
+    fuzzy: activeMode === 'fuzzy',
+    exactPhrase: activeMode === 'phrase',
+    phonetic: activePhonetic,
+    variants: activeVariants,
+    limit: documents.length
+  }).results, [query, documents, activeMode, activePhonetic, activeVariants, variantsVersion])
+
+  const sourceOptions = useMemo(() => countFacet(matches, doc => doc.metadata?.source || 'Unknown'), [matches])
+  const fileTypeOptions = useMemo(() => countFacet(matches, doc => doc.metadata?.fileType), [matches])
+
+  // Without a query every document scores the same, so relevance falls back to newest upload first
+  const effectiveSort = !hasQuery && sortBy === 'relevance' ? 'uploaded' : sortBy
+
+  const { results, total, pagination, error, highlightTerms } = useMemo(() => searchService.search(query, documents, {
+    fuzzy: activeMode === 'fuzzy',
+    exactPhrase: activeMode === 'phrase',
+    phonetic: activePhonetic,
+    variants: activeVariants,
+    filters,
+    sortBy: effectiveSort,
+    sortOrder,
+    limit: PAGE_SIZE,
+    offset: page * PAGE_SIZE
+  }), [query, documents, activeMode, activePhonetic, activeVariants, variantsVersion, filters, effectiveSort, sortOrder, page])
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE))
+  const hasFilters = filters.sources.length > 0 || filters.fileTypes.length > 0 ||
+    filters.dateFrom || filters.dateTo || filters.uploadedFrom || filters.uploadedTo
+  const dateRangeError = toDateRange(filters.dateFrom, filters.dateTo).error
+
+  const updateFilters = (changes) => setFilters(prev => ({ ...prev, ...changes }))
+
+  const searchOptions = { mode: activeMode, phonetic: activePhonetic, variants: activeVariants }
+
+  // Record the search once the user has stopped typing
+  useEffect(() => {
+    if (!hasQuery || error) return
+
+    const timer = setTimeout(() => {
+      savedSearchService.recordSearch({ query: query.trim(), options: searchOptions, filters, resultCount: total })
+        .catch(err => console.warn('Search history could not be saved:', err))
+    }, HISTORY_DELAY)
+    return () => clearTimeout(timer)
+  }, [query, activeMode, activePhonetic, activeVariants, filters, total, error])
+
+  // Run a saved search or one from the history with the options and filters it was run with
+  const runSearch = (search) => {
+    setQuery(search.query)
+    setMode(search.options?.mode || 'standard')
+    setPhonetic(search.options?.phonetic || '')
+    setVariants(Boolean(search.options?.variants))
+    setFilters({ ...EMPTY_FILTERS, ...search.filters })
+  }
+
+  const handleSaveSearch = async () => {
+    setSaveError(null)
+    try {
+      await savedSearchService.saveSearch({ name: saveName, query: query.trim(), options: searchOptions, filters }, documents)
+      setSaveName(null)
+    } catch (err) {
+      setSaveError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.MEDIUM, { action: 'saveSearch' }).message)
+    }
+  }
+
+  const handleStorageError = (action) => (err) => {
+    setSaveError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.LOW, { action }).message)
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto px-4 py-8">
+      <div className="mb-6">
+        <h1 className="text-3xl font-bold text-gray-900">Search</h1>
+        <p className="text-gray-600">Search the text of every document in your archive</p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-card p-6 mb-6">
+        <SearchInput
+          value={query}
+          onChange={setQuery}
+          suggestions={suggestions}
+          placeholder="Search names, places, phrases..."
+        />
+
+        {error && (
+          <p className="mt-2 text-sm text-red-600">
+            {error.message} (at character {error.position + 1})
+          </p>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2 mt-4">
+          {SEARCH_MODES.map(option => {
+            const locked = option.advanced && !canUseAdvanced
+            return (
+              <button
+                key={option.id}
+                onClick={() => setMode(option.id)}
+                disabled={locked}
+                title={locked ? 'Available on Basic and Premium plans' : option.description}
+                className={`flex items-center space-x-1 px-3 py-1.5 rounded-md text-sm font-medium transition-colors duration-200 ${
+                  activeMode === option.id
+                    ? 'bg-purple-100 text-purple-700'
+                    : locked
+                      ? 'bg-gray-50 text-gray-400 cursor-not-allowed'
+                      : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+              >
+                <span>{option.label}</span>
+                {locked && <Lock className="h-3 w-3" />}
+              </button>
+            )
+          })}
+          {!canUseAdvanced && (
+            <span className="text-xs text-gray-500 ml-2">
+              Upgrade to search exact phrases, close spellings and names that sound alike.
+            </span>
+          )}
+          <button
+            onClick={() => setShowSyntax(shown => !shown)}
+            className="ml-auto flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800"
+          >
+            <HelpCircle className="h-4 w-4" />
+            <span>Query syntax</span>
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-4 mt-3 text-sm text-gray-700">
+          <label className="flex items-center space-x-2">
+            <span>Sounds like</span>
+            <select
+              value={activePhonetic || ''}
+              onChange={(e) => setPhonetic(e.target.value)}
+              disabled={!canUseAdvanced || !spellingOptions}
+              title={PHONETIC_OPTIONS.find(option => option.id === (activePhonetic || ''))?.description}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500 disabled:bg-gray-50 disabled:text-gray-400"
+            >
+              {PHONETIC_OPTIONS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            {!canUseAdvanced && <Lock className="h-3 w-3 text-gray-400" />}
+          </label>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={activeVariants}
+              onChange={(e) => setVariants(e.target.checked)}
+              disabled={!spellingOptions}
+              className="mr-2 text-purple-600 focus:ring-purple-500 rounded"
+            />
+            Spelling variants
+          </label>
+          <button
+            onClick={() => setEditingVariants(true)}
+            className="text-purple-600 hover:text-purple-800"
+          >
+            Edit variants
+          </button>
+        </div>
+
+        {showSyntax && (
+          <dl className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 text-sm border-t border-gray-200 pt-4">
+            {QUERY_EXAMPLES.map(example => (
+              <div key={example.query} className="flex items-baseline space-x-3">
+                <dt>
+                  <button
+                    onClick={() => setQuery(example.query)}
+                    className="font-mono text-xs bg-gray-100 text-gray-800 px-2 py-1 rounded hover:bg-purple-50"
+                  >
+                    {example.query}
+                  </button>
+                </dt>
+                <dd className="text-gray-600">{example.description}</dd>
+              </div>
+            ))}
+          </dl>
+        )}
+      </div>
+
+      <SavedSearches
+        savedSearches={savedSearches}
+        history={searchHistory}
+        analytics={searchService.getSearchAnalytics(searchHistory)}
+        onRun={runSearch}
+        onToggleNotify={(search) => savedSearchService.updateSearch(search.searchId, { notify: !search.notify })
+          .catch(handleStorageError('updateSavedSearch'))}
+        onDelete={(search) => {
+          if (!window.confirm(`Delete the saved search "${search.name}"?`)) return
+          savedSearchService.deleteSearch(search.searchId).catch(handleStorageError('deleteSavedSearch'))
+        }}
+        onClearHistory={() => savedSearchService.clearHistory().catch(handleStorageError('clearSearchHistory'))}
+      />
+
+      {saveError && (
+        <p className="-mt-3 mb-6 text-sm text-red-600">{saveError}</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        {/* Facets */}
+        <aside className="bg-white rounded-lg shadow-card p-6 h-fit">
+          <FacetGroup
+            title="Source"
+            options={sourceOptions}
+            selected={filters.sources}
+            onToggle={(source) => updateFilters({ sources: toggle(filters.sources, source) })}
+          />
+          <FacetGroup
+            title="File type"
+            options={fileTypeOptions}
+            selected={filters.fileTypes}
+            labelOf={fileTypeLabel}
+            onToggle={(type) => updateFilters({ fileTypes: toggle(filters.fileTypes, type) })}
+          />
+
+          <div className="mb-6">
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Record date</h3>
+            <label className="block text-xs text-gray-600 mb-1">From</label>
+            <input
+              type="text"
+              value={filters.dateFrom}
+              onChange={(e) => updateFilters({ dateFrom: e.target.value })}
+              placeholder="e.g. 1880"
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500 mb-2"
+            />
+            <label className="block text-xs text-gray-600 mb-1">To</label>
+            <input
+              type="text"
+              value={filters.dateTo}
+              onChange={(e) => updateFilters({ dateTo: e.target.value })}
+              placeholder="e.g. 1890s"
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500"
+            />
+            {dateRangeError ? (
+              <p className="text-xs text-red-600 mt-1">{dateRangeError}</p>
+            ) : (filters.dateFrom || filters.dateTo) && (
+              <p className="text-xs text-gray-500 mt-1">Undated records are left out.</p>
+            )}
+          </div>
+
+          <div className="mb-6">
+            <h3 className="text-sm font-semibold text-gray-900 mb-2">Uploaded</h3>
+            <label className="block text-xs text-gray-600 mb-1">From</label>
+            <input
+              type="date"
+              value={filters.uploadedFrom}
+              max={filters.uploadedTo || undefined}
+              onChange={(e) => updateFilters({ uploadedFrom: e.target.value })}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500 mb-2"
+            />
+            <label className="block text-xs text-gray-600 mb-1">To</label>
+            <input
+              type="date"
+              value={filters.uploadedTo}
+              min={filters.uploadedFrom || undefined}
+              onChange={(e) => updateFilters({ uploadedTo: e.target.value })}
+              className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500"
+            />
+          </div>
+
+          {hasFilters && (
+            <button
+              onClick={() => setFilters(EMPTY_FILTERS)}
+              className="text-sm text-purple-600 hover:text-purple-800"
+            >
+              Clear filters
+            </button>
+          )}
+        </aside>
+
+        {/* Results */}
+        <section className="md:col-span-3 bg-white rounded-lg shadow-card">
+          <div className="p-6 border-b border-gray-200 flex flex-wrap items-center justify-between gap-4">
+            <h2 className="text-xl font-semibold text-gray-900">
+              {total} {total === 1 ? 'result' : 'results'}
+            </h2>
+            {saveName === null ? (
+              <button
+                onClick={() => setSaveName(query.trim())}
+                disabled={!hasQuery || Boolean(error)}
+                className="flex items-center space-x-1 text-sm text-purple-600 hover:text-purple-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+                title="Run it again later and be told when new documents match"
+              >
+                <BookmarkPlus className="h-4 w-4" />
+                <span>Save search</span>
+              </button>
+            ) : (
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={saveName}
+                  onChange={(e) => setSaveName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && saveName.trim() && handleSaveSearch()}
+                  placeholder="Name"
+                  autoFocus
+                  className="w-40 px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500"
+                />
+                <button
+                  onClick={handleSaveSearch}
+                  disabled={!saveName.trim()}
+                  className="px-3 py-1 text-sm bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Save
+                </button>
+                <button onClick={() => setSaveName(null)} className="text-sm text-gray-600 hover:text-gray-800">
+                  Cancel
+                </button>
+              </div>
+            )}
+            <div className="flex items-center space-x-2">
+              <label className="text-sm text-gray-600">Sort by</label>
+              <select
+                value={effectiveSort}
+                onChange={(e) => setSortBy(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:ring-purple-500 focus:border-purple-500"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.id} value={option.id} disabled={option.id === 'relevance' && !hasQuery}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => setSortOrder(order => (order === 'desc' ? 'asc' : 'desc'))}
+                className="p-1.5 border border-gray-300 rounded-md text-gray-600 hover:bg-gray-50"
+                title={sortOrder === 'desc' ? 'Descending' : 'Ascending'}
+              >
+                {sortOrder === 'desc' ? <ArrowDown className="h-4 w-4" /> : <ArrowUp className="h-4 w-4" />}
+              </button>
+            </div>
+          </div>
+
+          {results.length === 0 ? (
+            <div className="p-8 text-center text-gray-500">
+              <Search className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+              <p className="text-lg font-medium mb-2">
+                {documents.length === 0 ? 'No documents yet' : 'No documents found'}
+              </p>
+              <p>
+                {documents.length === 0
+                  ? 'Upload a document to start searching your archive.'
+                  : 'Try other words, another search mode or fewer filters.'}
+              </p>
+            </div>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {results.map(doc => (
+                <li key={doc.documentId}>
+                  <button
+                    onClick={() => onViewDocument(doc, activeMode === 'fuzzy' ? '' : query)}
+                    className="w-full text-left p-6 hover:bg-gray-50 transition-colors duration-200"
+                  >
+                    <div className="flex items-center mb-2">
+                      <FileText className="h-4 w-4 text-purple-600 mr-2 flex-shrink-0" />
+                      <h3 className="font-medium text-gray-900 truncate">
+                        <Highlighted text={doc.fileName} query={highlightTerms} />
+                      </h3>
+                    </div>
+                    <p className="text-sm text-gray-600 mb-2">
+                      <Highlighted text={searchService.getSnippet(doc.ocrText, highlightTerms)} query={highlightTerms} />
+                    </p>
+                    <div className="flex items-center space-x-4 text-xs text-gray-500">
+                      {formatDocumentDate(doc) && <span className="text-gray-700">{formatDocumentDate(doc)}</span>}
+                      <span>Uploaded {new Date(doc.uploadDate).toLocaleDateString()}</span>
+                      <span>{doc.metadata?.source || 'Unknown source'}</span>
+                      {doc.metadata?.fileType && <span>{fileTypeLabel(doc.metadata.fileType)}</span>}
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {total > PAGE_SIZE && (
+            <div className="p-4 border-t border-gray-200 flex items-center justify-between">
+              <button
+                onClick={() => setPage(current => current - 1)}
+                disabled={page === 0}
+                className="flex items-center px-3 py-1.5 text-sm text-gray-600 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4 mr-1" />
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {page + 1} of {pageCount}
+              </span>
+              <button
+                onClick={() => setPage(current => current + 1)}
+                disabled={!pagination.hasMore}
+                className="flex items-center px-3 py-1.5 text-sm text-gray-600 rounded-md hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Next
+                <ChevronRight className="h-4 w-4 ml-1" />
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+
+      {editingVariants && (
+        <NameVariantsEditor
+          onSaved={() => setVariantsVersion(version => version + 1)}
+          onClose={() => setEditingVariants(false)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default SearchView
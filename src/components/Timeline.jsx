@@ -1,16 +1,48 @@
 import React, { useState } from 'react'
-import { Plus, Calendar, FileText, Tag, Edit3 } from 'lucide-react'
+import { Plus, Calendar, FileText, Tag, PenLine, Trash2, Users, GanttChart, List, Download, Lock, Loader } from 'lucide-react'
+import TimelineChart from './TimelineChart'
+import { apiService } from '../services/api'
+import { timelineExportService, EXPORT_FORMATS } from '../services/timelineExport'
+import {
+  compareEvents,
+  formatEventDate,
+  getEventDates,
+  overlaps,
+  toEventDateFields,
+  compareDocuments,
+  formatDocumentDate,
+  getDocumentSpan,
+  isDocumentInRange
+} from '../utils/historicalDate'
 
-const Timeline = ({ events, documents, onAddEvent }) => {
+const EMPTY_FORM = {
+  title: '',
+  description: '',
+  date: '',
+  endDate: '',
+  themeTag: '',
+  associatedDocuments: [],
+  personIds: []
+}
+
+// "between 1900 and 1910" for the tooltip on an uncertain date
+const describeSpan = (parsed) => {
+  if (!parsed?.uncertain) return undefined
+  if (!parsed.earliest) return `Some time before ${parsed.latest}`
+  if (!parsed.latest) return `Some time after ${parsed.earliest}`
+  return `Some time between ${parsed.earliest} and ${parsed.latest}`
+}
+
+const Timeline = ({ user, events, documents, people = [], onAddEvent, onUpdateEvent, onDeleteEvent, onViewPerson, onViewDocument }) => {
+  const [layout, setLayout] = useState('chart')
+  const [showExportMenu, setShowExportMenu] = useState(false)
+  const [exporting, setExporting] = useState(null)
+  const [exportError, setExportError] = useState(null)
   const [showEventModal, setShowEventModal] = useState(false)
+  const [editingEventId, setEditingEventId] = useState(null)
   const [selectedTheme, setSelectedTheme] = useState('all')
-  const [eventForm, setEventForm] = useState({
-    title: '',
-    description: '',
-    date: '',
-    themeTag: '',
-    associatedDocuments: []
-  })
+  const [eventForm, setEventForm] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
 
   const themes = ['all', ...new Set(events.map(e => e.themeTag).filter(Boolean))]
   
@@ -18,24 +50,92 @@ const Timeline = ({ events, documents, onAddEvent }) => {
     ? events 
     : events.filter(e => e.themeTag === selectedTheme)
 
-  const sortedEvents = [...filteredEvents].sort((a, b) => new Date(a.date) - new Date(b.date))
+  const sortedEvents = [...filteredEvents].sort(compareEvents)
 
-  const handleCreateEvent = () => {
-    const newEvent = {
-      eventId: Math.random().toString(36).substr(2, 9),
-      ...eventForm,
-      createdDate: new Date().toISOString()
-    }
-    
-    onAddEvent(newEvent)
-    setShowEventModal(false)
+  const dateCheck = eventForm.date.trim() ? toEventDateFields(eventForm.date, eventForm.endDate) : null
+  const dateSpan = dateCheck?.fields ? describeSpan(getEventDates(dateCheck.fields).start) : undefined
+
+  // Records from the event's own dates first, then the rest oldest first
+  const eventSpan = dateCheck?.fields ? getDocumentSpan(dateCheck.fields) : null
+  const isFromEventDates = (doc) => Boolean(eventSpan) && isDocumentInRange(doc, eventSpan)
+  const formDocuments = [...documents].sort((a, b) =>
+    Number(isFromEventDates(b)) - Number(isFromEventDates(a)) || compareDocuments(a, b))
+
+  const openCreate = () => {
+    setEditingEventId(null)
+    setEventForm(EMPTY_FORM)
+    setShowEventModal(true)
+  }
+
+  const openEdit = (event) => {
+    setEditingEventId(event.eventId)
     setEventForm({
-      title: '',
-      description: '',
-      date: '',
-      themeTag: '',
-      associatedDocuments: []
+      title: event.title || '',
+      description: event.description || '',
+      date: event.dateText || event.date || '',
+      endDate: event.endDateText || event.endDate || '',
+      themeTag: event.themeTag || '',
+      associatedDocuments: event.associatedDocuments || [],
+      personIds: event.personIds || []
     })
+    setShowEventModal(true)
+  }
+
+  const closeModal = () => {
+    setShowEventModal(false)
+    setEditingEventId(null)
+  }
+
+  const handleSaveEvent = async () => {
+    if (!dateCheck?.fields) return
+    const changes = { ...eventForm, title: eventForm.title.trim(), ...dateCheck.fields }
+
+    setSaving(true)
+    try {
+      if (editingEventId) {
+        await onUpdateEvent(editingEventId, changes)
+      } else {
+        // The id is set here so the event keeps it whether it is saved online or offline
+        await onAddEvent({
+          ...changes,
+          eventId: apiService.generateLocalId('event'),
+          createdDate: new Date().toISOString()
+        })
+      }
+      closeModal()
+    } catch {
+      // The document store reports the failure
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Exports the events shown, so a theme filter exports that theme's timeline
+  const handleExport = async (format) => {
+    setShowExportMenu(false)
+    setExportError(null)
+    setExporting(format)
+    try {
+      await timelineExportService.exportTimeline(user, format, {
+        title: selectedTheme === 'all' ? 'Historical Timeline' : `${selectedTheme} Timeline`,
+        events: sortedEvents,
+        documents,
+        people
+      })
+    } catch (err) {
+      setExportError(err.message)
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  const handleDeleteEvent = async (event) => {
+    if (!window.confirm(`Delete the event "${event.title}"? Its documents and people are not affected.`)) return
+    try {
+      await onDeleteEvent(event.eventId)
+    } catch {
+      // The document store reports the failure
+    }
   }
 
   const getThemeColor = (theme) => {
@@ -51,7 +151,7 @@ const Timeline = ({ events, documents, onAddEvent }) => {
   }
 
   return (
-    <div className="max-w-4xl mx-auto px-4 py-8">
+    <div className={`${layout === 'chart' ? 'max-w-6xl' : 'max-w-4xl'} mx-auto px-4 py-8`}>
       {/* Header */}
       <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-8">
         <div>
@@ -61,15 +161,69 @@ const Timeline = ({ events, documents, onAddEvent }) => {
           </p>
         </div>
         
-        <button
-          onClick={() => setShowEventModal(true)}
-          className="mt-4 md:mt-0 flex items-center space-x-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors duration-200"
-        >
-          <Plus className="h-4 w-4" />
-          <span>Add Event</span>
-        </button>
+        <div className="mt-4 md:mt-0 flex items-center space-x-3">
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+            {[['chart', GanttChart, 'Chart'], ['list', List, 'List']].map(([value, Icon, label]) => (
+              <button
+                key={value}
+                onClick={() => setLayout(value)}
+                className={`flex items-center space-x-1 px-3 py-2 text-sm transition-colors duration-200 ${
+                  layout === value ? 'bg-purple-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <Icon className="h-4 w-4" />
+                <span>{label}</span>
+              </button>
+            ))}
+          </div>
+
+          <div className="relative">
+            <button
+              onClick={() => setShowExportMenu(open => !open)}
+              disabled={sortedEvents.length === 0 || Boolean(exporting)}
+              className="flex items-center space-x-2 px-4 py-2 text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
+            >
+              {exporting ? <Loader className="h-4 w-4 animate-spin" /> : <Download className="h-4 w-4" />}
+              <span>{exporting ? 'Exporting...' : 'Export'}</span>
+            </button>
+
+            {showExportMenu && (
+              <div className="absolute right-0 mt-2 w-56 bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-20">
+                {Object.values(EXPORT_FORMATS).map(format => {
+                  const allowed = timelineExportService.canExport(user, format.id)
+                  return (
+                    <button
+                      key={format.id}
+                      onClick={() => handleExport(format.id)}
+                      disabled={!allowed}
+                      className="w-full flex items-center justify-between px-4 py-2 text-sm text-left text-gray-700 hover:bg-gray-50 disabled:text-gray-400 disabled:hover:bg-white disabled:cursor-not-allowed"
+                      title={allowed ? undefined : 'Not included in your plan'}
+                    >
+                      <span>{format.label}</span>
+                      {!allowed && <Lock className="h-3 w-3" />}
+                    </button>
+                  )
+                })}
+              </div>
+            )}
+          </div>
+
+          <button
+            onClick={openCreate}
+            className="flex items-center space-x-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition-colors duration-200"
+          >
+            <Plus className="h-4 w-4" />
+            <span>Add Event</span>
+          </button>
+        </div>
       </div>
 
+      {exportError && (
+        <div className="mb-6 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          Export failed: {exportError}
+        </div>
+      )}
+
       {/* Theme Filter */}
       <div className="bg-white rounded-lg shadow-card p-6 mb-8">
         <h3 className="text-lg font-semibold text-gray-900 mb-4">Filter by Theme</h3>
@@ -98,6 +252,15 @@ const Timeline = ({ events, documents, onAddEvent }) => {
             <h3 className="text-lg font-medium mb-2">No events yet</h3>
             <p>Create your first historical event to start building timelines.</p>
           </div>
+        ) : layout === 'chart' ? (
+          <div className="p-6">
+            <TimelineChart
+              events={sortedEvents}
+              documents={documents}
+              onViewDocument={onViewDocument}
+              onEditEvent={openEdit}
+            />
+          </div>
         ) : (
           <div className="p-6">
             <div className="relative">
@@ -105,65 +268,119 @@ const Timeline = ({ events, documents, onAddEvent }) => {
               <div className="absolute left-8 top-0 bottom-0 w-0.5 bg-gray-200"></div>
               
               <div className="space-y-8">
-                {sortedEvents.map((event, index) => (
-                  <div key={event.eventId} className="relative flex items-start space-x-4">
-                    {/* Timeline dot */}
-                    <div className="relative z-10 flex-shrink-0 w-4 h-4 bg-purple-600 rounded-full border-4 border-white shadow-sm"></div>
+                {sortedEvents.map((event, index) => {
+                  const { start } = getEventDates(event)
+                  const previous = index > 0 ? getEventDates(sortedEvents[index - 1]).start : null
+                  const orderUncertain = (start?.uncertain || previous?.uncertain) && overlaps(start, previous)
+
+                  return (
+                    <div key={event.eventId} className="relative flex items-start space-x-4">
+                      {/* Timeline dot: hollow when the date is uncertain */}
+                      <div className={`relative z-10 flex-shrink-0 w-4 h-4 rounded-full border-4 shadow-sm ${
+                        start?.uncertain ? 'bg-white border-purple-400' : 'bg-purple-600 border-white'
+                      }`}></div>
                     
-                    {/* Event content */}
-                    <div className="flex-1 min-w-0 pb-8">
-                      <div className="bg-gray-50 rounded-lg p-4">
-                        <div className="flex items-start justify-between mb-2">
-                          <h3 className="text-lg font-semibold text-gray-900">{event.title}</h3>
-                          <div className="flex items-center space-x-2">
-                            {event.themeTag && (
-                              <span className={`px-2 py-1 rounded-full text-xs font-medium ${getThemeColor(event.themeTag)}`}>
-                                {event.themeTag}
+                      {/* Event content */}
+                      <div className="flex-1 min-w-0 pb-8">
+                        <div className="bg-gray-50 rounded-lg p-4">
+                          <div className="flex items-start justify-between mb-2">
+                            <h3 className="text-lg font-semibold text-gray-900">{event.title}</h3>
+                            <div className="flex items-center space-x-2">
+                              {event.themeTag && (
+                                <span className={`px-2 py-1 rounded-full text-xs font-medium ${getThemeColor(event.themeTag)}`}>
+                                  {event.themeTag}
+                                </span>
+                              )}
+                              <span className="text-sm text-gray-500" title={describeSpan(start)}>
+                                {formatEventDate(event)}
                               </span>
-                            )}
-                            <span className="text-sm text-gray-500">
-                              {new Date(event.date).toLocaleDateString()}
-                            </span>
+                              <button
+                                onClick={() => openEdit(event)}
+                                className="p-1 text-gray-400 hover:text-purple-600 transition-colors duration-200"
+                                title="Edit event"
+                              >
+                                <PenLine className="h-4 w-4" />
+                              </button>
+                              <button
+                                onClick={() => handleDeleteEvent(event)}
+                                className="p-1 text-gray-400 hover:text-red-600 transition-colors duration-200"
+                                title="Delete event"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </div>
                           </div>
-                        </div>
+
+                          {orderUncertain && (
+                            <p className="text-xs text-gray-400 mb-2">
+                              The dates overlap the event above, so these two may have happened in either order.
+                            </p>
+                          )}
                         
-                        <p className="text-gray-700 mb-3">{event.description}</p>
+                          <p className="text-gray-700 mb-3">{event.description}</p>
                         
-                        {/* Associated Documents */}
-                        {event.associatedDocuments && event.associatedDocuments.length > 0 && (
-                          <div className="mt-3">
-                            <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
-                              <FileText className="h-4 w-4 mr-1" />
-                              Associated Documents
-                            </h4>
-                            <div className="flex flex-wrap gap-2">
-                              {event.associatedDocuments.map(docId => {
-                                const doc = documents.find(d => d.documentId === docId)
-                                return doc ? (
-                                  <span key={docId} className="text-xs bg-white px-2 py-1 rounded border border-gray-200">
-                                    {doc.fileName}
-                                  </span>
-                                ) : null
-                              })}
+                          {/* People */}
+                          {event.personIds?.some(personId => people.some(p => p.personId === personId)) && (
+                            <div className="mt-3">
+                              <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                                <Users className="h-4 w-4 mr-1" />
+                                People
+                              </h4>
+                              <div className="flex flex-wrap gap-2">
+                                {event.personIds.map(personId => {
+                                  const person = people.find(p => p.personId === personId)
+                                  return person ? (
+                                    <button
+                                      key={personId}
+                                      onClick={() => onViewPerson?.(person)}
+                                      className="text-xs bg-white px-2 py-1 rounded border border-gray-200 text-purple-700 hover:border-purple-300"
+                                    >
+                                      {person.name}
+                                    </button>
+                                  ) : null
+                                })}
+                              </div>
                             </div>
-                          </div>
-                        )}
+                          )}
+
+                          {/* Associated Documents */}
+                          {event.associatedDocuments && event.associatedDocuments.length > 0 && (
+                            <div className="mt-3">
+                              <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+                                <FileText className="h-4 w-4 mr-1" />
+                                Associated Documents
+                              </h4>
+                              <div className="flex flex-wrap gap-2">
+                                {event.associatedDocuments.map(docId => {
+                                  const doc = documents.find(d => d.documentId === docId)
+                                  return doc ? (
+                                    <span key={docId} className="text-xs bg-white px-2 py-1 rounded border border-gray-200">
+                                      {doc.fileName}
+                                    </span>
+                                  ) : null
+                                })}
+                              </div>
+                            </div>
+                          )}
+                        </div>
                       </div>
                     </div>
-                  </div>
-                ))}
+                  )
+                })}
               </div>
             </div>
           </div>
         )}
       </div>
 
-      {/* Event Creation Modal */}
+      {/* Event Modal */}
       {showEventModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
           <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
             <div className="p-6 border-b border-gray-200">
-              <h2 className="text-xl font-semibold text-gray-900">Create Historical Event</h2>
+              <h2 className="text-xl font-semibold text-gray-900">
+                {editingEventId ? 'Edit Historical Event' : 'Create Historical Event'}
+              </h2>
             </div>
             
             <div className="p-6 space-y-6">
@@ -181,17 +398,42 @@ const Timeline = ({ events, documents, onAddEvent }) => {
                 />
               </div>
 
-              {/* Date */}
+              {/* Dates */}
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Date
-                </label>
-                <input
-                  type="date"
-                  value={eventForm.date}
-                  onChange={(e) => setEventForm(prev => ({ ...prev, date: e.target.value }))}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
-                />
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Date
+                    </label>
+                    <input
+                      type="text"
+                      value={eventForm.date}
+                      onChange={(e) => setEventForm(prev => ({ ...prev, date: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                      placeholder="e.g., 1905-04-15, c. 1905, 1910s"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      End Date <span className="font-normal text-gray-400">(optional)</span>
+                    </label>
+                    <input
+                      type="text"
+                      value={eventForm.endDate}
+                      onChange={(e) => setEventForm(prev => ({ ...prev, endDate: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500"
+                      placeholder="For events that span time"
+                    />
+                  </div>
+                </div>
+                {dateCheck?.error ? (
+                  <p className="text-xs text-red-600 mt-2">{dateCheck.error}</p>
+                ) : dateCheck && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    {formatEventDate(dateCheck.fields)}
+                    {dateSpan && ` · ${dateSpan}`}
+                  </p>
+                )}
               </div>
 
               {/* Theme Tag */}
@@ -233,7 +475,7 @@ const Timeline = ({ events, documents, onAddEvent }) => {
                       No documents available
                     </div>
                   ) : (
-                    documents.map(doc => (
+                    formDocuments.map(doc => (
                       <label key={doc.documentId} className="flex items-center p-3 hover:bg-gray-50 cursor-pointer">
                         <input
                           type="checkbox"
@@ -254,26 +496,58 @@ const Timeline = ({ events, documents, onAddEvent }) => {
                           className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
                         />
                         <span className="ml-3 text-sm text-gray-900 truncate">{doc.fileName}</span>
+                        <span className={`ml-auto pl-3 text-xs whitespace-nowrap ${isFromEventDates(doc) ? 'text-purple-600' : 'text-gray-500'}`}>
+                          {formatDocumentDate(doc) || 'Undated'}
+                        </span>
                       </label>
                     ))
                   )}
                 </div>
               </div>
+
+              {/* People */}
+              {people.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    People
+                  </label>
+                  <div className="max-h-32 overflow-y-auto border border-gray-300 rounded-lg">
+                    {[...people].sort((a, b) => a.name.localeCompare(b.name)).map(person => (
+                      <label key={person.personId} className="flex items-center p-3 hover:bg-gray-50 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={eventForm.personIds.includes(person.personId)}
+                          onChange={(e) => {
+                            setEventForm(prev => ({
+                              ...prev,
+                              personIds: e.target.checked
+                                ? [...prev.personIds, person.personId]
+                                : prev.personIds.filter(id => id !== person.personId)
+                            }))
+                          }}
+                          className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+                        />
+                        <span className="ml-3 text-sm text-gray-900 truncate">{person.name}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
             </div>
 
             <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
               <button
-                onClick={() => setShowEventModal(false)}
+                onClick={closeModal}
                 className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors duration-200"
               >
                 Cancel
               </button>
               <button
-                onClick={handleCreateEvent}
-                disabled={!eventForm.title || !eventForm.date}
+                onClick={handleSaveEvent}
+                disabled={!eventForm.title.trim() || !dateCheck?.fields || saving}
                 className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors duration-200"
               >
-                Create Event
+                {saving ? 'Saving...' : editingEventId ? 'Save Event' : 'Create Event'}
               </button>
             </div>
           </div>
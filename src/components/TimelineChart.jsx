@@ -0,0 +1,299 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import { ZoomIn, ZoomOut, Maximize, FileText, PenLine, X } from 'lucide-react'
+import { DAY_MS, CLUSTER_DISTANCE, LANE_COLORS, getExtent, getTicks, groupByTheme, layoutLane } from '../utils/timelineLayout'
+import { formatEventDate, getEventDates } from '../utils/historicalDate'
+
+const LANE_LABEL_WIDTH = 150
+const AXIS_HEIGHT = 28
+const ROW_HEIGHT = 26
+const LANE_PADDING = 8
+
+// From a fortnight on screen to a millennium
+const MIN_SPAN = 14 * DAY_MS
+const MAX_SPAN = 1000 * 365 * DAY_MS
+const ZOOM_STEP = 1.25
+
+const truncate = (text, length = 24) => (text.length > length ? `${text.slice(0, length - 1)}…` : text)
+
+/**
+ * Zoom a view by `factor` around a point `ratio` of the way across it
+ */
+const zoomView = (view, factor, ratio = 0.5) => {
+  const span = Math.min(Math.max((view.to - view.from) * factor, MIN_SPAN), MAX_SPAN)
+  const anchor = view.from + (view.to - view.from) * ratio
+  return { from: anchor - span * ratio, to: anchor + span * (1 - ratio) }
+}
+
+/**
+ * Horizontal timeline with a swimlane per theme. Scroll to zoom from centuries down to days,
+ * drag to pan; events on a single date are dots, events that span time are bars, and faint
+ * whiskers show how far an uncertain date could reach. Selecting an event lists its documents.
+ */
+const TimelineChart = ({ events, documents, onViewDocument, onEditEvent }) => {
+  const containerRef = useRef(null)
+  const svgRef = useRef(null)
+  const dragRef = useRef(null)
+  const [width, setWidth] = useState(0)
+  const [view, setView] = useState(null)
+  const [dragging, setDragging] = useState(false)
+  const [selectedId, setSelectedId] = useState(null)
+
+  const extent = useMemo(() => getExtent(events), [events])
+  const chartWidth = Math.max(width - LANE_LABEL_WIDTH, 0)
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width))
+    observer.observe(containerRef.current)
+    return () => observer.disconnect()
+  }, [])
+
+  // Frame every event the first time there are any
+  useEffect(() => {
+    if (!view && extent) setView(extent)
+  }, [view, extent])
+
+  // Wheel zoom centres on the pointer; React's wheel listener is passive and cannot stop the page scrolling
+  useEffect(() => {
+    const svg = svgRef.current
+    if (!svg) return
+
+    const handleWheel = (e) => {
+      e.preventDefault()
+      const ratio = (e.clientX - svg.getBoundingClientRect().left - LANE_LABEL_WIDTH) / chartWidth
+      setView(prev => prev && zoomView(prev, e.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP, Math.min(Math.max(ratio, 0), 1)))
+    }
+
+    svg.addEventListener('wheel', handleWheel, { passive: false })
+    return () => svg.removeEventListener('wheel', handleWheel)
+  }, [chartWidth])
+
+  useEffect(() => {
+    if (!dragging) return
+
+    const handleMove = (e) => {
+      const drag = dragRef.current
+      const dx = e.clientX - drag.x
+      if (Math.abs(dx) > 3) drag.moved = true
+      const shift = (dx / chartWidth) * (drag.view.to - drag.view.from)
+      setView({ from: drag.view.from - shift, to: drag.view.to - shift })
+    }
+    const handleUp = () => setDragging(false)
+
+    window.addEventListener('pointermove', handleMove)
+    window.addEventListener('pointerup', handleUp)
+    return () => {
+      window.removeEventListener('pointermove', handleMove)
+      window.removeEventListener('pointerup', handleUp)
+    }
+  }, [dragging, chartWidth])
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0 || !view) return
+    dragRef.current = { x: e.clientX, view, moved: false }
+    setDragging(true)
+  }
+
+  // A drag that ends over a mark is not a click on it
+  const wasDragged = () => dragRef.current?.moved
+
+  const xOf = (time) => (view ? ((time - view.from) / (view.to - view.from)) * chartWidth : 0)
+
+  const lanes = useMemo(() => {
+    if (!view || !chartWidth) return []
+    let top = AXIS_HEIGHT
+    return groupByTheme(events).map((lane, index) => {
+      const { marks, rows } = layoutLane(lane.events, xOf)
+      const height = rows * ROW_HEIGHT + LANE_PADDING * 2
+      const laid = { ...lane, marks, top, height, color: LANE_COLORS[index % LANE_COLORS.length] }
+      top += height
+      return laid
+    })
+  }, [events, view, chartWidth])
+
+  const height = lanes.length ? lanes[lanes.length - 1].top + lanes[lanes.length - 1].height : AXIS_HEIGHT + ROW_HEIGHT
+  const ticks = view && chartWidth ? getTicks(view.from, view.to, chartWidth) : []
+  const selected = events.find(event => event.eventId === selectedId)
+  const selectedDocuments = (selected?.associatedDocuments || [])
+    .map(id => documents.find(doc => doc.documentId === id))
+    .filter(Boolean)
+
+  const zoomToSpan = (span) => {
+    const margin = Math.max((span.end - span.start) * 0.25, MIN_SPAN / 2)
+    setView({ from: span.start - margin, to: span.end + margin })
+  }
+
+  const handleMarkClick = (mark) => {
+    if (wasDragged()) return
+    if (mark.type === 'cluster') zoomToSpan(mark.span)
+    else setSelectedId(mark.events[0].eventId)
+  }
+
+  const renderMark = (mark, lane) => {
+    const y = lane.top + LANE_PADDING + mark.row * ROW_HEIGHT + ROW_HEIGHT / 2
+
+    if (mark.type === 'cluster') {
+      const x = (mark.x0 + mark.x1) / 2
+      return (
+        <g key={`cluster-${mark.events[0].eventId}`} onClick={() => handleMarkClick(mark)} style={{ cursor: 'pointer' }}>
+          <title>{`${mark.events.length} events — click to zoom in\n${mark.events.map(event => event.title).join('\n')}`}</title>
+          <circle cx={x} cy={y} r={11} fill={lane.color} stroke="white" strokeWidth={2} />
+          <text x={x} y={y + 4} textAnchor="middle" fontSize="11" fontWeight="600" fill="white">{mark.events.length}</text>
+        </g>
+      )
+    }
+
+    const event = mark.events[0]
+    const { start } = getEventDates(event)
+    const isBar = mark.x1 - mark.x0 >= CLUSTER_DISTANCE
+    const isSelected = event.eventId === selectedId
+    const whiskerFrom = xOf(mark.span.earliest)
+    const whiskerTo = xOf(mark.span.latest)
+
+    return (
+      <g key={event.eventId} onClick={() => handleMarkClick(mark)} style={{ cursor: 'pointer' }}>
+        <title>{`${event.title} (${formatEventDate(event)})`}</title>
+        {whiskerTo - whiskerFrom > 2 && (
+          <line x1={whiskerFrom} y1={y} x2={whiskerTo} y2={y} stroke={lane.color} strokeWidth={4} strokeLinecap="round" opacity={0.2} />
+        )}
+        {isBar ? (
+          <rect
+            x={mark.x0}
+            y={y - 6}
+            width={mark.x1 - mark.x0}
+            height={12}
+            rx={6}
+            fill={lane.color}
+            opacity={start?.uncertain ? 0.6 : 0.9}
+            stroke={isSelected ? '#111827' : 'none'}
+            strokeWidth={2}
+          />
+        ) : (
+          <circle
+            cx={mark.x0}
+            cy={y}
+            r={6}
+            fill={start?.uncertain ? 'white' : lane.color}
+            stroke={isSelected ? '#111827' : lane.color}
+            strokeWidth={isSelected ? 3 : 2}
+          />
+        )}
+        {mark.showLabel && (
+          <text x={Math.max(mark.x1, 0) + 10} y={y + 4} fontSize="11" className="fill-current text-gray-700">
+            {truncate(event.title || '')}
+          </text>
+        )}
+      </g>
+    )
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-xs text-gray-500">Scroll to zoom, drag to pan. Click a cluster to zoom in, or an event to see its documents.</p>
+        <div className="flex items-center space-x-1">
+          <button onClick={() => setView(prev => prev && zoomView(prev, 1 / ZOOM_STEP))} className="p-2 text-gray-500 hover:text-gray-900" title="Zoom in">
+            <ZoomIn className="h-4 w-4" />
+          </button>
+          <button onClick={() => setView(prev => prev && zoomView(prev, ZOOM_STEP))} className="p-2 text-gray-500 hover:text-gray-900" title="Zoom out">
+            <ZoomOut className="h-4 w-4" />
+          </button>
+          <button onClick={() => setView(extent)} className="p-2 text-gray-500 hover:text-gray-900" title="Fit">
+            <Maximize className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <div ref={containerRef} className="border border-gray-200 rounded-lg overflow-hidden select-none">
+        <svg
+          ref={svgRef}
+          width="100%"
+          height={height}
+          onPointerDown={handlePointerDown}
+          style={{ cursor: dragging ? 'grabbing' : 'grab', touchAction: 'none' }}
+        >
+          {lanes.map((lane, index) => (
+            <g key={lane.theme}>
+              <rect x={0} y={lane.top} width={width} height={lane.height} fill={index % 2 ? '#f9fafb' : 'white'} />
+              <line x1={0} y1={lane.top} x2={width} y2={lane.top} stroke="#e5e7eb" />
+              <rect x={0} y={lane.top} width={4} height={lane.height} fill={lane.color} />
+              <text x={14} y={lane.top + LANE_PADDING + 14} fontSize="12" fontWeight="600" className="fill-current text-gray-800">
+                {truncate(lane.theme, 18)}
+              </text>
+              <text x={14} y={lane.top + LANE_PADDING + 30} fontSize="11" className="fill-current text-gray-500">
+                {lane.events.length} event{lane.events.length === 1 ? '' : 's'}
+              </text>
+            </g>
+          ))}
+          <line x1={LANE_LABEL_WIDTH} y1={0} x2={LANE_LABEL_WIDTH} y2={height} stroke="#e5e7eb" />
+
+          {/* Nested so marks scrolled past the edge are clipped away from the lane names */}
+          <svg x={LANE_LABEL_WIDTH} y={0} width={chartWidth} height={height}>
+            {ticks.map(tick => (
+              <g key={tick.time}>
+                <line x1={xOf(tick.time)} y1={AXIS_HEIGHT - 6} x2={xOf(tick.time)} y2={height} stroke="#e5e7eb" />
+                <text x={xOf(tick.time) + 4} y={16} fontSize="11" className="fill-current text-gray-500">{tick.label}</text>
+              </g>
+            ))}
+            {lanes.map(lane => lane.marks
+              .filter(mark => mark.x1 >= -200 && mark.x0 <= chartWidth + 20)
+              .map(mark => renderMark(mark, lane)))}
+          </svg>
+        </svg>
+      </div>
+
+      {selected && (
+        <div className="mt-4 bg-gray-50 rounded-lg p-4">
+          <div className="flex items-start justify-between mb-2">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{selected.title}</h3>
+              <p className="text-sm text-gray-500">
+                {formatEventDate(selected)}
+                {selected.themeTag && ` · ${selected.themeTag}`}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => onEditEvent(selected)}
+                className="p-1 text-gray-400 hover:text-purple-600 transition-colors duration-200"
+                title="Edit event"
+              >
+                <PenLine className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setSelectedId(null)}
+                className="p-1 text-gray-400 hover:text-gray-600 transition-colors duration-200"
+                title="Close"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+
+          {selected.description && <p className="text-gray-700 mb-3">{selected.description}</p>}
+
+          <h4 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+            <FileText className="h-4 w-4 mr-1" />
+            Associated Documents
+          </h4>
+          {selectedDocuments.length === 0 ? (
+            <p className="text-sm text-gray-500">No documents are associated with this event.</p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {selectedDocuments.map(doc => (
+                <button
+                  key={doc.documentId}
+                  onClick={() => onViewDocument?.(doc)}
+                  className="text-xs bg-white px-2 py-1 rounded border border-gray-200 text-blue-600 hover:border-blue-300"
+                >
+                  {doc.fileName}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TimelineChart
@@ -0,0 +1,64 @@
+/**
+ * Name spellings that records treat as the same name
+ * The starting variant dictionary: anglicized surnames, spellings clerks wrote by ear, and given
+ * names with their forms in other languages and common nicknames. Users can edit it in search.
+ */
+
+export const DEFAULT_NAME_VARIANTS = [
+  // Surnames
+  ['smith', 'smyth', 'smythe', 'schmidt', 'schmitt', 'schmid'],
+  ['obrien', 'obryan', 'obrian', 'brien'],
+  ['oneill', 'oneil', 'neill', 'neil'],
+  ['oreilly', 'reilly', 'riley', 'reilley'],
+  ['mcdonald', 'macdonald', 'mcdonell', 'macdonell'],
+  ['mcpherson', 'macpherson'],
+  ['johnson', 'johnston', 'johnstone', 'jonson'],
+  ['meyer', 'meier', 'mayer', 'maier', 'myer', 'meyers', 'myers'],
+  ['muller', 'mueller', 'miller', 'moller'],
+  ['schneider', 'snyder', 'snider', 'schnieder'],
+  ['schwartz', 'schwarz', 'swartz', 'szwarc'],
+  ['schumacher', 'schumaker', 'shoemaker'],
+  ['zimmermann', 'zimmerman', 'carpenter'],
+  ['koch', 'cook', 'cooke'],
+  ['braun', 'brown', 'browne'],
+  ['weiss', 'weis', 'white', 'whyte'],
+  ['konig', 'koenig', 'king'],
+  ['jung', 'young', 'younge'],
+  ['cohen', 'cohn', 'kohn', 'kahn', 'kohen'],
+  ['levy', 'levi', 'levey', 'lewi'],
+  ['katz', 'kats', 'katze'],
+  ['kowalski', 'kowalsky', 'kovalsky'],
+  ['taylor', 'tailor', 'tayler'],
+  ['clark', 'clarke', 'clerk'],
+  ['gray', 'grey'],
+  ['kelly', 'kelley', 'kellie'],
+  ['murphy', 'murphey'],
+  ['reid', 'reed', 'reade'],
+  ['thompson', 'thomson', 'tomson'],
+  ['petersen', 'peterson', 'pedersen'],
+  ['hansen', 'hanson'],
+  ['andersen', 'anderson'],
+  ['nielsen', 'nilsen', 'nelson'],
+
+  // Given names
+  ['john', 'johann', 'johannes', 'jan', 'juan', 'giovanni', 'jean', 'sean', 'ivan', 'jack'],
+  ['mary', 'maria', 'marie', 'mae', 'molly', 'polly', 'mamie'],
+  ['elizabeth', 'elisabeth', 'eliza', 'elsbeth', 'betsy', 'bessie', 'lizzie'],
+  ['catherine', 'katherine', 'catharine', 'katharina', 'kathryn', 'kate', 'kitty'],
+  ['margaret', 'margarethe', 'margaretha', 'maggie', 'peggy', 'greta'],
+  ['bridget', 'brigid', 'bridie', 'biddy'],
+  ['ellen', 'helen', 'helena', 'eleanor', 'nellie'],
+  ['anne', 'anna', 'ann', 'hannah', 'nancy'],
+  ['william', 'wilhelm', 'willem', 'guillermo', 'guglielmo', 'bill', 'willie'],
+  ['james', 'jaime', 'seamus', 'jim', 'jimmy'],
+  ['joseph', 'josef', 'giuseppe', 'jose', 'joe'],
+  ['patrick', 'padraig', 'pat', 'paddy'],
+  ['peter', 'pieter', 'pietro', 'pedro', 'piotr'],
+  ['michael', 'michel', 'michele', 'miguel', 'mikhail', 'mick'],
+  ['henry', 'heinrich', 'henri', 'enrico', 'harry', 'hank'],
+  ['charles', 'karl', 'carl', 'carlo', 'carlos', 'charlie'],
+  ['frederick', 'friedrich', 'fritz', 'fred'],
+  ['robert', 'roberto', 'bob', 'bobby', 'robin'],
+  ['richard', 'ricardo', 'dick', 'rick'],
+  ['thomas', 'tomas', 'tommaso', 'tom']
+]
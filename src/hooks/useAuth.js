@@ -1,32 +1,69 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { apiService } from '../services/api'
+import { sessionService } from '../services/session'
 
 export const useAuth = () => {
-  const [user, setUser] = useState(null)
+  // Restore an existing session on first render
+  const [user, setUser] = useState(() => (sessionService.isActive() ? sessionService.getUser() : null))
   const [showAuth, setShowAuth] = useState(false)
+  const [sessionMessage, setSessionMessage] = useState(null)
 
-  const login = (userData) => {
-    setUser(userData)
-    localStorage.setItem('historify_user', JSON.stringify(userData))
+  // Log out whenever the API rejects our tokens
+  useEffect(() => sessionService.onExpired((reason) => {
+    setUser(null)
+    setSessionMessage(reason === 'rejected'
+      ? 'Your session is no longer valid. Please sign in again.'
+      : 'Your session has expired. Please sign in again.')
+    setShowAuth(true)
+  }), [])
+
+  // Silently refresh the access token shortly before it expires
+  useEffect(() => {
+    if (!user || !sessionService.getRefreshToken()) return
+
+    let timer
+    const schedule = () => {
+      timer = setTimeout(() => {
+        apiService.refreshSession()
+          .then(({ user: refreshedUser }) => {
+            if (refreshedUser) setUser(refreshedUser)
+            schedule()
+          })
+          .catch(() => {
+            // Offline: try again in a minute; rejected tokens already ended the session
+            if (sessionService.getRefreshToken()) {
+              timer = setTimeout(schedule, 60 * 1000)
+            }
+          })
+      }, sessionService.getRefreshDelay())
+    }
+
+    schedule()
+    return () => clearTimeout(timer)
+  }, [user?.userId])
+
+  const startSession = ({ user: sessionUser }) => {
+    setUser(sessionUser)
+    setSessionMessage(null)
+    return sessionUser
   }
 
+  const login = async (credentials) => startSession(await apiService.loginUser(credentials))
+
+  const register = async (details) => startSession(await apiService.createUser(details))
+
   const logout = () => {
     setUser(null)
-    localStorage.removeItem('historify_user')
+    apiService.logoutUser()
   }
 
-  // Check for existing session on mount
-  useState(() => {
-    const savedUser = localStorage.getItem('historify_user')
-    if (savedUser) {
-      setUser(JSON.parse(savedUser))
-    }
-  }, [])
-
   return {
     user,
     login,
+    register,
     logout,
     showAuth,
-    setShowAuth
+    setShowAuth,
+    sessionMessage
   }
-}
\ No newline at end of file
+}
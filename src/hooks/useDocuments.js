@@ -1,73 +1,313 @@
-import { useState } from 'react'
-
-export const useDocuments = () => {
-  const [documents, setDocuments] = useState([
-    {
-      documentId: 'doc1',
-      fileName: 'Census_1920_Ward_3.pdf',
-      uploadDate: '2024-01-15T10:30:00Z',
-      ocrText: 'UNITED STATES CENSUS 1920 - WARD 3\n\nSmith, John - Age 35, Occupation: Factory Worker\nSmith, Mary - Age 32, Occupation: Housewife\nSmith, Robert - Age 8, Occupation: Student\n\nAddress: 123 Main Street\nImmigration Year: 1905 (Ireland)',
-      metadata: {
-        source: 'National Archives',
-        fileSize: 2048000,
-        fileType: 'application/pdf'
-      },
-      linkedDocuments: []
-    },
-    {
-      documentId: 'doc2',
-      fileName: 'Immigration_Record_Ellis_Island_1905.jpg',
-      uploadDate: '2024-01-16T14:20:00Z',
-      ocrText: 'MANIFEST OF ALIEN PASSENGERS\nSS CELTIC - April 15, 1905\n\nSmith, John - Age 20\nOccupation: Laborer\nCountry of Origin: Ireland\nDestination: New York\nSponsored by: Michael O\'Brien, 456 Oak Avenue',
-      metadata: {
-        source: 'Ellis Island Records',
-        fileSize: 1024000,
-        fileType: 'image/jpeg'
-      },
-      linkedDocuments: []
+import { useState, useEffect } from 'react'
+import { apiService } from '../services/api'
+import { storageService, STORES } from '../services/storage'
+import { searchService } from '../services/search'
+import { ocrQueue } from '../services/ocrQueue'
+import { handleError, ERROR_TYPES, ERROR_SEVERITY } from '../utils/errorHandler'
+import { SAMPLE_DOCUMENTS, SAMPLE_EVENTS, SAMPLE_LINKS } from '../data/sampleData'
+
+const ENABLE_MOCK_DATA = import.meta.env.VITE_ENABLE_MOCK_DATA === 'true'
+
+// `record` back in `records` at `index`, unless it is already there again
+const reinsert = (records, idKey, record, index) => {
+  if (records.some(r => r[idKey] === record[idKey])) return records
+  const next = [...records]
+  next.splice(Math.min(index, next.length), 0, record)
+  return next
+}
+
+export const useDocuments = (user) => {
+  const [documents, setDocuments] = useState([])
+  const [events, setEvents] = useState([])
+  const [links, setLinks] = useState([])
+  const [people, setPeople] = useState([])
+  const [places, setPlaces] = useState([])
+  const [overlays, setOverlays] = useState([])
+  const [parcels, setParcels] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const userId = user?.userId
+
+  // Load the collection whenever the signed-in user changes
+  useEffect(() => {
+    if (!userId) {
+      setDocuments([])
+      setEvents([])
+      setLinks([])
+      setPeople([])
+      setPlaces([])
+      setOverlays([])
+      setParcels([])
+      return
+    }
+
+    let cancelled = false
+    setLoading(true)
+    setError(null)
+
+    const load = async () => {
+      // Writes made offline go first, so the collection comes back with them
+      await apiService.syncOutbox().catch(err => {
+        console.warn('Offline changes could not be sent:', err)
+      })
+
+      let [loadedDocuments, loadedEvents, loadedLinks, loadedPeople, loadedPlaces, loadedOverlays, loadedParcels] = await Promise.all([
+        apiService.getDocuments(userId),
+        apiService.getEvents(userId),
+        apiService.getLinks(userId),
+        apiService.getPeople(userId),
+        apiService.getPlaces(userId),
+        apiService.getOverlays(userId),
+        apiService.getParcels(userId),
+        // The saved search index, so only documents changed since the last session are tokenized
+        searchService.loadIndex()
+      ])
+
+      if (ENABLE_MOCK_DATA && !loadedDocuments.length && !loadedEvents.length && !loadedLinks.length) {
+        await Promise.all([
+          storageService.putAllForUser(STORES.DOCUMENTS, userId, SAMPLE_DOCUMENTS),
+          storageService.putAllForUser(STORES.EVENTS, userId, SAMPLE_EVENTS),
+          storageService.putAllForUser(STORES.LINKS, userId, SAMPLE_LINKS)
+        ])
+        loadedDocuments = SAMPLE_DOCUMENTS
+        loadedEvents = SAMPLE_EVENTS
+        loadedLinks = SAMPLE_LINKS
+      }
+
+      return { loadedDocuments, loadedEvents, loadedLinks, loadedPeople, loadedPlaces, loadedOverlays, loadedParcels }
+    }
+
+    load()
+      .then(({ loadedDocuments, loadedEvents, loadedLinks, loadedPeople, loadedPlaces, loadedOverlays, loadedParcels }) => {
+        if (cancelled) return
+        setDocuments(loadedDocuments)
+        setEvents(loadedEvents)
+        setLinks(loadedLinks)
+        setPeople(loadedPeople)
+        setPlaces(loadedPlaces)
+        setOverlays(loadedOverlays)
+        setParcels(loadedParcels)
+      })
+      .catch(err => {
+        if (cancelled) return
+        setError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.HIGH, { action: 'loadCollection' }))
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [userId])
+
+  // Send writes made offline as soon as the connection comes back
+  useEffect(() => {
+    if (!userId) return
+
+    const handleOnline = () => {
+      apiService.syncOutbox().catch(err => {
+        console.warn('Offline changes could not be sent:', err)
+      })
     }
-  ])
-
-  const [events, setEvents] = useState([
-    {
-      eventId: 'event1',
-      title: 'Great Irish Immigration Wave',
-      description: 'Large influx of Irish immigrants to the city following economic hardship in Ireland.',
-      date: '1905-04-15',
-      themeTag: 'Immigration',
-      associatedDocuments: ['doc2'],
-      createdDate: '2024-01-20T09:00:00Z'
+    window.addEventListener('online', handleOnline)
+    return () => window.removeEventListener('online', handleOnline)
+  }, [userId])
+
+  // Run the user's background OCR jobs and pick up the documents they produce
+  useEffect(() => {
+    if (!userId) {
+      ocrQueue.stop()
+      return
     }
-  ])
-
-  const [links, setLinks] = useState([
-    {
-      linkId: 'link1',
-      documentIds: ['doc1', 'doc2'],
-      linkType: 'person',
-      description: 'Both documents reference John Smith - immigration record and census record 15 years later',
-      createdDate: '2024-01-20T10:00:00Z'
+
+    ocrQueue.resume(user).catch(err => {
+      setError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.MEDIUM, { action: 'resumeOcrQueue' }))
+    })
+
+    return ocrQueue.onDocumentReady(document => {
+      setDocuments(prev => prev.some(doc => doc.documentId === document.documentId)
+        ? prev.map(doc => doc.documentId === document.documentId ? document : doc)
+        : [...prev, document])
+    })
+  }, [userId])
+
+  // Keep the local search index in step with added, edited and deleted documents. Signing out
+  // empties the list without syncing; the saved index is cleared by apiService.logoutUser.
+  useEffect(() => {
+    if (userId) searchService.syncIndex(documents)
+  }, [userId, documents])
+
+  /**
+   * Show a record immediately, then swap in the saved copy or roll back on failure.
+   * A record that arrives with its own id keeps it, so it is the same record before and after saving.
+   */
+  const optimisticAdd = async (setRecords, idKey, record, save, action) => {
+    const tempId = record[idKey] || `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+    setRecords(prev => [...prev, { ...record, [idKey]: tempId, pending: true }])
+
+    try {
+      const saved = await save(record)
+      setRecords(prev => prev.map(r => r[idKey] === tempId ? saved : r))
+      return saved
+    } catch (err) {
+      setRecords(prev => prev.filter(r => r[idKey] !== tempId))
+      setError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.MEDIUM, { action }))
+      throw err
     }
-  ])
+  }
 
-  const addDocument = (document) => {
-    setDocuments(prev => [...prev, document])
+  const addDocument = (document) =>
+    optimisticAdd(setDocuments, 'documentId', document, doc => apiService.saveDocument(doc), 'addDocument')
+
+  /**
+   * Apply updates immediately, then swap in the saved copy or roll back on failure
+   */
+  const optimisticUpdate = async (records, setRecords, idKey, id, updates, save, action) => {
+    const previous = records.find(r => r[idKey] === id)
+    setRecords(prev => prev.map(r => r[idKey] === id ? { ...r, ...updates } : r))
+
+    try {
+      const saved = await save(id, updates)
+      setRecords(prev => prev.map(r => r[idKey] === id ? saved : r))
+      return saved
+    } catch (err) {
+      setRecords(prev => prev.map(r => r[idKey] === id ? previous : r))
+      setError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.MEDIUM, { action }))
+      throw err
+    }
   }
 
-  const addEvent = (event) => {
-    setEvents(prev => [...prev, event])
+  /**
+   * Remove a record immediately, then put it back where it was if deleting fails. Changes made to
+   * the list meanwhile are kept.
+   */
+  const optimisticDelete = async (records, setRecords, idKey, id, remove, action) => {
+    const index = records.findIndex(r => r[idKey] === id)
+    const removed = records[index]
+    setRecords(prev => prev.filter(r => r[idKey] !== id))
+
+    try {
+      await remove(id)
+    } catch (err) {
+      if (removed) setRecords(prev => reinsert(prev, idKey, removed, index))
+      setError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.MEDIUM, { action }))
+      throw err
+    }
   }
 
-  const addLink = (link) => {
-    setLinks(prev => [...prev, link])
+  const updateDocument = (documentId, updates) =>
+    optimisticUpdate(documents, setDocuments, 'documentId', documentId, updates,
+      (id, changes) => apiService.updateDocument(id, changes), 'updateDocument')
+
+  const addEvent = (event) =>
+    optimisticAdd(setEvents, 'eventId', event, evt => apiService.saveEvent(evt), 'addEvent')
+
+  const updateEvent = (eventId, updates) =>
+    optimisticUpdate(events, setEvents, 'eventId', eventId, updates,
+      (id, changes) => apiService.updateEvent(id, changes), 'updateEvent')
+
+  const deleteEvent = (eventId) =>
+    optimisticDelete(events, setEvents, 'eventId', eventId, id => apiService.deleteEvent(id), 'deleteEvent')
+
+  const addLink = (link) =>
+    optimisticAdd(setLinks, 'linkId', link, lnk => apiService.saveLink(lnk), 'addLink')
+
+  const addPerson = (person) =>
+    optimisticAdd(setPeople, 'personId', person, p => apiService.savePerson(p), 'addPerson')
+
+  const updatePerson = (personId, updates) =>
+    optimisticUpdate(people, setPeople, 'personId', personId, updates,
+      (id, changes) => apiService.updatePerson(id, changes), 'updatePerson')
+
+  const addPlace = (place) =>
+    optimisticAdd(setPlaces, 'placeId', place, p => apiService.savePlace(p), 'addPlace')
+
+  const updatePlace = (placeId, updates) =>
+    optimisticUpdate(places, setPlaces, 'placeId', placeId, updates,
+      (id, changes) => apiService.updatePlace(id, changes), 'updatePlace')
+
+  const deletePlace = (placeId) =>
+    optimisticDelete(places, setPlaces, 'placeId', placeId, id => apiService.deletePlace(id), 'deletePlace')
+
+  const addOverlay = (overlay) =>
+    optimisticAdd(setOverlays, 'overlayId', overlay, o => apiService.saveOverlay(o), 'addOverlay')
+
+  const updateOverlay = (overlayId, updates) =>
+    optimisticUpdate(overlays, setOverlays, 'overlayId', overlayId, updates,
+      (id, changes) => apiService.updateOverlay(id, changes), 'updateOverlay')
+
+  const deleteOverlay = (overlayId) =>
+    optimisticDelete(overlays, setOverlays, 'overlayId', overlayId, id => apiService.deleteOverlay(id), 'deleteOverlay')
+
+  const addParcel = (parcel) =>
+    optimisticAdd(setParcels, 'parcelId', parcel, p => apiService.saveParcel(p), 'addParcel')
+
+  const updateParcel = (parcelId, updates) =>
+    optimisticUpdate(parcels, setParcels, 'parcelId', parcelId, updates,
+      (id, changes) => apiService.updateParcel(id, changes), 'updateParcel')
+
+  const deleteParcel = (parcelId) =>
+    optimisticDelete(parcels, setParcels, 'parcelId', parcelId, id => apiService.deleteParcel(id), 'deleteParcel')
+
+  /**
+   * Delete a person and drop the references events and links hold to them
+   */
+  const deletePerson = async (personId) => {
+    const index = people.findIndex(person => person.personId === personId)
+    const removed = people[index]
+    const eventIds = new Set(events.filter(event => event.personIds?.includes(personId)).map(event => event.eventId))
+    const linkIds = new Set(links.filter(link => link.personId === personId).map(link => link.linkId))
+
+    setPeople(prev => prev.filter(person => person.personId !== personId))
+    setEvents(prev => prev.map(event => event.personIds?.includes(personId)
+      ? { ...event, personIds: event.personIds.filter(id => id !== personId) }
+      : event))
+    setLinks(prev => prev.map(link => link.personId === personId ? { ...link, personId: null } : link))
+
+    try {
+      await apiService.deletePerson(personId)
+    } catch (err) {
+      // Put back only what the delete took away
+      if (removed) setPeople(prev => reinsert(prev, 'personId', removed, index))
+      setEvents(prev => prev.map(event => eventIds.has(event.eventId) && !event.personIds?.includes(personId)
+        ? { ...event, personIds: [...(event.personIds || []), personId] }
+        : event))
+      setLinks(prev => prev.map(link => linkIds.has(link.linkId) && !link.personId ? { ...link, personId } : link))
+      setError(handleError(err, ERROR_TYPES.STORAGE, ERROR_SEVERITY.MEDIUM, { action: 'deletePerson' }))
+      throw err
+    }
   }
 
   return {
     documents,
     events,
     links,
+    people,
+    places,
+    overlays,
+    parcels,
+    loading,
+    error,
+    clearError: () => setError(null),
     addDocument,
+    updateDocument,
     addEvent,
-    addLink
+    updateEvent,
+    deleteEvent,
+    addLink,
+    addPerson,
+    updatePerson,
+    deletePerson,
+    addPlace,
+    updatePlace,
+    deletePlace,
+    addOverlay,
+    updateOverlay,
+    deleteOverlay,
+    addParcel,
+    updateParcel,
+    deleteParcel
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,13 @@
+import { useState, useEffect } from 'react'
+import { ocrQueue } from '../services/ocrQueue'
+
+/**
+ * Live list of the signed-in user's background OCR jobs
+ */
+export const useOcrJobs = () => {
+  const [jobs, setJobs] = useState(() => ocrQueue.getJobs())
+
+  useEffect(() => ocrQueue.subscribe(setJobs), [])
+
+  return jobs
+}
@@ -0,0 +1,61 @@
+import { useState, useEffect, useRef } from 'react'
+import { savedSearchService, NOTIFICATION_REASONS } from '../services/savedSearches'
+
+/**
+ * Saved searches, search history and notifications for the signed-in user. The collection is
+ * checked against the saved searches when it loads, and again whenever a document's text arrives
+ * or changes.
+ */
+export const useSavedSearches = (user, documents, loading) => {
+  const [state, setState] = useState(() => savedSearchService.getState())
+  // documentId -> ocrText as last checked, or null until the collection has loaded
+  const checkedText = useRef(null)
+
+  const userId = user?.userId
+
+  useEffect(() => savedSearchService.subscribe(setState), [])
+
+  useEffect(() => {
+    checkedText.current = null
+    savedSearchService.load(userId).catch(error => {
+      console.warn('Saved searches could not be loaded:', error)
+    })
+  }, [userId])
+
+  useEffect(() => {
+    if (!userId || loading) {
+      checkedText.current = null
+      return
+    }
+
+    const previous = checkedText.current
+    checkedText.current = new Map(documents.map(doc => [doc.documentId, doc.ocrText || '']))
+
+    // Documents uploaded or corrected since the last session
+    if (!previous) {
+      savedSearchService.load(userId)
+        .then(() => savedSearchService.checkCollection(documents))
+        .catch(error => {
+          console.warn('Documents could not be checked against saved searches:', error)
+        })
+      return
+    }
+
+    const uploaded = documents.filter(doc => doc.ocrText && !previous.get(doc.documentId))
+    const corrected = documents.filter(doc => doc.ocrText && previous.get(doc.documentId) &&
+      previous.get(doc.documentId) !== doc.ocrText)
+
+    const check = async () => {
+      await savedSearchService.load(userId)
+      if (uploaded.length) await savedSearchService.checkDocuments(uploaded, documents, NOTIFICATION_REASONS.UPLOADED)
+      if (corrected.length) await savedSearchService.checkDocuments(corrected, documents, NOTIFICATION_REASONS.CORRECTED)
+    }
+    if (uploaded.length || corrected.length) {
+      check().catch(error => {
+        console.warn('New documents could not be checked against saved searches:', error)
+      })
+    }
+  }, [userId, documents, loading])
+
+  return state
+}
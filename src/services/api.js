@@ -3,41 +3,96 @@
  * Handles all external API integrations including OCR, storage, and backend services
  */
 
+import { sessionService } from './session'
+import { storageService, STORES } from './storage'
+import { localOcrService } from './localOcr'
+
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001/api'
 const OCR_SERVICE_URL = import.meta.env.VITE_OCR_SERVICE_URL || 'https://api.ocr.space/parse/image'
 const OCR_API_KEY = import.meta.env.VITE_OCR_API_KEY || 'demo_key'
+const USE_MOCK_API = import.meta.env.VITE_USE_MOCK_API === 'true'
+const USE_MOCK_OCR = import.meta.env.VITE_USE_MOCK_OCR === 'true'
+
+// Cached API collections: their store, id field, prefix for ids made offline and creation timestamp
+const COLLECTIONS = {
+  documents: { store: STORES.DOCUMENTS, idKey: 'documentId', prefix: 'doc', createdField: 'uploadDate', label: 'Document' },
+  events: { store: STORES.EVENTS, idKey: 'eventId', prefix: 'event', createdField: 'createdDate', label: 'Event' },
+  links: { store: STORES.LINKS, idKey: 'linkId', prefix: 'link', createdField: 'createdDate', label: 'Link' },
+  people: { store: STORES.PEOPLE, idKey: 'personId', prefix: 'person', createdField: 'createdDate', label: 'Person' },
+  places: { store: STORES.PLACES, idKey: 'placeId', prefix: 'place', createdField: 'createdDate', label: 'Place' },
+  overlays: { store: STORES.OVERLAYS, idKey: 'overlayId', prefix: 'overlay', createdField: 'createdDate', label: 'Overlay' },
+  parcels: { store: STORES.PARCELS, idKey: 'parcelId', prefix: 'parcel', createdField: 'createdDate', label: 'Parcel' }
+}
+
+export class ApiError extends Error {
+  constructor(status, envelope = {}, retryAfter = null) {
+    super(envelope.message || `HTTP error! status: ${status}`)
+    this.name = 'ApiError'
+    this.status = status
+    this.code = envelope.code
+    this.details = envelope.details
+    this.requestId = envelope.requestId
+    // Seconds to wait before trying again, from a 429 or 503 response
+    this.retryAfter = retryAfter
+  }
+}
 
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL
     this.ocrURL = OCR_SERVICE_URL
     this.ocrKey = OCR_API_KEY
+    this.refreshPromise = null
+    this.syncPromise = null
+    this.outboxSequence = 0
   }
 
   /**
    * Generic HTTP request handler
+   * Non-2xx responses are thrown as ApiError using the server's error envelope.
+   * Expiring tokens are refreshed first, and a rejected token is retried once after a refresh.
    */
   async request(endpoint, options = {}) {
+    const { skipAuth = false, retryOnAuthError = true, ...fetchOptions } = options
     const url = `${this.baseURL}${endpoint}`
+    const isFormData = typeof FormData !== 'undefined' && fetchOptions.body instanceof FormData
     const config = {
+      ...fetchOptions,
       headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
+        // Let the browser set the multipart boundary for FormData bodies
+        ...(isFormData ? {} : { 'Content-Type': 'application/json' }),
+        ...fetchOptions.headers,
       },
-      ...options,
     }
 
-    // Add auth token if available
-    const token = localStorage.getItem('historify_token')
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`
+    // Add auth token if available, refreshing it silently when it is about to expire
+    let token = null
+    if (!skipAuth) {
+      if (sessionService.getRefreshToken() && sessionService.needsRefresh()) {
+        await this.refreshSession().catch(() => {})
+      }
+      token = sessionService.getToken()
+      if (token) {
+        config.headers.Authorization = `Bearer ${token}`
+      }
     }
 
     try {
       const response = await fetch(url, config)
+
+      if (response.status === 401 && token) {
+        if (retryOnAuthError && sessionService.getRefreshToken()) {
+          const refreshed = await this.refreshSession().then(() => true, () => false)
+          if (refreshed) {
+            return this.request(endpoint, { ...options, retryOnAuthError: false })
+          }
+        }
+        sessionService.expire('rejected')
+      }
       
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`)
+        const body = await response.json().catch(() => ({}))
+        throw new ApiError(response.status, body.error, Number(response.headers?.get('Retry-After')) || null)
       }
       
       return await response.json()
@@ -47,13 +102,51 @@ class ApiService {
     }
   }
 
+  /**
+   * Fetch every page of a paginated collection endpoint
+   */
+  async requestAll(endpoint, key) {
+    const items = []
+    const separator = endpoint.includes('?') ? '&' : '?'
+    let page = 1
+    let response
+
+    do {
+      response = await this.request(`${endpoint}${separator}page=${page}&limit=100`)
+      if (Array.isArray(response)) return response
+      items.push(...(response[key] || []))
+      page += 1
+    } while (response.pagination?.hasNext)
+
+    return items
+  }
+
+  /**
+   * Only network failures fall back to the local store; server errors are surfaced
+   */
+  isOffline(error) {
+    return !(error instanceof ApiError)
+  }
+
+  // The same request may succeed later: the session was rejected, the user is rate limited or the server failed
+  isRetryable(error) {
+    return error.status === 401 || error.status === 429 || error.status >= 500
+  }
+
   /**
    * OCR Service Integration
-   * Supports multiple OCR providers (OCR.space, Google Vision, AWS Textract)
+   * Supports multiple OCR providers (OCR.space, Google Vision, AWS Textract) and a local in-browser engine.
+   * When a network provider fails, the local engine is used instead.
+   * Results are { text, confidence, provider, words } where each word is
+   * { text, confidence, line, bbox: { x, y, width, height } } in image pixels.
    */
   async processOCR(file, options = {}) {
     const { provider = 'ocr.space', language = 'eng' } = options
 
+    if (USE_MOCK_OCR) {
+      return this.mockOCRResult(file)
+    }
+
     try {
       switch (provider) {
         case 'ocr.space':
@@ -62,18 +155,22 @@ class ApiService {
           return await this.processGoogleVision(file)
         case 'aws-textract':
           return await this.processAWSTextract(file)
+        case 'local':
+          return await localOcrService.recognize(file, language)
         default:
           throw new Error(`Unsupported OCR provider: ${provider}`)
       }
     } catch (error) {
-      console.error('OCR processing failed:', error)
-      // Fallback to mock OCR for development
-      return this.mockOCRResult(file)
+      if (provider === 'local') throw error
+
+      console.error(`OCR provider ${provider} failed, falling back to local OCR:`, error)
+      return localOcrService.recognize(file, language)
     }
   }
 
   /**
    * OCR.space API integration
+   * Word geometry comes from the text overlay; OCR.space does not report per-word confidence.
    */
   async processOCRSpace(file, language = 'eng') {
     const formData = new FormData()
@@ -83,6 +180,7 @@ class ApiService {
     formData.append('OCREngine', '2')
     formData.append('detectOrientation', 'true')
     formData.append('scale', 'true')
+    formData.append('isOverlayRequired', 'true')
 
     const response = await fetch(this.ocrURL, {
       method: 'POST',
@@ -95,33 +193,56 @@ class ApiService {
       throw new Error(result.ErrorMessage || 'OCR processing failed')
     }
 
+    const parsed = result.ParsedResults?.[0]
+    const words = (parsed?.TextOverlay?.Lines || []).flatMap((line, lineIndex) =>
+      line.Words.map(word => ({
+        text: word.WordText,
+        confidence: null,
+        line: lineIndex,
+        bbox: { x: word.Left, y: word.Top, width: word.Width, height: word.Height }
+      }))
+    )
+
     return {
-      text: result.ParsedResults?.[0]?.ParsedText || '',
-      confidence: result.ParsedResults?.[0]?.TextOverlay?.HasOverlay ? 0.9 : 0.7,
-      provider: 'ocr.space'
+      text: parsed?.ParsedText || '',
+      confidence: parsed?.TextOverlay?.HasOverlay ? 0.9 : 0.7,
+      provider: 'ocr.space',
+      words
     }
   }
 
   /**
    * Google Vision API integration (placeholder)
    */
-  async processGoogleVision(file) {
+  async processGoogleVision() {
     // This would integrate with Google Cloud Vision API
-    // For now, return mock data
-    return this.mockOCRResult(file)
+    throw new Error('Google Vision OCR is not configured')
   }
 
   /**
    * AWS Textract integration (placeholder)
    */
-  async processAWSTextract(file) {
+  async processAWSTextract() {
     // This would integrate with AWS Textract
-    // For now, return mock data
-    return this.mockOCRResult(file)
+    throw new Error('AWS Textract OCR is not configured')
   }
 
   /**
-   * Mock OCR result for development/fallback
+   * Server-side OCR jobs: start processing a stored document, then poll its status
+   */
+  async startServerOCR(documentId, options = {}) {
+    return this.request('/ocr/process', {
+      method: 'POST',
+      body: JSON.stringify({ documentId, options })
+    })
+  }
+
+  async getOCRStatus(processingId) {
+    return this.request(`/ocr/status/${processingId}`)
+  }
+
+  /**
+   * Mock OCR result for development (VITE_USE_MOCK_OCR=true)
    */
   mockOCRResult(file) {
     const mockTexts = {
@@ -192,167 +313,354 @@ The Springfield Textile Company announced plans to expand their Main Street faci
 
       const response = await this.request('/files/upload', {
         method: 'POST',
-        body: formData,
-        headers: {
-          // Remove Content-Type to let browser set it for FormData
-        }
+        body: formData
       })
 
       return response
     } catch (error) {
+      if (!this.isOffline(error)) throw error
       // Fallback to local storage simulation
       return this.mockFileUpload(file, metadata)
     }
   }
 
   /**
-   * Mock file upload for development
+   * Offline file upload: the blob is kept in IndexedDB so it can still be viewed after a reload
    */
   async mockFileUpload(file, metadata) {
-    // Simulate upload delay
-    await new Promise(resolve => setTimeout(resolve, 1000))
-    
-    const fileId = `file_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-    const fileUrl = URL.createObjectURL(file)
-    
+    const fileId = this.generateLocalId('file')
+    const uploadDate = new Date().toISOString()
+
+    await storageService.putForUser(STORES.FILES, this.getUserId(), {
+      fileId,
+      blob: file,
+      fileName: file.name,
+      fileType: file.type,
+      uploadDate
+    })
+
     return {
       fileId,
       fileName: file.name,
       fileSize: file.size,
       fileType: file.type,
-      fileUrl,
-      uploadDate: new Date().toISOString(),
+      fileUrl: URL.createObjectURL(file),
+      uploadDate,
       metadata
     }
   }
 
   /**
-   * Document Management API
+   * Resolve a displayable URL for an uploaded file.
+   * Object URLs from offline uploads do not survive a reload, so those are rebuilt from IndexedDB.
+   */
+  async resolveFileUrl({ fileId, fileUrl }) {
+    if (fileUrl && !fileUrl.startsWith('blob:')) return fileUrl
+
+    const stored = fileId ? await storageService.getForUser(STORES.FILES, fileId, this.getUserId()) : null
+    return stored ? URL.createObjectURL(stored.blob) : null
+  }
+
+  /**
+   * Document, event, link, people, place, overlay and parcel APIs
+   * Successful responses are cached in IndexedDB under the signed-in user; the cache is used when
+   * the API is unreachable. Writes made offline keep their ids and wait in the outbox until
+   * syncOutbox sends them.
    */
   async saveDocument(documentData) {
+    return this.createRecord('documents', documentData)
+  }
+
+  async getDocuments(userId) {
+    return this.listRecords('documents', userId)
+  }
+
+  async getDocument(documentId) {
+    const userId = this.getUserId()
+    try {
+      const document = await this.request(`/documents/${documentId}`)
+      return await storageService.putForUser(STORES.DOCUMENTS, userId, document)
+    } catch (error) {
+      if (!this.isOffline(error)) throw error
+      // Fallback to local storage
+      const document = await storageService.get(STORES.DOCUMENTS, documentId)
+      if (document?.userId === userId) return document
+      throw new Error('Document not found')
+    }
+  }
+
+  async updateDocument(documentId, updates) {
+    return this.updateRecord('documents', documentId, updates)
+  }
+
+  async deleteDocument(documentId) {
+    return this.deleteRecord('documents', documentId)
+  }
+
+  async saveEvent(eventData) {
+    return this.createRecord('events', eventData)
+  }
+
+  async getEvents(userId) {
+    return this.listRecords('events', userId)
+  }
+
+  async updateEvent(eventId, updates) {
+    return this.updateRecord('events', eventId, updates)
+  }
+
+  async deleteEvent(eventId) {
+    return this.deleteRecord('events', eventId)
+  }
+
+  async saveLink(linkData) {
+    return this.createRecord('links', linkData)
+  }
+
+  async getLinks(userId) {
+    return this.listRecords('links', userId)
+  }
+
+  async savePerson(personData) {
+    return this.createRecord('people', personData)
+  }
+
+  async getPeople(userId) {
+    return this.listRecords('people', userId)
+  }
+
+  async updatePerson(personId, updates) {
+    return this.updateRecord('people', personId, updates)
+  }
+
+  async deletePerson(personId) {
+    return this.deleteRecord('people', personId)
+  }
+
+  async savePlace(placeData) {
+    return this.createRecord('places', placeData)
+  }
+
+  async getPlaces(userId) {
+    return this.listRecords('places', userId)
+  }
+
+  async updatePlace(placeId, updates) {
+    return this.updateRecord('places', placeId, updates)
+  }
+
+  async deletePlace(placeId) {
+    return this.deleteRecord('places', placeId)
+  }
+
+  async saveOverlay(overlayData) {
+    return this.createRecord('overlays', overlayData)
+  }
+
+  async getOverlays(userId) {
+    return this.listRecords('overlays', userId)
+  }
+
+  async updateOverlay(overlayId, updates) {
+    return this.updateRecord('overlays', overlayId, updates)
+  }
+
+  async deleteOverlay(overlayId) {
+    // The offline copy of the scan goes too
+    const overlay = await storageService.get(STORES.OVERLAYS, overlayId)
+    const response = await this.deleteRecord('overlays', overlayId)
+    if (overlay?.fileId) await storageService.delete(STORES.FILES, overlay.fileId)
+    return response
+  }
+
+  async saveParcel(parcelData) {
+    return this.createRecord('parcels', parcelData)
+  }
+
+  async getParcels(userId) {
+    return this.listRecords('parcels', userId)
+  }
+
+  async updateParcel(parcelId, updates) {
+    return this.updateRecord('parcels', parcelId, updates)
+  }
+
+  async deleteParcel(parcelId) {
+    return this.deleteRecord('parcels', parcelId)
+  }
+
+  getUserId() {
+    return sessionService.getUser()?.userId || null
+  }
+
+  async createRecord(collection, data) {
+    const { store, idKey, prefix, createdField } = COLLECTIONS[collection]
+    const userId = this.getUserId()
     try {
-      return await this.request('/documents', {
+      const saved = await this.request(`/${collection}`, {
         method: 'POST',
-        body: JSON.stringify(documentData)
+        body: JSON.stringify(data)
       })
+      return await storageService.putForUser(store, userId, saved)
     } catch (error) {
-      // Fallback to local storage
-      const documents = JSON.parse(localStorage.getItem('historify_documents') || '[]')
-      const newDocument = {
-        ...documentData,
-        documentId: `doc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        uploadDate: new Date().toISOString()
+      if (!this.isOffline(error)) throw error
+      // Fallback to local storage; the server keeps the id when the outbox sends it
+      const record = {
+        ...data,
+        [idKey]: data[idKey] || this.generateLocalId(prefix),
+        [createdField]: data[createdField] || new Date().toISOString()
       }
-      documents.push(newDocument)
-      localStorage.setItem('historify_documents', JSON.stringify(documents))
-      return newDocument
+      await this.enqueueWrite(collection, 'create', record[idKey], record)
+      return storageService.putForUser(store, userId, record)
     }
   }
 
-  async getDocuments(userId) {
+  async listRecords(collection, userId) {
+    const { store, idKey } = COLLECTIONS[collection]
     try {
-      return await this.request(`/documents?userId=${userId}`)
+      const records = await this.requestAll(`/${collection}?userId=${userId}`, collection)
+      // Records with unsent offline writes are kept as they were left offline
+      const pending = await this.getPendingIds(collection, userId)
+      await storageService.replaceAllForUser(store, userId,
+        records.filter(record => !pending.has(record[idKey])), pending)
+      return pending.size ? storageService.getAllForUser(store, userId) : records
     } catch (error) {
+      if (!this.isOffline(error)) throw error
       // Fallback to local storage
-      return JSON.parse(localStorage.getItem('historify_documents') || '[]')
+      return storageService.getAllForUser(store, userId)
     }
   }
 
-  async updateDocument(documentId, updates) {
+  async updateRecord(collection, id, updates) {
+    const { store, label } = COLLECTIONS[collection]
+    const userId = this.getUserId()
     try {
-      return await this.request(`/documents/${documentId}`, {
+      const updated = await this.request(`/${collection}/${id}`, {
         method: 'PATCH',
         body: JSON.stringify(updates)
       })
+      return await storageService.putForUser(store, userId, updated)
     } catch (error) {
+      if (!this.isOffline(error)) throw error
       // Fallback to local storage
-      const documents = JSON.parse(localStorage.getItem('historify_documents') || '[]')
-      const index = documents.findIndex(doc => doc.documentId === documentId)
-      if (index !== -1) {
-        documents[index] = { ...documents[index], ...updates }
-        localStorage.setItem('historify_documents', JSON.stringify(documents))
-        return documents[index]
-      }
-      throw new Error('Document not found')
+      const record = await storageService.get(store, id)
+      if (record?.userId !== userId) throw new Error(`${label} not found`)
+      await this.enqueueWrite(collection, 'update', id, updates)
+      return storageService.put(store, { ...record, ...updates })
     }
   }
 
-  async deleteDocument(documentId) {
+  async deleteRecord(collection, id) {
+    const { store } = COLLECTIONS[collection]
     try {
-      return await this.request(`/documents/${documentId}`, {
+      const response = await this.request(`/${collection}/${id}`, {
         method: 'DELETE'
       })
+      await storageService.delete(store, id)
+      return response
     } catch (error) {
+      if (!this.isOffline(error)) throw error
       // Fallback to local storage
-      const documents = JSON.parse(localStorage.getItem('historify_documents') || '[]')
-      const filtered = documents.filter(doc => doc.documentId !== documentId)
-      localStorage.setItem('historify_documents', JSON.stringify(filtered))
+      await this.enqueueWrite(collection, 'delete', id)
+      await storageService.delete(store, id)
       return { success: true }
     }
   }
 
   /**
-   * Event Management API
+   * Offline write outbox
+   * Entries are { outboxId, sequence, userId, collection, method, recordId, data, createdDate }.
+   * An update to a record created offline is folded into its create, and deleting such a record
+   * drops its entries altogether, since the server never saw it.
    */
-  async saveEvent(eventData) {
-    try {
-      return await this.request('/events', {
-        method: 'POST',
-        body: JSON.stringify(eventData)
-      })
-    } catch (error) {
-      // Fallback to local storage
-      const events = JSON.parse(localStorage.getItem('historify_events') || '[]')
-      const newEvent = {
-        ...eventData,
-        eventId: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        createdDate: new Date().toISOString()
-      }
-      events.push(newEvent)
-      localStorage.setItem('historify_events', JSON.stringify(events))
-      return newEvent
+  async enqueueWrite(collection, method, recordId, data = null) {
+    const userId = this.getUserId()
+    const entries = (await storageService.getAll(STORES.OUTBOX)).filter(entry =>
+      entry.userId === userId && entry.collection === collection && entry.recordId === recordId)
+    const create = entries.find(entry => entry.method === 'create')
+
+    if (create && method === 'update') {
+      return storageService.put(STORES.OUTBOX, { ...create, data: { ...create.data, ...data } })
+    }
+    if (method === 'delete') {
+      await Promise.all(entries.map(entry => storageService.delete(STORES.OUTBOX, entry.outboxId)))
+      if (create) return null
     }
+
+    this.outboxSequence = Math.max(Date.now() * 1000, this.outboxSequence + 1)
+    return storageService.put(STORES.OUTBOX, {
+      outboxId: this.generateLocalId('outbox'),
+      sequence: this.outboxSequence,
+      userId,
+      collection,
+      method,
+      recordId,
+      data,
+      createdDate: new Date().toISOString()
+    })
   }
 
-  async getEvents(userId) {
-    try {
-      return await this.request(`/events?userId=${userId}`)
-    } catch (error) {
-      // Fallback to local storage
-      return JSON.parse(localStorage.getItem('historify_events') || '[]')
-    }
+  async getPendingIds(collection, userId) {
+    const entries = await storageService.getAll(STORES.OUTBOX)
+    return new Set(entries
+      .filter(entry => entry.userId === userId && entry.collection === collection)
+      .map(entry => entry.recordId))
   }
 
   /**
-   * Link Management API
+   * Send the signed-in user's offline writes, oldest first; concurrent callers share one run.
+   * Stops at the first network failure, rejected session, rate limit or server error and tries again
+   * next time. A write the server rejects as invalid is dropped, since sending it again cannot
+   * succeed. Resolves to the number sent.
    */
-  async saveLink(linkData) {
-    try {
-      return await this.request('/links', {
-        method: 'POST',
-        body: JSON.stringify(linkData)
+  syncOutbox() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.performSync().finally(() => {
+        this.syncPromise = null
       })
-    } catch (error) {
-      // Fallback to local storage
-      const links = JSON.parse(localStorage.getItem('historify_links') || '[]')
-      const newLink = {
-        ...linkData,
-        linkId: `link_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        createdDate: new Date().toISOString()
-      }
-      links.push(newLink)
-      localStorage.setItem('historify_links', JSON.stringify(links))
-      return newLink
     }
+    return this.syncPromise
   }
 
-  async getLinks(userId) {
-    try {
-      return await this.request(`/links?userId=${userId}`)
-    } catch (error) {
-      // Fallback to local storage
-      return JSON.parse(localStorage.getItem('historify_links') || '[]')
+  async performSync() {
+    const userId = this.getUserId()
+    if (!userId) return 0
+
+    const entries = (await storageService.getAll(STORES.OUTBOX))
+      .filter(entry => entry.userId === userId)
+      .sort((a, b) => a.sequence - b.sequence)
+    let sent = 0
+
+    for (const entry of entries) {
+      const { store } = COLLECTIONS[entry.collection]
+      try {
+        if (entry.method === 'delete') {
+          await this.request(`/${entry.collection}/${entry.recordId}`, { method: 'DELETE' })
+        } else {
+          const saved = await this.request(entry.method === 'create'
+            ? `/${entry.collection}`
+            : `/${entry.collection}/${entry.recordId}`, {
+            method: entry.method === 'create' ? 'POST' : 'PATCH',
+            body: JSON.stringify(entry.data)
+          })
+          // Later offline updates to the same record are still waiting in the outbox
+          if (!entries.some(later => later.sequence > entry.sequence &&
+            later.collection === entry.collection && later.recordId === entry.recordId)) {
+            await storageService.putForUser(store, userId, saved)
+          }
+        }
+        sent += 1
+      } catch (error) {
+        if (this.isOffline(error) || this.isRetryable(error)) break
+        // Deleting something already gone is what was wanted
+        if (!(entry.method === 'delete' && error.status === 404)) {
+          console.warn(`Offline ${entry.method} of ${entry.collection}/${entry.recordId} was rejected:`, error)
+        }
+      }
+      await storageService.delete(STORES.OUTBOX, entry.outboxId)
     }
+
+    return sent
   }
 
   /**
@@ -366,8 +674,9 @@ The Springfield Textile Company announced plans to expand their Main Street faci
       })
       return await this.request(`/search/documents?${params}`)
     } catch (error) {
+      if (!this.isOffline(error)) throw error
       // Fallback to local search
-      const documents = JSON.parse(localStorage.getItem('historify_documents') || '[]')
+      const documents = await storageService.getAllForUser(STORES.DOCUMENTS, this.getUserId())
       return documents.filter(doc => 
         doc.fileName.toLowerCase().includes(query.toLowerCase()) ||
         doc.ocrText.toLowerCase().includes(query.toLowerCase())
@@ -376,53 +685,140 @@ The Springfield Textile Company announced plans to expand their Main Street faci
   }
 
   /**
-   * User Management API
+   * Authentication API
+   * Sessions are stored through sessionService; the mock session is only used offline with VITE_USE_MOCK_API=true
    */
-  async createUser(userData) {
+  async createUser({ email, password, firstName, lastName }) {
+    // Only identity fields are sent: every new account starts on the free tier
     try {
-      return await this.request('/users', {
+      const response = await this.request('/auth/register', {
         method: 'POST',
-        body: JSON.stringify(userData)
+        body: JSON.stringify({ email, password, firstName, lastName }),
+        skipAuth: true
       })
+      sessionService.save(response)
+      return response
     } catch (error) {
-      // Mock user creation
-      const user = {
-        userId: `user_${Date.now()}`,
-        ...userData,
-        subscriptionTier: 'free',
-        uploadLimit: 10,
-        storageUsed: 0,
-        createdDate: new Date().toISOString()
-      }
-      localStorage.setItem('historify_user', JSON.stringify(user))
-      return user
+      if (!this.isOffline(error) || !USE_MOCK_API) throw error
+      return this.createMockSession(email)
     }
   }
 
-  async loginUser(credentials) {
+  async loginUser({ email, password }) {
     try {
       const response = await this.request('/auth/login', {
         method: 'POST',
-        body: JSON.stringify(credentials)
+        body: JSON.stringify({ email, password }),
+        skipAuth: true
       })
-      
-      if (response.token) {
-        localStorage.setItem('historify_token', response.token)
-      }
-      
+      sessionService.save(response)
+      return response
+    } catch (error) {
+      if (!this.isOffline(error) || !USE_MOCK_API) throw error
+      return this.createMockSession(email)
+    }
+  }
+
+  /**
+   * Exchange the stored refresh token for a new session; concurrent callers share one request
+   */
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh().finally(() => {
+        this.refreshPromise = null
+      })
+    }
+    return this.refreshPromise
+  }
+
+  async performRefresh() {
+    const refreshToken = sessionService.getRefreshToken()
+    if (!refreshToken) {
+      sessionService.expire('expired')
+      throw new ApiError(401, { code: 'AUTHENTICATION_ERROR', message: 'Your session has expired' })
+    }
+
+    try {
+      const response = await this.request('/auth/refresh', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken }),
+        skipAuth: true
+      })
+      sessionService.save(response)
       return response
     } catch (error) {
-      // Mock login
-      const user = {
+      // A rejected refresh token ends the session; a network failure keeps it for later
+      if (!this.isOffline(error)) sessionService.expire('rejected')
+      throw error
+    }
+  }
+
+  /**
+   * Offline writes are sent while the session still allows it; any left wait in the outbox for the
+   * account's next sign-in. The cached records are removed so the next account cannot read them.
+   * Files, OCR jobs and settings are tagged with their owner and stay for that account.
+   */
+  async logoutUser() {
+    await this.syncOutbox().catch(error => {
+      console.warn('Offline changes could not be sent before signing out:', error)
+    })
+
+    const refreshToken = sessionService.getRefreshToken()
+    sessionService.clear()
+    await this.clearCache().catch(error => {
+      console.warn('Cached records could not be cleared:', error)
+    })
+
+    if (refreshToken) {
+      try {
+        await this.request('/auth/logout', {
+          method: 'POST',
+          body: JSON.stringify({ refreshToken }),
+          skipAuth: true
+        })
+      } catch (error) {
+        // The session is already cleared locally
+      }
+    }
+  }
+
+  /**
+   * Records with unsent offline writes are kept: until the outbox sends them they exist nowhere else
+   */
+  async clearCache() {
+    const outbox = await storageService.getAll(STORES.OUTBOX)
+    await Promise.all([
+      ...Object.entries(COLLECTIONS).map(([collection, { store }]) => storageService.clearExcept(store,
+        new Set(outbox.filter(entry => entry.collection === collection).map(entry => entry.recordId)))),
+      storageService.clear(STORES.SEARCH_INDEX)
+    ])
+  }
+
+  /**
+   * Offline development session (VITE_USE_MOCK_API=true only)
+   */
+  createMockSession(email) {
+    const response = {
+      user: {
         userId: `user_${Date.now()}`,
-        email: credentials.email,
+        email,
         subscriptionTier: 'free',
         uploadLimit: 10,
-        storageUsed: 0
-      }
-      localStorage.setItem('historify_user', JSON.stringify(user))
-      return { user, token: 'mock_token' }
+        storageUsed: 0,
+        createdDate: new Date().toISOString()
+      },
+      token: 'mock_token',
+      expiresIn: 86400
     }
+    sessionService.save(response)
+    return response
+  }
+
+  /**
+   * Utility methods
+   */
+  generateLocalId(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   }
 }
 
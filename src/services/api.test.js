@@ -0,0 +1,226 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { apiService } from './api'
+import { sessionService } from './session'
+import { storageService, STORES } from './storage'
+
+const store = new Map()
+vi.stubGlobal('localStorage', {
+  getItem: key => store.has(key) ? store.get(key) : null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key)
+})
+
+const signIn = (userId) => sessionService.save({ user: { userId }, token: `token_${userId}`, expiresIn: 3600 })
+
+const offline = () => fetch.mockRejectedValue(new TypeError('Failed to fetch'))
+
+const respond = (handler) => fetch.mockImplementation(async (url, config) => {
+  const { status = 200, body } = handler(url.replace(apiService.baseURL, ''), config)
+  return { ok: status < 400, status, json: async () => body }
+})
+
+describe('apiService offline cache', () => {
+  beforeEach(async () => {
+    vi.stubGlobal('fetch', vi.fn())
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    store.clear()
+    await Promise.all(Object.values(STORES).map(name => storageService.clear(name)))
+    signIn('user_a')
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('only reads the signed-in user\'s cached records', async () => {
+    await storageService.putAllForUser(STORES.DOCUMENTS, 'user_a', [{ documentId: 'doc_a' }])
+    await storageService.putAllForUser(STORES.DOCUMENTS, 'user_b', [{ documentId: 'doc_b' }])
+    offline()
+
+    const documents = await apiService.getDocuments('user_a')
+
+    expect(documents.map(doc => doc.documentId)).toEqual(['doc_a'])
+    await expect(apiService.getDocument('doc_b')).rejects.toThrow('Document not found')
+  })
+
+  it('moves records saved in localStorage to the first user who reads them', async () => {
+    localStorage.setItem('historify_documents', JSON.stringify([{ documentId: 'doc_old', uploadedBy: 'someone' }]))
+    offline()
+
+    const documents = await apiService.getDocuments('user_a')
+
+    expect(documents).toEqual([expect.objectContaining({ documentId: 'doc_old', userId: 'user_a' })])
+    expect(localStorage.getItem('historify_documents')).toBeNull()
+    expect(await apiService.getDocuments('user_b')).toEqual([])
+  })
+
+  it('keeps the caller\'s id for offline writes and sends them once back online', async () => {
+    offline()
+    const link = await apiService.saveLink({ linkId: 'link_1', sourceId: 'doc_1', targetId: 'event_1' })
+    expect(link.linkId).toBe('link_1')
+
+    const requests = []
+    respond((endpoint, config) => {
+      requests.push([config.method, endpoint, JSON.parse(config.body)])
+      return { status: 201, body: JSON.parse(config.body) }
+    })
+
+    expect(await apiService.syncOutbox()).toBe(1)
+    expect(requests).toEqual([['POST', '/links', expect.objectContaining({ linkId: 'link_1' })]])
+    expect(await storageService.getAll(STORES.OUTBOX)).toEqual([])
+  })
+
+  it('folds offline updates into an offline create and drops both on delete', async () => {
+    offline()
+    await apiService.saveEvent({ eventId: 'event_1', title: 'Fire' })
+    await apiService.updateEvent('event_1', { title: 'Great Fire' })
+
+    const [entry] = await storageService.getAll(STORES.OUTBOX)
+    expect(entry).toMatchObject({ method: 'create', data: { eventId: 'event_1', title: 'Great Fire' } })
+
+    await apiService.deleteEvent('event_1')
+    expect(await storageService.getAll(STORES.OUTBOX)).toEqual([])
+  })
+
+  it('replays updates and deletes of server records in order', async () => {
+    await storageService.putAllForUser(STORES.PLACES, 'user_a', [{ placeId: 'place_1', name: 'Mill' }])
+    offline()
+    await apiService.updatePlace('place_1', { name: 'Old Mill' })
+    await apiService.deletePlace('place_1')
+
+    const requests = []
+    respond((endpoint, config) => {
+      requests.push(`${config.method} ${endpoint}`)
+      return { status: config.method === 'DELETE' ? 404 : 200, body: {} }
+    })
+
+    await apiService.syncOutbox()
+    expect(requests).toEqual(['DELETE /places/place_1'])
+    expect(await storageService.getAll(STORES.OUTBOX)).toEqual([])
+  })
+
+  it('keeps unsent writes when the server is still unreachable', async () => {
+    offline()
+    await apiService.savePerson({ personId: 'person_1', name: 'Ada' })
+
+    expect(await apiService.syncOutbox()).toBe(0)
+    expect(await storageService.getAll(STORES.OUTBOX)).toHaveLength(1)
+  })
+
+  it('keeps a write the server could not take right now and stops there', async () => {
+    offline()
+    await apiService.saveEvent({ eventId: 'event_1', title: 'Fire' })
+    await apiService.saveEvent({ eventId: 'event_2', title: 'Flood' })
+
+    const requests = []
+    respond((endpoint, config) => {
+      requests.push(`${config.method} ${endpoint}`)
+      return { status: 503, body: { error: { code: 'INTERNAL_ERROR', message: 'Service unavailable' } } }
+    })
+
+    expect(await apiService.syncOutbox()).toBe(0)
+    expect(requests).toEqual(['POST /events'])
+    expect((await storageService.getAll(STORES.OUTBOX)).map(entry => entry.recordId).sort()).toEqual(['event_1', 'event_2'])
+  })
+
+  it('drops cached records the server no longer has, but not unsent ones', async () => {
+    await storageService.putAllForUser(STORES.EVENTS, 'user_a', [{ eventId: 'gone' }, { eventId: 'kept' }])
+    await storageService.putAllForUser(STORES.EVENTS, 'user_b', [{ eventId: 'other' }])
+    offline()
+    await apiService.saveEvent({ eventId: 'unsent' })
+
+    respond(() => ({ body: { events: [{ eventId: 'kept' }], pagination: { hasNext: false } } }))
+    const events = await apiService.getEvents('user_a')
+
+    expect(events.map(event => event.eventId).sort()).toEqual(['kept', 'unsent'])
+    const cached = await storageService.getAll(STORES.EVENTS)
+    expect(cached.map(event => event.eventId).sort()).toEqual(['kept', 'other', 'unsent'])
+  })
+
+  it('clears the cache on logout but keeps unsent records and the outbox for the next sign-in', async () => {
+    await storageService.putAllForUser(STORES.DOCUMENTS, 'user_a', [{ documentId: 'doc_a' }])
+    await storageService.putAllForUser(STORES.PARCELS, 'user_a', [{ parcelId: 'parcel_sent' }])
+    offline()
+    await apiService.saveParcel({ parcelId: 'parcel_1' })
+
+    await apiService.logoutUser()
+
+    expect(sessionService.getUser()).toBeNull()
+    expect(await storageService.getAll(STORES.DOCUMENTS)).toEqual([])
+    expect((await storageService.getAll(STORES.PARCELS)).map(parcel => parcel.parcelId)).toEqual(['parcel_1'])
+    expect(await storageService.getAll(STORES.OUTBOX)).toHaveLength(1)
+
+    signIn('user_a')
+    expect((await apiService.getParcels('user_a')).map(parcel => parcel.parcelId)).toEqual(['parcel_1'])
+  })
+
+  it('only shows a file uploaded offline to the account that uploaded it', async () => {
+    vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:scan')
+    offline()
+    const upload = await apiService.uploadFile(new Blob(['scan']), {})
+
+    const reloaded = { fileId: upload.fileId, fileUrl: 'blob:expired' }
+    expect(await apiService.resolveFileUrl(reloaded)).toBe('blob:scan')
+    signIn('user_b')
+    expect(await apiService.resolveFileUrl(reloaded)).toBeNull()
+  })
+})
+
+describe('apiService sessions', () => {
+  const refreshed = { user: { userId: 'user_a' }, token: 'token_new', refreshToken: 'refresh_new', expiresIn: 3600 }
+
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn())
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    store.clear()
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('sends one refresh request for concurrent callers', async () => {
+    sessionService.save({ user: { userId: 'user_a' }, token: 'token_old', refreshToken: 'refresh_old', expiresIn: 3600 })
+    const requests = []
+    respond((endpoint) => {
+      requests.push(endpoint)
+      return { body: refreshed }
+    })
+
+    await Promise.all([apiService.refreshSession(), apiService.refreshSession()])
+
+    expect(requests).toEqual(['/auth/refresh'])
+    expect(sessionService.getToken()).toBe('token_new')
+  })
+
+  it('refreshes an expiring token once before concurrent requests', async () => {
+    sessionService.save({ user: { userId: 'user_a' }, token: 'token_old', refreshToken: 'refresh_old', expiresIn: 30 })
+    const requests = []
+    respond((endpoint, config) => {
+      requests.push(endpoint)
+      return { body: endpoint === '/auth/refresh' ? refreshed : { auth: config.headers.Authorization } }
+    })
+
+    const responses = await Promise.all([apiService.request('/users/me'), apiService.request('/events')])
+
+    expect(requests.filter(endpoint => endpoint === '/auth/refresh')).toHaveLength(1)
+    expect(responses.map(response => response.auth)).toEqual(['Bearer token_new', 'Bearer token_new'])
+  })
+
+  it('ends the session when a rejected token cannot be refreshed', async () => {
+    sessionService.save({ user: { userId: 'user_a' }, token: 'token_old', refreshToken: 'refresh_old', expiresIn: 3600 })
+    const expired = vi.fn()
+    const unsubscribe = sessionService.onExpired(expired)
+    respond(() => ({ status: 401, body: { error: { code: 'AUTHENTICATION_ERROR', message: 'Invalid token' } } }))
+
+    await expect(apiService.request('/users/me')).rejects.toMatchObject({ status: 401 })
+    unsubscribe()
+
+    expect(fetch).toHaveBeenCalledTimes(2)
+    expect(expired).toHaveBeenCalledWith('rejected')
+    expect(sessionService.getUser()).toBeNull()
+    expect(sessionService.getToken()).toBeNull()
+  })
+})
@@ -0,0 +1,646 @@
+/**
+ * Entity Extraction Service for Historify
+ * Pulls people, ages, occupations, addresses, dates, ship names and countries of origin out of
+ * OCR text, using rules tuned for census, passenger manifest, deed and newspaper layouts.
+ * Deeds also get their terms: parties, lot and block, consideration and dates.
+ * Has no browser dependencies so the reference server runs it after OCR as well.
+ */
+
+export const DOCUMENT_LAYOUTS = {
+  CENSUS: 'census',
+  MANIFEST: 'manifest',
+  DEED: 'deed',
+  NEWSPAPER: 'newspaper',
+  GENERIC: 'generic'
+}
+
+// Keywords that identify each layout; the layout with the most hits wins
+const LAYOUT_KEYWORDS = {
+  [DOCUMENT_LAYOUTS.CENSUS]: /\b(?:census|enumerat\w*|enumeration district|dwelling|head of (?:family|household)|ward)\b/gi,
+  [DOCUMENT_LAYOUTS.MANIFEST]: /\b(?:manifest|passengers?|steerage|port of (?:arrival|departure)|alien|country of origin|destination|sailed|vessel)\b/gi,
+  [DOCUMENT_LAYOUTS.DEED]: /\b(?:deed|indenture|grantors?|grantees?|convey\w*|parcel|warranty|heirs and assigns|party of the (?:first|second) part)\b/gi,
+  [DOCUMENT_LAYOUTS.NEWSPAPER]: /\b(?:obituary|gazette|herald|tribune|courier|editor|funeral|wedding|married|the late|survived by)\b/gi
+}
+
+// Role given to people listed without a label, by layout
+const DEFAULT_ROLES = {
+  [DOCUMENT_LAYOUTS.CENSUS]: 'household member',
+  [DOCUMENT_LAYOUTS.MANIFEST]: 'passenger'
+}
+
+// "Label: Name" prefixes, also "his wife, Name" in running text, and the role they give the person named
+const NAME_LABELS = {
+  'name': null,
+  'head of family': 'head',
+  'head of household': 'head',
+  'head': 'head',
+  'passenger': 'passenger',
+  'grantor': 'grantor',
+  'grantee': 'grantee',
+  'seller': 'grantor',
+  'purchaser': 'grantee',
+  'owner': 'owner',
+  'sponsored by': 'sponsor',
+  'sponsor': 'sponsor',
+  'witness': 'witness',
+  'witnessed by': 'witness',
+  'nearest relative': 'relative',
+  'relative': 'relative',
+  'father': 'father',
+  'mother': 'mother',
+  'husband': 'husband',
+  'wife': 'wife',
+  'son': 'son',
+  'daughter': 'daughter',
+  'deceased': 'deceased',
+  'the late': 'deceased'
+}
+
+const MONTHS = {
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5,
+  june: 6, jun: 6, july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9,
+  october: 10, oct: 10, november: 11, nov: 11, december: 12, dec: 12
+}
+
+// Countries as they appear in 19th and 20th century records, including states that no longer exist
+const COUNTRIES = [
+  'Austria-Hungary', 'Ottoman Empire', 'United States', 'United Kingdom', 'Great Britain', 'South Africa',
+  'New Zealand', 'Puerto Rico', 'Czechoslovakia', 'Yugoslavia', 'Ireland', 'Eire', 'England', 'Scotland',
+  'Wales', 'Germany', 'Prussia', 'Bavaria', 'Saxony', 'Bohemia', 'Moravia', 'Austria', 'Hungary', 'Italy',
+  'Sicily', 'Poland', 'Galicia', 'Russia', 'Lithuania', 'Latvia', 'Estonia', 'Finland', 'Ukraine', 'Sweden',
+  'Norway', 'Denmark', 'Iceland', 'Netherlands', 'Holland', 'Belgium', 'Luxembourg', 'France', 'Switzerland',
+  'Spain', 'Portugal', 'Greece', 'Turkey', 'Armenia', 'Syria', 'Lebanon', 'Romania', 'Roumania', 'Bulgaria',
+  'Serbia', 'Croatia', 'Slovakia', 'Slovenia', 'Montenegro', 'Albania', 'China', 'Japan', 'Korea', 'India',
+  'Philippines', 'Mexico', 'Canada', 'Newfoundland', 'Cuba', 'Jamaica', 'Brazil', 'Argentina', 'Chile',
+  'Australia', 'Egypt'
+]
+
+// Occupations recognised without an "Occupation:" label, e.g. in census columns
+const OCCUPATIONS = [
+  'factory worker', 'farm laborer', 'farm hand', 'mill hand', 'mill worker', 'coal miner', 'saloon keeper',
+  'keeping house', 'at school', 'farmer', 'laborer', 'labourer', 'carpenter', 'blacksmith', 'miner', 'clerk',
+  'merchant', 'servant', 'domestic', 'housewife', 'housekeeper', 'student', 'teacher', 'tailor', 'shoemaker',
+  'baker', 'butcher', 'weaver', 'stonemason', 'mason', 'painter', 'sailor', 'seaman', 'mariner', 'fisherman',
+  'machinist', 'engineer', 'physician', 'doctor', 'lawyer', 'attorney', 'minister', 'clergyman', 'nurse',
+  'dressmaker', 'seamstress', 'grocer', 'peddler', 'printer', 'cooper', 'plumber', 'bookkeeper', 'salesman',
+  'shopkeeper', 'porter', 'teamster', 'carter', 'brewer', 'cook', 'gardener', 'watchman', 'policeman', 'soldier'
+]
+
+const SHIP_LABELS = [
+  'name of ship', 'name of vessel', 'ship', 'vessel', 'steamer', 'steamship', 'barque', 'schooner',
+  'aboard the', 'aboard', 'per ship', 'per steamer', 'per steamship'
+]
+
+// Capitalised words that start a field rather than continue a name
+const NOT_NAMES = new Set([
+  'age', 'aged', 'occupation', 'occ', 'address', 'residence', 'country', 'origin', 'destination', 'born',
+  'died', 'married', 'street', 'avenue', 'road', 'ward', 'county', 'census', 'year', 'immigration', 'native',
+  'of', 'the', 'and', 'sponsored', 'head', 'wife', 'son', 'daughter', 'single', 'widow', 'widower',
+  ...Object.keys(MONTHS),
+  ...COUNTRIES.map(country => country.toLowerCase()),
+  ...OCCUPATIONS
+])
+
+// "Grantor: City of Springfield" style deed lines and the party they name
+const DEED_PARTY_LABELS = {
+  grantor: 'grantors',
+  grantors: 'grantors',
+  seller: 'grantors',
+  sellers: 'grantors',
+  vendor: 'grantors',
+  grantee: 'grantees',
+  grantees: 'grantees',
+  purchaser: 'grantees',
+  purchasers: 'grantees',
+  buyer: 'grantees',
+  buyers: 'grantees',
+  vendee: 'grantees',
+  witness: 'witnesses',
+  witnesses: 'witnesses',
+  'witnessed by': 'witnesses'
+}
+
+// Amounts written out in words, e.g. "Five Hundred Dollars"
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11,
+  twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+}
+
+// Details filled in from whichever mention of a person has them
+const PERSON_FIELDS = ['age', 'occupation', 'address', 'origin', 'givenName']
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// "head of family", "Head of family", "Head of Family", "HEAD OF FAMILY"
+const caseVariants = (phrase) => [...new Set([
+  phrase,
+  phrase.replace(/^./, c => c.toUpperCase()),
+  phrase.replace(/\b\w(?=\w{2})/g, c => c.toUpperCase()),
+  phrase.toUpperCase()
+])]
+
+// Longest alternatives first so "head of family" wins over "head"
+const alternation = (phrases) => [...phrases]
+  .sort((a, b) => b.length - a.length)
+  .map(escapeRegExp)
+  .join('|')
+
+// Name words: Smith, O'Brien, McDonald, Smith-Jones; surnames may be in capitals in indexes and manifests
+const NAME_WORD = "(?:[A-Z]['’])?[A-Z][a-z]+(?:[A-Z][a-z]+)?(?:-[A-Z][a-z]+)?"
+const SURNAME = `(?:${NAME_WORD}|(?:[A-Z]['’])?[A-Z]{2,}(?:-[A-Z]{2,})?)`
+const GIVEN_NAMES = `${NAME_WORD}(?:\\s+(?:${NAME_WORD}|[A-Z]\\.)){0,2}`
+const FULL_NAME = `${NAME_WORD}(?:\\s+(?:${NAME_WORD}|[A-Z]\\.)){1,3}`
+
+const PATTERNS = {
+  // "Smith, John - Age 35" at the start of a census or manifest row, optionally numbered
+  invertedName: new RegExp(`^\\s*(?:\\d+[.)]?\\s+)?(${SURNAME}),\\s*(${GIVEN_NAMES})`),
+  labelledName: new RegExp(
+    `\\b(${alternation(Object.keys(NAME_LABELS).flatMap(caseVariants))})\\s*[:,]?\\s*(?:(${SURNAME}),\\s*(${GIVEN_NAMES})|(${FULL_NAME}))`,
+    'g'
+  ),
+  titledName: new RegExp(`\\b(?:Mr|Mrs|Miss|Ms|Dr|Rev|Capt|Col|Hon)\\.?\\s+(${NAME_WORD}(?:\\s+(?:${NAME_WORD}|[A-Z]\\.)){0,3})`, 'g'),
+  // Deeds: "between John Smith ... and Mary Jones", "unto Mary Jones"
+  deedParty: new RegExp(`\\b(between|unto|and)\\s+(${FULL_NAME})(?=(?:[^.;]{0,60}?(grantor|grantee|part(?:y|ies) of the (?:first|second) part))?)`, 'g'),
+  // Newspapers: "John Smith, 45, of ..."
+  nameWithAge: new RegExp(`(${FULL_NAME}),\\s+(?:aged\\s+)?(\\d{1,3}),`, 'g'),
+  age: /\b(?:age|aged)\.?\s*:?\s*(\d{1,3})\b|\b(\d{1,3})\s+(?:years?|yrs?\.?)(?:\s+old)?\b/gi,
+  occupationLabel: /\b(?:occupation|occ|trade|profession|calling)\.?\s*:\s*([A-Za-z][A-Za-z'&/ -]{1,40}?)\s*(?=[,;.()]|\s[-–—]\s|$)/gi,
+  occupation: new RegExp(`\\b(${alternation(OCCUPATIONS)})\\b`, 'gi'),
+  addressLabel: /\b(?:address|residence|abode|residing at|resides at|living at)\s*:?\s*([^;()]{3,80}?)\s*(?=[;()]|$)/gi,
+  street: /\b\d{1,5}\s+(?:[NSEW]\.?\s+)?(?:[A-Z][a-z]+\s+){1,3}(?:(?:Street|Avenue|Road|Lane|Boulevard|Place|Court|Square|Drive|Terrace|Row|Way|Alley)\b|(?:St|Ave|Rd|Ln|Blvd|Pl|Ct|Sq)\b\.?)/g,
+  ship: /\b(?:S\.\s?S\.|R\.\s?M\.\s?S\.|H\.\s?M\.\s?S\.|U\.\s?S\.\s?S\.|SS|RMS|HMS|USS|SMS)\s+([A-Z][A-Za-z'-]+(?:\s+[A-Z][A-Za-z'-]+){0,2})/g,
+  shipLabel: new RegExp(
+    `\\b(?:${alternation(SHIP_LABELS.flatMap(caseVariants))})\\s*:?\\s*(?:the\\s+)?([A-Z][A-Za-z'-]+(?:\\s+[A-Z][A-Za-z'-]+){0,2})`,
+    'g'
+  ),
+  country: new RegExp(`\\b(${alternation(COUNTRIES.flatMap(country => [country, country.toUpperCase()]))})\\b`, 'g'),
+  // Text before a country that marks it as where someone came from
+  originBefore: /(?:country of (?:origin|birth)|nationality|native of|born in|birthplace|place of birth|citizen of|emigrated from|came from|from|origin)\s*:?\s*\(?\s*$/i,
+  destinationBefore: /(?:destination|destined to|bound for|going to)\s*:?\s*$/i,
+  migrationLine: /\b(?:immigra\w*|emigra\w*|naturali[sz]\w*|arrived)\b/i,
+  // Dates: "April 15, 1905", "15th day of April, A.D. 1905", "April 1905", "1905-04-15", "4/15/1905", "1905"
+  monthDayYear: /\b([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/g,
+  dayMonthYear: /\b(\d{1,2})(?:st|nd|rd|th|d)?\s+(?:day\s+of\s+)?([A-Za-z]{3,9})\.?,?\s+(?:in\s+the\s+year\s+(?:of\s+our\s+lord\s+)?|A\.?\s?D\.?\s+)?(\d{4})\b/gi,
+  monthYear: /\b([A-Za-z]{3,9})\.?,?\s+(\d{4})\b/g,
+  isoDate: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+  // Numeric dates follow the American month/day/year order of most records in the collection
+  numericDate: /\b(\d{1,2})[/.](\d{1,2})[/.](\d{4})\b/g,
+  year: /(?<![\d$£.,])\b(1[5-9]\d{2}|20\d{2})\b(?![\d]|,\d)/g,
+  dateLabel: /([A-Za-z][A-Za-z ]{1,30}?)\s*:\s*$/,
+  eventBefore: /\b(born|died|married|baptized|buried|arrived|sailed|dated|recorded)\b[^.;:\d]{0,12}$/i,
+  // Deed terms
+  deedParties: new RegExp(`^\\s*(${alternation(Object.keys(DEED_PARTY_LABELS))})\\s*:\\s*(.+)$`, 'i'),
+  property: /^\s*(?:property|premises|parcel|land|legal description|description)\s*:\s*(.+)$/i,
+  lot: /\bLots?\s*(?:No\.?|Number|#)?\s*(\d+[A-Z]?(?:\s*(?:,|and|&)\s*\d+[A-Z]?)*)\b/i,
+  block: /\bBlock\s*(?:No\.?|Number|#)?\s*(\d+[A-Z]?|[A-Z])\b/i,
+  consideration: /\b(?:consideration|sum|price)\s*(?:of)?\s*:?\s*(?:\$\s?([\d,]+(?:\.\d{2})?)|([A-Za-z -]+?)\s+dollars(?:\s*\(\$\s?([\d,]+(?:\.\d{2})?)\))?)/i,
+  recording: /\bBook\s+(?:No\.?\s*)?(\d+)\W+(?:Page|Pg\.?|p\.)\s*(\d+)/i
+}
+
+const titleCase = (text) => text
+  .toLowerCase()
+  .replace(/(^|[\s'’-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase())
+  .replace(/\bMc(\p{L})/gu, (match, letter) => `Mc${letter.toUpperCase()}`)
+
+const pad = (number) => String(number).padStart(2, '0')
+
+// Drop trailing words that start the next field, e.g. "John Age" in "Smith, John Age 35"
+const trimNameWords = (words) => {
+  const kept = [...words]
+  while (kept.length && NOT_NAMES.has(kept[kept.length - 1].toLowerCase().replace(/\.$/, ''))) kept.pop()
+  return kept
+}
+
+const wordsToNumber = (text) => {
+  let total = 0
+  let current = 0
+  for (const word of text.toLowerCase().split(/[\s-]+/)) {
+    if (NUMBER_WORDS[word] !== undefined) current += NUMBER_WORDS[word]
+    else if (word === 'hundred') current = (current || 1) * 100
+    else if (word === 'thousand') {
+      total += (current || 1) * 1000
+      current = 0
+    } else if (word !== 'and') return null
+  }
+  return total + current || null
+}
+
+const overlaps = (spans, start, end) => spans.some(span => start < span.end && end > span.start)
+
+class EntityService {
+  /**
+   * Extract entities from OCR text.
+   * Every entity records the (0-based) line it was found on; people also record the
+   * character span of their first mention.
+   */
+  extract(text) {
+    const layout = this.detectLayout(text)
+    const entities = {
+      layout,
+      people: [],
+      occupations: [],
+      addresses: [],
+      dates: [],
+      ships: [],
+      countries: [],
+      extractedDate: new Date().toISOString()
+    }
+
+    // People carry over to following "Label: value" lines until a blank line ends the record
+    let current = null
+    let lineStart = 0
+    const source = text || ''
+    const lines = source.split(/\r?\n/)
+
+    lines.forEach((line, lineNumber) => {
+      const offset = lineStart
+      lineStart += line.length + (source[lineStart + line.length] === '\r' ? 2 : 1)
+
+      if (!line.trim()) {
+        current = null
+        return
+      }
+
+      // start/end are offsets into the whole text so citations can point at the exact span
+      const people = this.findPeople(line, lineNumber, layout).map(person => ({
+        ...person,
+        start: offset + person.index,
+        end: offset + person.index + person.length
+      }))
+      const isFieldLine = /^\s*[A-Za-z][A-Za-z ]{1,30}:/.test(line)
+      const ownerAt = (index) => {
+        const before = people.filter(person => person.index <= index)
+        if (before.length) return before[before.length - 1]
+        return people[0] || (isFieldLine ? current : null)
+      }
+      const assign = (index, field, value) => {
+        const owner = ownerAt(index)
+        if (owner && owner[field] === null) owner[field] = value
+      }
+
+      this.findAges(line).forEach(({ age, index }) => assign(index, 'age', age))
+
+      const occupations = this.findOccupations(line, people.length > 0 || isFieldLine)
+      occupations.forEach(({ name, index }) => assign(index, 'occupation', name))
+      entities.occupations.push(...occupations.map(({ name, text }) => ({ name, text, line: lineNumber })))
+
+      const addresses = this.findAddresses(line)
+      addresses.forEach(({ text, index }) => assign(index, 'address', text))
+      entities.addresses.push(...addresses.map(({ text }) => ({ text, line: lineNumber })))
+
+      const countries = this.findCountries(line, layout)
+      countries.filter(country => country.origin).forEach(({ name, index }) => assign(index, 'origin', name))
+      entities.countries.push(...countries.map(({ name, text, origin }) => ({ name, text, origin, line: lineNumber })))
+
+      entities.ships.push(...this.findShips(line).map(ship => ({ ...ship, line: lineNumber })))
+      entities.dates.push(...this.findDates(line).map(date => ({ ...date, line: lineNumber })))
+
+      entities.people.push(...people)
+      if (people.length) current = people[people.length - 1]
+    })
+
+    entities.people = this.mergePeople(entities.people)
+    entities.occupations = this.unique(entities.occupations, occupation => occupation.name.toLowerCase())
+    entities.addresses = this.unique(entities.addresses, address => address.text.toLowerCase())
+    entities.ships = this.unique(entities.ships, ship => ship.name.toLowerCase())
+    entities.countries = this.mergeCountries(entities.countries)
+    entities.deed = layout === DOCUMENT_LAYOUTS.DEED ? this.extractDeed(source, entities) : null
+
+    return entities
+  }
+
+  /**
+   * The terms of a deed: who conveyed the land to whom, which lot and block, for how much and when.
+   * Labelled lines ("Grantor: ...") are used first; otherwise the parties come from
+   * "party of the first part" wording found by findPeople.
+   */
+  extractDeed(text, entities) {
+    const deed = {
+      grantors: [],
+      grantees: [],
+      witnesses: [],
+      property: null,
+      lot: null,
+      block: null,
+      consideration: null,
+      date: null,
+      recordedDate: null,
+      recording: null
+    }
+
+    const lines = (text || '').split(/\r?\n/)
+    lines.forEach(line => {
+      const parties = line.match(PATTERNS.deedParties)
+      if (parties) {
+        const names = parties[2]
+          .split(/\s*(?:,|;|&|\band\b)\s*/)
+          .map(name => name.trim().replace(/\.$/, ''))
+          // Drop trailing descriptions such as "his wife"
+          .filter(name => /^\p{Lu}/u.test(name))
+        deed[DEED_PARTY_LABELS[parties[1].toLowerCase()]].push(...names)
+      }
+
+      const property = line.match(PATTERNS.property)
+      if (property && !deed.property) deed.property = property[1].trim()
+    })
+
+    const roleNames = (role) => entities.people.filter(person => person.role === role).map(person => person.name)
+    if (!deed.grantors.length) deed.grantors = roleNames('grantor')
+    if (!deed.grantees.length) deed.grantees = roleNames('grantee')
+    if (!deed.witnesses.length) deed.witnesses = roleNames('witness')
+
+    // Lot and block are looked for in the property description first, then anywhere
+    const searchIn = [deed.property, text].filter(Boolean)
+    const firstMatch = (pattern) => searchIn.map(part => part.match(pattern)).find(Boolean)
+    deed.lot = firstMatch(PATTERNS.lot)?.[1].replace(/\s*(?:,|and|&)\s*/g, ', ') || null
+    deed.block = firstMatch(PATTERNS.block)?.[1].toUpperCase() || null
+
+    const consideration = text.match(PATTERNS.consideration)
+    if (consideration) {
+      const figure = consideration[1] || consideration[3]
+      deed.consideration = {
+        text: consideration[0].replace(/^\w+\s*(?:of)?\s*:?\s*/i, ''),
+        amount: figure ? Number(figure.replace(/,/g, '')) : wordsToNumber(consideration[2])
+      }
+    }
+
+    const recording = text.match(PATTERNS.recording)
+    if (recording) deed.recording = { book: recording[1], page: recording[2] }
+
+    // The deed is dated when it was signed; recording at the registry can come later
+    const dates = entities.dates
+    deed.recordedDate = dates.find(date => date.label === 'recorded') ||
+      dates.find(date => /\brecorded\b/i.test(lines[date.line])) ||
+      null
+    deed.date = dates.find(date => date.label === 'dated') ||
+      dates.find(date => date !== deed.recordedDate && date.month) ||
+      deed.recordedDate ||
+      dates[0] ||
+      null
+
+    return deed
+  }
+
+  detectLayout(text) {
+    let best = DOCUMENT_LAYOUTS.GENERIC
+    let bestScore = 0
+
+    Object.entries(LAYOUT_KEYWORDS).forEach(([layout, pattern]) => {
+      const score = ((text || '').match(pattern) || []).length
+      if (score > bestScore) {
+        best = layout
+        bestScore = score
+      }
+    })
+
+    return best
+  }
+
+  /**
+   * Total number of entities found, e.g. for a badge
+   */
+  countEntities(entities) {
+    if (!entities) return 0
+    return ['people', 'occupations', 'addresses', 'dates', 'ships', 'countries']
+      .reduce((total, key) => total + (entities[key]?.length || 0), 0)
+  }
+
+  findPeople(line, lineNumber, layout) {
+    const people = []
+    const spans = []
+
+    const add = (index, length, givenWords, surname, role, age = null) => {
+      if (overlaps(spans, index, index + length)) return
+
+      const given = trimNameWords(givenWords)
+      const surnameWord = surname && !NOT_NAMES.has(surname.toLowerCase()) ? surname : null
+      if (!surnameWord || given.length === 0 && !role) return
+
+      spans.push({ start: index, end: index + length })
+      const givenName = given.map(titleCase).join(' ')
+      const surnameText = titleCase(surnameWord)
+      people.push({
+        name: [givenName, surnameText].filter(Boolean).join(' '),
+        givenName: givenName || null,
+        surname: surnameText,
+        age: age === null ? null : Number(age),
+        occupation: null,
+        address: null,
+        origin: null,
+        role: role || DEFAULT_ROLES[layout] || null,
+        line: lineNumber,
+        index,
+        length
+      })
+    }
+
+    // "First Middle Last" with any trailing field words removed
+    const addFullName = (index, length, text, role, age) => {
+      const words = trimNameWords(text.split(/\s+/))
+      if (words.length < 2) return
+      add(index, length, words.slice(0, -1), words[words.length - 1], role, age)
+    }
+
+    const inverted = line.match(PATTERNS.invertedName)
+    if (inverted) {
+      const start = line.indexOf(inverted[1])
+      add(start, inverted[0].length - start, inverted[2].split(/\s+/), inverted[1])
+    }
+
+    for (const match of line.matchAll(PATTERNS.labelledName)) {
+      const role = NAME_LABELS[match[1].toLowerCase()]
+      const start = match.index + match[0].indexOf(match[2] || match[4])
+      if (match[2]) {
+        add(start, match.index + match[0].length - start, match[3].split(/\s+/), match[2], role)
+      } else {
+        addFullName(start, match[4].length, match[4], role)
+      }
+    }
+
+    if (layout === DOCUMENT_LAYOUTS.DEED) {
+      for (const match of line.matchAll(PATTERNS.deedParty)) {
+        const marker = (match[3] || '').toLowerCase()
+        const role = marker === 'grantor' || marker.endsWith('first part') ? 'grantor'
+          : marker === 'grantee' || marker.endsWith('second part') || match[1] === 'unto' ? 'grantee'
+            : match[1] === 'between' ? 'grantor' : null
+        if (role) addFullName(match.index + match[1].length + 1, match[2].length, match[2], role)
+      }
+    }
+
+    for (const match of line.matchAll(PATTERNS.nameWithAge)) {
+      addFullName(match.index, match[1].length, match[1], null, match[2])
+    }
+
+    for (const match of line.matchAll(PATTERNS.titledName)) {
+      const words = trimNameWords(match[1].split(/\s+/))
+      if (words.length) add(match.index, match[0].length, words.slice(0, -1), words[words.length - 1], words.length === 1 ? 'mentioned' : null)
+    }
+
+    return people.sort((a, b) => a.index - b.index)
+  }
+
+  findAges(line) {
+    return [...line.matchAll(PATTERNS.age)]
+      .map(match => ({ age: Number(match[1] || match[2]), index: match.index }))
+      .filter(({ age }) => age <= 120)
+  }
+
+  findOccupations(line, expectOccupation) {
+    const labelled = [...line.matchAll(PATTERNS.occupationLabel)]
+      .map(match => ({ name: titleCase(match[1].trim()), text: match[1].trim(), index: match.index }))
+    if (labelled.length || !expectOccupation) return labelled
+
+    return [...line.matchAll(PATTERNS.occupation)]
+      .map(match => ({ name: titleCase(match[1]), text: match[1], index: match.index }))
+  }
+
+  findAddresses(line) {
+    const addresses = [...line.matchAll(PATTERNS.addressLabel)]
+      .map(match => ({ text: match[1].trim().replace(/[,.]$/, ''), index: match.index }))
+    const spans = addresses.map(({ index, text }) => ({ start: index, end: line.indexOf(text, index) + text.length }))
+
+    for (const match of line.matchAll(PATTERNS.street)) {
+      if (!overlaps(spans, match.index, match.index + match[0].length)) {
+        addresses.push({ text: match[0].trim(), index: match.index })
+      }
+    }
+
+    return addresses
+  }
+
+  findShips(line) {
+    const ships = [...line.matchAll(PATTERNS.ship), ...line.matchAll(PATTERNS.shipLabel)]
+      .map(match => {
+        // Stop at a month so "SS CELTIC April 15" keeps only the ship's name
+        const words = match[1].split(/\s+/)
+        const end = words.findIndex(word => MONTHS[word.toLowerCase()] || NOT_NAMES.has(word.toLowerCase()))
+        const name = titleCase(words.slice(0, end === -1 ? words.length : end).join(' '))
+        return { name, text: match[0].trim() }
+      })
+      .filter(ship => ship.name)
+
+    return this.unique(ships, ship => ship.name.toLowerCase())
+  }
+
+  findCountries(line, layout) {
+    return [...line.matchAll(PATTERNS.country)].map(match => {
+      const before = line.slice(0, match.index)
+      const isDestination = PATTERNS.destinationBefore.test(before)
+      const origin = !isDestination && (
+        PATTERNS.originBefore.test(before) ||
+        PATTERNS.migrationLine.test(line) ||
+        layout === DOCUMENT_LAYOUTS.MANIFEST
+      )
+      return { name: titleCase(match[1]), text: match[1], origin, index: match.index }
+    })
+  }
+
+  findDates(line) {
+    const dates = []
+    const spans = []
+
+    const add = (match, year, month = null, day = null) => {
+      const start = match.index
+      const end = start + match[0].length
+      if (overlaps(spans, start, end)) return
+      if (month !== null && (month < 1 || month > 12)) return
+      if (day !== null && (day < 1 || day > 31)) return
+
+      spans.push({ start, end })
+      const before = line.slice(0, start)
+      const label = before.match(PATTERNS.eventBefore)?.[1] || before.match(PATTERNS.dateLabel)?.[1]
+      dates.push({
+        text: match[0],
+        iso: [year, month && pad(month), day && pad(day)].filter(Boolean).join('-'),
+        year: Number(year),
+        month,
+        day,
+        label: label ? label.trim().toLowerCase() : null
+      })
+    }
+
+    const month = (name) => MONTHS[name.toLowerCase()] || null
+
+    for (const match of line.matchAll(PATTERNS.isoDate)) {
+      add(match, match[1], Number(match[2]), Number(match[3]))
+    }
+    for (const match of line.matchAll(PATTERNS.monthDayYear)) {
+      if (month(match[1])) add(match, match[3], month(match[1]), Number(match[2]))
+    }
+    for (const match of line.matchAll(PATTERNS.dayMonthYear)) {
+      if (month(match[2])) add(match, match[3], month(match[2]), Number(match[1]))
+    }
+    for (const match of line.matchAll(PATTERNS.monthYear)) {
+      if (month(match[1])) add(match, match[2], month(match[1]))
+    }
+    for (const match of line.matchAll(PATTERNS.numericDate)) {
+      add(match, match[3], Number(match[1]), Number(match[2]))
+    }
+    // House numbers are not years
+    this.findAddresses(line).forEach(({ text, index }) => spans.push({ start: index, end: index + text.length }))
+    for (const match of line.matchAll(PATTERNS.year)) {
+      add(match, match[1])
+    }
+
+    return dates.sort((a, b) => line.indexOf(a.text) - line.indexOf(b.text))
+  }
+
+  /**
+   * Combine mentions of the same person, e.g. a name repeated in a deed.
+   * Mentions with different ages are kept apart: they are likely different people.
+   */
+  mergePeople(people) {
+    const merged = []
+
+    people.forEach(({ index, length, ...person }) => {
+      const existing = merged.find(other =>
+        other.name.toLowerCase() === person.name.toLowerCase() &&
+        (other.age === null || person.age === null || other.age === person.age)
+      )
+
+      if (!existing) {
+        merged.push(person)
+        return
+      }
+
+      PERSON_FIELDS.forEach(field => {
+        if (existing[field] === null) existing[field] = person[field]
+      })
+      if (person.role && (!existing.role || existing.role === DEFAULT_ROLES.census || existing.role === 'mentioned')) {
+        existing.role = person.role
+      }
+    })
+
+    return merged
+  }
+
+  mergeCountries(countries) {
+    const merged = []
+
+    countries.forEach(country => {
+      const existing = merged.find(other => other.name === country.name)
+      if (existing) {
+        existing.origin = existing.origin || country.origin
+      } else {
+        merged.push({ ...country })
+      }
+    })
+
+    return merged
+  }
+
+  unique(items, keyOf) {
+    const seen = new Set()
+    return items.filter(item => {
+      const key = keyOf(item)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+  }
+}
+
+// Export singleton instance
+export const entityService = new EntityService()
+export default entityService
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest'
+import { entityService, DOCUMENT_LAYOUTS } from './entities'
+
+const CENSUS = `UNITED STATES CENSUS 1920 - WARD 3
+
+Smith, John - Age 35, Occupation: Factory Worker
+Smith, Mary - Age 32, Occupation: Housewife
+
+Address: 123 Main Street
+Immigration Year: 1905 (Ireland)`
+
+const MANIFEST = `MANIFEST OF ALIEN PASSENGERS
+SS CELTIC - April 15, 1905
+
+Smith, John - Age 20
+Occupation: Laborer
+Country of Origin: Ireland
+Destination: New York`
+
+const DEED = `WARRANTY DEED
+
+This Indenture, made the 3rd day of March, A.D. 1908, between John Smith of Springfield, party of the first part, and Mary O'Brien, party of the second part.
+Witnesseth, that the party of the first part, for the consideration of Five Hundred Dollars ($500), doth convey unto the party of the second part, her heirs and assigns,
+Premises: Lot 15, Block C, Main Street Addition, Springfield
+Witness: Thomas Kelly
+Recorded May 2, 1908, in Book 212, Page 48`
+
+const OBITUARY = `SPRINGFIELD HERALD - June 12, 1931
+
+OBITUARY
+John Smith, 68, of 42 Elm Street, died Tuesday at his home. Mr. Smith was born in Ireland in 1863 and came to Springfield in 1905.
+He is survived by his wife, Mary Smith, and a son, Robert Smith. The funeral will be held at St. Michael's Church on June 15, 1931.`
+
+describe('entityService.extract', () => {
+  it('reads a census household: people with ages and occupations, the address and dates', () => {
+    const entities = entityService.extract(CENSUS)
+
+    expect(entities.layout).toBe(DOCUMENT_LAYOUTS.CENSUS)
+    expect(entities.people.map(({ name, age, occupation, role }) => ({ name, age, occupation, role }))).toEqual([
+      { name: 'John Smith', age: 35, occupation: 'Factory Worker', role: 'household member' },
+      { name: 'Mary Smith', age: 32, occupation: 'Housewife', role: 'household member' }
+    ])
+    expect(entities.addresses.map(address => address.text)).toEqual(['123 Main Street'])
+    expect(entities.dates.map(({ iso, label }) => ({ iso, label }))).toEqual([
+      { iso: '1920', label: null },
+      { iso: '1905', label: 'immigration year' }
+    ])
+  })
+
+  it('reads a passenger manifest: the ship, full dates and the passenger\'s origin', () => {
+    const entities = entityService.extract(MANIFEST)
+
+    expect(entities.layout).toBe(DOCUMENT_LAYOUTS.MANIFEST)
+    expect(entities.ships.map(ship => ship.name)).toEqual(['Celtic'])
+    expect(entities.dates[0]).toMatchObject({ iso: '1905-04-15', year: 1905, month: 4, day: 15 })
+    expect(entities.people).toEqual([expect.objectContaining({
+      givenName: 'John',
+      surname: 'Smith',
+      age: 20,
+      occupation: 'Laborer',
+      origin: 'Ireland',
+      role: 'passenger'
+    })])
+  })
+
+  it('reads a deed: the parties, the parcel, the price and when it was signed and recorded', () => {
+    const entities = entityService.extract(DEED)
+
+    expect(entities.layout).toBe(DOCUMENT_LAYOUTS.DEED)
+    expect(entities.people.map(({ name, role }) => ({ name, role }))).toEqual([
+      { name: 'John Smith', role: 'grantor' },
+      { name: 'Mary O\'Brien', role: 'grantee' },
+      { name: 'Thomas Kelly', role: 'witness' }
+    ])
+    expect(entities.deed).toMatchObject({
+      grantors: ['John Smith'],
+      grantees: ['Mary O\'Brien'],
+      witnesses: ['Thomas Kelly'],
+      property: 'Lot 15, Block C, Main Street Addition, Springfield',
+      lot: '15',
+      block: 'C',
+      consideration: { text: 'Five Hundred Dollars ($500)', amount: 500 },
+      recording: { book: '212', page: '48' }
+    })
+    expect(entities.deed.date).toMatchObject({ iso: '1908-03-03', text: '3rd day of March, A.D. 1908' })
+    expect(entities.deed.recordedDate).toMatchObject({ iso: '1908-05-02', label: 'recorded' })
+  })
+
+  it('reads a newspaper obituary: the deceased with age and address, survivors, places and dates', () => {
+    const entities = entityService.extract(OBITUARY)
+
+    expect(entities.layout).toBe(DOCUMENT_LAYOUTS.NEWSPAPER)
+    expect(entities.deed).toBeNull()
+    expect(entities.people).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'John Smith', age: 68, address: '42 Elm Street' }),
+      expect.objectContaining({ name: 'Mary Smith', role: 'wife' }),
+      expect.objectContaining({ name: 'Robert Smith', role: 'son' })
+    ]))
+    expect(entities.addresses.map(address => address.text)).toEqual(['42 Elm Street'])
+    expect(entities.countries).toEqual([expect.objectContaining({ name: 'Ireland', origin: true })])
+    expect(entities.dates.map(date => date.iso)).toEqual(['1931-06-12', '1863', '1905', '1931-06-15'])
+  })
+
+  it('returns empty entities for empty text', () => {
+    const entities = entityService.extract('')
+    expect(entities.people).toEqual([])
+    expect(entities.dates).toEqual([])
+  })
+})
@@ -0,0 +1,201 @@
+/**
+ * Geocoding Service for Historify
+ * Turns addresses and place names found in document text into map coordinates.
+ * Providers are tried in order (VITE_GEOCODER_PROVIDERS); the built-in offline gazetteer
+ * resolves countries, states, cities and landmarks, and Nominatim can be enabled for street addresses.
+ * Other providers can be added with registerProvider().
+ */
+
+import { entityService } from './entities'
+import { getRecordYear } from '../utils/people'
+
+const PROVIDER_ORDER = (import.meta.env.VITE_GEOCODER_PROVIDERS || 'gazetteer')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean)
+const NOMINATIM_URL = import.meta.env.VITE_GEOCODER_URL || 'https://nominatim.openstreetmap.org/search'
+
+// Nominatim's usage policy allows one request per second
+const NOMINATIM_INTERVAL = 1100
+
+// Street words after a place name mean it is part of an address, e.g. "Washington Street"
+const STREET_SUFFIX = '(?!\\s+(?:Street|St\\.?|Avenue|Ave\\.?|Road|Rd\\.?|Lane|Place|Square|Court|Boulevard|Park|Heights)\\b)'
+
+export const PLACE_KINDS = {
+  ADDRESS: 'address',
+  PLACE: 'place'
+}
+
+const normalize = (text) => (text || '').toLowerCase().replace(/[^\p{L}\d\s-]/gu, '').replace(/\s+/g, ' ').trim()
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+class GeocoderService {
+  constructor() {
+    this.providers = new Map()
+    this.gazetteerPromise = null
+    this.lastNominatimRequest = 0
+
+    this.registerProvider('gazetteer', {
+      geocode: async (query) => {
+        const gazetteer = await this.loadGazetteer()
+        // "Springfield, Mass." is looked up as "Springfield"
+        const entry = gazetteer.byName.get(normalize(query)) || gazetteer.byName.get(normalize(query.split(',')[0]))
+        return entry ? { lat: entry.lat, lng: entry.lng, displayName: entry.name, placeType: entry.type } : null
+      }
+    })
+
+    this.registerProvider('nominatim', {
+      geocode: async (query) => {
+        const delay = this.lastNominatimRequest + NOMINATIM_INTERVAL - Date.now()
+        if (delay > 0) await wait(delay)
+        this.lastNominatimRequest = Date.now()
+
+        const response = await fetch(`${NOMINATIM_URL}?format=json&limit=1&q=${encodeURIComponent(query)}`, {
+          headers: { Accept: 'application/json' }
+        })
+        if (!response.ok) throw new Error(`Geocoding failed with status ${response.status}`)
+
+        const [result] = await response.json()
+        return result
+          ? { lat: Number(result.lat), lng: Number(result.lon), displayName: result.display_name, placeType: result.type || null }
+          : null
+      }
+    })
+  }
+
+  /**
+   * Add a geocoding provider: { geocode(query) } resolving to { lat, lng, displayName, placeType } or null.
+   * It is used when its name is listed in VITE_GEOCODER_PROVIDERS.
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider)
+  }
+
+  /**
+   * Load the offline gazetteer (bundled separately, on first use)
+   */
+  loadGazetteer() {
+    if (!this.gazetteerPromise) {
+      this.gazetteerPromise = import('../data/gazetteer.json').then(({ default: entries }) => {
+        const byName = new Map()
+        const names = []
+        entries.forEach(entry => {
+          const entryNames = [entry.name, ...(entry.alternateNames || [])]
+          entryNames.forEach(name => {
+            if (!byName.has(normalize(name))) byName.set(normalize(name), entry)
+            names.push(name, name.toUpperCase())
+          })
+        })
+
+        // Longest names first so "New York City" wins over "New York"
+        const alternation = [...new Set(names)]
+          .sort((a, b) => b.length - a.length)
+          .map(escapeRegExp)
+          .join('|')
+        return { entries, byName, pattern: new RegExp(`\\b(${alternation})\\b${STREET_SUFFIX}`, 'g') }
+      })
+    }
+    return this.gazetteerPromise
+  }
+
+  /**
+   * Geocode a query with each configured provider in turn.
+   * Returns { lat, lng, displayName, placeType, provider } or null when none can place it.
+   */
+  async geocode(query) {
+    for (const name of PROVIDER_ORDER) {
+      const provider = this.providers.get(name)
+      if (!provider) continue
+
+      try {
+        const result = await provider.geocode(query)
+        if (result) return { ...result, provider: name }
+      } catch (error) {
+        console.error(`Geocoding provider ${name} failed:`, error)
+      }
+    }
+    return null
+  }
+
+  /**
+   * Place names from the gazetteer mentioned in a text, with the line they appear on
+   */
+  async findPlaceNames(text) {
+    const gazetteer = await this.loadGazetteer()
+    return (text || '').split(/\r?\n/).flatMap((line, lineNumber) =>
+      [...line.matchAll(gazetteer.pattern)].map(match => ({
+        text: match[1],
+        entry: gazetteer.byName.get(normalize(match[1])),
+        line: lineNumber
+      })))
+  }
+
+  /**
+   * Addresses and place names in a document that could be put on the map
+   */
+  async getCandidates(document, entities = document.entities || entityService.extract(document.ocrText)) {
+    const placeNames = await this.findPlaceNames(document.ocrText)
+
+    // Bare street addresses are looked up within the first town the document names
+    const town = placeNames.find(place => ['city', 'state'].includes(place.entry?.type))
+
+    const candidates = [
+      ...(entities.addresses || []).map(address => ({
+        name: address.text,
+        kind: PLACE_KINDS.ADDRESS,
+        query: town && !address.text.includes(',') ? `${address.text}, ${town.entry.name}` : address.text,
+        line: address.line
+      })),
+      ...placeNames.map(place => ({
+        name: place.entry?.name || place.text,
+        kind: PLACE_KINDS.PLACE,
+        query: place.entry?.name || place.text,
+        line: place.line
+      }))
+    ]
+
+    const seen = new Set()
+    return candidates.filter(candidate => {
+      const key = normalize(candidate.name)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+  }
+
+  /**
+   * Geocode a document's places that are not on the map yet.
+   * Returns new place records; those no provider could find have a null position so they can be pinned by hand.
+   */
+  async geocodeDocument(document, existingPlaces = []) {
+    const known = new Set(existingPlaces
+      .filter(place => place.documentId === document.documentId)
+      .map(place => normalize(place.name)))
+    const entities = document.entities || entityService.extract(document.ocrText)
+    const candidates = (await this.getCandidates(document, entities)).filter(candidate => !known.has(normalize(candidate.name)))
+    const year = getRecordYear({ entities })
+
+    const places = []
+    for (const candidate of candidates) {
+      const result = await this.geocode(candidate.query)
+      places.push({
+        ...candidate,
+        documentId: document.documentId,
+        year,
+        position: result ? [result.lat, result.lng] : null,
+        source: result?.provider || null,
+        placeType: result?.placeType || null,
+        displayName: result?.displayName || null,
+        createdDate: new Date().toISOString()
+      })
+    }
+    return places
+  }
+}
+
+// Export singleton instance
+export const geocoderService = new GeocoderService()
+export default geocoderService
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { geocoderService, PLACE_KINDS } from './geocoder'
+
+// Providers are read from the environment as the service loads: a test provider, then the gazetteer
+vi.hoisted(() => {
+  import.meta.env.VITE_GEOCODER_PROVIDERS = 'archive, gazetteer'
+})
+
+const archive = { geocode: vi.fn() }
+geocoderService.registerProvider('archive', archive)
+
+describe('geocoderService', () => {
+  beforeEach(() => {
+    archive.geocode.mockResolvedValue(null)
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('uses the first provider that can place a query', async () => {
+    archive.geocode.mockResolvedValue({ lat: 1, lng: 2, displayName: 'Lot 15, Main Street', placeType: 'house' })
+
+    expect(await geocoderService.geocode('15 Main Street')).toEqual({
+      lat: 1, lng: 2, displayName: 'Lot 15, Main Street', placeType: 'house', provider: 'archive'
+    })
+  })
+
+  it('falls back to the next provider when one finds nothing or fails', async () => {
+    expect(await geocoderService.geocode('Boston')).toMatchObject({ displayName: 'Boston', placeType: 'city', provider: 'gazetteer' })
+
+    archive.geocode.mockRejectedValue(new Error('Service unavailable'))
+    expect(await geocoderService.geocode('Springfield, Mass.')).toMatchObject({ displayName: 'Springfield', provider: 'gazetteer' })
+    expect(console.error).toHaveBeenCalled()
+  })
+
+  it('returns null when no provider can place a query', async () => {
+    expect(await geocoderService.geocode('Nowhere Junction')).toBeNull()
+  })
+
+  it('finds place names, but not streets named after them', async () => {
+    const places = await geocoderService.findPlaceNames('Born in IRELAND\nLiving on Washington Street, Boston')
+
+    expect(places.map(place => [place.entry.name, place.line])).toEqual([['Ireland', 0], ['Boston', 1]])
+  })
+
+  it('looks bare addresses up within the first town the document names', async () => {
+    const document = { documentId: 'census', ocrText: 'Springfield, Massachusetts\nJohn Smith, 15 Main Street\nBorn in Ireland' }
+    const entities = { addresses: [{ text: '15 Main Street', line: 1 }, { text: '4 Elm Street, Boston', line: 2 }] }
+
+    const candidates = await geocoderService.getCandidates(document, entities)
+
+    expect(candidates).toEqual([
+      { name: '15 Main Street', kind: PLACE_KINDS.ADDRESS, query: '15 Main Street, Springfield', line: 1 },
+      { name: '4 Elm Street, Boston', kind: PLACE_KINDS.ADDRESS, query: '4 Elm Street, Boston', line: 2 },
+      { name: 'Springfield', kind: PLACE_KINDS.PLACE, query: 'Springfield', line: 0 },
+      { name: 'Massachusetts', kind: PLACE_KINDS.PLACE, query: 'Massachusetts', line: 0 },
+      { name: 'Ireland', kind: PLACE_KINDS.PLACE, query: 'Ireland', line: 2 }
+    ])
+  })
+
+  it('leaves places already on the map out and keeps unplaced ones for pinning by hand', async () => {
+    const document = { documentId: 'census', ocrText: 'Springfield\nBorn in Ireland', entities: { addresses: [{ text: '15 Main Street', line: 0 }] } }
+    const existing = [{ documentId: 'census', name: 'Ireland' }]
+
+    const places = await geocoderService.geocodeDocument(document, existing)
+
+    expect(places.map(place => [place.name, place.position, place.source])).toEqual([
+      ['15 Main Street', null, null],
+      ['Springfield', [42.1015, -72.5898], 'gazetteer']
+    ])
+    expect(archive.geocode).toHaveBeenCalledWith('15 Main Street, Springfield')
+  })
+})
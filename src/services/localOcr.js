@@ -0,0 +1,102 @@
+/**
+ * Local OCR Service for Historify
+ * Runs Tesseract (WebAssembly) in a web worker so documents can be transcribed without a network connection
+ */
+
+import workerPath from 'tesseract.js/dist/worker.min.js?url'
+import corePath from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url'
+
+// Trained language data: a directory of <pack>.traineddata.gz files on our own origin when
+// VITE_OCR_LANG_PATH is set (e.g. /tessdata, for fully offline use), otherwise a pinned tessdata_fast
+// release on jsDelivr. Tesseract caches each pack in IndexedDB after its first download.
+const LANG_PATH = import.meta.env.VITE_OCR_LANG_PATH || null
+const CDN_LANG_PATH = 'https://cdn.jsdelivr.net/gh/tesseract-ocr/tessdata_fast@4.1.0'
+
+/**
+ * Language packs available to the local engine, keyed by the OCR.space codes used elsewhere in the app
+ */
+export const LOCAL_OCR_LANGUAGES = {
+  eng: { name: 'English', pack: 'eng' },
+  ger: { name: 'German', pack: 'deu' },
+  fre: { name: 'French', pack: 'fra' },
+  spa: { name: 'Spanish', pack: 'spa' },
+  ita: { name: 'Italian', pack: 'ita' },
+  dut: { name: 'Dutch', pack: 'nld' },
+  pol: { name: 'Polish', pack: 'pol' },
+  swe: { name: 'Swedish', pack: 'swe' },
+  rus: { name: 'Russian', pack: 'rus' }
+}
+
+class LocalOcrService {
+  constructor() {
+    // One worker per language pack, created on first use and reused afterwards
+    this.workers = new Map()
+  }
+
+  getPack(language) {
+    const entry = LOCAL_OCR_LANGUAGES[language]
+    if (!entry) {
+      throw new Error(`OCR language not supported offline: ${language}`)
+    }
+    return entry.pack
+  }
+
+  getWorker(pack) {
+    if (!this.workers.has(pack)) {
+      const langPath = LANG_PATH || CDN_LANG_PATH
+      const workerPromise = import('tesseract.js')
+        .then(({ createWorker }) => createWorker(pack, 1, {
+          workerPath,
+          corePath,
+          langPath,
+          // The CDN release holds uncompressed files
+          gzip: Boolean(LANG_PATH),
+          // Failures reject the pending call instead of being thrown from the worker
+          errorHandler: () => {}
+        }).catch(error => {
+          throw new Error(`OCR language data missing: ${pack}.traineddata could not be loaded from ${langPath} (${error?.message || error})`)
+        }))
+        .catch(error => {
+          this.workers.delete(pack)
+          throw error
+        })
+
+      this.workers.set(pack, workerPromise)
+    }
+    return this.workers.get(pack)
+  }
+
+  /**
+   * Recognise text in an image, returning the same { text, confidence, provider, words } shape as the network providers
+   */
+  async recognize(file, language = 'eng') {
+    const worker = await this.getWorker(this.getPack(language))
+    const { data } = await worker.recognize(file)
+
+    // Tesseract reports confidence as 0-100; the rest of the app uses 0-1
+    const words = (data.lines || []).flatMap((line, lineIndex) =>
+      line.words.map(word => ({
+        text: word.text,
+        confidence: word.confidence / 100,
+        line: lineIndex,
+        bbox: {
+          x: word.bbox.x0,
+          y: word.bbox.y0,
+          width: word.bbox.x1 - word.bbox.x0,
+          height: word.bbox.y1 - word.bbox.y0
+        }
+      }))
+    )
+
+    return {
+      text: data.text,
+      confidence: data.confidence / 100,
+      provider: 'local',
+      words
+    }
+  }
+}
+
+// Export singleton instance
+export const localOcrService = new LocalOcrService()
+export default localOcrService
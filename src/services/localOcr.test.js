@@ -0,0 +1,31 @@
+import { describe, it, expect, vi } from 'vitest'
+import { localOcrService } from './localOcr'
+
+const createWorker = vi.fn()
+vi.mock('tesseract.js', () => ({ createWorker: (...args) => createWorker(...args) }))
+
+describe('localOcrService', () => {
+  it('loads language packs from the pinned CDN release by default', async () => {
+    createWorker.mockResolvedValueOnce({ recognize: async () => ({ data: { text: 'Smith', confidence: 90, lines: [] } }) })
+
+    const result = await localOcrService.recognize(new Blob(), 'ger')
+
+    expect(result).toMatchObject({ text: 'Smith', confidence: 0.9, provider: 'local' })
+    expect(createWorker).toHaveBeenCalledWith('deu', 1, expect.objectContaining({
+      langPath: 'https://cdn.jsdelivr.net/gh/tesseract-ocr/tessdata_fast@4.1.0',
+      gzip: false
+    }))
+  })
+
+  it('reports missing language data clearly, and tries again next time', async () => {
+    createWorker.mockRejectedValueOnce('Error: Network error while fetching eng.traineddata. Response code: 404')
+
+    await expect(localOcrService.recognize(new Blob(), 'eng'))
+      .rejects.toThrow(/^OCR language data missing: eng\.traineddata could not be loaded from https:\/\/cdn\.jsdelivr\.net/)
+    expect(localOcrService.workers.has('eng')).toBe(false)
+  })
+
+  it('refuses languages it has no pack for', async () => {
+    await expect(localOcrService.recognize(new Blob(), 'xyz')).rejects.toThrow('OCR language not supported offline: xyz')
+  })
+})
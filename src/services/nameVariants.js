@@ -0,0 +1,126 @@
+/**
+ * Name Variant Service for Historify
+ * The variant-spelling dictionary search uses to find "Schmidt" where a record says "Smith":
+ * groups of spellings that stand for the same name. It starts from the built-in groups and,
+ * once edited, is saved in IndexedDB as the signed-in user's own.
+ */
+
+import { storageService, STORES } from './storage'
+import { DEFAULT_NAME_VARIANTS } from '../data/nameVariants'
+import { foldText } from '../utils/phonetics'
+
+const SETTINGS_KEY = 'nameVariants'
+
+// Each account's dictionary is its own settings record
+const settingsKey = (userId) => `${SETTINGS_KEY}:${userId}`
+
+/**
+ * A spelling as search compares it: folded, letters and digits only
+ */
+const normalizeSpelling = (spelling) => foldText(spelling).replace(/[^\p{L}\p{N}]/gu, '')
+
+/**
+ * Groups with spellings normalized, repeats removed and groups of fewer than two spellings dropped
+ */
+const cleanGroups = (groups) => groups
+  .map(group => [...new Set(group.map(normalizeSpelling).filter(Boolean))])
+  .filter(group => group.length > 1)
+
+class NameVariantService {
+  constructor() {
+    this.customized = false
+    // Whose dictionary is loaded
+    this.userId = null
+    this.loadPromise = null
+    this.setGroups(DEFAULT_NAME_VARIANTS)
+  }
+
+  setGroups(groups) {
+    this.groups = cleanGroups(groups)
+    // spelling -> every spelling in the groups it belongs to
+    this.lookup = new Map()
+    this.groups.forEach(group => {
+      group.forEach(spelling => {
+        const variants = this.lookup.get(spelling) || new Set()
+        group.forEach(other => variants.add(other))
+        this.lookup.set(spelling, variants)
+      })
+    })
+  }
+
+  /**
+   * Read a user's edited dictionary, if they have one. Loading another user, or null once signed
+   * out, first goes back to the built-in groups.
+   */
+  load(userId = null) {
+    if (userId !== this.userId) {
+      this.userId = userId
+      this.loadPromise = null
+      this.customized = false
+      this.setGroups(DEFAULT_NAME_VARIANTS)
+    }
+    if (!this.userId) return Promise.resolve()
+    if (this.loadPromise) return this.loadPromise
+
+    this.loadPromise = storageService.get(STORES.SETTINGS, settingsKey(userId))
+      .then(record => {
+        // Another user signed in while it was read
+        if (this.userId !== userId) return
+        if (record) {
+          this.customized = true
+          this.setGroups(record.groups)
+        }
+      })
+      .catch(error => {
+        console.warn('Name variants could not be loaded, using the defaults:', error)
+      })
+
+    return this.loadPromise
+  }
+
+  requireUser() {
+    if (!this.userId) throw new Error('Name variants are not loaded for a signed-in user')
+    return this.userId
+  }
+
+  getGroups() {
+    return this.groups.map(group => [...group])
+  }
+
+  /**
+   * Replace the dictionary with `groups` (arrays of spellings) and save it
+   */
+  async save(groups) {
+    const userId = this.requireUser()
+    this.setGroups(groups)
+    this.customized = true
+    await storageService.putForUser(STORES.SETTINGS, userId, {
+      key: settingsKey(userId),
+      groups: this.groups,
+      updatedAt: new Date().toISOString()
+    })
+    return this.getGroups()
+  }
+
+  /**
+   * Go back to the built-in groups
+   */
+  async reset() {
+    const userId = this.requireUser()
+    this.setGroups(DEFAULT_NAME_VARIANTS)
+    this.customized = false
+    await storageService.delete(STORES.SETTINGS, settingsKey(userId))
+    return this.getGroups()
+  }
+
+  /**
+   * Other spellings of a word, normalized; empty when it is in no group
+   */
+  variantsOf(word) {
+    const spelling = normalizeSpelling(word)
+    return [...(this.lookup.get(spelling) || [])].filter(variant => variant !== spelling)
+  }
+}
+
+export const nameVariantService = new NameVariantService()
+export default nameVariantService
@@ -0,0 +1,463 @@
+/**
+ * OCR Job Queue Service for Historify
+ * Runs uploads and OCR in the background, independent of whichever view is open.
+ * Jobs and their source files are persisted in IndexedDB so processing resumes after a reload.
+ * Text recognition itself runs in web workers (Tesseract locally, PDF.js for page rendering)
+ * or on the server via POST /ocr/process with status polling.
+ */
+
+import { apiService } from './api'
+import { entityService } from './entities'
+import { pageService } from './pages'
+import { storageService, STORES } from './storage'
+import { subscriptionService } from './subscription'
+import { handleFileUploadError, handleOCRError } from '../utils/errorHandler'
+import { toDocumentDateFields } from '../utils/historicalDate'
+
+// Jobs processed at the same time; more would compete for the single OCR worker and the network
+const MAX_CONCURRENT_JOBS = 2
+// Server status polling backs off from the first interval to the second, and the server is given
+// up on (the pages are recognised locally instead) once a job has run for the maximum wait. Time
+// spent waiting out the API rate limit does not count towards it.
+const POLL_INTERVAL_MS = 2000
+const MAX_POLL_INTERVAL_MS = 30000
+const MAX_SERVER_WAIT_MS = 10 * 60 * 1000
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+}
+
+// Thrown at checkpoints when a job was removed or the user signed out mid-run
+class JobInterrupted extends Error {}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const byQueueOrder = (a, b) => (
+  Number(b.priority) - Number(a.priority) || a.createdDate.localeCompare(b.createdDate)
+)
+
+class OcrQueueService {
+  constructor() {
+    this.user = null
+    this.jobs = new Map()
+    this.running = new Set()
+    this.removed = new Set()
+    // Incremented on sign-out so jobs from the previous session stop at their next checkpoint
+    this.generation = 0
+    this.listeners = new Set()
+    this.documentListeners = new Set()
+  }
+
+  /**
+   * Load the user's persisted jobs and continue any that were interrupted
+   */
+  async resume(user) {
+    if (this.user?.userId === user.userId) return
+
+    this.stop()
+    this.user = user
+
+    const stored = await storageService.getAllForUser(STORES.OCR_JOBS, user.userId)
+    stored.forEach(job => {
+      const interrupted = job.status === JOB_STATUS.UPLOADING || job.status === JOB_STATUS.PROCESSING
+      this.jobs.set(job.jobId, interrupted ? { ...job, status: JOB_STATUS.QUEUED } : job)
+    })
+
+    this.emit()
+    this.pump()
+  }
+
+  /**
+   * Stop processing for the current user (e.g. on sign-out); their jobs stay queued for next time
+   */
+  stop() {
+    this.generation++
+    this.user = null
+    this.jobs.clear()
+    this.running.clear()
+    this.emit()
+  }
+
+  /**
+   * Queue a file for upload and OCR. Options: { provider, language }
+   */
+  async enqueue(file, options = {}) {
+    if (!this.user) throw new Error('Sign in to upload documents')
+
+    const jobId = apiService.generateLocalId('job')
+    const fileId = `${jobId}_source`
+
+    // Keep the original until the job finishes so it can be resumed after a reload
+    await storageService.putForUser(STORES.FILES, this.user.userId, {
+      fileId,
+      blob: file,
+      fileName: file.name,
+      fileType: file.type,
+      uploadDate: new Date().toISOString()
+    })
+
+    const job = {
+      jobId,
+      userId: this.user.userId,
+      fileId,
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: file.type,
+      options,
+      priority: subscriptionService.canPerformAction(this.user, 'priority_processing'),
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      pageCount: null,
+      pages: [],
+      upload: null,
+      documentId: null,
+      processingId: null,
+      processingStartedDate: null,
+      serverFailed: false,
+      error: null,
+      createdDate: new Date().toISOString()
+    }
+
+    await this.save(job)
+    this.pump()
+    return job
+  }
+
+  async retry(jobId) {
+    const job = this.jobs.get(jobId)
+    if (!job || job.status !== JOB_STATUS.FAILED) return
+
+    await this.save({ ...job, status: JOB_STATUS.QUEUED, error: null })
+    this.pump()
+  }
+
+  /**
+   * Remove a job; a running job stops at its next checkpoint
+   */
+  async remove(jobId) {
+    const job = this.jobs.get(jobId)
+    if (!job) return
+
+    if (this.running.has(jobId)) this.removed.add(jobId)
+    this.jobs.delete(jobId)
+    this.emit()
+
+    await storageService.delete(STORES.OCR_JOBS, jobId)
+    await storageService.delete(STORES.FILES, job.fileId)
+  }
+
+  async clearCompleted() {
+    const completed = this.getJobs().filter(job => job.status === JOB_STATUS.COMPLETED)
+    await Promise.all(completed.map(job => this.remove(job.jobId)))
+  }
+
+  getJobs() {
+    return [...this.jobs.values()].sort((a, b) => a.createdDate.localeCompare(b.createdDate))
+  }
+
+  /**
+   * Listen for job changes; the listener is called immediately with the current jobs
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.getJobs())
+    return () => this.listeners.delete(listener)
+  }
+
+  /**
+   * Listen for documents created or updated by finished jobs
+   */
+  onDocumentReady(listener) {
+    this.documentListeners.add(listener)
+    return () => this.documentListeners.delete(listener)
+  }
+
+  emit() {
+    const jobs = this.getJobs()
+    this.listeners.forEach(listener => listener(jobs))
+  }
+
+  async save(job) {
+    if (this.removed.has(job.jobId)) return job
+
+    this.jobs.set(job.jobId, job)
+    this.emit()
+    await storageService.put(STORES.OCR_JOBS, job)
+    return job
+  }
+
+  /**
+   * Start queued jobs, priority-tier jobs first, up to the concurrency limit
+   */
+  pump() {
+    if (!this.user) return
+
+    const queued = this.getJobs()
+      .filter(job => job.status === JOB_STATUS.QUEUED && !this.running.has(job.jobId))
+      .sort(byQueueOrder)
+
+    while (this.running.size < MAX_CONCURRENT_JOBS && queued.length > 0) {
+      const job = queued.shift()
+      this.running.add(job.jobId)
+      this.run(job).finally(() => {
+        this.running.delete(job.jobId)
+        this.removed.delete(job.jobId)
+        this.pump()
+      })
+    }
+  }
+
+  async run(queuedJob) {
+    const generation = this.generation
+    // Shared with the helpers below so they always see the latest saved state
+    const task = { job: queuedJob, file: null, source: null }
+
+    // Persist progress, stopping if the job was removed or the user signed out
+    task.update = async (changes) => {
+      if (this.removed.has(task.job.jobId) || generation !== this.generation) {
+        throw new JobInterrupted()
+      }
+      task.job = { ...task.job, ...changes }
+      await this.save(task.job)
+    }
+
+    try {
+      const stored = await storageService.getForUser(STORES.FILES, task.job.fileId, task.job.userId)
+      if (!stored) throw new Error('The original file is no longer available. Please upload it again.')
+      task.file = stored.blob
+
+      // Upload the original file to storage
+      if (!task.job.upload) {
+        await task.update({ status: JOB_STATUS.UPLOADING, progress: 0 })
+        const upload = await apiService.uploadFile(task.file, {
+          source: 'User Upload',
+          uploadedBy: task.job.userId
+        })
+        await task.update({ upload: { fileId: upload.fileId, fileUrl: upload.fileUrl } })
+      }
+
+      // Split PDFs and TIFFs into pages; OCR quota is charged per page
+      task.source = await pageService.open(task.file)
+      const { pageCount } = task.source
+      if (task.job.pageCount === null) {
+        this.assertOcrAllowance(task.job, pageCount)
+        await task.update({ pageCount })
+      }
+
+      await task.update({ status: JOB_STATUS.PROCESSING })
+
+      if (task.job.options.provider !== 'local' && !task.job.serverFailed) {
+        try {
+          await this.runOnServer(task)
+          const document = await apiService.getDocument(task.job.documentId)
+          subscriptionService.updateUsage(task.job.userId, 'process_ocr', pageCount)
+          return await this.complete(task, document)
+        } catch (error) {
+          if (error instanceof JobInterrupted) throw error
+          // Offline, or the server could not OCR the file: recognise the pages here instead
+          console.warn(`Server OCR unavailable for ${task.job.fileName}, processing locally:`, error)
+          await task.update({ serverFailed: true, processingId: null, processingStartedDate: null })
+        }
+      }
+
+      await this.runLocally(task)
+      return await this.complete(task, null)
+    } catch (error) {
+      if (error instanceof JobInterrupted || generation !== this.generation) return
+      console.error('OCR job failed:', error)
+      await this.save({ ...task.job, status: JOB_STATUS.FAILED, error: this.describeError(error, task.job) })
+    } finally {
+      task.source?.close()
+    }
+  }
+
+  assertOcrAllowance(job, pageCount) {
+    if (subscriptionService.canPerformAction(this.user, 'process_ocr', pageCount)) return
+
+    const { features } = subscriptionService.getCurrentSubscription(this.user)
+    const { ocrPagesProcessed } = subscriptionService.getUserUsage(this.user.userId)
+    const error = new Error(
+      `${job.fileName} has ${pageCount} pages, but only ${Math.max(features.ocrProcessing - ocrPagesProcessed, 0)} of your ${features.ocrProcessing} monthly OCR pages remain.`
+    )
+    error.type = 'subscription'
+    throw error
+  }
+
+  describeError(error, job) {
+    if (error.type === 'subscription') return error.message
+
+    const file = { name: job.fileName }
+    return error.message?.includes('OCR')
+      ? handleOCRError(error, file).message
+      : handleFileUploadError(error, file).message
+  }
+
+  /**
+   * Render and upload the image for a page, unless that was done before an interruption
+   */
+  async preparePage(task, pageNumber) {
+    const existing = task.job.pages[pageNumber - 1]
+    const rendered = await task.source.getPage(pageNumber)
+    if (existing) return { page: existing, rendered }
+
+    // Single images are their own page; rendered pages are stored as separate images
+    const upload = rendered.file === task.file
+      ? task.job.upload
+      : await apiService.uploadFile(rendered.file, {
+          source: 'User Upload',
+          uploadedBy: task.job.userId,
+          parentFileId: task.job.upload.fileId,
+          pageNumber
+        })
+
+    const page = {
+      pageNumber,
+      fileId: upload.fileId,
+      fileUrl: upload.fileUrl,
+      width: rendered.width,
+      height: rendered.height
+    }
+    await task.update({ pages: [...task.job.pages, page] })
+    return { page, rendered }
+  }
+
+  /**
+   * Upload page images, create the document, then let the server OCR it via POST /ocr/process
+   */
+  async runOnServer(task) {
+    const { pageCount } = task.source
+
+    for (let pageNumber = task.job.pages.length + 1; pageNumber <= pageCount; pageNumber++) {
+      await this.preparePage(task, pageNumber)
+      await task.update({ progress: Math.round((pageNumber / pageCount) * 30) })
+    }
+
+    if (!task.job.documentId) {
+      const document = await apiService.saveDocument(this.buildDocument(task.job, { processingStatus: 'processing' }))
+      await task.update({ documentId: document.documentId })
+    }
+
+    if (!task.job.processingId) {
+      const { processingId } = await apiService.startServerOCR(task.job.documentId, {
+        provider: 'ocr.space',
+        language: task.job.options.language
+      })
+      await task.update({ processingId, processingStartedDate: new Date().toISOString() })
+    }
+
+    // Counted from when the server job started, so a reload does not restart the wait
+    let startedAt = Date.parse(task.job.processingStartedDate) || Date.now()
+    let interval = POLL_INTERVAL_MS
+
+    for (;;) {
+      let status
+      try {
+        status = await apiService.getOCRStatus(task.job.processingId)
+      } catch (error) {
+        if (error.status !== 429) throw error
+        const delay = error.retryAfter ? error.retryAfter * 1000 : interval
+        startedAt += delay
+        await task.update({ processingStartedDate: new Date(startedAt).toISOString() })
+        await wait(delay)
+        interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS)
+        continue
+      }
+      if (status.status === 'completed') return status
+      if (status.status === 'failed') throw new Error(status.error || 'OCR processing failed')
+      if (Date.now() - startedAt >= MAX_SERVER_WAIT_MS) {
+        throw new Error(`Server OCR did not finish within ${MAX_SERVER_WAIT_MS / 60000} minutes`)
+      }
+
+      await task.update({ progress: 30 + Math.round((status.progress || 0) * 0.65) })
+      await wait(interval)
+      interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS)
+    }
+  }
+
+  /**
+   * OCR each page in the browser, saving progress after every page
+   */
+  async runLocally(task) {
+    const { pageCount } = task.source
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      if (typeof task.job.pages[pageNumber - 1]?.text === 'string') continue
+
+      const { page, rendered } = await this.preparePage(task, pageNumber)
+      const ocrResult = await apiService.processOCR(rendered.file, task.job.options)
+      subscriptionService.updateUsage(task.job.userId, 'process_ocr', 1)
+
+      const pages = [...task.job.pages]
+      pages[pageNumber - 1] = {
+        ...page,
+        text: ocrResult.text,
+        confidence: ocrResult.confidence,
+        provider: ocrResult.provider,
+        words: ocrResult.words || []
+      }
+      await task.update({ pages, progress: Math.round((pageNumber / pageCount) * 95) })
+    }
+  }
+
+  buildDocument(job, overrides = {}) {
+    const recognised = job.pages.filter(page => typeof page.confidence === 'number')
+    // ocrText keeps the full text so search covers every page
+    const ocrText = job.pages.map(page => page.text || '').join('\n\n')
+    const entities = entityService.extract(ocrText)
+
+    return {
+      fileName: job.fileName,
+      ocrText,
+      ocrConfidence: recognised.length
+        ? recognised.reduce((sum, page) => sum + page.confidence, 0) / recognised.length
+        : null,
+      ocrProvider: job.pages[0]?.provider || null,
+      entities,
+      // The record's own date, read from the text; it can be corrected on the document
+      ...toDocumentDateFields(null, entities),
+      processingStatus: 'completed',
+      metadata: {
+        source: 'User Upload',
+        fileSize: job.fileSize,
+        fileType: job.fileType,
+        uploadedBy: job.userId,
+        pages: job.pageCount
+      },
+      fileId: job.upload.fileId,
+      fileUrl: job.upload.fileUrl,
+      pages: job.pages,
+      linkedDocuments: [],
+      ...overrides
+    }
+  }
+
+  async complete(task, serverDocument) {
+    const { job } = task
+    const document = serverDocument || (job.documentId
+      ? await apiService.updateDocument(job.documentId, this.buildDocument(job))
+      : await apiService.saveDocument(this.buildDocument(job)))
+
+    subscriptionService.updateUsage(job.userId, 'upload_document', 1)
+    subscriptionService.updateUsage(job.userId, 'use_storage', job.fileSize)
+
+    await task.update({
+      status: JOB_STATUS.COMPLETED,
+      progress: 100,
+      documentId: document.documentId,
+      // Page text now lives on the document; keep the finished job small
+      pages: []
+    })
+    await storageService.delete(STORES.FILES, job.fileId)
+
+    this.documentListeners.forEach(listener => listener(document))
+    return document
+  }
+}
+
+// Export singleton instance
+export const ocrQueue = new OcrQueueService()
+export default ocrQueue
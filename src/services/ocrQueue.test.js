@@ -0,0 +1,194 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { ocrQueue, JOB_STATUS } from './ocrQueue'
+import { apiService } from './api'
+import { storageService, STORES } from './storage'
+
+vi.mock('./api', () => ({
+  apiService: {
+    generateLocalId: (prefix) => `${prefix}_${Math.random().toString(36).slice(2)}`,
+    uploadFile: vi.fn(),
+    saveDocument: vi.fn(),
+    updateDocument: vi.fn(),
+    getDocument: vi.fn(),
+    startServerOCR: vi.fn(),
+    getOCRStatus: vi.fn(),
+    processOCR: vi.fn()
+  }
+}))
+
+vi.mock('./subscription', () => ({
+  subscriptionService: {
+    canPerformAction: () => true,
+    updateUsage: () => {}
+  }
+}))
+
+// The real handler reads browser globals to describe the error
+vi.mock('../utils/errorHandler', () => ({
+  handleOCRError: (error) => ({ message: error.message }),
+  handleFileUploadError: (error) => ({ message: error.message })
+}))
+
+// Every file is a single image page
+vi.mock('./pages', () => ({
+  pageService: {
+    open: async (file) => ({
+      pageCount: 1,
+      getPage: async () => ({ file, width: 100, height: 100 }),
+      close: () => {}
+    })
+  }
+}))
+
+const USER = { userId: 'user_a', subscriptionTier: 'free' }
+const UPLOAD = { fileId: 'file_1', fileUrl: '/files/file_1' }
+
+// A job the previous session left waiting on the server
+const interruptedJob = (changes = {}) => ({
+  jobId: 'job_1',
+  userId: USER.userId,
+  fileId: 'job_1_source',
+  fileName: 'census.png',
+  fileSize: 10,
+  fileType: 'image/png',
+  options: {},
+  priority: false,
+  status: JOB_STATUS.PROCESSING,
+  progress: 40,
+  pageCount: 1,
+  pages: [{ pageNumber: 1, ...UPLOAD, width: 100, height: 100 }],
+  upload: UPLOAD,
+  documentId: 'doc_1',
+  processingId: 'ocr_1',
+  processingStartedDate: new Date().toISOString(),
+  serverFailed: false,
+  error: null,
+  createdDate: '2024-01-01T00:00:00.000Z',
+  ...changes
+})
+
+// Resolves with the job once it completes or fails
+const settled = (jobId) => new Promise(resolve => {
+  const listener = (jobs) => {
+    const job = jobs.find(queued => queued.jobId === jobId)
+    if (job?.status === JOB_STATUS.COMPLETED || job?.status === JOB_STATUS.FAILED) resolve(job)
+  }
+  ocrQueue.subscribe(listener)
+})
+
+describe('ocrQueue', () => {
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['setTimeout'] })
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    await Promise.all([STORES.OCR_JOBS, STORES.FILES].map(name => storageService.clear(name)))
+    await storageService.putForUser(STORES.FILES, USER.userId, { fileId: 'job_1_source', blob: new Blob(['scan']), fileName: 'census.png' })
+    apiService.getDocument.mockImplementation(async (documentId) => ({ documentId, ocrText: 'John Smith' }))
+    apiService.updateDocument.mockImplementation(async (documentId, data) => ({ ...data, documentId }))
+  })
+
+  afterEach(() => {
+    ocrQueue.stop()
+    ocrQueue.listeners.clear()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+    vi.clearAllMocks()
+  })
+
+  it('picks up a server job after a reload without uploading or starting it again', async () => {
+    await storageService.put(STORES.OCR_JOBS, interruptedJob())
+    apiService.getOCRStatus.mockResolvedValue({ status: 'completed' })
+
+    const done = settled('job_1')
+    await ocrQueue.resume(USER)
+    const job = await done
+
+    expect(job).toMatchObject({ status: JOB_STATUS.COMPLETED, documentId: 'doc_1', progress: 100 })
+    expect(apiService.uploadFile).not.toHaveBeenCalled()
+    expect(apiService.startServerOCR).not.toHaveBeenCalled()
+    // The kept original goes once the document has its text
+    await vi.waitFor(async () => expect(await storageService.get(STORES.FILES, 'job_1_source')).toBeUndefined())
+  })
+
+  it('polls the server, backing off, until the job completes', async () => {
+    await storageService.put(STORES.OCR_JOBS, interruptedJob())
+    apiService.getOCRStatus
+      .mockResolvedValueOnce({ status: 'processing', progress: 20 })
+      .mockResolvedValueOnce({ status: 'processing', progress: 60 })
+      .mockResolvedValue({ status: 'completed' })
+
+    const waits = []
+    const fakeSetTimeout = globalThis.setTimeout
+    vi.spyOn(globalThis, 'setTimeout').mockImplementation((callback, ms) => {
+      waits.push(ms)
+      return fakeSetTimeout(callback, ms)
+    })
+
+    let job = null
+    settled('job_1').then(settledJob => { job = settledJob })
+    await ocrQueue.resume(USER)
+    while (!job) await vi.advanceTimersByTimeAsync(500)
+
+    expect(job.status).toBe(JOB_STATUS.COMPLETED)
+    expect(apiService.getOCRStatus).toHaveBeenCalledTimes(3)
+    // Each wait is twice as long as the one before
+    expect(waits).toEqual([2000, 4000])
+    expect(apiService.processOCR).not.toHaveBeenCalled()
+  })
+
+  it('waits out the rate limit and keeps polling the server', async () => {
+    await storageService.put(STORES.OCR_JOBS, interruptedJob())
+    apiService.getOCRStatus
+      .mockRejectedValueOnce(Object.assign(new Error('Too many requests'), { status: 429, retryAfter: 60 }))
+      .mockRejectedValueOnce(Object.assign(new Error('Too many requests'), { status: 429, retryAfter: null }))
+      .mockResolvedValue({ status: 'completed' })
+
+    const waits = []
+    const fakeSetTimeout = globalThis.setTimeout
+    vi.spyOn(globalThis, 'setTimeout').mockImplementation((callback, ms) => {
+      waits.push(ms)
+      return fakeSetTimeout(callback, ms)
+    })
+
+    let job = null
+    settled('job_1').then(settledJob => { job = settledJob })
+    await ocrQueue.resume(USER)
+    while (!job) await vi.advanceTimersByTimeAsync(1000)
+
+    expect(job).toMatchObject({ status: JOB_STATUS.COMPLETED, serverFailed: false })
+    // As long as the server asks, then the usual backoff
+    expect(waits).toEqual([60000, 4000])
+    expect(apiService.processOCR).not.toHaveBeenCalled()
+  })
+
+  it('recognises the pages locally once the server has taken too long', async () => {
+    await storageService.put(STORES.OCR_JOBS, interruptedJob({
+      processingStartedDate: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+    }))
+    apiService.getOCRStatus.mockResolvedValue({ status: 'processing', progress: 10 })
+    apiService.processOCR.mockResolvedValue({ text: 'John Smith', confidence: 90, provider: 'tesseract', words: [] })
+
+    const done = settled('job_1')
+    await ocrQueue.resume(USER)
+    const job = await done
+
+    expect(job).toMatchObject({ status: JOB_STATUS.COMPLETED, serverFailed: true, processingId: null })
+    expect(apiService.getOCRStatus).toHaveBeenCalledTimes(1)
+    expect(apiService.updateDocument).toHaveBeenCalledWith('doc_1', expect.objectContaining({ ocrText: 'John Smith' }))
+  })
+
+  it('fails the job when neither the server nor the browser can read it', async () => {
+    await storageService.put(STORES.OCR_JOBS, interruptedJob())
+    apiService.getOCRStatus.mockResolvedValue({ status: 'failed', error: 'Unreadable scan' })
+    apiService.processOCR.mockRejectedValue(new Error('OCR processing failed'))
+
+    const done = settled('job_1')
+    await ocrQueue.resume(USER)
+    const job = await done
+
+    expect(job.status).toBe(JOB_STATUS.FAILED)
+    expect(job.error).toBe('OCR processing failed')
+    expect((await storageService.get(STORES.OCR_JOBS, 'job_1')).status).toBe(JOB_STATUS.FAILED)
+  })
+})
@@ -0,0 +1,134 @@
+/**
+ * Page Splitting Service for Historify
+ * Splits multi-page PDFs and multi-frame TIFFs into one PNG image per page for OCR
+ */
+
+// PDF pages are rendered at 2x (~144 DPI), which OCR handles well without huge images
+const PDF_RENDER_SCALE = 2
+
+const isPdf = (file) => file.type === 'application/pdf' || /\.pdf$/i.test(file.name)
+const isTiff = (file) => file.type === 'image/tiff' || /\.tiff?$/i.test(file.name)
+
+const baseName = (fileName) => fileName.replace(/\.[^.]+$/, '')
+
+const canvasToFile = (canvas, fileName) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => {
+    if (!blob) {
+      reject(new Error(`Could not render ${fileName}`))
+      return
+    }
+    resolve(new File([blob], fileName, { type: 'image/png' }))
+  }, 'image/png')
+})
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+class PageService {
+  isMultiPage(file) {
+    return isPdf(file) || isTiff(file)
+  }
+
+  /**
+   * Open a file for page-by-page rendering.
+   * Returns { pageCount, getPage(pageNumber), close() }; getPage resolves to
+   * { pageNumber, file, width, height } where file is an image ready for OCR.
+   * Pages are rendered on demand so long documents are never all in memory at once.
+   */
+  async open(file) {
+    if (isPdf(file)) return this.openPdf(file)
+    if (isTiff(file)) return this.openTiff(file)
+    return this.openImage(file)
+  }
+
+  async openPdf(file) {
+    const [pdfjs, { default: workerUrl }] = await Promise.all([
+      import('pdfjs-dist'),
+      import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ])
+    pdfjs.GlobalWorkerOptions.workerSrc = workerUrl
+
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise
+
+    const getPage = async (pageNumber) => {
+      const page = await pdf.getPage(pageNumber)
+      const viewport = page.getViewport({ scale: PDF_RENDER_SCALE })
+      const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height))
+
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise
+      page.cleanup()
+
+      return {
+        pageNumber,
+        file: await canvasToFile(canvas, `${baseName(file.name)}-page-${pageNumber}.png`),
+        width: canvas.width,
+        height: canvas.height
+      }
+    }
+
+    return {
+      pageCount: pdf.numPages,
+      getPage,
+      close: () => pdf.destroy()
+    }
+  }
+
+  async openTiff(file) {
+    const { default: UTIF } = await import('utif')
+    const buffer = await file.arrayBuffer()
+
+    // Skip directories without image data (EXIF blocks and the like)
+    const frames = UTIF.decode(buffer).filter(ifd => ifd.t256 && ifd.t257)
+
+    const getPage = async (pageNumber) => {
+      const frame = frames[pageNumber - 1]
+      UTIF.decodeImage(buffer, frame)
+      const rgba = UTIF.toRGBA8(frame)
+
+      const canvas = createCanvas(frame.width, frame.height)
+      canvas.getContext('2d').putImageData(
+        new ImageData(new Uint8ClampedArray(rgba.buffer), frame.width, frame.height),
+        0,
+        0
+      )
+      // Release the decoded pixels; the PNG is all we keep
+      delete frame.data
+
+      return {
+        pageNumber,
+        file: await canvasToFile(canvas, `${baseName(file.name)}-page-${pageNumber}.png`),
+        width: frame.width,
+        height: frame.height
+      }
+    }
+
+    return {
+      pageCount: frames.length,
+      getPage,
+      close: () => {}
+    }
+  }
+
+  async openImage(file) {
+    const getPage = async () => {
+      const bitmap = await createImageBitmap(file)
+      const { width, height } = bitmap
+      bitmap.close()
+      return { pageNumber: 1, file, width, height }
+    }
+
+    return {
+      pageCount: 1,
+      getPage,
+      close: () => {}
+    }
+  }
+}
+
+// Export singleton instance
+export const pageService = new PageService()
+export default pageService
@@ -0,0 +1,236 @@
+/**
+ * Record Linkage Service for Historify
+ * Proposes "same person" links between documents by comparing the people extracted from each:
+ * names, ages adjusted for the years between the records, addresses, origins and migration years.
+ * Every proposal carries a score and the reasons behind it so researchers can judge it.
+ */
+
+import { entityService, DOCUMENT_LAYOUTS } from './entities'
+import { getRecordYear, isCited } from '../utils/people'
+
+// Proposals scoring below this are not shown
+const MIN_SCORE = 0.5
+
+// How much each kind of evidence adds to (or takes from) a proposal's score
+const WEIGHTS = {
+  exactName: 0.45,
+  similarName: 0.3,
+  initialName: 0.2,
+  agesAgree: 0.25,
+  agesClose: 0.15,
+  agesDisagree: -0.35,
+  sameOrigin: 0.15,
+  differentOrigin: -0.2,
+  sameAddress: 0.15,
+  migrationYear: 0.15,
+  sameOccupation: 0.05
+}
+
+// Date labels and line text that give the year someone immigrated
+const MIGRATION_LABEL = /immigra|emigra|arriv|naturali/i
+const MIGRATION_LINE = /\b(?:immigra\w*|emigra\w*|arrived)\b/i
+
+const normalize = (text) => (text || '').toLowerCase().replace(/[^\p{L}\d\s]/gu, '').replace(/\s+/g, ' ').trim()
+
+/**
+ * Jaro-Winkler similarity (0-1), forgiving of the transposed and misread letters
+ * common in transcribed names
+ */
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1
+  if (!a || !b) return 0
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1)
+  const matchedA = new Array(a.length).fill(false)
+  const matchedB = new Array(b.length).fill(false)
+  let matches = 0
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (!matchedB[j] && a[i] === b[j]) {
+        matchedA[i] = matchedB[j] = true
+        matches++
+        break
+      }
+    }
+  }
+  if (matches === 0) return 0
+
+  let transpositions = 0
+  let k = 0
+  for (let i = 0; i < a.length; i++) {
+    if (!matchedA[i]) continue
+    while (!matchedB[k]) k++
+    if (a[i] !== b[k]) transpositions++
+    k++
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3
+  let prefix = 0
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++
+  return jaro + prefix * 0.1 * (1 - jaro)
+}
+
+class RecordLinkageService {
+  /**
+   * Proposed links between a document and the rest of the collection, best first.
+   * Options: links (existing links), people (the registry), rejections (suggestion ids to skip).
+   */
+  findCandidates(document, documents, { links = [], people = [], rejections = [], minScore = MIN_SCORE } = {}) {
+    const linked = new Set(links.map(link => link.suggestionId).filter(Boolean))
+    const rejected = new Set([...rejections, ...(document.linkRejections || [])])
+    const records = this.getPersonRecords(document)
+    const candidates = []
+
+    if (records.length === 0) return candidates
+
+    documents
+      .filter(other => other.documentId !== document.documentId)
+      .forEach(other => {
+        const otherRejected = new Set(other.linkRejections || [])
+        const otherRecords = this.getPersonRecords(other)
+
+        records.forEach(record => {
+          otherRecords.forEach(otherRecord => {
+            const suggestionId = this.getSuggestionId(record, otherRecord)
+            if (linked.has(suggestionId) || rejected.has(suggestionId) || otherRejected.has(suggestionId)) return
+            // Already the same person in the registry
+            if (people.some(person =>
+              isCited(person, document.documentId, record.person) && isCited(person, other.documentId, otherRecord.person))) return
+
+            const comparison = this.compare(record, otherRecord)
+            if (comparison.score < minScore) return
+
+            candidates.push({
+              suggestionId,
+              documentIds: [document.documentId, other.documentId],
+              people: [record.person, otherRecord.person],
+              ...comparison,
+              explanation: `${this.describe(record)} ↔ ${this.describe(otherRecord)}`
+            })
+          })
+        })
+      })
+
+    return candidates.sort((a, b) => b.score - a.score)
+  }
+
+  /**
+   * Each extracted person with the facts about their record needed to compare them
+   */
+  getPersonRecords(document) {
+    const entities = document.entities || entityService.extract(document.ocrText)
+    const lines = (document.ocrText || '').split(/\r?\n/)
+    const people = [...(entities.people || [])].sort((a, b) => a.line - b.line)
+    const recordYear = getRecordYear({ entities })
+
+    return people.map((person, index) => {
+      // A person's details run until the next person is named
+      const nextLine = people.slice(index + 1).find(other => other.line > person.line)?.line ?? Infinity
+      const migration = (entities.dates || []).find(date =>
+        date.line >= person.line && date.line < nextLine &&
+        (MIGRATION_LABEL.test(date.label || '') || MIGRATION_LINE.test(lines[date.line] || '')))
+
+      return {
+        documentId: document.documentId,
+        layout: entities.layout,
+        person,
+        recordYear,
+        // A passenger manifest is itself the record of arrival
+        migrationYear: migration?.year ?? (entities.layout === DOCUMENT_LAYOUTS.MANIFEST ? recordYear : null)
+      }
+    })
+  }
+
+  /**
+   * Stable id for a pair of mentions, the same whichever document it is viewed from
+   */
+  getSuggestionId(a, b) {
+    return [a, b]
+      .map(record => `${record.documentId}:${normalize(record.person.name)}`)
+      .sort()
+      .join('|')
+  }
+
+  /**
+   * Score two mentions. Returns { score, reasons } where each reason is { label, weight }.
+   */
+  compare(a, b) {
+    const reasons = []
+    const add = (label, weight) => reasons.push({ label, weight })
+
+    const nameScore = this.compareNames(a.person, b.person)
+    if (nameScore === 'exact') add('Same name', WEIGHTS.exactName)
+    else if (nameScore === 'similar') add('Similar name', WEIGHTS.similarName)
+    else if (nameScore === 'initial') add('Name matches initial', WEIGHTS.initialName)
+    else return { score: 0, reasons: [] }
+
+    // Someone aged 20 in 1905 should be 35 in 1920, give or take a birthday
+    const { age: ageA } = a.person
+    const { age: ageB } = b.person
+    if (ageA !== null && ageB !== null && a.recordYear && b.recordYear) {
+      const expected = ageA + (b.recordYear - a.recordYear)
+      const difference = Math.abs(ageB - expected)
+      const label = `aged ${ageA} in ${a.recordYear}, ${ageB} in ${b.recordYear}`
+      if (difference <= 1) add(`Ages agree (${label})`, WEIGHTS.agesAgree)
+      else if (difference <= 3) add(`Ages roughly agree (${label})`, WEIGHTS.agesClose)
+      else add(`Ages disagree (${label})`, WEIGHTS.agesDisagree)
+    }
+
+    if (a.person.origin && b.person.origin) {
+      if (a.person.origin === b.person.origin) add(`Both from ${a.person.origin}`, WEIGHTS.sameOrigin)
+      else add(`Different origins (${a.person.origin}, ${b.person.origin})`, WEIGHTS.differentOrigin)
+    }
+
+    if (a.person.address && normalize(a.person.address) === normalize(b.person.address)) {
+      add(`Same address (${a.person.address})`, WEIGHTS.sameAddress)
+    }
+
+    if (a.migrationYear && a.migrationYear === b.migrationYear) {
+      add(`Immigrated ${a.migrationYear} in both records`, WEIGHTS.migrationYear)
+    }
+
+    if (a.person.occupation && normalize(a.person.occupation) === normalize(b.person.occupation)) {
+      add(`Same occupation (${a.person.occupation})`, WEIGHTS.sameOccupation)
+    }
+
+    const score = Math.max(0, Math.min(1, reasons.reduce((total, reason) => total + reason.weight, 0)))
+    return { score: Math.round(score * 100) / 100, reasons }
+  }
+
+  /**
+   * 'exact', 'similar', 'initial' or null. Surnames must be close; given names may
+   * differ in spelling or be reduced to an initial.
+   */
+  compareNames(a, b) {
+    const surnameA = normalize(a.surname)
+    const surnameB = normalize(b.surname)
+    if (!surnameA || jaroWinkler(surnameA, surnameB) < 0.88) return null
+
+    const givenA = normalize(a.givenName)
+    const givenB = normalize(b.givenName)
+    if (!givenA || !givenB) return null
+    if (givenA === givenB && surnameA === surnameB) return 'exact'
+
+    const firstA = givenA.split(' ')[0]
+    const firstB = givenB.split(' ')[0]
+    if (jaroWinkler(firstA, firstB) >= 0.88) return 'similar'
+    if ((firstA.length === 1 || firstB.length === 1) && firstA[0] === firstB[0]) return 'initial'
+    return null
+  }
+
+  /**
+   * "John Smith, 20, Ireland, 1905" or "John Smith, 35, immigrated 1905"
+   */
+  describe(record) {
+    const { person } = record
+    const when = record.migrationYear && record.layout !== DOCUMENT_LAYOUTS.MANIFEST
+      ? `immigrated ${record.migrationYear}`
+      : record.recordYear
+    return [person.name, person.age, person.origin, when].filter(value => value !== null && value !== undefined).join(', ')
+  }
+}
+
+// Export singleton instance
+export const recordLinkageService = new RecordLinkageService()
+export default recordLinkageService
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { recordLinkageService } from './recordLinkage'
+
+const census = {
+  documentId: 'doc_census',
+  ocrText: `UNITED STATES CENSUS 1920 - WARD 3
+
+Smith, John - Age 35, Occupation: Factory Worker
+Immigration Year: 1905
+
+Smith, Mary - Age 32, Occupation: Housewife`
+}
+
+const manifest = {
+  documentId: 'doc_manifest',
+  ocrText: `MANIFEST OF ALIEN PASSENGERS
+SS CELTIC - April 15, 1905
+
+Smith, John - Age 20
+Occupation: Laborer
+Country of Origin: Ireland`
+}
+
+const person = (givenName, surname, extra = {}) => ({
+  name: `${givenName} ${surname}`, givenName, surname, age: null, origin: null, address: null, occupation: null, ...extra
+})
+
+describe('recordLinkageService', () => {
+  it('links a passenger to the same man in a later census, with its reasons', () => {
+    const [candidate, ...others] = recordLinkageService.findCandidates(census, [census, manifest])
+
+    expect(others).toEqual([])
+    expect(candidate.documentIds).toEqual(['doc_census', 'doc_manifest'])
+    expect(candidate.people.map(p => p.name)).toEqual(['John Smith', 'John Smith'])
+    expect(candidate.reasons.map(reason => reason.label)).toEqual([
+      'Same name',
+      'Ages agree (aged 35 in 1920, 20 in 1905)',
+      'Immigrated 1905 in both records'
+    ])
+    expect(candidate.score).toBe(0.85)
+  })
+
+  it('gives the same suggestion id from either document', () => {
+    const [fromCensus] = recordLinkageService.findCandidates(census, [census, manifest])
+    const [fromManifest] = recordLinkageService.findCandidates(manifest, [census, manifest])
+    expect(fromManifest.suggestionId).toBe(fromCensus.suggestionId)
+  })
+
+  it('skips rejected and already linked suggestions', () => {
+    const [candidate] = recordLinkageService.findCandidates(census, [census, manifest])
+
+    expect(recordLinkageService.findCandidates(census, [census, manifest], { rejections: [candidate.suggestionId] })).toEqual([])
+    expect(recordLinkageService.findCandidates(census, [census, manifest], {
+      links: [{ suggestionId: candidate.suggestionId }]
+    })).toEqual([])
+  })
+
+  it('compares names allowing misspellings and initials, but not other surnames', () => {
+    expect(recordLinkageService.compareNames(person('John', 'Smith'), person('John', 'Smith'))).toBe('exact')
+    expect(recordLinkageService.compareNames(person('Johann', 'Schmidt'), person('Johan', 'Schmidt'))).toBe('similar')
+    expect(recordLinkageService.compareNames(person('J', 'Smith'), person('John', 'Smith'))).toBe('initial')
+    expect(recordLinkageService.compareNames(person('John', 'Smith'), person('John', 'Brown'))).toBeNull()
+  })
+
+  it('counts ages that cannot be the same person against a match', () => {
+    const a = { person: person('John', 'Smith', { age: 20 }), recordYear: 1905 }
+    const b = { person: person('John', 'Smith', { age: 60 }), recordYear: 1920 }
+
+    const { score, reasons } = recordLinkageService.compare(a, b)
+    expect(reasons.map(reason => reason.label)).toEqual(['Same name', 'Ages disagree (aged 20 in 1905, 60 in 1920)'])
+    expect(score).toBe(0.1)
+  })
+})
@@ -0,0 +1,275 @@
+/**
+ * Saved Search Service for Historify
+ * Named searches (a query, its search options and filters), the history of searches run, and
+ * in-app notifications when a newly uploaded or corrected document matches a saved search.
+ * Everything is kept in IndexedDB, tagged with the `userId` of the account it belongs to, and
+ * survives signing out; listeners are told whenever any of it changes.
+ */
+
+import { apiService } from './api'
+import { storageService, STORES } from './storage'
+import { searchService } from './search'
+
+// Oldest searches are dropped beyond this many
+const HISTORY_LIMIT = 500
+
+export const NOTIFICATION_REASONS = {
+  UPLOADED: 'uploaded',
+  CORRECTED: 'corrected'
+}
+
+// The same query and filters run again, e.g. when paging through results
+const sameSearch = (a, b) => a.query === b.query &&
+  JSON.stringify(a.options || {}) === JSON.stringify(b.options || {}) &&
+  JSON.stringify(a.filters || {}) === JSON.stringify(b.filters || {})
+
+/**
+ * searchService.search options for a saved search or history entry. `options.mode` is the search
+ * page's mode: 'standard', 'phrase' or 'fuzzy'.
+ */
+export const toSearchOptions = (search) => ({
+  fuzzy: search.options?.mode === 'fuzzy',
+  exactPhrase: search.options?.mode === 'phrase',
+  phonetic: search.options?.phonetic || null,
+  variants: Boolean(search.options?.variants),
+  filters: search.filters || {}
+})
+
+class SavedSearchService {
+  constructor() {
+    this.savedSearches = []
+    this.history = []
+    this.notifications = []
+    // Whose searches are loaded
+    this.userId = null
+    this.loadPromise = null
+    this.listeners = new Set()
+  }
+
+  /**
+   * Read a user's saved searches, history and notifications. Loading another user, or null once
+   * signed out, first empties what was loaded.
+   */
+  load(userId = null) {
+    if (userId !== this.userId) {
+      this.userId = userId
+      this.loadPromise = null
+      this.savedSearches = []
+      this.history = []
+      this.notifications = []
+      this.emit()
+    }
+    if (!this.userId) return Promise.resolve()
+    if (this.loadPromise) return this.loadPromise
+
+    const loading = Promise.all([
+      storageService.getAllForUser(STORES.SAVED_SEARCHES, userId),
+      storageService.getAllForUser(STORES.SEARCH_HISTORY, userId),
+      storageService.getAllForUser(STORES.NOTIFICATIONS, userId)
+    ])
+      .then(([savedSearches, history, notifications]) => {
+        // Another user signed in while these were read
+        if (this.userId !== userId) return
+        this.savedSearches = savedSearches.sort((a, b) => a.name.localeCompare(b.name))
+        this.history = history.sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+        this.notifications = notifications.sort((a, b) => b.createdDate.localeCompare(a.createdDate))
+        this.emit()
+      })
+      .catch(error => {
+        if (this.loadPromise === loading) this.loadPromise = null
+        throw error
+      })
+
+    this.loadPromise = loading
+    return loading
+  }
+
+  // The signed-in user, whom everything written belongs to
+  requireUser() {
+    if (!this.userId) throw new Error('Saved searches are not loaded for a signed-in user')
+    return this.userId
+  }
+
+  getState() {
+    return {
+      savedSearches: this.savedSearches,
+      history: this.history,
+      notifications: this.notifications
+    }
+  }
+
+  /**
+   * Listen for changes; the listener is called immediately with the current state
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.getState())
+    return () => this.listeners.delete(listener)
+  }
+
+  emit() {
+    const state = this.getState()
+    this.listeners.forEach(listener => listener(state))
+  }
+
+  /**
+   * Ids of the documents a saved search finds among `documents`
+   */
+  matchingIds(search, documents) {
+    const { results } = searchService.search(search.query, documents, {
+      ...toSearchOptions(search),
+      limit: documents.length
+    })
+    return results.map(result => result.documentId)
+  }
+
+  /**
+   * Save a search as `name`. Documents it already finds are noted, so only later ones notify.
+   */
+  async saveSearch({ name, query, options = {}, filters = {} }, documents) {
+    const userId = this.requireUser()
+    const search = {
+      searchId: apiService.generateLocalId('search'),
+      name: name.trim(),
+      query,
+      options,
+      filters,
+      notify: true,
+      createdDate: new Date().toISOString()
+    }
+    search.matchedDocumentIds = this.matchingIds(search, documents)
+
+    await storageService.putForUser(STORES.SAVED_SEARCHES, userId, search)
+    this.savedSearches = [...this.savedSearches, search].sort((a, b) => a.name.localeCompare(b.name))
+    this.emit()
+    return search
+  }
+
+  async updateSearch(searchId, updates) {
+    const search = this.savedSearches.find(saved => saved.searchId === searchId)
+    if (!search) throw new Error('Saved search not found')
+
+    const updated = { ...search, ...updates }
+    await storageService.putForUser(STORES.SAVED_SEARCHES, this.requireUser(), updated)
+    this.savedSearches = this.savedSearches.map(saved => saved.searchId === searchId ? updated : saved)
+    this.emit()
+    return updated
+  }
+
+  async deleteSearch(searchId) {
+    await storageService.delete(STORES.SAVED_SEARCHES, searchId)
+    this.savedSearches = this.savedSearches.filter(saved => saved.searchId !== searchId)
+    this.emit()
+  }
+
+  /**
+   * Notify for each saved search that finds one of `changed` for the first time. `changed` are
+   * documents whose text is new or was corrected, `documents` the whole collection they belong to.
+   */
+  async checkDocuments(changed, documents, reason) {
+    return this.notifyNewMatches(changed, documents, () => reason)
+  }
+
+  /**
+   * Notify about documents a saved search finds that it had not found before, for a collection just
+   * loaded: documents uploaded or corrected while the app was closed, or on another device. Those
+   * uploaded after the search was saved are new; older ones must have had their text corrected.
+   */
+  async checkCollection(documents) {
+    return this.notifyNewMatches(documents, documents, (document, search) =>
+      (document.uploadDate || '') > search.createdDate ? NOTIFICATION_REASONS.UPLOADED : NOTIFICATION_REASONS.CORRECTED)
+  }
+
+  async notifyNewMatches(changed, documents, reasonFor) {
+    const userId = this.requireUser()
+    const changedIds = new Set(changed.map(doc => doc.documentId))
+    const created = []
+
+    for (const search of this.savedSearches.filter(saved => saved.notify)) {
+      const matched = new Set(search.matchedDocumentIds || [])
+      const newMatches = this.matchingIds(search, documents)
+        .filter(documentId => changedIds.has(documentId) && !matched.has(documentId))
+      if (newMatches.length === 0) continue
+
+      newMatches.forEach(documentId => {
+        const document = changed.find(doc => doc.documentId === documentId)
+        created.push({
+          notificationId: apiService.generateLocalId('notification'),
+          searchId: search.searchId,
+          searchName: search.name,
+          documentId,
+          fileName: document.fileName,
+          reason: reasonFor(document, search),
+          read: false,
+          createdDate: new Date().toISOString()
+        })
+      })
+      await this.updateSearch(search.searchId, { matchedDocumentIds: [...matched, ...newMatches] })
+    }
+
+    if (created.length === 0) return []
+
+    await storageService.putAllForUser(STORES.NOTIFICATIONS, userId, created)
+    this.notifications = [...created, ...this.notifications]
+    this.emit()
+    return created
+  }
+
+  async markRead(notificationIds) {
+    const ids = new Set(notificationIds)
+    const updated = this.notifications
+      .filter(notification => ids.has(notification.notificationId) && !notification.read)
+      .map(notification => ({ ...notification, read: true }))
+    if (updated.length === 0) return
+
+    await storageService.putAllForUser(STORES.NOTIFICATIONS, this.requireUser(), updated)
+    this.notifications = this.notifications.map(notification =>
+      updated.find(read => read.notificationId === notification.notificationId) || notification)
+    this.emit()
+  }
+
+  async dismissNotification(notificationId) {
+    await storageService.delete(STORES.NOTIFICATIONS, notificationId)
+    this.notifications = this.notifications.filter(notification => notification.notificationId !== notificationId)
+    this.emit()
+  }
+
+  /**
+   * Add a search to the history, unless it repeats the last one
+   */
+  async recordSearch({ query, options = {}, filters = {}, resultCount }) {
+    const userId = this.requireUser()
+    const entry = { entryId: apiService.generateLocalId('searchlog'), query, options, filters, resultCount, timestamp: new Date().toISOString() }
+    const last = this.history[this.history.length - 1]
+    if (last && sameSearch(last, entry)) return last
+
+    const dropped = this.history.slice(0, Math.max(0, this.history.length + 1 - HISTORY_LIMIT))
+    await Promise.all([
+      storageService.putForUser(STORES.SEARCH_HISTORY, userId, entry),
+      ...dropped.map(old => storageService.delete(STORES.SEARCH_HISTORY, old.entryId))
+    ])
+    this.history = [...this.history.slice(dropped.length), entry]
+    this.emit()
+    return entry
+  }
+
+  /**
+   * Clear the signed-in user's history; other accounts' are kept
+   */
+  async clearHistory() {
+    this.requireUser()
+    await Promise.all(this.history.map(entry => storageService.delete(STORES.SEARCH_HISTORY, entry.entryId)))
+    this.history = []
+    this.emit()
+  }
+
+  /**
+   * Totals, top queries and daily trends over the search history
+   */
+  getAnalytics() {
+    return searchService.getSearchAnalytics(this.history)
+  }
+}
+
+export const savedSearchService = new SavedSearchService()
+export default savedSearchService
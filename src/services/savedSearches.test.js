@@ -0,0 +1,73 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { savedSearchService, NOTIFICATION_REASONS } from './savedSearches'
+import { storageService, STORES } from './storage'
+
+// The error handler search.js reports through listens on window as it loads
+vi.hoisted(() => {
+  globalThis.window = globalThis
+  globalThis.addEventListener = () => {}
+})
+
+const doc = (documentId, ocrText, uploadDate = '2024-01-01T00:00:00.000Z') =>
+  ({ documentId, ocrText, fileName: `${documentId}.pdf`, uploadDate })
+
+const CENSUS = doc('census', 'Smith John laborer living on Main Street')
+const DEED = doc('deed', 'Deed for lot fifteen on Main Street')
+
+describe('savedSearchService', () => {
+  beforeEach(async () => {
+    await savedSearchService.load(null)
+    await Promise.all([STORES.SAVED_SEARCHES, STORES.SEARCH_HISTORY, STORES.NOTIFICATIONS]
+      .map(name => storageService.clear(name)))
+  })
+
+  it('keeps each user\'s saved searches and history apart', async () => {
+    await savedSearchService.load('user_a')
+    await savedSearchService.saveSearch({ name: 'Smiths', query: 'smith' }, [CENSUS, DEED])
+    await savedSearchService.recordSearch({ query: 'smith', resultCount: 1 })
+
+    await savedSearchService.load('user_b')
+    expect(savedSearchService.getState()).toEqual({ savedSearches: [], history: [], notifications: [] })
+    await savedSearchService.recordSearch({ query: 'deed', resultCount: 1 })
+    await savedSearchService.clearHistory()
+
+    await savedSearchService.load('user_a')
+    const { savedSearches, history } = savedSearchService.getState()
+    expect(savedSearches.map(search => search.name)).toEqual(['Smiths'])
+    expect(history.map(entry => entry.query)).toEqual(['smith'])
+  })
+
+  it('refuses to write once signed out', async () => {
+    await savedSearchService.load(null)
+    await expect(savedSearchService.recordSearch({ query: 'smith', resultCount: 0 })).rejects.toThrow()
+  })
+
+  it('notifies about documents a saved search finds for the first time', async () => {
+    await savedSearchService.load('user_a')
+    await savedSearchService.saveSearch({ name: 'Smiths', query: 'smith' }, [CENSUS, DEED])
+
+    const manifest = doc('manifest', 'Passenger John Smith arrived aboard the Celtic')
+    const created = await savedSearchService.checkDocuments([manifest], [CENSUS, DEED, manifest], NOTIFICATION_REASONS.UPLOADED)
+    expect(created.map(notification => [notification.documentId, notification.reason])).toEqual([['manifest', 'uploaded']])
+
+    // Found already, so not again
+    expect(await savedSearchService.checkDocuments([manifest], [CENSUS, DEED, manifest], NOTIFICATION_REASONS.CORRECTED)).toEqual([])
+  })
+
+  it('tells uploads from corrections in a collection changed while the app was closed', async () => {
+    await savedSearchService.load('user_a')
+    const search = await savedSearchService.saveSearch({ name: 'Main Street', query: 'celtic' }, [CENSUS, DEED])
+
+    const uploaded = doc('manifest', 'Arrived aboard the Celtic', '2999-01-01T00:00:00.000Z')
+    const corrected = { ...DEED, ocrText: 'Deed for a berth on the Celtic' }
+    const created = await savedSearchService.checkCollection([CENSUS, corrected, uploaded])
+
+    expect(Object.fromEntries(created.map(notification => [notification.documentId, notification.reason]))).toEqual({
+      manifest: NOTIFICATION_REASONS.UPLOADED,
+      deed: NOTIFICATION_REASONS.CORRECTED
+    })
+    expect(savedSearchService.getState().savedSearches.find(saved => saved.searchId === search.searchId).matchedDocumentIds)
+      .toEqual(expect.arrayContaining(['manifest', 'deed']))
+  })
+})
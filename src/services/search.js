@@ -3,65 +3,105 @@
  * Provides sophisticated search capabilities across documents, events, and links
  */
 
+import { SearchIndex } from './searchIndex'
+import { entityService } from './entities'
+import { nameVariantService } from './nameVariants'
+import { parseQuery, QuerySyntaxError, QUERY_FIELDS, wildcardToRegExp } from '../utils/queryParser'
+import { parseHistoricalDate, toDateRange, isDocumentInRange, getDocumentSpan, compareDocuments } from '../utils/historicalDate'
+import { getRecordYear } from '../utils/people'
+import { foldText, phoneticCodes } from '../utils/phonetics'
+import { handleError, ERROR_TYPES, ERROR_SEVERITY } from '../utils/errorHandler'
+
+// Maximum edit distance for fuzzy matches
+const FUZZY_DISTANCE = 2
+
+// How much a variant spelling from the dictionary, and a word that only sounds alike, count
+// towards relevance next to the word searched for
+const VARIANT_WEIGHT = 0.9
+const PHONETIC_WEIGHT = 0.7
+
+// Fields looked up in the index; null is the document text and file name together
+const TEXT_FIELDS = [null, QUERY_FIELDS.OCR_TEXT, QUERY_FIELDS.FILE_NAME]
+
 class SearchService {
   constructor() {
-    this.searchIndex = new Map()
     this.stopWords = new Set([
       'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by',
       'is', 'are', 'was', 'were', 'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
       'will', 'would', 'could', 'should', 'may', 'might', 'can', 'must', 'shall'
     ])
+    this.searchIndex = new SearchIndex({ analyze: text => this.analyze(text) })
+    this.entityCache = new WeakMap()
+    // algorithm -> Map(word -> phonetic codes)
+    this.phoneticCache = new Map()
+    this.lastReportedQuery = null
   }
 
   /**
-   * Build search index from documents
+   * Load the saved index, so documents already indexed in an earlier session are not tokenized again
    */
-  buildIndex(documents) {
-    this.searchIndex.clear()
-    
-    documents.forEach(doc => {
-      const tokens = this.tokenize(doc.ocrText + ' ' + doc.fileName)
-      tokens.forEach(token => {
-        if (!this.searchIndex.has(token)) {
-          this.searchIndex.set(token, new Set())
-        }
-        this.searchIndex.get(token).add(doc.documentId)
-      })
-    })
+  loadIndex() {
+    return this.searchIndex.load()
   }
 
   /**
-   * Tokenize text into searchable terms
+   * Index added and edited documents and drop deleted ones; unchanged documents cost nothing
    */
-  tokenize(text) {
+  syncIndex(documents) {
+    this.searchIndex.sync(documents)
+  }
+
+  /**
+   * Split text into its words, each with the term it is indexed under, or null for stop words
+   * and words too short to search. Accents and apostrophes are folded away first, so "Müller"
+   * is found as "muller" and "O'Brien" as "obrien".
+   */
+  analyze(text) {
     if (!text) return []
-    
-    return text
-      .toLowerCase()
-      .replace(/[^\w\s]/g, ' ') // Replace punctuation with spaces
+
+    return foldText(text)
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ') // Replace punctuation with spaces
       .split(/\s+/)
-      .filter(token => token.length > 2 && !this.stopWords.has(token))
-      .map(token => this.stemWord(token))
+      .filter(Boolean)
+      .map(word => ({
+        word,
+        term: word.length > 2 && !this.stopWords.has(word) ? this.stemWord(word) : null
+      }))
+  }
+
+  /**
+   * Tokenize text into searchable terms
+   */
+  tokenize(text) {
+    return this.analyze(text)
+      .filter(token => token.term)
+      .map(token => token.term)
   }
 
   /**
-   * Simple stemming algorithm
+   * Simple stemming algorithm. -er, -est and -ly are left alone, as they end too many surnames
+   * (Miller, Forrest, Kelly), and a stem keeps at least four letters, so "Bennett" and "Ming"
+   * are searched as written.
    */
   stemWord(word) {
-    // Simple suffix removal
-    const suffixes = ['ing', 'ed', 'er', 'est', 'ly', 'tion', 'sion', 'ness', 'ment']
-    
+    const suffixes = ['ing', 'ed', 'tion', 'sion', 'ness', 'ment']
+
     for (const suffix of suffixes) {
-      if (word.endsWith(suffix) && word.length > suffix.length + 2) {
+      if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
         return word.slice(0, -suffix.length)
       }
     }
-    
+
     return word
   }
 
   /**
-   * Advanced search with multiple filters and options
+   * Advanced search with multiple filters and options.
+   * Outside exact phrase mode the query is read with the query language (see utils/queryParser);
+   * a query that cannot be read returns no results and an `error` of { message, position }.
+   * `phonetic` (a PHONETIC_ALGORITHMS value) also finds names that sound alike, and `variants`
+   * spellings grouped in the name variant dictionary; both work alongside `fuzzy`.
+   * `highlightTerms` are the indexed terms the results were found by, for highlightMatches.
    */
   search(query, documents, options = {}) {
     const {
@@ -71,26 +111,41 @@ class SearchService {
       limit = 50,
       offset = 0,
       fuzzy = false,
+      phonetic = null,
+      variants = false,
       exactPhrase = false
     } = options
 
+    this.syncIndex(documents)
+
     let results = []
+    let weights = new Map()
+    let error = null
 
     if (exactPhrase) {
       results = this.phraseSearch(query, documents)
-    } else if (fuzzy) {
-      results = this.fuzzySearch(query, documents)
+      weights = this.exactTerms(query)
     } else {
-      results = this.standardSearch(query, documents)
+      try {
+        const matched = this.runQuery(parseQuery(query), documents, { fuzzy, phonetic, variants })
+        results = matched.documents
+        weights = matched.weights
+      } catch (err) {
+        if (!(err instanceof QuerySyntaxError)) throw err
+        this.reportSyntaxError(err, query)
+        error = { message: err.message, position: err.position }
+      }
     }
 
     // Apply filters
     results = this.applyFilters(results, filters)
 
-    // Calculate relevance scores
+    // Calculate relevance scores, counting close spellings for less than the words searched for
+    const terms = [...weights.keys()]
+    const termWeights = Object.fromEntries(weights)
     results = results.map(result => ({
       ...result,
-      relevanceScore: this.calculateRelevance(query, result, documents)
+      relevanceScore: this.searchIndex.score(result.documentId, terms, termWeights)
     }))
 
     // Sort results
@@ -105,6 +160,8 @@ class SearchService {
       total,
       query,
       filters,
+      error,
+      highlightTerms: terms,
       pagination: {
         limit,
         offset,
@@ -114,53 +171,363 @@ class SearchService {
   }
 
   /**
-   * Standard keyword search
+   * Log a query that could not be read. Searches run as the query is typed, so each one is
+   * reported once rather than on every render.
+   */
+  reportSyntaxError(error, query) {
+    if (this.lastReportedQuery === query) return
+    this.lastReportedQuery = query
+    handleError(error, ERROR_TYPES.SEARCH, ERROR_SEVERITY.LOW, { action: 'parseQuery', query, position: error.position })
+  }
+
+  /**
+   * The documents among `documents` whose ids are in `ids`
+   */
+  pickDocuments(documents, ids) {
+    return documents.filter(doc => ids.has(doc.documentId))
+  }
+
+  exactTerms(query) {
+    return new Map(this.tokenize(query).map(term => [term, 1]))
+  }
+
+  /**
+   * Standard keyword search; throws QuerySyntaxError for a query that cannot be read
    */
   standardSearch(query, documents) {
-    const queryTokens = this.tokenize(query)
-    if (queryTokens.length === 0) return documents
+    return this.runQuery(parseQuery(query), documents).documents
+  }
 
-    const matchingDocIds = new Set()
-    
-    queryTokens.forEach(token => {
-      if (this.searchIndex.has(token)) {
-        this.searchIndex.get(token).forEach(docId => {
-          matchingDocIds.add(docId)
-        })
+  /**
+   * Exact phrase search, from the positions of the phrase's words
+   */
+  phraseSearch(query, documents) {
+    const phrase = this.toPhrase(query)
+
+    // A phrase of only stop words has nothing indexed to look up
+    if (phrase.length === 0) {
+      const normalizedQuery = query.toLowerCase()
+      return documents.filter(doc => (doc.ocrText + ' ' + doc.fileName).toLowerCase().includes(normalizedQuery))
+    }
+
+    this.syncIndex(documents)
+    return this.pickDocuments(documents, this.searchIndex.matchPhrase(phrase.map(({ term, offset }) => ({ terms: [term], offset }))))
+  }
+
+  /**
+   * Fuzzy search with edit distance; throws QuerySyntaxError for a query that cannot be read
+   */
+  fuzzySearch(query, documents) {
+    return this.runQuery(parseQuery(query), documents, { fuzzy: true }).documents
+  }
+
+  /**
+   * The indexed words of a phrase with their places in it, as [{ word, term, offset }]
+   */
+  toPhrase(text) {
+    return this.analyze(text)
+      .map((token, offset) => ({ ...token, offset }))
+      .filter(token => token.term)
+  }
+
+  /**
+   * Documents matching a parsed query, with the terms to score them by and their weights.
+   * A query with nothing to look up, such as only stop words, matches every document.
+   */
+  runQuery(node, documents, { fuzzy = false, phonetic = null, variants = false } = {}) {
+    this.syncIndex(documents)
+    const context = {
+      documents,
+      universe: new Set(documents.map(doc => doc.documentId)),
+      fuzzy,
+      phonetic,
+      variants,
+      weights: new Map()
+    }
+
+    const ids = node ? this.evaluate(node, context, false) : null
+    return { documents: ids ? this.pickDocuments(documents, ids) : documents, weights: context.weights }
+  }
+
+  /**
+   * Ids of the documents a query node matches, or null when it has nothing to look up and so
+   * leaves the result alone. `negated` is set under NOT, where terms do not count towards scores.
+   */
+  evaluate(node, context, negated) {
+    switch (node.type) {
+      case 'and': {
+        const sets = node.children
+          .map(child => this.evaluate(child, context, negated))
+          .filter(Boolean)
+          .sort((a, b) => a.size - b.size)
+        if (sets.length === 0) return null
+        const [smallest, ...rest] = sets
+        return new Set([...smallest].filter(id => rest.every(set => set.has(id))))
       }
+      case 'or': {
+        const sets = node.children.map(child => this.evaluate(child, context, negated)).filter(Boolean)
+        if (sets.length === 0) return null
+        const ids = new Set()
+        sets.forEach(set => set.forEach(id => ids.add(id)))
+        return ids
+      }
+      case 'not': {
+        const excluded = this.evaluate(node.child, context, !negated)
+        if (!excluded) return null
+        return new Set([...context.universe].filter(id => !excluded.has(id)))
+      }
+      case 'range':
+        return this.matchRange(node, context.documents)
+      default:
+        return TEXT_FIELDS.includes(node.field)
+          ? this.matchIndexed(node, context, negated)
+          : this.matchMetadata(node, context)
+    }
+  }
+
+  /**
+   * Count terms towards relevance, keeping the highest weight a term is given
+   */
+  addWeights(context, negated, weights) {
+    if (negated) return
+    weights.forEach((weight, term) => {
+      context.weights.set(term, Math.max(context.weights.get(term) || 0, weight))
     })
+  }
+
+  /**
+   * The indexed terms a single word stands for, each with its weight: those a wildcard covers,
+   * or the word's own and those expandToken adds
+   */
+  wordTerms(node, context) {
+    if (node.wildcard) return new Map(this.searchIndex.expandWildcard(node.text).map(term => [term, 1]))
+    const [token] = this.toPhrase(node.text)
+    return token ? this.expandToken(token, context) : new Map()
+  }
+
+  /**
+   * An analyzed word's own term and, as the search asks, the indexed terms spelled close to it,
+   * its spellings in the name variant dictionary and words that sound like it
+   */
+  expandToken(token, context) {
+    const weights = context.fuzzy ? this.fuzzyTerms([token.term]) : new Map([[token.term, 1]])
+    const add = (term, weight) => {
+      if (term && this.searchIndex.documentFrequency(term) > 0) weights.set(term, Math.max(weights.get(term) || 0, weight))
+    }
+
+    if (context.variants) {
+      nameVariantService.variantsOf(token.word).forEach(variant => add(this.analyze(variant)[0]?.term, VARIANT_WEIGHT))
+    }
+    if (context.phonetic) {
+      const soundsLike = this.soundsLike(token.word, context.phonetic)
+      this.searchIndex.vocabulary.forEach((count, word) => {
+        if (soundsLike(word)) add(this.analyze(word)[0]?.term, PHONETIC_WEIGHT)
+      })
+    }
 
-    return documents.filter(doc => matchingDocIds.has(doc.documentId))
+    return weights
   }
 
   /**
-   * Exact phrase search
+   * A test of whether a word sounds like `word` under a phonetic algorithm: whether they share a code
    */
-  phraseSearch(query, documents) {
-    const normalizedQuery = query.toLowerCase()
-    
-    return documents.filter(doc => {
-      const content = (doc.ocrText + ' ' + doc.fileName).toLowerCase()
-      return content.includes(normalizedQuery)
-    })
+  soundsLike(word, algorithm) {
+    const codes = this.phoneticCodesOf(word, algorithm)
+    return other => codes.length > 0 && this.phoneticCodesOf(other, algorithm).some(code => codes.includes(code))
   }
 
   /**
-   * Fuzzy search with edit distance
+   * Phonetic codes of a word, remembered, as every word in the index is coded against each query
    */
-  fuzzySearch(query, documents) {
-    const queryTokens = this.tokenize(query)
-    const threshold = 2 // Maximum edit distance
-    
-    return documents.filter(doc => {
-      const docTokens = this.tokenize(doc.ocrText + ' ' + doc.fileName)
-      
-      return queryTokens.some(queryToken => 
-        docTokens.some(docToken => 
-          this.editDistance(queryToken, docToken) <= threshold
-        )
+  phoneticCodesOf(word, algorithm) {
+    let cache = this.phoneticCache.get(algorithm)
+    if (!cache) {
+      cache = new Map()
+      this.phoneticCache.set(algorithm, cache)
+    }
+    if (!cache.has(word)) cache.set(word, phoneticCodes(word, algorithm))
+    return cache.get(word)
+  }
+
+  /**
+   * Words, phrases and NEAR in the document text or file name, looked up in the index
+   */
+  matchIndexed(node, context, negated) {
+    const field = node.field
+
+    if (node.type === 'near') {
+      const left = this.wordTerms(node.left, context)
+      const right = this.wordTerms(node.right, context)
+      if (left.size === 0 || right.size === 0) return null
+      this.addWeights(context, negated, left)
+      this.addWeights(context, negated, right)
+      return this.searchIndex.matchNear([...left.keys()], [...right.keys()], node.distance, field)
+    }
+
+    // A quoted phrase, or a word such as "1920-05" that indexes as more than one
+    const phrase = node.wildcard ? [] : this.toPhrase(node.text)
+    if (node.type === 'phrase' || phrase.length > 1) {
+      if (phrase.length === 0) return null
+      const expanded = phrase.map(token => this.expandToken(token, context))
+      expanded.forEach(terms => this.addWeights(context, negated, terms))
+      return this.searchIndex.matchPhrase(
+        phrase.map(({ offset }, i) => ({ terms: [...expanded[i].keys()], offset })),
+        field
       )
+    }
+
+    const terms = this.wordTerms(node, context)
+    if (terms.size === 0) return null
+    this.addWeights(context, negated, terms)
+    return this.searchIndex.match([...terms.keys()], field)
+  }
+
+  /**
+   * Words, phrases and NEAR in source, tags and extracted entities, which are not indexed and
+   * are short enough to read directly
+   */
+  matchMetadata(node, context) {
+    const test = this.valueMatcher(node, context)
+    if (!test) return null
+
+    const ids = new Set()
+    context.documents.forEach(doc => {
+      if (this.metadataValues(doc, node.field).some(value => test(this.analyze(value)))) ids.add(doc.documentId)
+    })
+    return ids
+  }
+
+  /**
+   * A test of analyzed text against a word, phrase or NEAR node, or null when the node has
+   * nothing to look for
+   */
+  valueMatcher(node, context) {
+    const wordTest = (wordNode) => {
+      if (wordNode.wildcard) {
+        const regex = wildcardToRegExp(wordNode.text)
+        return token => regex.test(token.word)
+      }
+      const [token] = this.toPhrase(wordNode.text)
+      return token ? this.tokenMatcher(token, context) : null
+    }
+
+    if (node.type === 'near') {
+      const left = wordTest(node.left)
+      const right = wordTest(node.right)
+      if (!left || !right) return null
+      return tokens => tokens.some((token, i) => left(token) &&
+        tokens.some((other, j) => i !== j && Math.abs(i - j) <= node.distance && right(other)))
+    }
+
+    const phrase = node.wildcard ? [] : this.toPhrase(node.text)
+    if (node.type === 'phrase' || phrase.length > 1) {
+      if (phrase.length === 0) return null
+      const tests = phrase.map(token => this.tokenMatcher(token, context))
+      return tokens => tokens.some((token, start) => phrase.every(({ offset }, i) => tests[i](tokens[start + offset])))
+    }
+
+    const test = wordTest(node)
+    return test && (tokens => tokens.some(test))
+  }
+
+  /**
+   * A test of analyzed words against one query word, matching as expandToken does: the same
+   * term, a close spelling, a dictionary variant or a word that sounds alike, as the search asks
+   */
+  tokenMatcher(token, context) {
+    const variants = context.variants ? new Set(nameVariantService.variantsOf(token.word)) : null
+    const soundsLike = context.phonetic ? this.soundsLike(token.word, context.phonetic) : null
+
+    return other => Boolean(other?.term) && (
+      other.term === token.term ||
+      (context.fuzzy && Math.abs(other.term.length - token.term.length) <= FUZZY_DISTANCE &&
+        this.editDistance(other.term, token.term) <= FUZZY_DISTANCE) ||
+      Boolean(variants?.has(other.word)) ||
+      Boolean(soundsLike?.(other.word))
+    )
+  }
+
+  /**
+   * A document's extracted entities; older documents without them are read on the fly, once
+   */
+  getEntities(doc) {
+    if (doc.entities) return doc.entities
+    if (!this.entityCache.has(doc)) this.entityCache.set(doc, entityService.extract(doc.ocrText))
+    return this.entityCache.get(doc)
+  }
+
+  metadataValues(doc, field) {
+    switch (field) {
+      case QUERY_FIELDS.SOURCE:
+        return doc.metadata?.source ? [doc.metadata.source] : []
+      case QUERY_FIELDS.TAGS:
+        return doc.tags || []
+      case QUERY_FIELDS.NAME:
+        return (this.getEntities(doc).people || []).map(person => person.name)
+      case QUERY_FIELDS.ENTITIES:
+        // People, occupations, addresses, dates, ships and countries alike
+        return Object.values(this.getEntities(doc))
+          .filter(Array.isArray)
+          .flat()
+          .map(entity => entity.name || entity.text)
+          .filter(Boolean)
+      default:
+        return []
+    }
+  }
+
+  /**
+   * Documents whose record year, upload date or page count is in a range
+   */
+  matchRange(node, documents) {
+    let { from, to } = node
+    if (node.field === QUERY_FIELDS.UPLOADED) {
+      // "2024-03" runs from the first of March to the last
+      from = from && parseHistoricalDate(from)?.earliest
+      to = to && parseHistoricalDate(to)?.latest
+    }
+
+    const ids = new Set()
+    documents.forEach(doc => {
+      const value = this.rangeValue(doc, node.field)
+      if (value === null || value === undefined) return
+      if ((from === null || value >= from) && (to === null || value <= to)) ids.add(doc.documentId)
     })
+    return ids
+  }
+
+  rangeValue(doc, field) {
+    switch (field) {
+      case QUERY_FIELDS.YEAR:
+        return getRecordYear({ ...doc, entities: this.getEntities(doc) })
+      case QUERY_FIELDS.UPLOADED:
+        return doc.uploadDate ? doc.uploadDate.slice(0, 10) : null
+      case QUERY_FIELDS.PAGES:
+        // Single images are stored without a page count
+        return doc.metadata?.pages || 1
+      default:
+        return null
+    }
+  }
+
+  /**
+   * Indexed terms within edit distance of the query terms, weighted down the further they are
+   */
+  fuzzyTerms(queryTokens) {
+    const threshold = FUZZY_DISTANCE
+    const weights = new Map(queryTokens.map(token => [token, 1]))
+
+    for (const term of this.searchIndex.terms()) {
+      queryTokens.forEach(token => {
+        if (weights.get(term) === 1 || Math.abs(term.length - token.length) > threshold) return
+        const distance = this.editDistance(token, term)
+        if (distance <= threshold) {
+          weights.set(term, Math.max(weights.get(term) || 0, 1 / (1 + distance)))
+        }
+      })
+    }
+
+    return weights
   }
 
   /**
@@ -200,14 +567,22 @@ class SearchService {
   applyFilters(results, filters) {
     let filtered = [...results]
 
-    // Date range filter
+    // Record date filter: dates as written, so "1880" to "1890s" finds records from 1880-1899.
+    // A range that cannot be read is reported by the search form and filters nothing here.
     if (filters.dateFrom || filters.dateTo) {
+      const { range } = toDateRange(filters.dateFrom || '', filters.dateTo || '')
+      if (range) {
+        filtered = filtered.filter(doc => isDocumentInRange({ ...doc, entities: this.getEntities(doc) }, range))
+      }
+    }
+
+    // Upload date filter
+    if (filters.uploadedFrom || filters.uploadedTo) {
       filtered = filtered.filter(doc => {
-        const docDate = new Date(doc.uploadDate)
-        const fromDate = filters.dateFrom ? new Date(filters.dateFrom) : new Date('1900-01-01')
-        const toDate = filters.dateTo ? new Date(filters.dateTo) : new Date()
-        
-        return docDate >= fromDate && docDate <= toDate
+        const uploaded = doc.uploadDate ? doc.uploadDate.slice(0, 10) : null
+        if (!uploaded) return false
+        return (!filters.uploadedFrom || uploaded >= filters.uploadedFrom) &&
+          (!filters.uploadedTo || uploaded <= filters.uploadedTo)
       })
     }
 
@@ -223,7 +598,7 @@ class SearchService {
     // Source filter
     if (filters.sources && filters.sources.length > 0) {
       filtered = filtered.filter(doc => 
-        filters.sources.includes(doc.metadata?.source)
+        filters.sources.includes(doc.metadata?.source || 'Unknown')
       )
     }
 
@@ -249,56 +624,17 @@ class SearchService {
   }
 
   /**
-   * Calculate relevance score for a document
+   * BM25 relevance of a document to a query
    */
-  calculateRelevance(query, document, allDocuments) {
-    const queryTokens = this.tokenize(query)
-    const docTokens = this.tokenize(document.ocrText + ' ' + document.fileName)
-    
-    if (queryTokens.length === 0 || docTokens.length === 0) return 0
-
-    let score = 0
-    const docTokenCount = new Map()
-    
-    // Count token frequencies in document
-    docTokens.forEach(token => {
-      docTokenCount.set(token, (docTokenCount.get(token) || 0) + 1)
-    })
-
-    // Calculate TF-IDF score
-    queryTokens.forEach(queryToken => {
-      const tf = (docTokenCount.get(queryToken) || 0) / docTokens.length
-      const df = this.getDocumentFrequency(queryToken, allDocuments)
-      const idf = Math.log(allDocuments.length / (df + 1))
-      
-      score += tf * idf
-    })
-
-    // Boost score for matches in filename
-    const filenameTokens = this.tokenize(document.fileName)
-    const filenameMatches = queryTokens.filter(token => 
-      filenameTokens.includes(token)
-    ).length
-    
-    score += filenameMatches * 0.5
-
-    // Boost score for exact phrase matches
-    const content = (document.ocrText + ' ' + document.fileName).toLowerCase()
-    if (content.includes(query.toLowerCase())) {
-      score += 1.0
-    }
-
-    return score
+  calculateRelevance(query, document) {
+    return this.searchIndex.score(document.documentId, this.tokenize(query))
   }
 
   /**
    * Get document frequency for a term
    */
-  getDocumentFrequency(term, documents) {
-    return documents.filter(doc => {
-      const tokens = this.tokenize(doc.ocrText + ' ' + doc.fileName)
-      return tokens.includes(term)
-    }).length
+  getDocumentFrequency(term) {
+    return this.searchIndex.documentFrequency(term)
   }
 
   /**
@@ -314,7 +650,16 @@ class SearchService {
         case 'relevance':
           comparison = (a.relevanceScore || 0) - (b.relevanceScore || 0)
           break
-        case 'date':
+        case 'date': {
+          // Undated records go last whichever way the rest are sorted
+          const first = { ...a, entities: this.getEntities(a) }
+          const second = { ...b, entities: this.getEntities(b) }
+          const firstDated = Boolean(getDocumentSpan(first))
+          if (firstDated !== Boolean(getDocumentSpan(second))) return firstDated ? -1 : 1
+          comparison = compareDocuments(first, second)
+          break
+        }
+        case 'uploaded':
           comparison = new Date(a.uploadDate) - new Date(b.uploadDate)
           break
         case 'name':
@@ -332,53 +677,110 @@ class SearchService {
   }
 
   /**
-   * Get search suggestions based on partial query
+   * Complete the last word of a partial query from words in the documents, most frequent first.
+   * Returns whole queries, so "john smi" suggests "john smith".
    */
   getSuggestions(partialQuery, documents, limit = 5) {
-    if (!partialQuery || partialQuery.length < 2) return []
+    if (!partialQuery || partialQuery.trim().length < 2) return []
+
+    this.syncIndex(documents)
+    const vocabulary = this.searchIndex.vocabulary
+    const words = partialQuery.toLowerCase().split(/\s+/)
+    const prefix = words.pop() || ''
+    const leading = words.filter(Boolean).join(' ')
+    if (prefix.length < 2) return []
+
+    return [...vocabulary.entries()]
+      .filter(([word]) => word.startsWith(prefix) && word !== prefix)
+      .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)
+      .slice(0, limit)
+      .map(([word]) => (leading ? `${leading} ${word}` : word))
+  }
 
-    const suggestions = new Set()
-    const normalizedQuery = partialQuery.toLowerCase()
+  /**
+   * Split text into { text, match } segments around words that start with a query term,
+   * so "immigration" is found for "immigrants" by its stem and "Müller" for "muller".
+   * `query` may instead be the terms themselves, such as a search's highlightTerms, which
+   * include the spellings and sound-alikes it found. Rendered by the caller, so document
+   * text is never treated as markup.
+   */
+  highlightMatches(text, query) {
+    if (!text) return []
 
-    // Get suggestions from search index
-    for (const [term, docIds] of this.searchIndex.entries()) {
-      if (term.startsWith(normalizedQuery) && suggestions.size < limit * 2) {
-        suggestions.add(term)
-      }
-    }
+    const queryTokens = Array.isArray(query) ? query : this.getHighlightTerms(query)
+    if (queryTokens.length === 0) return [{ text, match: false }]
 
-    // Get suggestions from document content
-    documents.forEach(doc => {
-      const content = doc.ocrText + ' ' + doc.fileName
-      const words = content.toLowerCase().match(/\b\w{3,}\b/g) || []
-      
-      words.forEach(word => {
-        if (word.startsWith(normalizedQuery) && suggestions.size < limit * 2) {
-          suggestions.add(word)
-        }
-      })
-    })
+    const segments = []
+    let last = 0
+    for (const found of text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu)) {
+      const word = foldText(found[0]).replace(/[^\p{L}\p{N}]/gu, '')
+      if (!queryTokens.some(token => word.startsWith(token))) continue
 
-    return Array.from(suggestions)
-      .slice(0, limit)
-      .sort((a, b) => a.length - b.length) // Prefer shorter suggestions
+      if (found.index > last) segments.push({ text: text.slice(last, found.index), match: false })
+      segments.push({ text: found[0], match: true })
+      last = found.index + found[0].length
+    }
+    if (last < text.length) segments.push({ text: text.slice(last), match: false })
+
+    return segments
   }
 
   /**
-   * Highlight search terms in text
+   * The terms a query looks for in document text: not those under NOT or scoped to source,
+   * tags or entities. Wildcards stand for the terms they cover.
    */
-  highlightMatches(text, query, className = 'highlight') {
-    if (!text || !query) return text
-
-    const queryTokens = this.tokenize(query)
-    let highlightedText = text
+  getHighlightTerms(query) {
+    let node
+    try {
+      node = parseQuery(query)
+    } catch (error) {
+      return this.tokenize(query)
+    }
 
-    queryTokens.forEach(token => {
-      const regex = new RegExp(`\\b${token}\\b`, 'gi')
-      highlightedText = highlightedText.replace(regex, `<span class="${className}">$&</span>`)
-    })
+    const terms = new Set()
+    const collect = (current, negated) => {
+      switch (current.type) {
+        case 'and':
+        case 'or':
+          current.children.forEach(child => collect(child, negated))
+          break
+        case 'not':
+          collect(current.child, !negated)
+          break
+        case 'near':
+          collect(current.left, negated)
+          collect(current.right, negated)
+          break
+        case 'range':
+          break
+        default: {
+          if (negated || !TEXT_FIELDS.includes(current.field)) return
+          const found = current.wildcard ? this.searchIndex.expandWildcard(current.text) : this.tokenize(current.text)
+          found.forEach(term => terms.add(term))
+        }
+      }
+    }
+    if (node) collect(node, false)
+    return [...terms]
+  }
 
-    return highlightedText
+  /**
+   * A passage of about `length` characters around the first match, for result lists;
+   * `query` is a query or its terms, as for highlightMatches
+   */
+  getSnippet(text, query, length = 240) {
+    if (!text) return ''
+    const flat = text.replace(/\s+/g, ' ').trim()
+    const segments = this.highlightMatches(flat, query)
+    const matchIndex = segments.findIndex(segment => segment.match)
+    const first = segments.slice(0, Math.max(0, matchIndex)).reduce((offset, segment) => offset + segment.text.length, 0)
+
+    // Widen to whole words so the passage does not open or close mid-word
+    const around = Math.max(0, Math.min(first - Math.floor(length / 3), flat.length - length))
+    const start = around > 0 ? flat.lastIndexOf(' ', around) + 1 : 0
+    const cut = flat.indexOf(' ', start + length)
+    const end = cut === -1 ? flat.length : cut
+    return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`
   }
 
   /**
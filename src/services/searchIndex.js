@@ -0,0 +1,348 @@
+/**
+ * Search Index for Historify
+ * An inverted index over document text: for every term, the documents it appears in and the
+ * positions it appears at, so queries look terms up rather than rescanning every transcription.
+ * Documents are indexed as they are added, edited and deleted, and each document's entry is saved
+ * in IndexedDB so a reload does not tokenize the whole archive again.
+ */
+
+import { storageService, STORES } from './storage'
+import { QUERY_FIELDS, wildcardToRegExp } from '../utils/queryParser'
+
+// Bump when the analyzer changes, so saved entries are rebuilt rather than searched with old terms
+const ANALYZER_VERSION = 3
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+// Saved entries are written in batches this long after the last change
+const PERSIST_DELAY = 1000
+
+// Most terms a wildcard stands for, the most widespread kept
+const MAX_WILDCARD_TERMS = 200
+
+/**
+ * FNV-1a hash of the indexed text, to tell whether a saved entry still matches its document
+ */
+const hashText = (text) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(36)
+}
+
+const indexedText = (doc) => `${doc.ocrText || ''}\u0000${doc.fileName || ''}`
+
+export const documentSignature = (doc) => {
+  const text = indexedText(doc)
+  return `${ANALYZER_VERSION}:${text.length}:${hashText(text)}`
+}
+
+export class SearchIndex {
+  /**
+   * `analyze(text)` splits text into [{ word, term }], `term` being null for words not indexed
+   * (stop words, short words); positions count every word so phrases line up.
+   */
+  constructor({ analyze }) {
+    this.analyze = analyze
+    // documentId -> { documentId, signature, length, nameStart, terms: Map(term -> positions), words: Map(word -> count) }
+    // Positions from nameStart on are in the file name, those before it in the document text
+    this.entries = new Map()
+    // term -> Map(documentId -> positions)
+    this.postings = new Map()
+    // Whole words as written and how many times they occur, for suggestions
+    this.vocabulary = new Map()
+    this.totalLength = 0
+
+    // Document objects already indexed; edits replace the object, so an unchanged one is skipped
+    this.indexed = new WeakSet()
+    this.lastSynced = null
+
+    this.pendingWrites = new Map()
+    this.persistTimer = null
+    this.loadPromise = null
+  }
+
+  get documentCount() {
+    return this.entries.size
+  }
+
+  get averageLength() {
+    return this.entries.size ? this.totalLength / this.entries.size : 0
+  }
+
+  /**
+   * Read saved entries from IndexedDB. Entries for documents that have since changed or gone are
+   * replaced or dropped by the next sync.
+   */
+  load() {
+    if (this.loadPromise) return this.loadPromise
+
+    this.loadPromise = storageService.getAll(STORES.SEARCH_INDEX)
+      .then(saved => {
+        saved.forEach(entry => {
+          if (!this.entries.has(entry.documentId)) this.addEntry(entry)
+        })
+        // Check the loaded entries against the documents on the next sync
+        this.lastSynced = null
+      })
+      .catch(error => {
+        console.warn('Search index could not be loaded, rebuilding it:', error)
+      })
+
+    return this.loadPromise
+  }
+
+  /**
+   * Bring the index in line with `documents`: index new and edited documents and drop deleted ones
+   */
+  sync(documents) {
+    if (documents === this.lastSynced) return
+    this.lastSynced = documents
+
+    const ids = new Set()
+    documents.forEach(doc => {
+      ids.add(doc.documentId)
+      if (this.indexed.has(doc)) return
+
+      const signature = documentSignature(doc)
+      if (this.entries.get(doc.documentId)?.signature !== signature) {
+        this.remove(doc.documentId)
+        const entry = this.buildEntry(doc, signature)
+        this.addEntry(entry)
+        this.queueWrite(doc.documentId, entry)
+      }
+      this.indexed.add(doc)
+    })
+
+    if (this.entries.size > ids.size) {
+      const removed = [...this.entries.keys()].filter(documentId => !ids.has(documentId))
+      removed.forEach(documentId => {
+        this.remove(documentId)
+        this.queueWrite(documentId, null)
+      })
+    }
+  }
+
+  buildEntry(doc, signature) {
+    const terms = new Map()
+    const words = new Map()
+    let length = 0
+
+    // The file name follows the text with a gap, so a phrase cannot run from one into the other
+    const text = this.analyze(doc.ocrText)
+    const tokens = [...text, null, ...this.analyze(doc.fileName)]
+    tokens.forEach((token, position) => {
+      if (!token?.term) return
+      const positions = terms.get(token.term)
+      if (positions) positions.push(position)
+      else terms.set(token.term, [position])
+      if (/^[a-z]+$/.test(token.word)) words.set(token.word, (words.get(token.word) || 0) + 1)
+      length++
+    })
+
+    return { documentId: doc.documentId, signature, length, nameStart: text.length + 1, terms, words }
+  }
+
+  addEntry(entry) {
+    this.entries.set(entry.documentId, entry)
+    this.totalLength += entry.length
+
+    entry.terms.forEach((positions, term) => {
+      const documents = this.postings.get(term)
+      if (documents) documents.set(entry.documentId, positions)
+      else this.postings.set(term, new Map([[entry.documentId, positions]]))
+    })
+    entry.words.forEach((count, word) => {
+      this.vocabulary.set(word, (this.vocabulary.get(word) || 0) + count)
+    })
+  }
+
+  remove(documentId) {
+    const entry = this.entries.get(documentId)
+    if (!entry) return
+
+    this.entries.delete(documentId)
+    this.totalLength -= entry.length
+
+    entry.terms.forEach((positions, term) => {
+      const documents = this.postings.get(term)
+      documents?.delete(documentId)
+      if (documents?.size === 0) this.postings.delete(term)
+    })
+    entry.words.forEach((count, word) => {
+      const remaining = (this.vocabulary.get(word) || 0) - count
+      if (remaining > 0) this.vocabulary.set(word, remaining)
+      else this.vocabulary.delete(word)
+    })
+  }
+
+  /**
+   * Save or delete changed entries together, shortly after the last change
+   */
+  queueWrite(documentId, entry) {
+    this.pendingWrites.set(documentId, entry)
+    clearTimeout(this.persistTimer)
+    this.persistTimer = setTimeout(() => this.flush(), PERSIST_DELAY)
+  }
+
+  async flush() {
+    const writes = [...this.pendingWrites.entries()]
+    this.pendingWrites.clear()
+    if (writes.length === 0) return
+
+    try {
+      await storageService.transaction(STORES.SEARCH_INDEX, 'readwrite', store => {
+        writes.forEach(([documentId, entry]) => {
+          if (entry) store.put(entry)
+          else store.delete(documentId)
+        })
+      })
+    } catch (error) {
+      // The in-memory index is still complete; it is rebuilt from the documents on the next load
+      console.warn('Search index could not be saved:', error)
+    }
+  }
+
+  documentFrequency(term) {
+    return this.postings.get(term)?.size || 0
+  }
+
+  /**
+   * Keep the positions in one field, fileName or ocrText; a null field keeps them all
+   */
+  inField(entry, positions, field) {
+    if (!field) return positions
+    return field === QUERY_FIELDS.FILE_NAME
+      ? positions.filter(position => position >= entry.nameStart)
+      : positions.filter(position => position < entry.nameStart)
+  }
+
+  /**
+   * Ids of documents containing any of `terms`, optionally in one field
+   */
+  match(terms, field = null) {
+    const ids = new Set()
+    terms.forEach(term => {
+      this.postings.get(term)?.forEach((positions, documentId) => {
+        if (!field || this.inField(this.entries.get(documentId), positions, field).length) ids.add(documentId)
+      })
+    })
+    return ids
+  }
+
+  /**
+   * Ids of documents where the words appear in sequence. `phrase` is [{ terms, offset }]: the
+   * terms any of which may stand in that place, such as a name's variant spellings, and the
+   * offset being the word's place in the phrase, so skipped stop words keep their gap.
+   */
+  matchPhrase(phrase, field = null) {
+    if (phrase.length === 0) return new Set()
+
+    // Start from the rarest word and check the others against its positions
+    const frequency = ({ terms }) => terms.reduce((total, term) => total + this.documentFrequency(term), 0)
+    const [anchor, ...rest] = [...phrase].sort((a, b) => frequency(a) - frequency(b))
+    const ids = new Set()
+
+    anchor.terms.forEach(anchorTerm => {
+      this.postings.get(anchorTerm)?.forEach((anchorPositions, documentId) => {
+        if (ids.has(documentId)) return
+        const entry = this.entries.get(documentId)
+        const found = this.inField(entry, anchorPositions, field).some(position => {
+          const start = position - anchor.offset
+          return rest.every(({ terms, offset }) => terms.some(term => entry.terms.get(term)?.includes(start + offset)))
+        })
+        if (found) ids.add(documentId)
+      })
+    })
+
+    return ids
+  }
+
+  /**
+   * Ids of documents where one of `left` is within `distance` words of one of `right`, either
+   * side of it
+   */
+  matchNear(left, right, distance, field = null) {
+    const ids = new Set()
+    const candidates = this.match(left, field)
+    if (candidates.size === 0) return ids
+
+    const positionsOf = (entry, terms) => terms
+      .flatMap(term => this.inField(entry, entry.terms.get(term) || [], field))
+      .sort((a, b) => a - b)
+
+    this.match(right, field).forEach(documentId => {
+      if (!candidates.has(documentId)) return
+      const entry = this.entries.get(documentId)
+      const first = positionsOf(entry, left)
+      const second = positionsOf(entry, right)
+
+      // Walk both sorted lists together, comparing each position with the nearest in the other
+      let i = 0
+      let j = 0
+      while (i < first.length && j < second.length) {
+        const gap = Math.abs(first[i] - second[j])
+        if (gap > 0 && gap <= distance) {
+          ids.add(documentId)
+          return
+        }
+        if (first[i] < second[j]) i++
+        else j++
+      }
+    })
+
+    return ids
+  }
+
+  /**
+   * Indexed terms a wildcard pattern stands for, `*` being any letters and `?` one, matched
+   * against words as written and against the indexed terms themselves
+   */
+  expandWildcard(pattern) {
+    const regex = wildcardToRegExp(pattern)
+    const terms = new Set()
+
+    this.vocabulary.forEach((count, word) => {
+      if (!regex.test(word)) return
+      const term = this.analyze(word)[0]?.term
+      if (term && this.postings.has(term)) terms.add(term)
+    })
+    for (const term of this.postings.keys()) {
+      if (regex.test(term)) terms.add(term)
+    }
+
+    return [...terms]
+      .sort((a, b) => this.documentFrequency(b) - this.documentFrequency(a))
+      .slice(0, MAX_WILDCARD_TERMS)
+  }
+
+  /**
+   * BM25 score of a document for `terms`; `weights` can count some terms for less, such as
+   * fuzzy matches
+   */
+  score(documentId, terms, weights = {}) {
+    const entry = this.entries.get(documentId)
+    if (!entry) return 0
+
+    const count = this.entries.size
+    const lengthRatio = entry.length / (this.averageLength || 1)
+
+    return terms.reduce((total, term) => {
+      const frequency = entry.terms.get(term)?.length || 0
+      if (frequency === 0) return total
+
+      const df = this.documentFrequency(term)
+      const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5))
+      const tf = (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio))
+      return total + idf * tf * (weights[term] ?? 1)
+    }, 0)
+  }
+
+  terms() {
+    return this.postings.keys()
+  }
+}
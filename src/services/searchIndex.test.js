@@ -0,0 +1,106 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { SearchIndex } from './searchIndex'
+import { searchService } from './search'
+import { storageService, STORES } from './storage'
+import { PHONETIC_ALGORITHMS } from '../utils/phonetics'
+
+// The error handler search.js reports through listens on window as it loads
+vi.hoisted(() => {
+  globalThis.window = globalThis
+  globalThis.addEventListener = () => {}
+})
+
+const analyze = (text) => searchService.analyze(text)
+
+const doc = (documentId, ocrText, fileName = `${documentId}.pdf`) => ({ documentId, ocrText, fileName })
+
+const CENSUS = doc('census', 'Smith John laborer living on Main Street with Mary Smith', 'census-1920.pdf')
+const MANIFEST = doc('manifest', 'Passenger John Smith arrived from Ireland aboard the Celtic')
+const DEED = doc('deed', 'Deed for lot fifteen on Main Street granted by the City of Springfield')
+
+describe('SearchIndex', () => {
+  let index
+
+  beforeEach(async () => {
+    await storageService.clear(STORES.SEARCH_INDEX)
+    index = new SearchIndex({ analyze })
+    index.sync([CENSUS, MANIFEST, DEED])
+  })
+
+  it('looks terms up in the documents that contain them', () => {
+    expect([...index.match(['smith'])].sort()).toEqual(['census', 'manifest'])
+    expect([...index.match(['street'])].sort()).toEqual(['census', 'deed'])
+    expect([...index.match(['nowhere'])]).toEqual([])
+  })
+
+  it('matches terms in one field only', () => {
+    expect([...index.match(['census'], 'fileName')]).toEqual(['census'])
+    expect([...index.match(['census'], 'ocrText')]).toEqual([])
+  })
+
+  it('finds phrases by word position, keeping the gap of skipped stop words', () => {
+    expect([...index.matchPhrase([{ terms: ['john'], offset: 0 }, { terms: ['smith'], offset: 1 }])]).toEqual(['manifest'])
+    // "City of Springfield": "of" is not indexed but still takes a place
+    expect([...index.matchPhrase([{ terms: ['city'], offset: 0 }, { terms: ['springfield'], offset: 2 }])]).toEqual(['deed'])
+    expect([...index.matchPhrase([{ terms: ['city'], offset: 0 }, { terms: ['springfield'], offset: 1 }])]).toEqual([])
+  })
+
+  it('finds words near each other', () => {
+    expect([...index.matchNear(['smith'], ['mary'], 1)]).toEqual(['census'])
+    expect([...index.matchNear(['john'], ['ireland'], 2)]).toEqual([])
+    expect([...index.matchNear(['john'], ['ireland'], 4)]).toEqual(['manifest'])
+  })
+
+  it('expands wildcards to the indexed terms they stand for', () => {
+    expect(index.expandWildcard('spring*')).toEqual(['springfield'])
+    expect(index.expandWildcard('sm?th').sort()).toEqual(['smith'])
+  })
+
+  it('scores rare terms above common ones and repeated terms above single ones (BM25)', () => {
+    // "smith" is in two documents, "ireland" in one
+    expect(index.score('manifest', ['ireland'])).toBeGreaterThan(index.score('manifest', ['smith']))
+    // The census names Smith twice
+    expect(index.score('census', ['smith'])).toBeGreaterThan(index.score('manifest', ['smith']))
+    expect(index.score('deed', ['smith'])).toBe(0)
+    // Weighted terms count for less
+    expect(index.score('manifest', ['ireland'], { ireland: 0.5 })).toBeCloseTo(index.score('manifest', ['ireland']) / 2)
+  })
+
+  it('re-indexes edited documents and drops deleted ones', () => {
+    index.sync([{ ...CENSUS, ocrText: 'Brown Thomas carpenter' }, MANIFEST])
+
+    expect([...index.match(['smith'])]).toEqual(['manifest'])
+    expect([...index.match(['carpenter'])]).toEqual(['census'])
+    expect([...index.match(['deed'])]).toEqual([])
+    expect(index.documentCount).toBe(2)
+  })
+
+  it('saves entries so a new index loads them without tokenizing again', async () => {
+    await index.flush()
+
+    const reloaded = new SearchIndex({ analyze: () => { throw new Error('should not tokenize') } })
+    await reloaded.load()
+    reloaded.sync([CENSUS, MANIFEST, DEED])
+
+    expect([...reloaded.match(['springfield'])]).toEqual(['deed'])
+  })
+})
+
+describe('searchService.search', () => {
+  it('ranks results by BM25 relevance', () => {
+    const { results, total } = searchService.search('smith ireland', [CENSUS, MANIFEST, DEED])
+
+    expect(total).toBe(2)
+    expect(results.map(result => result.documentId)).toEqual(['manifest', 'census'])
+    expect(results[0].relevanceScore).toBeGreaterThan(results[1].relevanceScore)
+  })
+
+  it('finds names without their accents and apostrophes, and by sound', () => {
+    const documents = [doc('baptism', 'Baptism of Anna Müller, daughter of Patrick O’Brien'), DEED]
+    const found = (query, options) => searchService.search(query, documents, options).results.map(result => result.documentId)
+
+    expect(found('Muller obrien')).toEqual(['baptism'])
+    expect(found('Miller', { phonetic: PHONETIC_ALGORITHMS.SOUNDEX })).toEqual(['baptism'])
+  })
+})
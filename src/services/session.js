@@ -0,0 +1,104 @@
+/**
+ * Session Service for Historify
+ * Stores the signed-in user and auth tokens with their expiry, and notifies listeners when the session ends
+ */
+
+const KEYS = {
+  USER: 'historify_user',
+  TOKEN: 'historify_token',
+  TOKEN_EXPIRY: 'historify_token_expiry',
+  REFRESH_TOKEN: 'historify_refresh_token',
+  REFRESH_EXPIRY: 'historify_refresh_expiry'
+}
+
+// Refresh access tokens this long before they actually expire
+const EXPIRY_MARGIN_MS = 60 * 1000
+
+class SessionService {
+  constructor() {
+    this.listeners = new Set()
+  }
+
+  /**
+   * Persist a login/register/refresh response ({ user, token, refreshToken, expiresIn, refreshExpiresIn })
+   */
+  save({ user, token, refreshToken, expiresIn, refreshExpiresIn }) {
+    const now = Date.now()
+
+    if (user) localStorage.setItem(KEYS.USER, JSON.stringify(user))
+    if (token) {
+      localStorage.setItem(KEYS.TOKEN, token)
+      localStorage.setItem(KEYS.TOKEN_EXPIRY, String(now + (expiresIn || 3600) * 1000))
+    }
+    if (refreshToken) {
+      localStorage.setItem(KEYS.REFRESH_TOKEN, refreshToken)
+      if (refreshExpiresIn) {
+        localStorage.setItem(KEYS.REFRESH_EXPIRY, String(now + refreshExpiresIn * 1000))
+      }
+    }
+  }
+
+  clear() {
+    Object.values(KEYS).forEach(key => localStorage.removeItem(key))
+  }
+
+  getUser() {
+    try {
+      return JSON.parse(localStorage.getItem(KEYS.USER) || 'null')
+    } catch {
+      return null
+    }
+  }
+
+  getToken() {
+    return localStorage.getItem(KEYS.TOKEN)
+  }
+
+  getRefreshToken() {
+    const expiry = Number(localStorage.getItem(KEYS.REFRESH_EXPIRY) || 0)
+    if (expiry && expiry <= Date.now()) return null
+    return localStorage.getItem(KEYS.REFRESH_TOKEN)
+  }
+
+  getTokenExpiry() {
+    return Number(localStorage.getItem(KEYS.TOKEN_EXPIRY) || 0)
+  }
+
+  /**
+   * True when the access token is missing or about to expire
+   */
+  needsRefresh() {
+    return !this.getToken() || this.getTokenExpiry() - EXPIRY_MARGIN_MS <= Date.now()
+  }
+
+  /**
+   * A stored session can be resumed if its access token is still valid or can be refreshed
+   */
+  isActive() {
+    return Boolean(this.getUser()) && (!this.needsRefresh() || Boolean(this.getRefreshToken()))
+  }
+
+  /**
+   * Milliseconds until the access token should be refreshed
+   */
+  getRefreshDelay() {
+    return Math.max(this.getTokenExpiry() - EXPIRY_MARGIN_MS - Date.now(), 0)
+  }
+
+  /**
+   * End the session and tell subscribers why (e.g. a rejected token)
+   */
+  expire(reason = 'expired') {
+    this.clear()
+    this.listeners.forEach(listener => listener(reason))
+  }
+
+  onExpired(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+}
+
+// Export singleton instance
+export const sessionService = new SessionService()
+export default sessionService
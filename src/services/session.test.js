@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { sessionService } from './session'
+
+const store = new Map()
+vi.stubGlobal('localStorage', {
+  getItem: key => store.has(key) ? store.get(key) : null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key)
+})
+
+const USER = { userId: 'user_a', email: 'a@example.com' }
+
+describe('sessionService', () => {
+  beforeEach(() => {
+    store.clear()
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2024-01-01T00:00:00.000Z'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('asks for a refresh a minute before the access token expires', () => {
+    sessionService.save({ user: USER, token: 'token_a', refreshToken: 'refresh_a', expiresIn: 900 })
+
+    expect(sessionService.needsRefresh()).toBe(false)
+    expect(sessionService.getRefreshDelay()).toBe(840 * 1000)
+
+    vi.advanceTimersByTime(840 * 1000)
+    expect(sessionService.needsRefresh()).toBe(true)
+    expect(sessionService.getRefreshDelay()).toBe(0)
+  })
+
+  it('needs a refresh when there is no access token', () => {
+    sessionService.save({ user: USER })
+    expect(sessionService.needsRefresh()).toBe(true)
+  })
+
+  it('stops offering a refresh token once it has expired', () => {
+    sessionService.save({ user: USER, token: 'token_a', refreshToken: 'refresh_a', expiresIn: 900, refreshExpiresIn: 3600 })
+    expect(sessionService.getRefreshToken()).toBe('refresh_a')
+
+    vi.advanceTimersByTime(3600 * 1000)
+    expect(sessionService.getRefreshToken()).toBeNull()
+  })
+
+  it('resumes a session while its access token is valid or can still be refreshed', () => {
+    sessionService.save({ user: USER, token: 'token_a', refreshToken: 'refresh_a', expiresIn: 900, refreshExpiresIn: 3600 })
+    expect(sessionService.isActive()).toBe(true)
+
+    // The access token has expired, the refresh token has not
+    vi.advanceTimersByTime(1800 * 1000)
+    expect(sessionService.isActive()).toBe(true)
+
+    vi.advanceTimersByTime(1800 * 1000)
+    expect(sessionService.isActive()).toBe(false)
+  })
+
+  it('clears the session and tells listeners why it ended', () => {
+    sessionService.save({ user: USER, token: 'token_a', refreshToken: 'refresh_a' })
+    const listener = vi.fn()
+    const unsubscribe = sessionService.onExpired(listener)
+
+    sessionService.expire('rejected')
+    unsubscribe()
+
+    expect(listener).toHaveBeenCalledWith('rejected')
+    expect(sessionService.getUser()).toBeNull()
+    expect(sessionService.getToken()).toBeNull()
+    expect(sessionService.getRefreshToken()).toBeNull()
+  })
+})
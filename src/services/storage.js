@@ -0,0 +1,270 @@
+/**
+ * Local Storage Service for Historify
+ * IndexedDB-backed persistence used as the offline store behind the API service
+ */
+
+const DB_NAME = 'historify'
+const DB_VERSION = 11
+
+// Object stores and their primary keys
+export const STORES = {
+  DOCUMENTS: 'documents',
+  EVENTS: 'events',
+  LINKS: 'links',
+  PEOPLE: 'people',
+  PLACES: 'places',
+  OVERLAYS: 'overlays',
+  PARCELS: 'parcels',
+  FILES: 'files',
+  OCR_JOBS: 'ocrJobs',
+  SEARCH_INDEX: 'searchIndex',
+  SETTINGS: 'settings',
+  SAVED_SEARCHES: 'savedSearches',
+  SEARCH_HISTORY: 'searchHistory',
+  NOTIFICATIONS: 'notifications',
+  OUTBOX: 'outbox'
+}
+
+const STORE_SCHEMAS = {
+  [STORES.DOCUMENTS]: { keyPath: 'documentId' },
+  [STORES.EVENTS]: { keyPath: 'eventId' },
+  [STORES.LINKS]: { keyPath: 'linkId' },
+  [STORES.PEOPLE]: { keyPath: 'personId' },
+  [STORES.PLACES]: { keyPath: 'placeId' },
+  [STORES.OVERLAYS]: { keyPath: 'overlayId' },
+  [STORES.PARCELS]: { keyPath: 'parcelId' },
+  // Uploaded file and page image blobs kept for offline viewing, tagged with their owner's userId
+  [STORES.FILES]: { keyPath: 'fileId' },
+  // Pending and finished background OCR jobs, so processing survives a reload; each has a userId
+  [STORES.OCR_JOBS]: { keyPath: 'jobId' },
+  // Each document's terms and their positions, so the search index survives a reload
+  [STORES.SEARCH_INDEX]: { keyPath: 'documentId' },
+  // Preferences edited in the app, one record per setting and user, such as the name variant dictionary
+  [STORES.SETTINGS]: { keyPath: 'key' },
+  // Named searches, the searches run, and alerts when new documents match a saved search
+  [STORES.SAVED_SEARCHES]: { keyPath: 'searchId' },
+  [STORES.SEARCH_HISTORY]: { keyPath: 'entryId' },
+  [STORES.NOTIFICATIONS]: { keyPath: 'notificationId' },
+  // Writes made while the API was unreachable, replayed in order once it is back
+  [STORES.OUTBOX]: { keyPath: 'outboxId' }
+}
+
+/*
+ * Cached API records are tagged with the `userId` of the account they belong to, so one browser
+ * can be shared by several accounts; reads go through getAllForUser.
+ */
+export const USER_STORES = [
+  STORES.DOCUMENTS,
+  STORES.EVENTS,
+  STORES.LINKS,
+  STORES.PEOPLE,
+  STORES.PLACES,
+  STORES.OVERLAYS,
+  STORES.PARCELS
+]
+
+// localStorage keys used before IndexedDB was introduced
+const LEGACY_KEYS = {
+  [STORES.DOCUMENTS]: 'historify_documents',
+  [STORES.EVENTS]: 'historify_events',
+  [STORES.LINKS]: 'historify_links'
+}
+
+class StorageService {
+  constructor() {
+    this.dbPromise = null
+    this.migrationPromise = null
+  }
+
+  /**
+   * Open (and upgrade if needed) the database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'))
+        return
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+      request.onupgradeneeded = () => {
+        const db = request.result
+        Object.entries(STORE_SCHEMAS).forEach(([name, schema]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, schema)
+          }
+        })
+      }
+
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+
+    // Allow a later retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null
+    })
+
+    return this.dbPromise
+  }
+
+  /**
+   * Run a callback inside a transaction and resolve with its request result
+   */
+  async transaction(storeName, mode, callback) {
+    const db = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode)
+      const store = tx.objectStore(storeName)
+      const request = callback(store)
+      let result
+
+      if (request) {
+        request.onsuccess = () => {
+          result = request.result
+        }
+      }
+
+      tx.oncomplete = () => resolve(result)
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+    })
+  }
+
+  async getAll(storeName) {
+    const records = await this.transaction(storeName, 'readonly', store => store.getAll())
+    return records || []
+  }
+
+  async get(storeName, key) {
+    return this.transaction(storeName, 'readonly', store => store.get(key))
+  }
+
+  async put(storeName, record) {
+    await this.transaction(storeName, 'readwrite', store => store.put(record))
+    return record
+  }
+
+  async putAll(storeName, records) {
+    await this.transaction(storeName, 'readwrite', store => {
+      records.forEach(record => store.put(record))
+    })
+    return records
+  }
+
+  async delete(storeName, key) {
+    await this.transaction(storeName, 'readwrite', store => store.delete(key))
+  }
+
+  async clear(storeName) {
+    await this.transaction(storeName, 'readwrite', store => store.clear())
+  }
+
+  async getForUser(storeName, key, userId) {
+    const record = await this.get(storeName, key)
+    return record?.userId === userId ? record : undefined
+  }
+
+  async getAllForUser(storeName, userId) {
+    // Records saved before accounts existed become the first signed-in user's
+    if (userId) await this.migrateLegacyStorage(userId)
+    const records = await this.getAll(storeName)
+    return records.filter(record => record.userId === userId)
+  }
+
+  async putForUser(storeName, userId, record) {
+    return this.put(storeName, { ...record, userId })
+  }
+
+  async putAllForUser(storeName, userId, records) {
+    return this.putAll(storeName, records.map(record => ({ ...record, userId })))
+  }
+
+  /**
+   * Make `records` the user's whole cached collection: records the server no longer has are
+   * removed, apart from those whose keys are in `keep` (written offline and not yet sent)
+   */
+  async replaceAllForUser(storeName, userId, records, keep = new Set()) {
+    const keyPath = STORE_SCHEMAS[storeName].keyPath
+    const current = new Set(records.map(record => record[keyPath]))
+    const cached = await this.getAllForUser(storeName, userId)
+    const stale = cached.filter(record => !current.has(record[keyPath]) && !keep.has(record[keyPath]))
+    const tagged = records.map(record => ({ ...record, userId }))
+
+    await this.transaction(storeName, 'readwrite', store => {
+      stale.forEach(record => store.delete(record[keyPath]))
+      tagged.forEach(record => store.put(record))
+    })
+    return tagged
+  }
+
+  /**
+   * Empty a store apart from the records whose keys are in `keep`
+   */
+  async clearExcept(storeName, keep) {
+    if (keep.size === 0) return this.clear(storeName)
+
+    const keyPath = STORE_SCHEMAS[storeName].keyPath
+    const records = await this.getAll(storeName)
+    await this.transaction(storeName, 'readwrite', store => {
+      records
+        .filter(record => !keep.has(record[keyPath]))
+        .forEach(record => store.delete(record[keyPath]))
+    })
+  }
+
+  async count(storeName) {
+    return this.transaction(storeName, 'readonly', store => store.count())
+  }
+
+  /**
+   * Move records saved under the old historify_* localStorage keys into IndexedDB, tagged with
+   * `userId`. The keys are only removed once the records are stored; concurrent callers share one run.
+   */
+  migrateLegacyStorage(userId) {
+    if (!this.migrationPromise) {
+      this.migrationPromise = this.performMigration(userId).finally(() => {
+        this.migrationPromise = null
+      })
+    }
+    return this.migrationPromise
+  }
+
+  async performMigration(userId) {
+    if (typeof localStorage === 'undefined') return
+
+    const entries = Object.entries(LEGACY_KEYS)
+      .map(([storeName, key]) => {
+        try {
+          return [storeName, key, JSON.parse(localStorage.getItem(key) || 'null')]
+        } catch {
+          return [storeName, key, null]
+        }
+      })
+      .filter(([, , records]) => Array.isArray(records))
+
+    if (entries.length === 0) return
+
+    const db = await this.open()
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(entries.map(([storeName]) => storeName), 'readwrite')
+      entries.forEach(([storeName, , records]) => {
+        const store = tx.objectStore(storeName)
+        records.forEach(record => store.put({ ...record, userId }))
+      })
+      tx.oncomplete = resolve
+      tx.onerror = () => reject(tx.error)
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+    })
+
+    entries.forEach(([, key]) => localStorage.removeItem(key))
+  }
+}
+
+// Export singleton instance
+export const storageService = new StorageService()
+export default storageService
@@ -35,7 +35,7 @@ export const SUBSCRIPTION_TIERS = {
       advancedSearch: true,
       priorityProcessing: false,
       collaborationTools: false,
-      exportFormats: ['PDF', 'CSV', 'JSON'],
+      exportFormats: ['PDF', 'CSV', 'JSON', 'PNG', 'SVG'],
       supportLevel: 'email'
     },
     description: 'Ideal for serious researchers and local historians'
@@ -53,7 +53,7 @@ export const SUBSCRIPTION_TIERS = {
       advancedSearch: true,
       priorityProcessing: true,
       collaborationTools: true,
-      exportFormats: ['PDF', 'CSV', 'JSON', 'XML', 'DOCX'],
+      exportFormats: ['PDF', 'CSV', 'JSON', 'XML', 'DOCX', 'PNG', 'SVG'],
       supportLevel: 'priority'
     },
     description: 'Full-featured plan for professional historians and institutions'
@@ -0,0 +1,355 @@
+/**
+ * Timeline Export Service for Historify
+ * Exports a set of timeline events as a printable PDF, an SVG or PNG image of the swimlane chart,
+ * CSV for spreadsheets, or JSON that TimelineJS (timeline.knightlab.com) can load.
+ * Each format is checked against the user's subscription before anything is built.
+ */
+
+import { subscriptionService } from './subscription'
+import { compareEvents, formatEventDate, getEventDates, DATE_QUALIFIERS, DATE_PRECISIONS } from '../utils/historicalDate'
+import { CLUSTER_DISTANCE, LANE_COLORS, getExtent, getTicks, groupByTheme, layoutLane } from '../utils/timelineLayout'
+
+export const EXPORT_FORMATS = {
+  PDF: { id: 'PDF', label: 'PDF document', extension: 'pdf', mimeType: 'application/pdf' },
+  PNG: { id: 'PNG', label: 'PNG image', extension: 'png', mimeType: 'image/png' },
+  SVG: { id: 'SVG', label: 'SVG image', extension: 'svg', mimeType: 'image/svg+xml' },
+  CSV: { id: 'CSV', label: 'CSV spreadsheet', extension: 'csv', mimeType: 'text/csv' },
+  JSON: { id: 'JSON', label: 'TimelineJS JSON', extension: 'json', mimeType: 'application/json' }
+}
+
+// Chart image layout, in pixels
+const IMAGE_WIDTH = 1200
+const IMAGE_LANE_LABEL_WIDTH = 150
+const IMAGE_TITLE_HEIGHT = 40
+const IMAGE_AXIS_HEIGHT = 28
+const IMAGE_ROW_HEIGHT = 24
+const IMAGE_LANE_PADDING = 8
+const IMAGE_MAX_ROWS = 8
+// PNGs are drawn at twice the size so they stay sharp in print
+const PNG_SCALE = 2
+
+// PDF page layout, in points
+const PDF_MARGIN = 48
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text)
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'timeline'
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// TimelineJS dates hold only the parts that are known; uncertain dates show as written
+const timelineJsDate = (parsed) => {
+  if (!parsed) return null
+  const exact = parsed.qualifier === DATE_QUALIFIERS.EXACT &&
+    [DATE_PRECISIONS.DAY, DATE_PRECISIONS.MONTH, DATE_PRECISIONS.YEAR].includes(parsed.precision)
+  const [year, month, day] = (exact ? parsed.earliest : parsed.sortKey).split('-').map(Number)
+
+  const date = { year }
+  if (exact && parsed.precision !== DATE_PRECISIONS.YEAR) date.month = month
+  if (exact && parsed.precision === DATE_PRECISIONS.DAY) date.day = day
+  if (!exact) date.display_date = parsed.text
+  return date
+}
+
+class TimelineExportService {
+  canExport(user, format) {
+    return Boolean(user) && subscriptionService.canPerformAction(user, 'export_format', format)
+  }
+
+  /**
+   * Build the export and hand it to the browser as a download.
+   * `timeline` is { title, events, documents, people }; events are exported in date order.
+   */
+  async exportTimeline(user, format, timeline) {
+    const definition = EXPORT_FORMATS[format]
+    if (!definition) throw new Error(`Unknown export format: ${format}`)
+    if (!this.canExport(user, format)) {
+      throw new Error(`${definition.label} export is not included in your plan`)
+    }
+
+    const sorted = { ...timeline, events: [...timeline.events].sort(compareEvents) }
+    let blob
+    switch (format) {
+      case 'PDF':
+        blob = await this.buildPdf(sorted)
+        break
+      case 'PNG':
+        blob = await this.buildPng(sorted)
+        break
+      case 'SVG':
+        blob = new Blob([this.buildSvg(sorted)], { type: definition.mimeType })
+        break
+      case 'CSV':
+        blob = new Blob([this.buildCsv(sorted)], { type: `${definition.mimeType};charset=utf-8` })
+        break
+      default:
+        blob = new Blob([JSON.stringify(this.buildTimelineJs(sorted), null, 2)], { type: definition.mimeType })
+    }
+
+    const fileName = `${slugify(timeline.title)}.${definition.extension}`
+    this.download(blob, fileName)
+    return fileName
+  }
+
+  download(blob, fileName) {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    // Give the browser a moment to start the download before the URL goes
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  }
+
+  describeEvent(event, { documents = [], people = [] }) {
+    return {
+      documentNames: (event.associatedDocuments || [])
+        .map(id => documents.find(doc => doc.documentId === id)?.fileName)
+        .filter(Boolean),
+      personNames: (event.personIds || [])
+        .map(id => people.find(person => person.personId === id)?.name)
+        .filter(Boolean)
+    }
+  }
+
+  /**
+   * One row per event. Start and End are ISO sort dates; the "As Written" columns keep uncertain dates.
+   */
+  buildCsv(timeline) {
+    const header = ['Title', 'Date', 'Start', 'End', 'Date As Written', 'End As Written', 'Theme', 'Description', 'Documents', 'People']
+    const rows = timeline.events.map(event => {
+      const { documentNames, personNames } = this.describeEvent(event, timeline)
+      return [
+        event.title,
+        formatEventDate(event),
+        event.date,
+        event.endDate || '',
+        event.dateText || '',
+        event.endDateText || '',
+        event.themeTag || '',
+        event.description || '',
+        documentNames.join('; '),
+        personNames.join('; ')
+      ]
+    })
+
+    // The byte order mark lets Excel read the file as UTF-8
+    return '\ufeff' + [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n')
+  }
+
+  /**
+   * TimelineJS JSON: themes become TimelineJS groups, which it draws as rows much like swimlanes
+   */
+  buildTimelineJs(timeline) {
+    return {
+      title: {
+        text: {
+          headline: escapeXml(timeline.title),
+          text: `${timeline.events.length} events exported from Historify`
+        }
+      },
+      events: timeline.events.map(event => {
+        const { start, end } = getEventDates(event)
+        const { documentNames, personNames } = this.describeEvent(event, timeline)
+        const details = [
+          event.description && `<p>${escapeXml(event.description)}</p>`,
+          personNames.length && `<p>People: ${escapeXml(personNames.join(', '))}</p>`,
+          documentNames.length && `<p>Documents: ${escapeXml(documentNames.join(', '))}</p>`
+        ].filter(Boolean).join('')
+
+        const slide = {
+          unique_id: event.eventId,
+          start_date: timelineJsDate(start),
+          text: { headline: escapeXml(event.title), text: details }
+        }
+        if (end) slide.end_date = timelineJsDate(end)
+        if (event.themeTag) slide.group = event.themeTag
+        return slide
+      })
+    }
+  }
+
+  /**
+   * The swimlane chart framed around every event, as a standalone SVG document.
+   * Nothing is clustered, so every event appears; crowded lanes drop labels rather than overlap them.
+   */
+  buildSvg(timeline) {
+    const chartWidth = IMAGE_WIDTH - IMAGE_LANE_LABEL_WIDTH
+    const extent = getExtent(timeline.events)
+    const xOf = (time) => (extent ? ((time - extent.from) / (extent.to - extent.from)) * chartWidth : 0)
+    const chartTop = IMAGE_TITLE_HEIGHT + IMAGE_AXIS_HEIGHT
+
+    let top = chartTop
+    const lanes = extent ? groupByTheme(timeline.events).map((lane, index) => {
+      const { marks, rows } = layoutLane(lane.events, xOf, { cluster: false, maxRows: IMAGE_MAX_ROWS })
+      const laid = { ...lane, marks, top, height: rows * IMAGE_ROW_HEIGHT + IMAGE_LANE_PADDING * 2, color: LANE_COLORS[index % LANE_COLORS.length] }
+      top += laid.height
+      return laid
+    }) : []
+    const height = Math.max(top, chartTop + IMAGE_ROW_HEIGHT) + 1
+    const ticks = extent ? getTicks(extent.from, extent.to, chartWidth) : []
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${IMAGE_WIDTH}" height="${height}" viewBox="0 0 ${IMAGE_WIDTH} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+      `<rect width="${IMAGE_WIDTH}" height="${height}" fill="white"/>`,
+      `<text x="14" y="26" font-size="18" font-weight="600" fill="#111827">${escapeXml(timeline.title)}</text>`
+    ]
+
+    lanes.forEach((lane, index) => {
+      parts.push(
+        `<rect x="0" y="${lane.top}" width="${IMAGE_WIDTH}" height="${lane.height}" fill="${index % 2 ? '#f9fafb' : 'white'}"/>`,
+        `<line x1="0" y1="${lane.top}" x2="${IMAGE_WIDTH}" y2="${lane.top}" stroke="#e5e7eb"/>`,
+        `<rect x="0" y="${lane.top}" width="4" height="${lane.height}" fill="${lane.color}"/>`,
+        `<text x="14" y="${lane.top + IMAGE_LANE_PADDING + 14}" font-size="12" font-weight="600" fill="#1f2937">${escapeXml(truncate(lane.theme, 18))}</text>`
+      )
+    })
+
+    // Nested so uncertainty whiskers reaching past the first year stay clear of the lane names
+    parts.push(`<svg x="${IMAGE_LANE_LABEL_WIDTH}" y="0" width="${chartWidth}" height="${height}">`)
+    ticks.forEach(tick => {
+      const x = xOf(tick.time).toFixed(1)
+      parts.push(
+        `<line x1="${x}" y1="${chartTop - 6}" x2="${x}" y2="${height}" stroke="#e5e7eb"/>`,
+        `<text x="${Number(x) + 4}" y="${chartTop - 12}" font-size="11" fill="#6b7280">${escapeXml(tick.label)}</text>`
+      )
+    })
+
+    lanes.forEach(lane => lane.marks.forEach(mark => {
+      const event = mark.events[0]
+      const { start } = getEventDates(event)
+      const y = lane.top + IMAGE_LANE_PADDING + mark.row * IMAGE_ROW_HEIGHT + IMAGE_ROW_HEIGHT / 2
+      const whiskerFrom = xOf(mark.span.earliest)
+      const whiskerTo = xOf(mark.span.latest)
+
+      if (whiskerTo - whiskerFrom > 2) {
+        parts.push(`<line x1="${whiskerFrom.toFixed(1)}" y1="${y}" x2="${whiskerTo.toFixed(1)}" y2="${y}" stroke="${lane.color}" stroke-width="4" stroke-linecap="round" opacity="0.2"/>`)
+      }
+      if (mark.x1 - mark.x0 >= CLUSTER_DISTANCE) {
+        parts.push(`<rect x="${mark.x0.toFixed(1)}" y="${y - 6}" width="${(mark.x1 - mark.x0).toFixed(1)}" height="12" rx="6" fill="${lane.color}" opacity="${start?.uncertain ? 0.6 : 0.9}"/>`)
+      } else {
+        parts.push(`<circle cx="${mark.x0.toFixed(1)}" cy="${y}" r="6" fill="${start?.uncertain ? 'white' : lane.color}" stroke="${lane.color}" stroke-width="2"/>`)
+      }
+      if (mark.showLabel) {
+        parts.push(`<text x="${(mark.x1 + 10).toFixed(1)}" y="${y + 4}" font-size="11" fill="#374151">${escapeXml(truncate(event.title || '', 24))}</text>`)
+      }
+    }))
+
+    parts.push('</svg>', '</svg>')
+    return parts.join('\n')
+  }
+
+  /**
+   * Draw the chart SVG onto a canvas at print resolution
+   */
+  async renderCanvas(timeline) {
+    const svg = this.buildSvg(timeline)
+    const url = URL.createObjectURL(new Blob([svg], { type: EXPORT_FORMATS.SVG.mimeType }))
+
+    try {
+      const image = await new Promise((resolve, reject) => {
+        const img = new Image()
+        img.onload = () => resolve(img)
+        img.onerror = () => reject(new Error('The timeline image could not be drawn'))
+        img.src = url
+      })
+
+      const canvas = document.createElement('canvas')
+      canvas.width = image.width * PNG_SCALE
+      canvas.height = image.height * PNG_SCALE
+      const context = canvas.getContext('2d')
+      context.scale(PNG_SCALE, PNG_SCALE)
+      context.drawImage(image, 0, 0)
+      return canvas
+    } finally {
+      URL.revokeObjectURL(url)
+    }
+  }
+
+  async buildPng(timeline) {
+    const canvas = await this.renderCanvas(timeline)
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The timeline image could not be saved'))), EXPORT_FORMATS.PNG.mimeType)
+    })
+  }
+
+  /**
+   * A printable document: the chart on the first page, then every event with its date,
+   * theme, description, people and documents
+   */
+  async buildPdf(timeline) {
+    const { jsPDF } = await import('jspdf')
+    const pdf = new jsPDF({ unit: 'pt', format: 'a4' })
+    const pageWidth = pdf.internal.pageSize.getWidth()
+    const pageHeight = pdf.internal.pageSize.getHeight()
+    const textWidth = pageWidth - PDF_MARGIN * 2
+    let y = PDF_MARGIN
+
+    const ensureRoom = (needed) => {
+      if (y + needed <= pageHeight - PDF_MARGIN) return
+      pdf.addPage()
+      y = PDF_MARGIN
+    }
+
+    const write = (text, { size = 10, style = 'normal', color = [55, 65, 81], gap = 4 } = {}) => {
+      pdf.setFont('helvetica', style)
+      pdf.setFontSize(size)
+      pdf.setTextColor(...color)
+      const lines = pdf.splitTextToSize(text, textWidth)
+      const lineHeight = size * 1.25
+      lines.forEach(line => {
+        ensureRoom(lineHeight)
+        pdf.text(line, PDF_MARGIN, y + size)
+        y += lineHeight
+      })
+      y += gap
+    }
+
+    write(timeline.title, { size: 20, style: 'bold', color: [17, 24, 39] })
+    const first = timeline.events[0]
+    const last = timeline.events[timeline.events.length - 1]
+    write([
+      `${timeline.events.length} event${timeline.events.length === 1 ? '' : 's'}`,
+      first && `${formatEventDate(first)} to ${formatEventDate(last)}`,
+      `exported ${new Date().toLocaleDateString()}`
+    ].filter(Boolean).join(' · '), { color: [107, 114, 128], gap: 16 })
+
+    if (timeline.events.length) {
+      const canvas = await this.renderCanvas(timeline)
+      const imageHeight = Math.min((canvas.height / canvas.width) * textWidth, pageHeight - y - PDF_MARGIN)
+      const imageWidth = (canvas.width / canvas.height) * imageHeight
+      pdf.addImage(canvas.toDataURL(EXPORT_FORMATS.PNG.mimeType), 'PNG', PDF_MARGIN, y, imageWidth, imageHeight)
+      y += imageHeight + 24
+    }
+
+    timeline.events.forEach(event => {
+      const { documentNames, personNames } = this.describeEvent(event, timeline)
+      // Keep an event's date and title together on one page
+      ensureRoom(40)
+      write([formatEventDate(event), event.themeTag].filter(Boolean).join(' · '), { size: 9, color: [107, 114, 128], gap: 0 })
+      write(event.title, { size: 12, style: 'bold', color: [17, 24, 39], gap: 2 })
+      if (event.description) write(event.description)
+      if (personNames.length) write(`People: ${personNames.join(', ')}`, { size: 9 })
+      if (documentNames.length) write(`Documents: ${documentNames.join(', ')}`, { size: 9 })
+      y += 10
+    })
+
+    return pdf.output('blob')
+  }
+}
+
+export const timelineExportService = new TimelineExportService()
@@ -0,0 +1,127 @@
+import { describe, it, expect, vi } from 'vitest'
+import { timelineExportService } from './timelineExport'
+import { toEventDateFields } from '../utils/historicalDate'
+
+// Subscription usage is read from localStorage
+const store = new Map()
+vi.stubGlobal('localStorage', {
+  getItem: key => store.has(key) ? store.get(key) : null,
+  setItem: (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key)
+})
+
+const event = (eventId, title, start, end, extra = {}) => ({ eventId, title, ...toEventDateFields(start, end).fields, ...extra })
+
+const timeline = {
+  title: 'Smith <Family> & Mill',
+  events: [
+    event('fire', '=SUM(A1)', '1905-04-15', '', { themeTag: 'Industry', description: 'Fire at the "Old" Mill,\nMain Street', associatedDocuments: ['deed', 'missing'], personIds: ['john'] }),
+    event('strike', 'Strike', 'c. 1905', '1910s', { themeTag: 'Industry' }),
+    event('arrival', 'Arrival', 'April 1905')
+  ],
+  documents: [{ documentId: 'deed', fileName: 'deed.pdf' }],
+  people: [{ personId: 'john', name: 'John Smith' }]
+}
+
+const parseCsv = (csv) => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i]
+    if (quoted) {
+      if (char === '"' && csv[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\r' && csv[i + 1] === '\n') {
+      rows.push([...row, cell])
+      row = []
+      cell = ''
+      i++
+    } else {
+      cell += char
+    }
+  }
+  rows.push([...row, cell])
+  return rows
+}
+
+describe('timelineExportService', () => {
+  it('only exports the formats in the user\'s plan', async () => {
+    const free = { userId: 'user_free', subscriptionTier: 'free' }
+
+    expect(timelineExportService.canExport(free, 'PDF')).toBe(true)
+    expect(timelineExportService.canExport({ userId: 'user_basic', subscriptionTier: 'basic' }, 'CSV')).toBe(true)
+    expect(timelineExportService.canExport(null, 'PDF')).toBe(false)
+    await expect(timelineExportService.exportTimeline(free, 'CSV', timeline)).rejects.toThrow('CSV spreadsheet export is not included in your plan')
+    await expect(timelineExportService.exportTimeline(free, 'XLS', timeline)).rejects.toThrow('Unknown export format: XLS')
+  })
+
+  it('writes one CSV row per event with dates as written', () => {
+    const csv = timelineExportService.buildCsv(timeline)
+    expect(csv.startsWith('\ufeff')).toBe(true)
+
+    const [header, fire, strike, arrival] = parseCsv(csv.slice(1))
+    expect(header).toEqual(['Title', 'Date', 'Start', 'End', 'Date As Written', 'End As Written', 'Theme', 'Description', 'Documents', 'People'])
+    expect(fire).toEqual([
+      // Kept from running as a formula
+      "'=SUM(A1)",
+      'April 15, 1905',
+      '1905-04-15',
+      '',
+      // Exact dates need no other spelling
+      '',
+      '',
+      'Industry',
+      'Fire at the "Old" Mill,\nMain Street',
+      'deed.pdf',
+      'John Smith'
+    ])
+    expect(strike.slice(1, 6)).toEqual(['c. 1905 – 1910s', '1905-07-02', '1914-12-31', 'c. 1905', '1910s'])
+    expect(arrival[1]).toBe('April 1905')
+  })
+
+  it('gives TimelineJS only the parts of a date that are known', () => {
+    const { title, events } = timelineExportService.buildTimelineJs(timeline)
+    const [fire, strike, arrival] = events
+
+    expect(title.text).toEqual({ headline: 'Smith &lt;Family&gt; &amp; Mill', text: '3 events exported from Historify' })
+    expect(fire).toMatchObject({
+      unique_id: 'fire',
+      start_date: { year: 1905, month: 4, day: 15 },
+      group: 'Industry',
+      text: {
+        text: '<p>Fire at the &quot;Old&quot; Mill,\nMain Street</p><p>People: John Smith</p><p>Documents: deed.pdf</p>'
+      }
+    })
+    expect(fire.end_date).toBeUndefined()
+    // Uncertain dates are placed at their sort date and shown as written
+    expect(strike.start_date).toEqual({ year: 1905, display_date: 'c. 1905' })
+    expect(strike.end_date).toEqual({ year: 1914, display_date: '1910s' })
+    expect(arrival.start_date).toEqual({ year: 1905, month: 4 })
+    expect(arrival.group).toBeUndefined()
+  })
+
+  it('draws every event in the chart image, escaping its text', () => {
+    const svg = timelineExportService.buildSvg(timeline)
+
+    expect(svg).toContain('Smith &lt;Family&gt; &amp; Mill')
+    expect(svg).toContain('>Industry</text>')
+    expect(svg).toContain('>Untagged</text>')
+    expect(svg).not.toContain('<Family>')
+    expect(svg.match(/<circle /g) || []).toHaveLength(2)
+    // The strike runs for years, so it is a bar
+    expect(svg).toMatch(/<rect x="[\d.]+" y="[\d.]+" width="[\d.]+" height="12" rx="6"/)
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * Land parcels and their chain of title
+ * A parcel is a plot drawn on the map with the deeds that conveyed it. Its chain of title lists
+ * those deeds by date, each grantee becoming the grantor of the next, and flags where a link is missing.
+ */
+
+import { entityService, DOCUMENT_LAYOUTS } from '../services/entities'
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^\p{L}\s]/gu, '').replace(/\s+/g, ' ').trim()
+
+/**
+ * The deed terms of a document (see entityService.extractDeed), or null when it is not a deed.
+ * Documents extracted before deed terms existed are analysed on the fly.
+ */
+export const getDeed = (document) => {
+  if (document.entities && 'deed' in document.entities) return document.entities.deed
+  if (document.entities && document.entities.layout !== DOCUMENT_LAYOUTS.DEED) return null
+  return entityService.extract(document.ocrText).deed
+}
+
+export const isDeed = (document) => Boolean(getDeed(document))
+
+/**
+ * "Lot 15, Block 3" or the parcel's description
+ */
+export const describeLot = ({ lot, block, description, property } = {}) => {
+  const parts = [lot && `Lot ${lot}`, block && `Block ${block}`].filter(Boolean)
+  return parts.length ? parts.join(', ') : description || property || ''
+}
+
+// "15, 16" covers lot 15
+const lotNumbers = (lot) => (lot || '').split(/\s*,\s*/).filter(Boolean).map(number => number.toUpperCase())
+
+/**
+ * Whether a deed conveys the parcel's lot and block
+ */
+export const matchesParcel = (parcel, deed) => {
+  if (!deed || !parcel.lot || !deed.lot) return false
+  const sameBlock = !parcel.block || !deed.block || parcel.block.toUpperCase() === deed.block.toUpperCase()
+  const deedLots = lotNumbers(deed.lot)
+  return sameBlock && lotNumbers(parcel.lot).some(number => deedLots.includes(number))
+}
+
+/**
+ * Deed documents not yet on the parcel whose lot and block match it
+ */
+export const suggestDeeds = (parcel, documents) => documents.filter(document =>
+  !(parcel.documentIds || []).includes(document.documentId) && matchesParcel(parcel, getDeed(document)))
+
+/**
+ * The parcel's deeds: those attached to it, plus deeds linked to them through document links
+ */
+export const getParcelDeeds = (parcel, documents, links = []) => {
+  const byId = new Map(documents.map(document => [document.documentId, document]))
+  const found = new Set((parcel.documentIds || []).filter(id => byId.has(id)))
+  const queue = [...found]
+
+  while (queue.length) {
+    const current = queue.shift()
+    links
+      .filter(link => link.documentIds.includes(current))
+      .flatMap(link => link.documentIds)
+      .forEach(id => {
+        if (!found.has(id) && byId.has(id) && isDeed(byId.get(id))) {
+          found.add(id)
+          queue.push(id)
+        }
+      })
+  }
+
+  return [...found].map(id => byId.get(id))
+}
+
+// First and last names agree, so "John A. Smith" is "John Smith"
+const sameParty = (a, b) => {
+  const wordsA = normalizeName(a).split(' ')
+  const wordsB = normalizeName(b).split(' ')
+  return wordsA[0] === wordsB[0] && wordsA[wordsA.length - 1] === wordsB[wordsB.length - 1]
+}
+
+/**
+ * The parcel's chain of title, oldest deed first; undated deeds come last.
+ * Each entry is { document, deed, date, linked }: `linked` is false when none of
+ * the grantors received the land in the deed before, a gap the researcher may need to fill.
+ */
+export const buildChainOfTitle = (parcel, documents, links = []) => {
+  const entries = getParcelDeeds(parcel, documents, links)
+    .map(document => {
+      const deed = getDeed(document) || { grantors: [], grantees: [], date: null }
+      return { document, deed, date: deed.date?.iso || null }
+    })
+    .sort((a, b) => {
+      if (a.date && b.date) return a.date.localeCompare(b.date)
+      return a.date ? -1 : b.date ? 1 : 0
+    })
+
+  return entries.map((entry, index) => {
+    const previous = entries[index - 1]
+    const linked = !previous || entry.deed.grantors.some(grantor =>
+      previous.deed.grantees.some(grantee => sameParty(grantor, grantee)))
+    return { ...entry, linked }
+  })
+}
+
+/**
+ * The grantees of the most recent dated deed
+ */
+export const getCurrentOwners = (chain) => {
+  const dated = chain.filter(entry => entry.date)
+  return dated.length ? dated[dated.length - 1].deed.grantees : []
+}
+
+/**
+ * The year of a parcel's earliest dated deed, or null
+ */
+export const getParcelYear = (parcel, documents) => {
+  const years = (parcel.documentIds || [])
+    .map(id => documents.find(document => document.documentId === id))
+    .map(document => document && getDeed(document)?.date?.year)
+    .filter(Number.isFinite)
+  return years.length ? Math.min(...years) : null
+}
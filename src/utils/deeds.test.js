@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest'
+import { getDeed, matchesParcel, suggestDeeds, buildChainOfTitle, getCurrentOwners, getParcelYear, describeLot } from './deeds'
+
+const deedDocument = (documentId, { date, grantor, grantee, lot = '15' }) => ({
+  documentId,
+  ocrText: `PROPERTY DEED
+Recorded: ${date}
+Grantor: ${grantor}
+Grantee: ${grantee}
+Property: Lot ${lot}, Block 3, Main Street
+Consideration: $500.00`
+})
+
+const city = deedDocument('doc_1910', { date: 'June 15, 1910', grantor: 'City of Springfield', grantee: 'John Smith' })
+const smith = deedDocument('doc_1925', { date: 'May 2, 1925', grantor: 'John A. Smith', grantee: 'Mary Brown' })
+const gap = deedDocument('doc_1940', { date: 'March 1, 1940', grantor: 'Thomas Wilson', grantee: 'Ann Wilson' })
+const otherLot = deedDocument('doc_other', { date: 'June 1, 1912', grantor: 'City of Springfield', grantee: 'Sarah Wilson', lot: '16' })
+
+const parcel = { parcelId: 'parcel_1', lot: '15', block: '3', documentIds: ['doc_1925', 'doc_1910', 'doc_1940'] }
+
+describe('deeds', () => {
+  it('reads the deed terms of a document', () => {
+    expect(getDeed(city)).toMatchObject({
+      grantors: ['City of Springfield'],
+      grantees: ['John Smith'],
+      lot: '15',
+      block: '3',
+      consideration: { amount: 500 }
+    })
+    expect(getDeed({ documentId: 'doc_census', ocrText: 'UNITED STATES CENSUS 1920' })).toBeNull()
+  })
+
+  it('matches deeds to a parcel by lot and block', () => {
+    expect(matchesParcel({ lot: '15', block: '3' }, { lot: '14, 15', block: '3' })).toBe(true)
+    expect(matchesParcel({ lot: '15', block: '3' }, { lot: '15', block: '4' })).toBe(false)
+    expect(matchesParcel({ lot: '15' }, { lot: '15', block: '4' })).toBe(true)
+    expect(suggestDeeds({ lot: '15', block: '3', documentIds: ['doc_1910'] }, [city, smith, otherLot]))
+      .toEqual([smith])
+  })
+
+  it('orders the chain of title by date and flags a missing link', () => {
+    const chain = buildChainOfTitle(parcel, [city, smith, gap])
+
+    expect(chain.map(entry => [entry.document.documentId, entry.date, entry.linked])).toEqual([
+      ['doc_1910', '1910-06-15', true],
+      // "John A. Smith" is the John Smith who received the land in 1910
+      ['doc_1925', '1925-05-02', true],
+      ['doc_1940', '1940-03-01', false]
+    ])
+    expect(getCurrentOwners(chain)).toEqual(['Ann Wilson'])
+    expect(getParcelYear(parcel, [city, smith, gap])).toBe(1910)
+  })
+
+  it('follows document links to further deeds', () => {
+    const links = [{ linkId: 'link_1', documentIds: ['doc_1910', 'doc_other'] }]
+    const chain = buildChainOfTitle({ ...parcel, documentIds: ['doc_1910'] }, [city, otherLot], links)
+    expect(chain.map(entry => entry.document.documentId)).toEqual(['doc_1910', 'doc_other'])
+  })
+
+  it('describes a lot', () => {
+    expect(describeLot({ lot: '15', block: '3' })).toBe('Lot 15, Block 3')
+    expect(describeLot({ description: 'Mill pond' })).toBe('Mill pond')
+  })
+})
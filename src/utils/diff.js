@@ -0,0 +1,106 @@
+/**
+ * Word-level text diff for comparing transcription revisions
+ * Uses Myers' O((N+M)D) algorithm so long, mostly-similar transcriptions diff quickly
+ */
+
+// Words and the whitespace between them are separate tokens so line breaks survive the diff
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(Boolean)
+
+// Beyond this many edits the texts are effectively unrelated; report a full replacement
+// instead of keeping a trace that grows with edits x length
+const MAX_EDIT_DISTANCE = 1000
+
+/**
+ * Shortest edit script between two token arrays, as a list of [type, token] pairs
+ */
+const myers = (a, b) => {
+  const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Array(2 * max + 3).fill(0)
+  const trace = []
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, a, b, offset)
+      }
+    }
+  }
+
+  return [
+    ...a.map(token => ['delete', token]),
+    ...b.map(token => ['insert', token])
+  ]
+}
+
+const backtrack = (trace, a, b, offset) => {
+  const edits = []
+  let x = a.length
+  let y = b.length
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d]
+    const k = x - y
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1
+    const prevX = v[offset + prevK]
+    const prevY = prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      edits.push(['equal', a[--x]])
+      y--
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push(['insert', b[--y]])
+      } else {
+        edits.push(['delete', a[--x]])
+      }
+    }
+  }
+
+  return edits.reverse()
+}
+
+/**
+ * Diff two texts word by word.
+ * Returns segments of { type: 'equal' | 'insert' | 'delete', text } with adjacent segments of the same type merged.
+ */
+export const diffWords = (oldText, newText) => {
+  const segments = []
+
+  myers(tokenize(oldText), tokenize(newText)).forEach(([type, token]) => {
+    const last = segments[segments.length - 1]
+    if (last && last.type === type) {
+      last.text += token
+    } else {
+      segments.push({ type, text: token })
+    }
+  })
+
+  return segments
+}
+
+/**
+ * Count inserted and deleted words, ignoring whitespace-only changes
+ */
+export const summarizeDiff = (segments) => {
+  const summary = { added: 0, removed: 0 }
+
+  segments.forEach(segment => {
+    const words = segment.text.split(/\s+/).filter(Boolean).length
+    if (segment.type === 'insert') summary.added += words
+    if (segment.type === 'delete') summary.removed += words
+  })
+
+  return summary
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { diffWords, summarizeDiff } from './diff'
+
+const rebuild = (segments, skip) => segments.filter(segment => segment.type !== skip).map(segment => segment.text).join('')
+
+describe('diffWords', () => {
+  it('marks a corrected word as deleted and inserted', () => {
+    expect(diffWords('John Smlth, laborer', 'John Smith, laborer')).toEqual([
+      { type: 'equal', text: 'John ' },
+      { type: 'delete', text: 'Smlth,' },
+      { type: 'insert', text: 'Smith,' },
+      { type: 'equal', text: ' laborer' }
+    ])
+  })
+
+  it('rebuilds both texts from the segments, line breaks included', () => {
+    const oldText = 'Smith, John - Age 35\nOccupation: Factory Worker'
+    const newText = 'Smith, John - Age 36\nOccupation: Mill Worker\nWard 3'
+    const segments = diffWords(oldText, newText)
+
+    expect(rebuild(segments, 'insert')).toBe(oldText)
+    expect(rebuild(segments, 'delete')).toBe(newText)
+  })
+
+  it('handles empty texts', () => {
+    expect(diffWords('', '')).toEqual([])
+    expect(diffWords(null, 'New text')).toEqual([{ type: 'insert', text: 'New text' }])
+    expect(diffWords('Old text', undefined)).toEqual([{ type: 'delete', text: 'Old text' }])
+  })
+
+  it('reports unrelated long texts as a full replacement', () => {
+    const oldText = Array.from({ length: 800 }, (_, i) => `old${i}`).join(' ')
+    const newText = Array.from({ length: 800 }, (_, i) => `new${i}`).join(' ')
+    const segments = diffWords(oldText, newText)
+
+    expect(segments.map(segment => segment.type)).toEqual(['delete', 'insert'])
+    expect(rebuild(segments, 'insert')).toBe(oldText)
+  })
+})
+
+describe('summarizeDiff', () => {
+  it('counts words added and removed, ignoring whitespace changes', () => {
+    const segments = diffWords('Thomas  Brown, witness', 'Thomas Brown, Sarah Wilson, witnesses')
+    expect(summarizeDiff(segments)).toEqual({ added: 3, removed: 1 })
+  })
+})
@@ -0,0 +1,114 @@
+/**
+ * Force-directed graph layout (Fruchterman-Reingold)
+ * Connected nodes pull together, all nodes push apart, and the layout cools until it settles.
+ * Deterministic: nodes start on a circle in input order, so the same graph always lays out the same.
+ */
+
+// Pull towards the centre, which keeps disconnected groups from drifting apart
+const GRAVITY = 0.05
+
+const DEFAULT_OPTIONS = {
+  width: 800,
+  height: 600,
+  iterations: 300,
+  padding: 40
+}
+
+/**
+ * Position nodes ({ id }) joined by edges ({ source, target }).
+ * Returns a map of node id to { x, y } within width x height.
+ */
+export const runForceLayout = (nodes, edges, options = {}) => {
+  const { width, height, iterations, padding } = { ...DEFAULT_OPTIONS, ...options }
+  const positions = new Map()
+  if (nodes.length === 0) return positions
+
+  const area = (width - padding * 2) * (height - padding * 2)
+  const k = Math.sqrt(area / nodes.length)
+  const radius = Math.min(width, height) / 2 - padding
+
+  const points = nodes.map((node, index) => {
+    const angle = (2 * Math.PI * index) / nodes.length
+    return { id: node.id, x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle), dx: 0, dy: 0 }
+  })
+  const byId = new Map(points.map(point => [point.id, point]))
+  const springs = edges
+    .map(edge => [byId.get(edge.source), byId.get(edge.target)])
+    .filter(([a, b]) => a && b && a !== b)
+
+  let temperature = width / 10
+  const cooling = temperature / (iterations + 1)
+
+  for (let step = 0; step < iterations; step++) {
+    points.forEach(point => {
+      point.dx = 0
+      point.dy = 0
+    })
+
+    // Every pair repels
+    for (let i = 0; i < points.length; i++) {
+      for (let j = i + 1; j < points.length; j++) {
+        const a = points[i]
+        const b = points[j]
+        let dx = a.x - b.x
+        let dy = a.y - b.y
+        // Nodes on top of each other are nudged apart along a fixed direction
+        if (dx === 0 && dy === 0) {
+          dx = 0.1 * (i - j)
+          dy = 0.1
+        }
+        const distance = Math.sqrt(dx * dx + dy * dy)
+        const force = (k * k) / distance
+        a.dx += (dx / distance) * force
+        a.dy += (dy / distance) * force
+        b.dx -= (dx / distance) * force
+        b.dy -= (dy / distance) * force
+      }
+    }
+
+    // Edges attract
+    springs.forEach(([a, b]) => {
+      const dx = a.x - b.x
+      const dy = a.y - b.y
+      const distance = Math.sqrt(dx * dx + dy * dy) || 0.01
+      const force = (distance * distance) / k
+      a.dx -= (dx / distance) * force
+      a.dy -= (dy / distance) * force
+      b.dx += (dx / distance) * force
+      b.dy += (dy / distance) * force
+    })
+
+    points.forEach(point => {
+      point.dx -= (point.x - width / 2) * GRAVITY
+      point.dy -= (point.y - height / 2) * GRAVITY
+
+      const displacement = Math.sqrt(point.dx * point.dx + point.dy * point.dy) || 1
+      const limited = Math.min(displacement, temperature)
+      point.x += (point.dx / displacement) * limited
+      point.y += (point.dy / displacement) * limited
+    })
+
+    temperature -= cooling
+  }
+
+  // Scale the settled layout to fit inside the padding, keeping its proportions
+  const xs = points.map(point => point.x)
+  const ys = points.map(point => point.y)
+  const minX = Math.min(...xs)
+  const minY = Math.min(...ys)
+  const spanX = Math.max(...xs) - minX
+  const spanY = Math.max(...ys) - minY
+  const scale = Math.min(
+    spanX ? (width - padding * 2) / spanX : Infinity,
+    spanY ? (height - padding * 2) / spanY : Infinity,
+    1
+  )
+  const offsetX = (width - spanX * scale) / 2
+  const offsetY = (height - spanY * scale) / 2
+
+  points.forEach(point => positions.set(point.id, {
+    x: offsetX + (point.x - minX) * scale,
+    y: offsetY + (point.y - minY) * scale
+  }))
+  return positions
+}
@@ -0,0 +1,165 @@
+/**
+ * Georeferencing: fit a transform from a scanned map's pixels to map coordinates using
+ * ground control points, each pairing a spot on the scan with the same spot on the modern map.
+ * Affine (shift, scale, rotate, shear) needs 3 points; projective also corrects a scan that was
+ * photographed at an angle and needs 4. Extra points are fitted by least squares.
+ */
+
+export const TRANSFORMATIONS = {
+  AFFINE: 'affine',
+  PROJECTIVE: 'projective'
+}
+
+export const MIN_CONTROL_POINTS = {
+  [TRANSFORMATIONS.AFFINE]: 3,
+  [TRANSFORMATIONS.PROJECTIVE]: 4
+}
+
+/**
+ * Solve the square system a·x = b by Gaussian elimination with partial pivoting.
+ * Returns null when the system is singular, e.g. control points all on one line.
+ */
+const solveLinear = (a, b) => {
+  const n = b.length
+  const rows = a.map((row, i) => [...row, b[i]])
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) pivot = row
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-12) return null
+    const swap = rows[col]
+    rows[col] = rows[pivot]
+    rows[pivot] = swap
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = rows[row][col] / rows[col][col]
+      for (let k = col; k <= n; k++) rows[row][k] -= factor * rows[col][k]
+    }
+  }
+
+  const x = new Array(n).fill(0)
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = rows[row][n]
+    for (let k = row + 1; k < n; k++) sum -= rows[row][k] * x[k]
+    x[row] = sum / rows[row][row]
+  }
+  return x
+}
+
+/**
+ * Least-squares solution of an overdetermined system through its normal equations
+ */
+const leastSquares = (equations, values) => {
+  const size = equations[0].length
+  const ata = Array.from({ length: size }, () => new Array(size).fill(0))
+  const atb = new Array(size).fill(0)
+
+  equations.forEach((equation, index) => {
+    for (let i = 0; i < size; i++) {
+      atb[i] += equation[i] * values[index]
+      for (let j = 0; j < size; j++) ata[i][j] += equation[i] * equation[j]
+    }
+  })
+  return solveLinear(ata, atb)
+}
+
+// Points are scaled to about unit size before solving, which keeps the normal equations well conditioned
+const normalizer = (points) => {
+  const cx = points.reduce((sum, [x]) => sum + x, 0) / points.length
+  const cy = points.reduce((sum, [, y]) => sum + y, 0) / points.length
+  const spread = points.reduce((sum, [x, y]) => sum + Math.hypot(x - cx, y - cy), 0) / points.length || 1
+  const s = 1 / spread
+  return [[s, 0, -s * cx], [0, s, -s * cy], [0, 0, 1]]
+}
+
+const multiply = (a, b) => a.map(row => [0, 1, 2].map(j => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]))
+
+const invert = (m) => {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g)
+  if (Math.abs(det) < 1e-15) return null
+  return [
+    [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+    [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+    [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+  ]
+}
+
+/**
+ * Map a point through a 3x3 transform matrix
+ */
+export const applyTransform = (matrix, [x, y]) => {
+  const w = matrix[2][0] * x + matrix[2][1] * y + matrix[2][2]
+  return [
+    (matrix[0][0] * x + matrix[0][1] * y + matrix[0][2]) / w,
+    (matrix[1][0] * x + matrix[1][1] * y + matrix[1][2]) / w
+  ]
+}
+
+const fitNormalized = (from, to, transformation) => {
+  if (transformation === TRANSFORMATIONS.AFFINE) {
+    const equations = from.map(([x, y]) => [x, y, 1])
+    const xRow = leastSquares(equations, to.map(([x]) => x))
+    const yRow = leastSquares(equations, to.map(([, y]) => y))
+    return xRow && yRow ? [xRow, yRow, [0, 0, 1]] : null
+  }
+
+  // Projective: X = (h0·x + h1·y + h2) / (h6·x + h7·y + 1), and likewise for Y
+  const equations = []
+  const values = []
+  from.forEach(([x, y], index) => {
+    const [X, Y] = to[index]
+    equations.push([x, y, 1, 0, 0, 0, -x * X, -y * X])
+    values.push(X)
+    equations.push([0, 0, 0, x, y, 1, -x * Y, -y * Y])
+    values.push(Y)
+  })
+  const h = leastSquares(equations, values)
+  return h ? [[h[0], h[1], h[2]], [h[3], h[4], h[5]], [h[6], h[7], 1]] : null
+}
+
+/**
+ * Fit a transform taking each pair's `from` point to its `to` point.
+ * Projective falls back to affine when there are too few points for it.
+ * Returns { transformation, matrix, residuals, rmsError } or null when the points cannot define one.
+ */
+export const fitTransform = (pairs, transformation = TRANSFORMATIONS.AFFINE) => {
+  const type = transformation === TRANSFORMATIONS.PROJECTIVE && pairs.length >= MIN_CONTROL_POINTS[TRANSFORMATIONS.PROJECTIVE]
+    ? TRANSFORMATIONS.PROJECTIVE
+    : TRANSFORMATIONS.AFFINE
+  if (pairs.length < MIN_CONTROL_POINTS[type]) return null
+
+  const from = pairs.map(pair => pair.from)
+  const to = pairs.map(pair => pair.to)
+  const fromNorm = normalizer(from)
+  const toNorm = normalizer(to)
+  const toDenorm = invert(toNorm)
+
+  const normalized = fitNormalized(
+    from.map(point => applyTransform(fromNorm, point)),
+    to.map(point => applyTransform(toNorm, point)),
+    type
+  )
+  if (!normalized || !toDenorm) return null
+
+  const matrix = multiply(multiply(toDenorm, normalized), fromNorm)
+  if (!matrix.flat().every(Number.isFinite)) return null
+
+  const residuals = pairs.map(pair => {
+    const [x, y] = applyTransform(matrix, pair.from)
+    return Math.hypot(x - pair.to[0], y - pair.to[1])
+  })
+  const rmsError = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length)
+
+  return { transformation: type, matrix, residuals, rmsError }
+}
+
+/**
+ * CSS matrix3d() for a 3x3 transform, applied to an element with transform-origin 0 0
+ */
+export const toCssMatrix3d = (matrix) => {
+  const [[a, b, c], [d, e, f], [g, h, i]] = matrix
+  return `matrix3d(${[a, d, 0, g, b, e, 0, h, 0, 0, 1, 0, c, f, 0, i].join(',')})`
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { fitTransform, applyTransform, toCssMatrix3d, TRANSFORMATIONS } from './georeference'
+
+// Scan pixels -> map coordinates: scaled, rotated 30° and shifted
+const affine = ([x, y]) => {
+  const angle = Math.PI / 6
+  return [
+    2 * (x * Math.cos(angle) - y * Math.sin(angle)) + 500,
+    2 * (x * Math.sin(angle) + y * Math.cos(angle)) - 200
+  ]
+}
+
+// A scan photographed at an angle
+const projective = ([x, y]) => {
+  const w = 0.0004 * x + 0.0002 * y + 1
+  return [(1.5 * x + 0.2 * y + 10) / w, (0.1 * x + 1.2 * y + 20) / w]
+}
+
+const pairsFor = (points, transform) => points.map(from => ({ from, to: transform(from) }))
+
+const CORNERS = [[0, 0], [1000, 0], [1000, 800], [0, 800]]
+
+describe('fitTransform', () => {
+  it('recovers an affine transform exactly from three points', () => {
+    const fit = fitTransform(pairsFor(CORNERS.slice(0, 3), affine))
+
+    expect(fit.transformation).toBe(TRANSFORMATIONS.AFFINE)
+    expect(fit.rmsError).toBeLessThan(1e-6)
+    const [x, y] = applyTransform(fit.matrix, [400, 300])
+    expect(x).toBeCloseTo(affine([400, 300])[0], 6)
+    expect(y).toBeCloseTo(affine([400, 300])[1], 6)
+  })
+
+  it('fits extra points by least squares and reports each point\'s residual', () => {
+    const pairs = pairsFor([...CORNERS, [500, 400]], affine)
+    // One control point placed 10 units off
+    pairs[4] = { ...pairs[4], to: [pairs[4].to[0] + 10, pairs[4].to[1]] }
+
+    const fit = fitTransform(pairs)
+    expect(fit.residuals).toHaveLength(5)
+    expect(fit.residuals[4]).toBe(Math.max(...fit.residuals))
+    expect(fit.rmsError).toBeGreaterThan(0)
+    // Least squares spreads the error: the sum of squared residuals is below the 100 of ignoring the point
+    expect(fit.residuals.reduce((sum, r) => sum + r * r, 0)).toBeLessThan(100)
+  })
+
+  it('recovers a projective transform from four points', () => {
+    const fit = fitTransform(pairsFor(CORNERS, projective), TRANSFORMATIONS.PROJECTIVE)
+
+    expect(fit.transformation).toBe(TRANSFORMATIONS.PROJECTIVE)
+    const [x, y] = applyTransform(fit.matrix, [250, 600])
+    expect(x).toBeCloseTo(projective([250, 600])[0], 4)
+    expect(y).toBeCloseTo(projective([250, 600])[1], 4)
+  })
+
+  it('falls back to affine when there are too few points for projective', () => {
+    expect(fitTransform(pairsFor(CORNERS.slice(0, 3), affine), TRANSFORMATIONS.PROJECTIVE).transformation)
+      .toBe(TRANSFORMATIONS.AFFINE)
+  })
+
+  it('returns null for too few or collinear points', () => {
+    expect(fitTransform(pairsFor(CORNERS.slice(0, 2), affine))).toBeNull()
+    expect(fitTransform(pairsFor([[0, 0], [100, 100], [200, 200]], affine))).toBeNull()
+  })
+})
+
+describe('toCssMatrix3d', () => {
+  it('lays a 3x3 matrix out in column-major matrix3d order', () => {
+    expect(toCssMatrix3d([[1, 2, 3], [4, 5, 6], [7, 8, 9]]))
+      .toBe('matrix3d(1,4,0,7,2,5,0,8,0,0,1,0,3,6,0,9)')
+  })
+})
@@ -0,0 +1,186 @@
+/**
+ * Relationship graph of a collection: documents, events and people as nodes; document links,
+ * event associations and people's appearances as edges
+ */
+
+import { getRecordYear } from './people'
+import { getEventYear } from './historicalDate'
+
+export const NODE_TYPES = {
+  DOCUMENT: 'document',
+  EVENT: 'event',
+  PERSON: 'person'
+}
+
+export const EDGE_TYPES = {
+  LINK: 'link',
+  EVENT: 'event',
+  APPEARANCE: 'appearance'
+}
+
+const nodeId = (type, id) => `${type}:${id}`
+
+/**
+ * The year a document is about: its record date, or when it was uploaded
+ */
+export const getDocumentYear = (document) =>
+  getRecordYear(document) ?? (document.uploadDate ? new Date(document.uploadDate).getFullYear() : null)
+
+const inYearRange = (year, { yearFrom, yearTo }) =>
+  (!yearFrom || (year !== null && year >= Number(yearFrom))) &&
+  (!yearTo || (year !== null && year <= Number(yearTo)))
+
+/**
+ * The most common link type among a document's links, used to colour its node
+ */
+const dominantLinkType = (documentLinks) => {
+  const counts = {}
+  documentLinks.forEach(link => {
+    counts[link.linkType] = (counts[link.linkType] || 0) + 1
+  })
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null
+}
+
+/**
+ * Build { nodes, edges } from the collection, applying filters:
+ * theme (event theme or document tag), source (document archive), yearFrom and yearTo.
+ * When any filter is set, events and people with nothing left to connect to are left out.
+ */
+export const buildGraph = ({ documents = [], events = [], links = [], people = [] }, filters = {}) => {
+  const { theme, source } = filters
+  const filtering = Boolean(theme || source || filters.yearFrom || filters.yearTo)
+
+  const themeEvents = theme ? events.filter(event => event.themeTag === theme) : events
+  const themeDocumentIds = new Set(themeEvents.flatMap(event => event.associatedDocuments || []))
+
+  const visibleDocuments = documents.filter(doc =>
+    (!theme || themeDocumentIds.has(doc.documentId) || doc.tags?.includes(theme)) &&
+    (!source || (doc.metadata?.source || 'Unknown') === source) &&
+    inYearRange(getDocumentYear(doc), filters))
+  const documentIds = new Set(visibleDocuments.map(doc => doc.documentId))
+
+  const visibleEvents = themeEvents.filter(event =>
+    inYearRange(getEventYear(event), filters))
+
+  const edges = []
+
+  links.forEach(link => {
+    const [first, ...others] = link.documentIds.filter(id => documentIds.has(id))
+    others.forEach(other => edges.push({
+      id: `${link.linkId}:${other}`,
+      source: nodeId(NODE_TYPES.DOCUMENT, first),
+      target: nodeId(NODE_TYPES.DOCUMENT, other),
+      type: EDGE_TYPES.LINK,
+      linkType: link.linkType,
+      label: link.description
+    }))
+  })
+
+  visibleEvents.forEach(event => {
+    const associated = (event.associatedDocuments || []).filter(id => documentIds.has(id))
+    associated.forEach(id => edges.push({
+      id: `${event.eventId}:${id}`,
+      source: nodeId(NODE_TYPES.EVENT, event.eventId),
+      target: nodeId(NODE_TYPES.DOCUMENT, id),
+      type: EDGE_TYPES.EVENT
+    }))
+
+    const attendees = event.personIds || []
+    attendees.forEach(personId => edges.push({
+      id: `${event.eventId}:${personId}`,
+      source: nodeId(NODE_TYPES.EVENT, event.eventId),
+      target: nodeId(NODE_TYPES.PERSON, personId),
+      type: EDGE_TYPES.EVENT
+    }))
+  })
+
+  people.forEach(person => {
+    const cited = new Set((person.citations || []).map(citation => citation.documentId))
+    cited.forEach(id => {
+      if (documentIds.has(id)) {
+        edges.push({
+          id: `${person.personId}:${id}`,
+          source: nodeId(NODE_TYPES.PERSON, person.personId),
+          target: nodeId(NODE_TYPES.DOCUMENT, id),
+          type: EDGE_TYPES.APPEARANCE
+        })
+      }
+    })
+  })
+
+  const nodes = [
+    ...visibleDocuments.map(doc => ({
+      id: nodeId(NODE_TYPES.DOCUMENT, doc.documentId),
+      type: NODE_TYPES.DOCUMENT,
+      label: doc.fileName,
+      year: getDocumentYear(doc),
+      linkType: dominantLinkType(links.filter(link => link.documentIds.includes(doc.documentId))),
+      record: doc
+    })),
+    ...visibleEvents.map(event => ({
+      id: nodeId(NODE_TYPES.EVENT, event.eventId),
+      type: NODE_TYPES.EVENT,
+      label: event.title,
+      year: getEventYear(event),
+      record: event
+    })),
+    ...people.map(person => ({
+      id: nodeId(NODE_TYPES.PERSON, person.personId),
+      type: NODE_TYPES.PERSON,
+      label: person.name,
+      record: person
+    }))
+  ]
+
+  // Edges to people or events that were filtered out go too
+  const nodeIds = new Set(nodes.map(node => node.id))
+  const keptEdges = edges.filter(edge => nodeIds.has(edge.source) && nodeIds.has(edge.target))
+
+  const connected = new Set(keptEdges.flatMap(edge => [edge.source, edge.target]))
+  const keptNodes = nodes.filter(node =>
+    node.type === NODE_TYPES.DOCUMENT || !filtering || connected.has(node.id))
+
+  return { nodes: keptNodes, edges: keptEdges }
+}
+
+/**
+ * Shortest path between two nodes by breadth-first search.
+ * Returns { nodeIds, edgeIds } or null when they are not connected.
+ */
+export const findShortestPath = ({ edges }, fromId, toId) => {
+  if (fromId === toId) return { nodeIds: [fromId], edgeIds: [] }
+
+  const adjacent = new Map()
+  edges.forEach(edge => {
+    if (!adjacent.has(edge.source)) adjacent.set(edge.source, [])
+    if (!adjacent.has(edge.target)) adjacent.set(edge.target, [])
+    adjacent.get(edge.source).push([edge.target, edge.id])
+    adjacent.get(edge.target).push([edge.source, edge.id])
+  })
+
+  const previous = new Map([[fromId, null]])
+  const queue = [fromId]
+
+  while (queue.length) {
+    const current = queue.shift()
+    if (current === toId) break
+    for (const [next, edgeId] of adjacent.get(current) || []) {
+      if (!previous.has(next)) {
+        previous.set(next, [current, edgeId])
+        queue.push(next)
+      }
+    }
+  }
+
+  if (!previous.has(toId)) return null
+
+  const nodeIds = [toId]
+  const edgeIds = []
+  let step = previous.get(toId)
+  while (step) {
+    nodeIds.unshift(step[0])
+    edgeIds.unshift(step[1])
+    step = previous.get(step[0])
+  }
+  return { nodeIds, edgeIds }
+}
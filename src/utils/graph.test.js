@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest'
+import { buildGraph, findShortestPath, getDocumentYear, NODE_TYPES, EDGE_TYPES } from './graph'
+
+const census = { documentId: 'census', fileName: 'census-1920.pdf', date: '1920', metadata: { source: 'National Archives' } }
+const manifest = { documentId: 'manifest', fileName: 'manifest.pdf', date: '1905', metadata: { source: 'Ellis Island' } }
+const deed = { documentId: 'deed', fileName: 'deed.pdf', uploadDate: '2024-03-01T00:00:00.000Z', tags: ['property'] }
+
+const collection = {
+  documents: [census, manifest, deed],
+  events: [
+    { eventId: 'arrival', title: 'Arrival', date: '1905', themeTag: 'immigration', associatedDocuments: ['manifest'], personIds: ['john'] },
+    { eventId: 'fire', title: 'Mill fire', date: '1931', themeTag: 'industry', associatedDocuments: ['census'] }
+  ],
+  links: [
+    { linkId: 'link_1', documentIds: ['census', 'manifest'], linkType: 'person', description: 'John Smith' },
+    { linkId: 'link_2', documentIds: ['census', 'deed'], linkType: 'property' },
+    { linkId: 'link_3', documentIds: ['census', 'deed'], linkType: 'property' }
+  ],
+  people: [
+    { personId: 'john', name: 'John Smith', citations: [{ documentId: 'census' }, { documentId: 'census' }] },
+    { personId: 'mary', name: 'Mary Smith', citations: [] }
+  ]
+}
+
+const ids = (items) => items.map(item => item.id).sort()
+
+describe('graph', () => {
+  it('dates documents by their record, or by upload when they have none', () => {
+    expect(getDocumentYear(census)).toBe(1920)
+    expect(getDocumentYear(deed)).toBe(2024)
+    expect(getDocumentYear({ documentId: 'blank' })).toBeNull()
+  })
+
+  it('joins documents, events and people', () => {
+    const { nodes, edges } = buildGraph(collection)
+
+    expect(ids(nodes)).toEqual([
+      'document:census', 'document:deed', 'document:manifest',
+      'event:arrival', 'event:fire',
+      'person:john', 'person:mary'
+    ])
+    expect(edges.filter(edge => edge.type === EDGE_TYPES.LINK).map(edge => [edge.source, edge.target])).toEqual([
+      ['document:census', 'document:manifest'],
+      ['document:census', 'document:deed'],
+      ['document:census', 'document:deed']
+    ])
+    expect(ids(edges.filter(edge => edge.type === EDGE_TYPES.EVENT))).toEqual(['arrival:john', 'arrival:manifest', 'fire:census'])
+    // Cited twice in the census, joined once
+    expect(ids(edges.filter(edge => edge.type === EDGE_TYPES.APPEARANCE))).toEqual(['john:census'])
+  })
+
+  it('colours a document by its most common link type', () => {
+    const { nodes } = buildGraph(collection)
+    const byId = Object.fromEntries(nodes.map(node => [node.id, node]))
+
+    expect(byId['document:census']).toMatchObject({ type: NODE_TYPES.DOCUMENT, linkType: 'property', year: 1920 })
+    expect(byId['document:manifest'].linkType).toBe('person')
+  })
+
+  it('filters by theme, leaving out what has nothing to connect to', () => {
+    const { nodes, edges } = buildGraph(collection, { theme: 'immigration' })
+
+    expect(ids(nodes)).toEqual(['document:manifest', 'event:arrival', 'person:john'])
+    expect(ids(edges)).toEqual(['arrival:john', 'arrival:manifest'])
+  })
+
+  it('counts tagged documents as part of a theme', () => {
+    const { nodes } = buildGraph(collection, { theme: 'property' })
+    expect(ids(nodes)).toEqual(['document:deed'])
+  })
+
+  it('filters by source and years', () => {
+    // The arrival and John still connect to each other
+    expect(ids(buildGraph(collection, { source: 'Unknown' }).nodes)).toEqual(['document:deed', 'event:arrival', 'person:john'])
+    expect(ids(buildGraph(collection, { yearFrom: '1910', yearTo: '1935' }).nodes))
+      .toEqual(['document:census', 'event:fire', 'person:john'])
+  })
+
+  it('finds the shortest path between two nodes', () => {
+    const graph = buildGraph(collection)
+
+    expect(findShortestPath(graph, 'person:john', 'document:deed')).toEqual({
+      nodeIds: ['person:john', 'document:census', 'document:deed'],
+      edgeIds: ['john:census', 'link_2:deed']
+    })
+    expect(findShortestPath(graph, 'event:arrival', 'event:arrival')).toEqual({ nodeIds: ['event:arrival'], edgeIds: [] })
+    expect(findShortestPath(graph, 'person:mary', 'document:deed')).toBeNull()
+  })
+})
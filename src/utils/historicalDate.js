@@ -0,0 +1,390 @@
+/**
+ * Historical dates as researchers write them
+ * "1905-04-15", "April 1905", "c. 1905", "1910s", "early 1920s", "before 1920", "after 1890" and
+ * "between 1905 and 1910" are read into the earliest and latest days they could mean. An event
+ * keeps the text as written in `dateText`, and in `date` an ISO day in the middle of that span,
+ * which sorts it. Filtering reads the span itself (getEventSpan). `endDate` and `endDateText` do the
+ * same for the end of an event that spans time.
+ * A decade ending in 00 is ambiguous: "1900s" may mean 1900–1909 or the whole century, so it is
+ * read as the century, which covers both, and "early 1900s" as its first third. Write the decade
+ * as a range, "1900–1909", to mean just those years.
+ */
+
+export const DATE_QUALIFIERS = {
+  EXACT: 'exact',
+  CIRCA: 'circa',
+  BEFORE: 'before',
+  AFTER: 'after',
+  BETWEEN: 'between'
+}
+
+export const DATE_PRECISIONS = {
+  DAY: 'day',
+  MONTH: 'month',
+  YEAR: 'year',
+  DECADE: 'decade',
+  CENTURY: 'century'
+}
+
+// "c. 1905" is read as anywhere from 1900 to 1910
+export const CIRCA_YEARS = 5
+
+const DAY = 24 * 60 * 60 * 1000
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december']
+
+const QUALIFIER_PATTERNS = [
+  [DATE_QUALIFIERS.CIRCA, /^(?:circa|ca\.?|c\.|c(?=\s)|about|abt\.?|approx(?:\.|imately)?|around|~)\s*/],
+  [DATE_QUALIFIERS.BEFORE, /^(?:before|bef\.?|by)\s+/],
+  [DATE_QUALIFIERS.AFTER, /^(?:after|aft\.?|since)\s+/]
+]
+
+// Which years of a decade "early", "mid" and "late" cover
+const DECADE_PARTS = { early: [0, 3], mid: [3, 6], late: [6, 9] }
+
+// And of a century, for "1900s" read as one
+const CENTURY_PARTS = { early: [0, 33], mid: [33, 66], late: [66, 99] }
+
+// Month and day overflow against the real year, so day 0 of March 1905 is February 28th;
+// setUTCFullYear also keeps years below 100 from being read as 19xx
+const utc = (year, month = 0, day = 1) => {
+  const date = new Date(0)
+  date.setUTCFullYear(year, month, day)
+  return date
+}
+
+const toIso = (date) => date.toISOString().slice(0, 10)
+
+const addDays = (iso, days) => toIso(new Date(Date.parse(iso) + days * DAY))
+
+const lookupMonth = (name) => {
+  const word = name.toLowerCase().replace(/\.$/, '')
+  if (word.length < 3) return -1
+  return MONTHS.findIndex(month => month.startsWith(word))
+}
+
+// A real day: no 31st of April
+const dayOf = (year, month, day) => {
+  if (month < 0 || month > 11 || day < 1) return null
+  const date = utc(year, month, day)
+  return date.getUTCMonth() === month ? toIso(date) : null
+}
+
+const yearSpan = (first, last, precision) => ({
+  earliest: toIso(utc(first)),
+  latest: toIso(utc(last, 11, 31)),
+  precision
+})
+
+const monthSpan = (year, month) => {
+  const earliest = dayOf(year, month, 1)
+  return earliest && { earliest, latest: toIso(utc(year, month + 1, 0)), precision: DATE_PRECISIONS.MONTH }
+}
+
+const daySpan = (year, month, day) => {
+  const iso = dayOf(year, month, day)
+  return iso && { earliest: iso, latest: iso, precision: DATE_PRECISIONS.DAY }
+}
+
+/**
+ * The span of a date without a qualifier, or null when it is not a date
+ */
+const parseSpan = (text) => {
+  let match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/)
+  if (match) {
+    const year = Number(match[1])
+    if (match[3]) return daySpan(year, Number(match[2]) - 1, Number(match[3]))
+    if (match[2]) return monthSpan(year, Number(match[2]) - 1)
+    return yearSpan(year, year, DATE_PRECISIONS.YEAR)
+  }
+
+  match = text.match(/^(?:(early|mid|late)[\s-]+)?(\d{2}00)'?s$/)
+  if (match) {
+    const century = Number(match[2])
+    const [from, to] = match[1] ? CENTURY_PARTS[match[1]] : [0, 99]
+    return yearSpan(century + from, century + to, DATE_PRECISIONS.CENTURY)
+  }
+
+  match = text.match(/^(?:(early|mid|late)[\s-]+)?(\d{3}0)'?s$/)
+  if (match) {
+    const decade = Number(match[2])
+    const [from, to] = match[1] ? DECADE_PARTS[match[1]] : [0, 9]
+    return yearSpan(decade + from, decade + to, DATE_PRECISIONS.DECADE)
+  }
+
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)
+  if (match) return daySpan(Number(match[3]), Number(match[1]) - 1, Number(match[2]))
+
+  // April 15, 1905 / Apr. 15 1905
+  match = text.match(/^([a-z]+\.?)\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/)
+  if (match && lookupMonth(match[1]) >= 0) return daySpan(Number(match[3]), lookupMonth(match[1]), Number(match[2]))
+
+  // 15 April 1905 / 15th of April, 1905
+  match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]+\.?),?\s+(\d{4})$/)
+  if (match && lookupMonth(match[2]) >= 0) return daySpan(Number(match[3]), lookupMonth(match[2]), Number(match[1]))
+
+  // April 1905
+  match = text.match(/^([a-z]+\.?),?\s+(\d{4})$/)
+  if (match && lookupMonth(match[1]) >= 0) return monthSpan(Number(match[2]), lookupMonth(match[1]))
+
+  return null
+}
+
+const splitRange = (text) => {
+  const match = text.match(/^between\s+(.+?)\s+and\s+(.+)$/) ||
+    text.match(/^(.+?)\s*(?:–|—|\bto\b|-(?=\s*\d{4}$)|\s-\s)\s*(.+)$/)
+  return match ? [match[1], match[2]] : null
+}
+
+const midpoint = (earliest, latest) => {
+  if (!earliest || !latest) return earliest || latest
+  return toIso(new Date(Math.floor((Date.parse(earliest) + Date.parse(latest)) / 2 / DAY) * DAY))
+}
+
+/**
+ * Read a date as written. Returns { text, qualifier, precision, earliest, latest, sortKey, uncertain },
+ * with `earliest` or `latest` null for open-ended dates such as "before 1920", or null when the
+ * text is not a date.
+ */
+export const parseHistoricalDate = (input) => {
+  const text = typeof input === 'string' ? input.trim() : ''
+  if (!text) return null
+  const lower = text.toLowerCase().replace(/\s+/g, ' ')
+
+  let qualifier = DATE_QUALIFIERS.EXACT
+  let rest = lower
+  for (const [name, pattern] of QUALIFIER_PATTERNS) {
+    if (pattern.test(lower)) {
+      qualifier = name
+      rest = lower.replace(pattern, '')
+      break
+    }
+  }
+
+  let span = parseSpan(rest)
+  if (!span && qualifier === DATE_QUALIFIERS.EXACT) {
+    const range = splitRange(rest)
+    const first = range && parseSpan(range[0].trim())
+    const last = range && parseSpan(range[1].trim())
+    if (!first || !last || last.latest < first.earliest) return null
+    qualifier = DATE_QUALIFIERS.BETWEEN
+    span = { earliest: first.earliest, latest: last.latest, precision: first.precision }
+  }
+  if (!span) return null
+
+  let { earliest, latest } = span
+  if (qualifier === DATE_QUALIFIERS.CIRCA) {
+    earliest = toIso(utc(Number(earliest.slice(0, 4)) - CIRCA_YEARS))
+    latest = toIso(utc(Number(latest.slice(0, 4)) + CIRCA_YEARS, 11, 31))
+  } else if (qualifier === DATE_QUALIFIERS.BEFORE) {
+    latest = addDays(earliest, -1)
+    earliest = null
+  } else if (qualifier === DATE_QUALIFIERS.AFTER) {
+    earliest = addDays(latest, 1)
+    latest = null
+  }
+
+  return {
+    text,
+    qualifier,
+    precision: span.precision,
+    earliest,
+    latest,
+    sortKey: midpoint(earliest, latest),
+    uncertain: qualifier !== DATE_QUALIFIERS.EXACT || span.precision !== DATE_PRECISIONS.DAY
+  }
+}
+
+/**
+ * "April 15, 1905" for an exact ISO date, otherwise the date as it was written
+ */
+export const formatHistoricalDate = (parsed) => {
+  if (!parsed) return ''
+  if (parsed.qualifier !== DATE_QUALIFIERS.EXACT || !/^\d{4}(-\d{1,2}){0,2}$/.test(parsed.text)) return parsed.text
+
+  const [year, month, day] = parsed.earliest.split('-').map(Number)
+  const monthName = MONTHS[month - 1].charAt(0).toUpperCase() + MONTHS[month - 1].slice(1)
+  if (parsed.precision === DATE_PRECISIONS.DAY) return `${monthName} ${day}, ${year}`
+  if (parsed.precision === DATE_PRECISIONS.MONTH) return `${monthName} ${year}`
+  return String(year)
+}
+
+// How many days a date could fall on; open-ended dates count as the widest
+const spanDays = (parsed) => (parsed.earliest && parsed.latest
+  ? (Date.parse(parsed.latest) - Date.parse(parsed.earliest)) / DAY
+  : Infinity)
+
+/**
+ * Order dates by the middle of their spans. Where two share a middle the more certain comes first,
+ * so "1905-07-02" is listed before "1905" and "1905" before "c. 1905".
+ */
+export const compareHistoricalDates = (a, b) => {
+  if (!a || !b) return a ? -1 : b ? 1 : 0
+  return a.sortKey.localeCompare(b.sortKey) || (spanDays(a) - spanDays(b) || 0)
+}
+
+/**
+ * Whether two dates could fall in either order
+ */
+export const overlaps = (a, b) => Boolean(a && b) &&
+  (!a.earliest || !b.latest || a.earliest <= b.latest) &&
+  (!b.earliest || !a.latest || b.earliest <= a.latest)
+
+/**
+ * An event's start and end as parsed dates; `end` is null for events on a single date
+ */
+export const getEventDates = (event) => ({
+  start: parseHistoricalDate(event.dateText || event.date),
+  end: event.endDate ? parseHistoricalDate(event.endDateText || event.endDate) : null
+})
+
+/**
+ * The earliest and latest days an event could cover, from the start of its start date to the end of
+ * its end date; either is null when open-ended, and the span is null for an event without a date
+ */
+export const getEventSpan = (event) => {
+  const { start, end } = getEventDates(event)
+  return start ? { earliest: start.earliest, latest: (end || start).latest } : null
+}
+
+export const compareEvents = (a, b) => {
+  const first = getEventDates(a)
+  const second = getEventDates(b)
+  return compareHistoricalDates(first.start, second.start) ||
+    compareHistoricalDates(first.end || first.start, second.end || second.start)
+}
+
+export const formatEventDate = (event) => {
+  const { start, end } = getEventDates(event)
+  const text = formatHistoricalDate(start) || event.date || ''
+  return end ? `${text} – ${formatHistoricalDate(end)}` : text
+}
+
+/**
+ * The year an event is placed in, from its sort date
+ */
+export const getEventYear = (event) => {
+  const start = getEventDates(event).start
+  return start ? Number(start.sortKey.slice(0, 4)) : null
+}
+
+/**
+ * The date fields to save on an event from what was typed as its start and end.
+ * Returns { fields } or { error } when a date cannot be read or the end comes first.
+ */
+export const toEventDateFields = (startText, endText = '') => {
+  const start = parseHistoricalDate(startText)
+  if (!start) return { error: 'Enter a date such as 1905-04-15, April 1905, c. 1905, 1910s or before 1920.' }
+
+  const end = endText.trim() ? parseHistoricalDate(endText) : null
+  if (endText.trim() && !end) return { error: 'The end date could not be read.' }
+  if (end && end.latest && start.earliest && end.latest < start.earliest) {
+    return { error: 'The end date comes before the start.' }
+  }
+
+  const written = (parsed) => (parsed.text === parsed.sortKey ? null : parsed.text)
+  return {
+    fields: {
+      date: start.sortKey,
+      dateText: written(start),
+      endDate: end ? end.sortKey : null,
+      endDateText: end ? written(end) : null
+    }
+  }
+}
+
+/*
+ * Documents carry the date of the record itself in the same fields as events, apart from the day it
+ * was uploaded. `dateSource` says whether it was read from the text or entered by hand.
+ */
+export const DOCUMENT_DATE_SOURCES = {
+  OCR: 'ocr',
+  MANUAL: 'manual'
+}
+
+// Dates in a record that belong to the people named in it rather than to the record
+const LIFE_EVENT_LABELS = ['born', 'died', 'married', 'baptized', 'buried']
+
+/**
+ * The date a record was made among the dates found in its text (see entityService.extract): a
+ * deed's own date, otherwise its first date that is not someone's birth, death or marriage, as
+ * census headings, manifest headers and newspaper mastheads come first
+ */
+export const findRecordDate = (entities) => entities?.deed?.date ||
+  (entities?.dates || []).find(date => !LIFE_EVENT_LABELS.includes(date.label)) ||
+  null
+
+/**
+ * The date fields to save on a document whose text has just been read, from the date found in it.
+ * A date entered by hand is kept, so there are no fields for one.
+ */
+export const toDocumentDateFields = (document, entities) => {
+  if (document?.dateSource === DOCUMENT_DATE_SOURCES.MANUAL) return {}
+
+  const found = findRecordDate(entities)
+  const fields = found && toEventDateFields(found.iso).fields
+  return fields
+    ? { ...fields, dateSource: DOCUMENT_DATE_SOURCES.OCR }
+    : { date: null, dateText: null, endDate: null, endDateText: null, dateSource: null }
+}
+
+/**
+ * A document's record date as { start, end }, as for events. Documents read before record dates
+ * were kept fall back to the date found in their text.
+ */
+export const getDocumentDates = (document) => {
+  if (document?.date) return getEventDates(document)
+  const found = findRecordDate(document?.entities)
+  return { start: found ? parseHistoricalDate(found.iso) : null, end: null }
+}
+
+/**
+ * The earliest and latest days a document's record could date from, either open-ended, or null
+ * for an undated document
+ */
+export const getDocumentSpan = (document) => {
+  const { start, end } = getDocumentDates(document)
+  return start ? { earliest: start.earliest, latest: (end || start).latest } : null
+}
+
+/**
+ * Oldest record first; undated documents last
+ */
+export const compareDocuments = (a, b) => {
+  const first = getDocumentDates(a)
+  const second = getDocumentDates(b)
+  return compareHistoricalDates(first.start, second.start) ||
+    compareHistoricalDates(first.end || first.start, second.end || second.start)
+}
+
+export const formatDocumentDate = (document) => {
+  const { start, end } = getDocumentDates(document)
+  if (!start) return ''
+  return end ? `${formatHistoricalDate(start)} – ${formatHistoricalDate(end)}` : formatHistoricalDate(start)
+}
+
+export const getDocumentYear = (document) => {
+  const start = getDocumentDates(document).start
+  return start ? Number(start.sortKey.slice(0, 4)) : null
+}
+
+/**
+ * A date range to filter by from two dates as typed, such as "1880" and "1890s"; either may be
+ * left blank. Returns { range } of { earliest, latest }, null when both are blank, or { error }.
+ */
+export const toDateRange = (fromText = '', toText = '') => {
+  const from = fromText.trim() ? parseHistoricalDate(fromText) : null
+  const to = toText.trim() ? parseHistoricalDate(toText) : null
+  if (fromText.trim() && !from) return { error: `"${fromText.trim()}" could not be read as a date.` }
+  if (toText.trim() && !to) return { error: `"${toText.trim()}" could not be read as a date.` }
+  if (!from && !to) return { range: null }
+
+  const range = { earliest: from?.earliest ?? null, latest: to?.latest ?? null }
+  if (range.earliest && range.latest && range.latest < range.earliest) return { error: 'The range ends before it starts.' }
+  return { range }
+}
+
+/**
+ * Whether a document's record date could fall in a range from toDateRange; undated documents never do
+ */
+export const isDocumentInRange = (document, range) => !range || overlaps(getDocumentSpan(document), range)
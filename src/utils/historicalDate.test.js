@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseHistoricalDate,
+  formatHistoricalDate,
+  compareHistoricalDates,
+  toEventDateFields,
+  getEventSpan,
+  compareEvents,
+  formatEventDate,
+  findRecordDate,
+  toDocumentDateFields,
+  getDocumentSpan,
+  compareDocuments,
+  formatDocumentDate,
+  toDateRange,
+  isDocumentInRange,
+  DATE_QUALIFIERS,
+  DATE_PRECISIONS,
+  DOCUMENT_DATE_SOURCES
+} from './historicalDate'
+
+const span = (text) => {
+  const parsed = parseHistoricalDate(text)
+  return parsed && [parsed.earliest, parsed.latest]
+}
+
+describe('parseHistoricalDate', () => {
+  it.each([
+    ['1905-04-15', '1905-04-15', '1905-04-15'],
+    ['April 15, 1905', '1905-04-15', '1905-04-15'],
+    ['15th of April, 1905', '1905-04-15', '1905-04-15'],
+    ['4/15/1905', '1905-04-15', '1905-04-15'],
+    ['April 1905', '1905-04-01', '1905-04-30'],
+    ['1905-02', '1905-02-01', '1905-02-28'],
+    ['February 1904', '1904-02-01', '1904-02-29'],
+    ['1905', '1905-01-01', '1905-12-31'],
+    ['1910s', '1910-01-01', '1919-12-31'],
+    ["early 1920's", '1920-01-01', '1923-12-31'],
+    ['late 1880s', '1886-01-01', '1889-12-31'],
+    ['1900s', '1900-01-01', '1999-12-31'],
+    ["1800's", '1800-01-01', '1899-12-31'],
+    ['early 1900s', '1900-01-01', '1933-12-31'],
+    ['late 1700s', '1766-01-01', '1799-12-31'],
+    ['1900–1909', '1900-01-01', '1909-12-31'],
+    ['c. 1905', '1900-01-01', '1910-12-31'],
+    ['between 1905 and 1910', '1905-01-01', '1910-12-31'],
+    ['1905–1910', '1905-01-01', '1910-12-31']
+  ])('reads "%s" as %s to %s', (text, earliest, latest) => {
+    expect(span(text)).toEqual([earliest, latest])
+  })
+
+  it('leaves before and after dates open-ended', () => {
+    expect(span('before 1920')).toEqual([null, '1919-12-31'])
+    expect(span('after 1890')).toEqual(['1891-01-01', null])
+  })
+
+  it('notes the qualifier, precision and whether the date is uncertain', () => {
+    expect(parseHistoricalDate('1905-04-15')).toMatchObject({
+      qualifier: DATE_QUALIFIERS.EXACT, precision: DATE_PRECISIONS.DAY, uncertain: false, sortKey: '1905-04-15'
+    })
+    expect(parseHistoricalDate('abt 1905')).toMatchObject({
+      qualifier: DATE_QUALIFIERS.CIRCA, precision: DATE_PRECISIONS.YEAR, uncertain: true
+    })
+    expect(parseHistoricalDate('1905').sortKey).toBe('1905-07-02')
+  })
+
+  it('reads a decade ending in 00 as its century, as it may mean either', () => {
+    expect(parseHistoricalDate('1900s')).toMatchObject({ precision: DATE_PRECISIONS.CENTURY, uncertain: true })
+    expect(parseHistoricalDate('1910s').precision).toBe(DATE_PRECISIONS.DECADE)
+    expect(parseHistoricalDate('1900s').earliest <= parseHistoricalDate('1905').earliest).toBe(true)
+    expect(parseHistoricalDate('1900s').latest >= parseHistoricalDate('1950').latest).toBe(true)
+  })
+
+  it('rejects text that is not a date, impossible days and backwards ranges', () => {
+    expect(parseHistoricalDate('')).toBeNull()
+    expect(parseHistoricalDate('sometime')).toBeNull()
+    expect(parseHistoricalDate('April 31, 1905')).toBeNull()
+    expect(parseHistoricalDate('February 29, 1905')).toBeNull()
+    expect(parseHistoricalDate('between 1910 and 1905')).toBeNull()
+  })
+})
+
+describe('formatting and ordering', () => {
+  it('spells out exact ISO dates and keeps uncertain ones as written', () => {
+    expect(formatHistoricalDate(parseHistoricalDate('1905-04-15'))).toBe('April 15, 1905')
+    expect(formatHistoricalDate(parseHistoricalDate('1905-04'))).toBe('April 1905')
+    expect(formatHistoricalDate(parseHistoricalDate('c. 1905'))).toBe('c. 1905')
+  })
+
+  it('orders by the middle of each span, the more certain first', () => {
+    const dates = ['c. 1905', '1905', '1905-07-02', '1890s'].map(parseHistoricalDate)
+    expect(dates.sort(compareHistoricalDates).map(date => date.text)).toEqual(['1890s', '1905-07-02', '1905', 'c. 1905'])
+  })
+})
+
+describe('event dates', () => {
+  it('builds the fields saved on an event', () => {
+    expect(toEventDateFields('1910s', '1925')).toEqual({
+      fields: { date: '1914-12-31', dateText: '1910s', endDate: '1925-07-02', endDateText: '1925' }
+    })
+    expect(toEventDateFields('1905-04-15')).toEqual({
+      fields: { date: '1905-04-15', dateText: null, endDate: null, endDateText: null }
+    })
+  })
+
+  it('refuses dates it cannot read and ends before starts', () => {
+    expect(toEventDateFields('soon').error).toMatch(/^Enter a date/)
+    expect(toEventDateFields('1905', 'later').error).toBe('The end date could not be read.')
+    expect(toEventDateFields('1910', '1905').error).toBe('The end date comes before the start.')
+  })
+
+  it('spans an event from the start of its start date to the end of its end date', () => {
+    const event = { ...toEventDateFields('1910s', 'c. 1925').fields }
+    expect(getEventSpan(event)).toEqual({ earliest: '1910-01-01', latest: '1930-12-31' })
+    expect(formatEventDate(event)).toBe('1910s – c. 1925')
+    expect(getEventSpan({ title: 'Undated' })).toBeNull()
+  })
+
+  it('orders events by start, then by end', () => {
+    const events = [
+      { eventId: 'long', ...toEventDateFields('1905', '1920').fields },
+      { eventId: 'short', ...toEventDateFields('1905', '1906').fields },
+      { eventId: 'early', ...toEventDateFields('1890s').fields }
+    ]
+    expect(events.sort(compareEvents).map(event => event.eventId)).toEqual(['early', 'short', 'long'])
+  })
+})
+
+describe('document dates', () => {
+  const census = { entities: { dates: [{ iso: '1862-03-04', label: 'born' }, { iso: '1900-06-01' }] } }
+
+  it('takes the record date from a deed, or the first date that is not a life event', () => {
+    expect(findRecordDate({ deed: { date: { iso: '1887-05-02' } }, dates: [{ iso: '1850' }] })).toEqual({ iso: '1887-05-02' })
+    expect(findRecordDate(census.entities)).toEqual({ iso: '1900-06-01' })
+    expect(findRecordDate({ dates: [{ iso: '1862', label: 'born' }] })).toBeNull()
+    expect(findRecordDate(undefined)).toBeNull()
+  })
+
+  it('saves the date read from the text unless one was entered by hand', () => {
+    expect(toDocumentDateFields({}, census.entities)).toMatchObject({ date: '1900-06-01', dateSource: DOCUMENT_DATE_SOURCES.OCR })
+    expect(toDocumentDateFields({}, {})).toMatchObject({ date: null, dateSource: null })
+    expect(toDocumentDateFields({ dateSource: DOCUMENT_DATE_SOURCES.MANUAL }, census.entities)).toEqual({})
+  })
+
+  it('falls back to the date in the text for documents read before dates were kept', () => {
+    expect(getDocumentSpan(census)).toEqual({ earliest: '1900-06-01', latest: '1900-06-01' })
+    expect(getDocumentSpan({ ...toEventDateFields('1880s').fields, ...census })).toEqual({ earliest: '1880-01-01', latest: '1889-12-31' })
+    expect(formatDocumentDate({ ...toEventDateFields('1880', '1890s').fields })).toBe('1880 – 1890s')
+    expect(getDocumentSpan({})).toBeNull()
+  })
+
+  it('lists the oldest record first and undated ones last', () => {
+    const documents = [
+      { documentId: 'undated' },
+      { documentId: 'census', ...census },
+      { documentId: 'deed', ...toEventDateFields('c. 1885').fields }
+    ]
+    expect(documents.sort(compareDocuments).map(doc => doc.documentId)).toEqual(['deed', 'census', 'undated'])
+  })
+
+  it('filters by a range typed as dates, either end open', () => {
+    const { range } = toDateRange('1890s', '')
+    expect(range).toEqual({ earliest: '1890-01-01', latest: null })
+    expect(isDocumentInRange(census, range)).toBe(true)
+    expect(isDocumentInRange(census, toDateRange('', '1899').range)).toBe(false)
+    expect(isDocumentInRange({}, range)).toBe(false)
+    expect(isDocumentInRange({}, null)).toBe(true)
+  })
+
+  it('reads "1900s" in a range as the century', () => {
+    const { range } = toDateRange('1900s', '1900s')
+    expect(range).toEqual({ earliest: '1900-01-01', latest: '1999-12-31' })
+    expect(isDocumentInRange({ ...toEventDateFields('1925').fields }, range)).toBe(true)
+  })
+
+  it('explains dates it cannot read and backwards ranges', () => {
+    expect(toDateRange('', '')).toEqual({ range: null })
+    expect(toDateRange('someday', '')).toEqual({ error: '"someday" could not be read as a date.' })
+    expect(toDateRange('1900', '1890')).toEqual({ error: 'The range ends before it starts.' })
+  })
+})
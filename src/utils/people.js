@@ -0,0 +1,157 @@
+/**
+ * People registry helpers
+ * A person is built up from citations: each one points at the span of a document's text where
+ * they appear, together with what that record says about them (age, occupation, residence).
+ * Birth and death are estimated from those citations unless a researcher records them.
+ */
+
+import { apiService } from '../services/api'
+import { getDocumentYear } from './historicalDate'
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^\p{L}\s]/gu, '').replace(/\s+/g, ' ').trim()
+
+/**
+ * The year a record was made, from the document's record date (see getDocumentDates)
+ */
+export const getRecordYear = (document) => getDocumentYear(document)
+
+export const getAllNames = (person) => [person.name, ...(person.nameVariants || [])]
+
+export const matchesName = (person, query) => {
+  const normalized = normalizeName(query)
+  return getAllNames(person).some(name => normalizeName(name).includes(normalized))
+}
+
+/**
+ * Citation for an extracted person entity (see entityService.extract)
+ */
+export const createCitation = (document, entity) => ({
+  citationId: apiService.generateLocalId('cite'),
+  documentId: document.documentId,
+  quote: entity.start !== undefined ? document.ocrText.slice(entity.start, entity.end) : entity.name,
+  start: entity.start ?? null,
+  end: entity.end ?? null,
+  line: entity.line ?? null,
+  recordYear: getRecordYear(document),
+  nameAsRecorded: entity.name,
+  role: entity.role || null,
+  age: entity.age ?? null,
+  occupation: entity.occupation || null,
+  address: entity.address || null,
+  origin: entity.origin || null,
+  note: '',
+  createdDate: new Date().toISOString()
+})
+
+export const isCited = (person, documentId, entity) => (person.citations || []).some(citation =>
+  citation.documentId === documentId &&
+  (citation.start === entity.start || normalizeName(citation.nameAsRecorded) === normalizeName(entity.name))
+)
+
+/**
+ * Updates that add an appearance to a person: the citation plus any new name variant,
+ * occupation or residence it records
+ */
+export const addAppearance = (person, document, entity) => {
+  const citation = createCitation(document, entity)
+  const updates = {
+    citations: [...(person.citations || []), citation],
+    updatedDate: new Date().toISOString()
+  }
+
+  const knownNames = getAllNames(person).map(normalizeName)
+  if (!knownNames.includes(normalizeName(entity.name))) {
+    updates.nameVariants = [...(person.nameVariants || []), entity.name]
+  }
+  if (citation.occupation) {
+    updates.occupations = [...(person.occupations || []), {
+      name: citation.occupation,
+      year: citation.recordYear,
+      citationId: citation.citationId
+    }]
+  }
+  if (citation.address) {
+    updates.residences = [...(person.residences || []), {
+      address: citation.address,
+      year: citation.recordYear,
+      citationId: citation.citationId
+    }]
+  }
+
+  return updates
+}
+
+/**
+ * A new person record from an extracted entity
+ */
+export const createPersonFromEntity = (document, entity) => ({
+  name: entity.name,
+  nameVariants: [],
+  birth: null,
+  death: null,
+  residences: [],
+  occupations: [],
+  citations: [],
+  notes: '',
+  ...addAppearance({ name: entity.name }, document, entity)
+})
+
+/**
+ * Updates that remove a citation along with the facts taken from it
+ */
+export const removeCitation = (person, citationId) => ({
+  citations: person.citations.filter(citation => citation.citationId !== citationId),
+  occupations: (person.occupations || []).filter(occupation => occupation.citationId !== citationId),
+  residences: (person.residences || []).filter(residence => residence.citationId !== citationId),
+  updatedDate: new Date().toISOString()
+})
+
+/**
+ * Birth year as recorded, or estimated from ages given in dated records.
+ * Returns { year, earliest, latest, estimated } or null.
+ */
+export const estimateBirth = (person) => {
+  if (person.birth?.year) {
+    return { year: person.birth.year, earliest: person.birth.year, latest: person.birth.year, estimated: Boolean(person.birth.estimated) }
+  }
+
+  // Someone aged 35 in 1920 was born in 1884 or 1885, depending on their birthday
+  const ranges = (person.citations || [])
+    .filter(citation => citation.age !== null && citation.recordYear)
+    .map(citation => [citation.recordYear - citation.age - 1, citation.recordYear - citation.age])
+  if (ranges.length === 0) return null
+
+  const earliest = Math.min(...ranges.map(([from]) => from))
+  const latest = Math.max(...ranges.map(([, to]) => to))
+  return { year: Math.round((earliest + latest) / 2), earliest, latest, estimated: true }
+}
+
+/**
+ * Death year as recorded or from an obituary-style citation; otherwise only that they were
+ * alive at their last dated appearance. Returns { year, estimated } or { after } or null.
+ */
+export const estimateDeath = (person) => {
+  if (person.death?.year) return { year: person.death.year, estimated: Boolean(person.death.estimated) }
+
+  const citations = person.citations || []
+  const deceased = citations.find(citation => citation.role === 'deceased' && citation.recordYear)
+  if (deceased) return { year: deceased.recordYear, estimated: true }
+
+  const years = citations.map(citation => citation.recordYear).filter(Boolean)
+  return years.length ? { after: Math.max(...years) } : null
+}
+
+export const formatLifespan = (person) => {
+  const birth = estimateBirth(person)
+  const death = estimateDeath(person)
+
+  const born = birth ? `${birth.estimated ? 'c. ' : ''}${birth.year}` : '?'
+  const died = death?.year ? `${death.estimated ? 'c. ' : ''}${death.year}` : death?.after ? `after ${death.after}` : '?'
+  return born === '?' && died === '?' ? 'Dates unknown' : `${born} – ${died}`
+}
+
+/**
+ * Residences or occupations in date order, undated entries last
+ */
+export const sortByYear = (entries) => [...(entries || [])].sort((a, b) =>
+  (a.year ?? Infinity) - (b.year ?? Infinity))
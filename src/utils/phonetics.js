@@ -0,0 +1,577 @@
+/**
+ * Spelling and sound of names
+ * Census takers and clerks wrote names as they heard them, so "Schmidt" turns up as "Smith" and
+ * "O'Brien" as "Obrien". foldText makes spellings comparable letter for letter, and the phonetic
+ * codes group names that sound alike: Soundex (the census indexes' own code), Daitch-Mokotoff
+ * (tuned for Slavic, Yiddish and German names, and giving more than one code where a spelling could
+ * be read two ways) and Double Metaphone (English and European names, with an alternate reading).
+ */
+
+export const PHONETIC_ALGORITHMS = {
+  SOUNDEX: 'soundex',
+  DAITCH_MOKOTOFF: 'daitchMokotoff',
+  DOUBLE_METAPHONE: 'doubleMetaphone'
+}
+
+// Letters that do not come apart into a base letter and a mark
+const LETTER_FOLDS = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i' }
+
+/**
+ * Lowercase text with diacritics and apostrophes folded away: "Müller" reads "muller",
+ * "O'Brien" and "O’Brien" read "obrien", and a possessive "Smith's" reads "smith"
+ */
+export const foldText = (text) => (text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/\p{M}/gu, '')
+  .replace(/[ßæœøłđðþı]/g, letter => LETTER_FOLDS[letter])
+  .replace(/(\p{L})['’ʼ`]s\b/gu, '$1')
+  .replace(/(\p{L})['’ʼ`](?=\p{L})/gu, '$1')
+
+// Letters only, uppercase, for the coding algorithms
+const lettersOf = (word) => foldText(word).toUpperCase().replace(/[^A-Z]/g, '')
+
+/**
+ * American Soundex: the first letter and three digits, "Robert" and "Rupert" both R163
+ */
+export const soundex = (word) => {
+  const letters = lettersOf(word)
+  if (!letters) return ''
+
+  const codes = { B: 1, F: 1, P: 1, V: 1, C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2, D: 3, T: 3, L: 4, M: 5, N: 5, R: 6 }
+  let result = letters[0]
+  let last = codes[letters[0]] || 0
+
+  for (const letter of letters.slice(1)) {
+    // H and W do not separate letters with the same code; vowels do
+    if (letter === 'H' || letter === 'W') continue
+    const code = codes[letter] || 0
+    if (code && code !== last) result += code
+    last = code
+    if (result.length === 4) break
+  }
+
+  return result.padEnd(4, '0')
+}
+
+/*
+ * Daitch-Mokotoff rules: letters, then the code at the start of a name, before a vowel and
+ * anywhere else. null codes nothing; a second set of codes is an alternative reading.
+ * Longer letter groups are listed before the shorter ones they begin with.
+ */
+const DM_RULES = [
+  ['SCHTSCH', '2', '4', '4'], ['SCHTSH', '2', '4', '4'], ['SCHTCH', '2', '4', '4'],
+  ['SHTCH', '2', '4', '4'], ['SHTSH', '2', '4', '4'], ['STSCH', '2', '4', '4'],
+  ['TTSCH', '4', '4', '4'], ['ZHDZH', '2', '4', '4'],
+  ['SHCH', '2', '4', '4'], ['SCHT', '2', '43', '43'], ['SCHD', '2', '43', '43'], ['STCH', '2', '4', '4'],
+  ['STRZ', '2', '4', '4'], ['STRS', '2', '4', '4'], ['STSH', '2', '4', '4'], ['SZCZ', '2', '4', '4'],
+  ['SZCS', '2', '4', '4'], ['TTCH', '4', '4', '4'], ['TSCH', '4', '4', '4'], ['TTSZ', '4', '4', '4'],
+  ['ZDZH', '2', '4', '4'], ['ZSCH', '4', '4', '4'],
+  ['CHS', '5', '54', '54'], ['CSZ', '4', '4', '4'], ['CZS', '4', '4', '4'], ['DRZ', '4', '4', '4'],
+  ['DRS', '4', '4', '4'], ['DSH', '4', '4', '4'], ['DSZ', '4', '4', '4'], ['DZH', '4', '4', '4'],
+  ['DZS', '4', '4', '4'], ['SCH', '4', '4', '4'], ['SHT', '2', '43', '43'], ['SZT', '2', '43', '43'],
+  ['SHD', '2', '43', '43'], ['SZD', '2', '43', '43'], ['TCH', '4', '4', '4'], ['TRZ', '4', '4', '4'],
+  ['TRS', '4', '4', '4'], ['TSH', '4', '4', '4'], ['TTS', '4', '4', '4'], ['TTZ', '4', '4', '4'],
+  ['TZS', '4', '4', '4'], ['TSZ', '4', '4', '4'], ['ZDZ', '2', '4', '4'], ['ZHD', '2', '43', '43'],
+  ['ZSH', '4', '4', '4'],
+  ['AI', '0', '1', null], ['AJ', '0', '1', null], ['AY', '0', '1', null], ['AU', '0', '7', null],
+  ['CH', '5', '5', '5', ['4', '4', '4']], ['CK', '5', '5', '5', ['45', '45', '45']],
+  ['CS', '4', '4', '4'], ['CZ', '4', '4', '4'], ['DS', '4', '4', '4'], ['DZ', '4', '4', '4'],
+  ['DT', '3', '3', '3'], ['EI', '0', '1', null], ['EJ', '0', '1', null], ['EY', '0', '1', null],
+  ['EU', '1', '1', null], ['FB', '7', '7', '7'], ['IA', '1', null, null], ['IE', '1', null, null],
+  ['IO', '1', null, null], ['IU', '1', null, null], ['KS', '5', '54', '54'], ['KH', '5', '5', '5'],
+  ['MN', '66', '66', '66'], ['NM', '66', '66', '66'], ['OI', '0', '1', null], ['OJ', '0', '1', null],
+  ['OY', '0', '1', null], ['PF', '7', '7', '7'], ['PH', '7', '7', '7'],
+  ['RS', '94', '94', '94', ['4', '4', '4']], ['RZ', '94', '94', '94', ['4', '4', '4']],
+  ['SH', '4', '4', '4'], ['SC', '2', '4', '4'], ['ST', '2', '43', '43'], ['SZ', '4', '4', '4'],
+  ['SD', '2', '43', '43'], ['TH', '3', '3', '3'], ['TS', '4', '4', '4'], ['TC', '4', '4', '4'],
+  ['TZ', '4', '4', '4'], ['UI', '0', '1', null], ['UJ', '0', '1', null], ['UY', '0', '1', null],
+  ['UE', '0', null, null], ['ZD', '2', '43', '43'], ['ZH', '4', '4', '4'], ['ZS', '4', '4', '4'],
+  ['A', '0', null, null], ['B', '7', '7', '7'], ['C', '5', '5', '5', ['4', '4', '4']],
+  ['D', '3', '3', '3'], ['E', '0', null, null], ['F', '7', '7', '7'], ['G', '5', '5', '5'],
+  ['H', '5', '5', null], ['I', '0', null, null], ['J', '1', '1', '1', ['4', '4', '4']],
+  ['K', '5', '5', '5'], ['L', '8', '8', '8'], ['M', '6', '6', '6'], ['N', '6', '6', '6'],
+  ['O', '0', null, null], ['P', '7', '7', '7'], ['Q', '5', '5', '5'], ['R', '9', '9', '9'],
+  ['S', '4', '4', '4'], ['T', '3', '3', '3'], ['U', '0', null, null], ['V', '7', '7', '7'],
+  ['W', '7', '7', '7'], ['X', '5', '54', '54'], ['Y', '1', null, null], ['Z', '4', '4', '4']
+]
+
+const DM_VOWELS = 'AEIOU'
+const DM_CODE_LENGTH = 6
+
+/**
+ * Daitch-Mokotoff Soundex: six-digit codes, more than one where a spelling has two readings,
+ * "Schwarz" and "Szwarc" both 479400
+ */
+export const daitchMokotoff = (word) => {
+  const letters = lettersOf(word)
+  if (!letters) return []
+
+  // Each branch is one reading: its code so far and the last code added
+  let branches = [{ code: '', last: null }]
+  let i = 0
+
+  while (i < letters.length) {
+    const rule = DM_RULES.find(([group]) => letters.startsWith(group, i))
+    const [group, atStart, beforeVowel, otherwise, alternative] = rule
+    const next = letters[i + group.length]
+    const pick = (codes) => (i === 0 ? codes[0] : next && DM_VOWELS.includes(next) ? codes[1] : codes[2])
+
+    const readings = [pick([atStart, beforeVowel, otherwise])]
+    if (alternative) readings.push(pick(alternative))
+
+    branches = branches.flatMap(branch => readings.map(reading => {
+      // The same sound twice in a row is coded once; a vowel in between resets that
+      if (reading === null) return { code: branch.code, last: null }
+      const repeated = branch.last !== null && branch.last.endsWith(reading)
+      return { code: repeated ? branch.code : branch.code + reading, last: reading }
+    }))
+
+    i += group.length
+  }
+
+  return [...new Set(branches.map(branch => branch.code.slice(0, DM_CODE_LENGTH).padEnd(DM_CODE_LENGTH, '0')))]
+}
+
+const METAPHONE_LENGTH = 4
+
+/**
+ * Double Metaphone (after Lawrence Philips): a primary code and an alternate, which differ for
+ * names with two likely pronunciations; "Schmidt" gives XMT and SMT, "Smith" SM0 and XMT
+ */
+export const doubleMetaphone = (word) => {
+  const letters = lettersOf(word)
+  if (!letters) return ['', '']
+
+  // Padding lets the rules look past the end without checking bounds
+  const value = `${letters}     `
+  const length = letters.length
+  const last = length - 1
+  let primary = ''
+  let secondary = ''
+  let current = 0
+
+  const add = (main, alternate = main) => {
+    primary += main
+    secondary += alternate
+  }
+  const at = (index) => (index < 0 ? '' : value[index])
+  const stringAt = (start, size, ...options) => start >= 0 && options.includes(value.substr(start, size))
+  const isVowel = (index) => 'AEIOUY'.includes(at(index)) && at(index) !== ''
+  const slavoGermanic = /W|K|CZ|WITZ/.test(letters)
+  const germanic = () => stringAt(0, 4, 'VAN ', 'VON ') || stringAt(0, 3, 'SCH')
+
+  if (stringAt(0, 2, 'GN', 'KN', 'PN', 'WR', 'PS')) current += 1
+  // An initial X sounds like S, as in Xavier
+  if (value[0] === 'X') {
+    add('S')
+    current += 1
+  }
+
+  while ((primary.length < METAPHONE_LENGTH || secondary.length < METAPHONE_LENGTH) && current < length) {
+    switch (value[current]) {
+      case 'A':
+      case 'E':
+      case 'I':
+      case 'O':
+      case 'U':
+      case 'Y':
+        if (current === 0) add('A')
+        current += 1
+        break
+
+      case 'B':
+        add('P')
+        current += at(current + 1) === 'B' ? 2 : 1
+        break
+
+      case 'C':
+        // Germanic "ach", as in Bacher, but not Macher's "ache"
+        if (current > 1 && !isVowel(current - 2) && stringAt(current - 1, 3, 'ACH') &&
+          at(current + 2) !== 'I' && (at(current + 2) !== 'E' || stringAt(current - 2, 6, 'BACHER', 'MACHER'))) {
+          add('K')
+          current += 2
+          break
+        }
+        if (current === 0 && stringAt(current, 6, 'CAESAR')) {
+          add('S')
+          current += 2
+          break
+        }
+        if (stringAt(current, 4, 'CHIA')) {
+          add('K')
+          current += 2
+          break
+        }
+        if (stringAt(current, 2, 'CH')) {
+          if (current > 0 && stringAt(current, 4, 'CHAE')) {
+            add('K', 'X')
+          } else if (current === 0 && (stringAt(current + 1, 5, 'HARAC', 'HARIS') ||
+            stringAt(current + 1, 3, 'HOR', 'HYM', 'HIA', 'HEM')) && !stringAt(0, 5, 'CHORE')) {
+            // Greek roots, as in Christopher
+            add('K')
+          } else if (germanic() || stringAt(current - 2, 6, 'ORCHES', 'ARCHIT', 'ORCHID') ||
+            stringAt(current + 2, 1, 'T', 'S') ||
+            ((stringAt(current - 1, 1, 'A', 'O', 'U', 'E') || current === 0) &&
+              stringAt(current + 2, 1, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' '))) {
+            add('K')
+          } else if (current > 0) {
+            if (stringAt(0, 2, 'MC')) add('K')
+            else add('X', 'K')
+          } else {
+            add('X')
+          }
+          current += 2
+          break
+        }
+        if (stringAt(current, 2, 'CZ') && !stringAt(current - 2, 4, 'WICZ')) {
+          add('S', 'X')
+          current += 2
+          break
+        }
+        if (stringAt(current + 1, 3, 'CIA')) {
+          add('X')
+          current += 3
+          break
+        }
+        // A double C, but not as in McClellan
+        if (stringAt(current, 2, 'CC') && !(current === 1 && value[0] === 'M')) {
+          if (stringAt(current + 2, 1, 'I', 'E', 'H') && !stringAt(current + 2, 2, 'HU')) {
+            if ((current === 1 && at(current - 1) === 'A') || stringAt(current - 1, 5, 'UCCEE', 'UCCES')) add('KS')
+            else add('X')
+            current += 3
+          } else {
+            add('K')
+            current += 2
+          }
+          break
+        }
+        if (stringAt(current, 2, 'CK', 'CG', 'CQ')) {
+          add('K')
+          current += 2
+          break
+        }
+        if (stringAt(current, 2, 'CI', 'CE', 'CY')) {
+          if (stringAt(current, 3, 'CIO', 'CIE', 'CIA')) add('S', 'X')
+          else add('S')
+          current += 2
+          break
+        }
+        add('K')
+        if (stringAt(current + 1, 1, 'C', 'K', 'Q') && !stringAt(current + 1, 2, 'CE', 'CI')) current += 2
+        else current += 1
+        break
+
+      case 'D':
+        if (stringAt(current, 2, 'DG')) {
+          if (stringAt(current + 2, 1, 'I', 'E', 'Y')) {
+            add('J')
+            current += 3
+          } else {
+            add('TK')
+            current += 2
+          }
+          break
+        }
+        add('T')
+        current += stringAt(current, 2, 'DT', 'DD') ? 2 : 1
+        break
+
+      case 'F':
+        add('F')
+        current += at(current + 1) === 'F' ? 2 : 1
+        break
+
+      case 'G':
+        if (at(current + 1) === 'H') {
+          if (current > 0 && !isVowel(current - 1)) {
+            add('K')
+            current += 2
+            break
+          }
+          if (current === 0) {
+            add(at(current + 2) === 'I' ? 'J' : 'K')
+            current += 2
+            break
+          }
+          // Silent, as in Hugh, bough and Broughton
+          if ((current > 1 && stringAt(current - 2, 1, 'B', 'H', 'D')) ||
+            (current > 2 && stringAt(current - 3, 1, 'B', 'H', 'D')) ||
+            (current > 3 && stringAt(current - 4, 1, 'B', 'H'))) {
+            current += 2
+            break
+          }
+          // Laugh, McLaughlin, cough, rough
+          if (current > 2 && at(current - 1) === 'U' && stringAt(current - 3, 1, 'C', 'G', 'L', 'R', 'T')) add('F')
+          else if (current > 0 && at(current - 1) !== 'I') add('K')
+          current += 2
+          break
+        }
+        if (at(current + 1) === 'N') {
+          if (current === 1 && isVowel(0) && !slavoGermanic) add('KN', 'N')
+          else if (!stringAt(current + 2, 2, 'EY') && at(current + 1) !== 'Y' && !slavoGermanic) add('N', 'KN')
+          else add('KN')
+          current += 2
+          break
+        }
+        if (stringAt(current + 1, 2, 'LI') && !slavoGermanic) {
+          add('KL', 'L')
+          current += 2
+          break
+        }
+        if (current === 0 && (at(current + 1) === 'Y' ||
+          stringAt(current + 1, 2, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+          add('K', 'J')
+          current += 2
+          break
+        }
+        if ((stringAt(current + 1, 2, 'ER') || at(current + 1) === 'Y') &&
+          !stringAt(0, 6, 'DANGER', 'RANGER', 'MANGER') && !stringAt(current - 1, 1, 'E', 'I') &&
+          !stringAt(current - 1, 3, 'RGY', 'OGY')) {
+          add('K', 'J')
+          current += 2
+          break
+        }
+        // Italian, as in Biaggi
+        if (stringAt(current + 1, 1, 'E', 'I', 'Y') || stringAt(current - 1, 4, 'AGGI', 'OGGI')) {
+          if (germanic() || stringAt(current + 1, 2, 'ET')) add('K')
+          else if (stringAt(current + 1, 4, 'IER ')) add('J')
+          else add('J', 'K')
+          current += 2
+          break
+        }
+        add('K')
+        current += at(current + 1) === 'G' ? 2 : 1
+        break
+
+      case 'H':
+        // Kept only at the start or between vowels
+        if ((current === 0 || isVowel(current - 1)) && isVowel(current + 1)) {
+          add('H')
+          current += 2
+        } else {
+          current += 1
+        }
+        break
+
+      case 'J':
+        if (stringAt(current, 4, 'JOSE') || stringAt(0, 4, 'SAN ')) {
+          if ((current === 0 && at(current + 4) === ' ') || stringAt(0, 4, 'SAN ')) add('H')
+          else add('J', 'H')
+          current += 1
+          break
+        }
+        if (current === 0) {
+          add('J', 'A')
+        } else if (isVowel(current - 1) && !slavoGermanic && (at(current + 1) === 'A' || at(current + 1) === 'O')) {
+          add('J', 'H')
+        } else if (current === last) {
+          add('J', '')
+        } else if (!stringAt(current + 1, 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !stringAt(current - 1, 1, 'S', 'K', 'L')) {
+          add('J')
+        }
+        current += at(current + 1) === 'J' ? 2 : 1
+        break
+
+      case 'K':
+        add('K')
+        current += at(current + 1) === 'K' ? 2 : 1
+        break
+
+      case 'L':
+        if (at(current + 1) === 'L') {
+          // Spanish, as in Cabrillo and Gallegos
+          if ((current === length - 3 && stringAt(current - 1, 4, 'ILLO', 'ILLA', 'ALLE')) ||
+            ((stringAt(last - 1, 2, 'AS', 'OS') || stringAt(last, 1, 'A', 'O')) && stringAt(current - 1, 4, 'ALLE'))) {
+            add('L', '')
+            current += 2
+            break
+          }
+          current += 2
+        } else {
+          current += 1
+        }
+        add('L')
+        break
+
+      case 'M':
+        add('M')
+        current += (stringAt(current - 1, 3, 'UMB') && (current + 1 === last || stringAt(current + 2, 2, 'ER'))) ||
+          at(current + 1) === 'M' ? 2 : 1
+        break
+
+      case 'N':
+        add('N')
+        current += at(current + 1) === 'N' ? 2 : 1
+        break
+
+      case 'P':
+        if (at(current + 1) === 'H') {
+          add('F')
+          current += 2
+          break
+        }
+        add('P')
+        current += stringAt(current + 1, 1, 'P', 'B') ? 2 : 1
+        break
+
+      case 'Q':
+        add('K')
+        current += at(current + 1) === 'Q' ? 2 : 1
+        break
+
+      case 'R':
+        // French, as in Rogier, but not Hochmeier
+        if (current === last && !slavoGermanic && stringAt(current - 2, 2, 'IE') && !stringAt(current - 4, 2, 'ME', 'MA')) {
+          add('', 'R')
+        } else {
+          add('R')
+        }
+        current += at(current + 1) === 'R' ? 2 : 1
+        break
+
+      case 'S':
+        // Silent, as in island and Carlisle
+        if (stringAt(current - 1, 3, 'ISL', 'YSL')) {
+          current += 1
+          break
+        }
+        if (current === 0 && stringAt(current, 5, 'SUGAR')) {
+          add('X', 'S')
+          current += 1
+          break
+        }
+        if (stringAt(current, 2, 'SH')) {
+          add(stringAt(current + 1, 4, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X')
+          current += 2
+          break
+        }
+        if (stringAt(current, 3, 'SIO', 'SIA') || stringAt(current, 4, 'SIAN')) {
+          if (slavoGermanic) add('S')
+          else add('S', 'X')
+          current += 3
+          break
+        }
+        // Anglicized German, Smith for Schmidt and Snider for Schneider; Slavic -sz-
+        if ((current === 0 && stringAt(current + 1, 1, 'M', 'N', 'L', 'W')) || stringAt(current + 1, 1, 'Z')) {
+          add('S', 'X')
+          current += stringAt(current + 1, 1, 'Z') ? 2 : 1
+          break
+        }
+        if (stringAt(current, 2, 'SC')) {
+          if (at(current + 2) === 'H') {
+            // Dutch, as in school and Schermerhorn
+            if (stringAt(current + 3, 2, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+              if (stringAt(current + 3, 2, 'ER', 'EN')) add('X', 'SK')
+              else add('SK')
+            } else if (current === 0 && !isVowel(3) && at(3) !== 'W') {
+              add('X', 'S')
+            } else {
+              add('X')
+            }
+            current += 3
+            break
+          }
+          add(stringAt(current + 2, 1, 'I', 'E', 'Y') ? 'S' : 'SK')
+          current += 3
+          break
+        }
+        // French, as in Artois
+        if (current === last && stringAt(current - 2, 2, 'AI', 'OI')) add('', 'S')
+        else add('S')
+        current += stringAt(current + 1, 1, 'S', 'Z') ? 2 : 1
+        break
+
+      case 'T':
+        if (stringAt(current, 4, 'TION') || stringAt(current, 3, 'TIA', 'TCH')) {
+          add('X')
+          current += 3
+          break
+        }
+        if (stringAt(current, 2, 'TH') || stringAt(current, 3, 'TTH')) {
+          // Thomas, Thames and Germanic names keep a plain T; otherwise "th", written 0
+          if (stringAt(current + 2, 2, 'OM', 'AM') || germanic()) add('T')
+          else add('0', 'T')
+          current += 2
+          break
+        }
+        add('T')
+        current += stringAt(current + 1, 1, 'T', 'D') ? 2 : 1
+        break
+
+      case 'V':
+        add('F')
+        current += at(current + 1) === 'V' ? 2 : 1
+        break
+
+      case 'W':
+        if (stringAt(current, 2, 'WR')) {
+          add('R')
+          current += 2
+          break
+        }
+        // Wasserman matches Vasserman
+        if (current === 0 && (isVowel(current + 1) || stringAt(current, 2, 'WH'))) {
+          if (isVowel(current + 1)) add('A', 'F')
+          else add('A')
+        }
+        // Arnow matches Arnoff
+        if ((current === last && isVowel(current - 1)) ||
+          stringAt(current - 1, 5, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') || stringAt(0, 3, 'SCH')) {
+          add('', 'F')
+          current += 1
+          break
+        }
+        // Polish, as in Filipowicz
+        if (stringAt(current, 4, 'WICZ', 'WITZ')) {
+          add('TS', 'FX')
+          current += 4
+          break
+        }
+        current += 1
+        break
+
+      case 'X':
+        // French, as in Breaux
+        if (!(current === last && (stringAt(current - 3, 3, 'IAU', 'EAU') || stringAt(current - 2, 2, 'AU', 'OU')))) add('KS')
+        current += stringAt(current + 1, 1, 'C', 'X') ? 2 : 1
+        break
+
+      case 'Z':
+        // Chinese pinyin, as in Zhao
+        if (at(current + 1) === 'H') {
+          add('J')
+          current += 2
+          break
+        }
+        if (stringAt(current + 1, 2, 'ZO', 'ZI', 'ZA') || (slavoGermanic && current > 0 && at(current - 1) !== 'T')) {
+          add('S', 'TS')
+        } else {
+          add('S')
+        }
+        current += at(current + 1) === 'Z' ? 2 : 1
+        break
+
+      default:
+        current += 1
+    }
+  }
+
+  return [primary.slice(0, METAPHONE_LENGTH), secondary.slice(0, METAPHONE_LENGTH)]
+}
+
+/**
+ * The codes a word sounds as under an algorithm; two words sound alike when they share one
+ */
+export const phoneticCodes = (word, algorithm) => {
+  switch (algorithm) {
+    case PHONETIC_ALGORITHMS.SOUNDEX:
+      return [soundex(word)].filter(Boolean)
+    case PHONETIC_ALGORITHMS.DAITCH_MOKOTOFF:
+      return daitchMokotoff(word)
+    case PHONETIC_ALGORITHMS.DOUBLE_METAPHONE:
+      return [...new Set(doubleMetaphone(word))].filter(Boolean)
+    default:
+      return []
+  }
+}
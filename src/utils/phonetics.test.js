@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { foldText, soundex, daitchMokotoff, doubleMetaphone, phoneticCodes, PHONETIC_ALGORITHMS } from './phonetics'
+
+describe('foldText', () => {
+  it('folds case, diacritics and letters without a base letter', () => {
+    expect(foldText('Müller')).toBe('muller')
+    expect(foldText('Straße Łódź Ærø')).toBe('strasse lodz aero')
+  })
+
+  it('drops apostrophes inside names and possessives', () => {
+    expect(foldText("O'Brien")).toBe('obrien')
+    expect(foldText('O’Brien')).toBe('obrien')
+    expect(foldText("Smith's farm")).toBe('smith farm')
+  })
+
+  it('reads missing text as empty', () => {
+    expect(foldText(null)).toBe('')
+  })
+})
+
+describe('soundex', () => {
+  it('codes a name as its first letter and three digits', () => {
+    expect(soundex('Robert')).toBe('R163')
+    expect(soundex('Rupert')).toBe('R163')
+    expect(soundex('Lee')).toBe('L000')
+  })
+
+  it('codes letters either side of H or W once, and either side of a vowel twice', () => {
+    expect(soundex('Ashcraft')).toBe('A261')
+    expect(soundex('Tymczak')).toBe('T522')
+    expect(soundex('Honeyman')).toBe('H555')
+  })
+
+  it('codes a first letter sharing the next letter\'s digit once', () => {
+    expect(soundex('Pfister')).toBe('P236')
+  })
+
+  it('codes accented names as their plain spelling', () => {
+    expect(soundex('Müller')).toBe(soundex('Muller'))
+    expect(soundex('')).toBe('')
+  })
+})
+
+describe('daitchMokotoff', () => {
+  it('codes a name as six digits', () => {
+    expect(daitchMokotoff('Moskowitz')).toEqual(['645740'])
+    expect(daitchMokotoff('Moskovitz')).toEqual(['645740'])
+    expect(daitchMokotoff('Kleinman')).toEqual(['586660'])
+  })
+
+  it('gives every reading of an ambiguous spelling', () => {
+    expect(daitchMokotoff('Peters').sort()).toEqual(['734000', '739400'])
+    expect(daitchMokotoff('Auerbach').sort()).toEqual(['097400', '097500'])
+    expect(daitchMokotoff('Jackson').sort()).toEqual(['145460', '154600', '445460', '454600'])
+  })
+
+  it('groups Slavic and German spellings of one name', () => {
+    expect(daitchMokotoff('Schwarz')).toContain('479400')
+    expect(daitchMokotoff('Szwarc')).toContain('479400')
+  })
+})
+
+describe('doubleMetaphone', () => {
+  it('gives a primary code and an alternate', () => {
+    expect(doubleMetaphone('Schmidt')).toEqual(['XMT', 'SMT'])
+    expect(doubleMetaphone('Smith')).toEqual(['SM0', 'XMT'])
+    expect(doubleMetaphone('Xavier')).toEqual(['SF', 'SFR'])
+    expect(doubleMetaphone('Filipowicz')).toEqual(['FLPT', 'FLPF'])
+  })
+
+  it('follows English and European pronunciation', () => {
+    expect(doubleMetaphone('Knight')).toEqual(['NT', 'NT'])
+    expect(doubleMetaphone('Thomas')).toEqual(['TMS', 'TMS'])
+    expect(doubleMetaphone('Jose')).toEqual(['HS', 'HS'])
+    expect(doubleMetaphone('Cabrillo')).toEqual(['KPRL', 'KPR'])
+  })
+})
+
+describe('phoneticCodes', () => {
+  it('gives the codes of the chosen algorithm, each once', () => {
+    expect(phoneticCodes('Robert', PHONETIC_ALGORITHMS.SOUNDEX)).toEqual(['R163'])
+    expect(phoneticCodes('Thomas', PHONETIC_ALGORITHMS.DOUBLE_METAPHONE)).toEqual(['TMS'])
+    expect(phoneticCodes('Peters', PHONETIC_ALGORITHMS.DAITCH_MOKOTOFF)).toHaveLength(2)
+  })
+
+  it('gives no codes for an unknown algorithm or an empty word', () => {
+    expect(phoneticCodes('Smith', 'unknown')).toEqual([])
+    expect(phoneticCodes('', PHONETIC_ALGORITHMS.SOUNDEX)).toEqual([])
+    expect(phoneticCodes('', PHONETIC_ALGORITHMS.DOUBLE_METAPHONE)).toEqual([])
+  })
+
+  it('lets names that sound alike share a code', () => {
+    const shared = (a, b, algorithm) => phoneticCodes(a, algorithm).some(code => phoneticCodes(b, algorithm).includes(code))
+    expect(shared('Schmidt', 'Smith', PHONETIC_ALGORITHMS.DOUBLE_METAPHONE)).toBe(true)
+    expect(shared('Schwarz', 'Szwarc', PHONETIC_ALGORITHMS.DAITCH_MOKOTOFF)).toBe(true)
+    expect(shared('Smith', 'Jones', PHONETIC_ALGORITHMS.SOUNDEX)).toBe(false)
+  })
+})
@@ -0,0 +1,295 @@
+/**
+ * Search query language
+ * Queries combine words, "quoted phrases" and wildcards (immigra*, sm?th) with AND, OR and NOT
+ * (also &&, || and a leading -), parentheses, and NEAR/n for words within n words of each other.
+ * A field prefix scopes a clause: name:"John Smith", source:"Ellis Island", fileName:manifest,
+ * tags:(irish OR scottish); year, uploaded and pages take ranges such as year:1900..1920.
+ * Words side by side match any of them, as plain keyword searches always have, and NOT clauses
+ * among them exclude: `Smith Jones NOT deed` finds Smith or Jones in documents without "deed".
+ */
+
+export const QUERY_FIELDS = {
+  FILE_NAME: 'fileName',
+  OCR_TEXT: 'ocrText',
+  SOURCE: 'source',
+  TAGS: 'tags',
+  ENTITIES: 'entities',
+  NAME: 'name',
+  YEAR: 'year',
+  UPLOADED: 'uploaded',
+  PAGES: 'pages'
+}
+
+// Fields that take a range rather than words
+export const RANGE_FIELDS = [QUERY_FIELDS.YEAR, QUERY_FIELDS.UPLOADED, QUERY_FIELDS.PAGES]
+
+// Field names as they may be typed, lowercased
+const FIELD_ALIASES = {
+  filename: QUERY_FIELDS.FILE_NAME,
+  file: QUERY_FIELDS.FILE_NAME,
+  ocrtext: QUERY_FIELDS.OCR_TEXT,
+  text: QUERY_FIELDS.OCR_TEXT,
+  source: QUERY_FIELDS.SOURCE,
+  archive: QUERY_FIELDS.SOURCE,
+  tags: QUERY_FIELDS.TAGS,
+  tag: QUERY_FIELDS.TAGS,
+  entities: QUERY_FIELDS.ENTITIES,
+  entity: QUERY_FIELDS.ENTITIES,
+  name: QUERY_FIELDS.NAME,
+  person: QUERY_FIELDS.NAME,
+  year: QUERY_FIELDS.YEAR,
+  uploaded: QUERY_FIELDS.UPLOADED,
+  pages: QUERY_FIELDS.PAGES
+}
+
+// NEAR without a distance
+export const DEFAULT_NEAR_DISTANCE = 10
+
+export class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message)
+    this.name = 'QuerySyntaxError'
+    this.position = position
+  }
+}
+
+const isWordChar = (char) => char !== undefined && !/[\s()"]/.test(char)
+
+/**
+ * Split a query into tokens: { type, value, position }, `type` being one of
+ * '(' ')' 'AND' 'OR' 'NOT' 'NEAR' 'phrase' 'field' 'word'
+ */
+const lex = (text) => {
+  const tokens = []
+  let i = 0
+
+  while (i < text.length) {
+    const char = text[i]
+    const start = i
+
+    if (/\s/.test(char)) {
+      i++
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: start })
+      i++
+    } else if (char === '"') {
+      const end = text.indexOf('"', i + 1)
+      if (end === -1) throw new QuerySyntaxError('A quoted phrase is missing its closing quote', start)
+      tokens.push({ type: 'phrase', value: text.slice(i + 1, end), position: start })
+      i = end + 1
+    } else if (char === '-' && isWordChar(text[i + 1]) && (i === 0 || !isWordChar(text[i - 1]))) {
+      tokens.push({ type: 'NOT', position: start })
+      i++
+    } else {
+      while (isWordChar(text[i])) i++
+      const word = text.slice(start, i)
+
+      const field = word.match(/^([A-Za-z]+):(.*)$/)
+      if (field && (field[2] || text[i] === '"' || text[i] === '(')) {
+        const name = FIELD_ALIASES[field[1].toLowerCase()]
+        if (!name) {
+          throw new QuerySyntaxError(
+            `Unknown field "${field[1]}". Fields are ${Object.values(QUERY_FIELDS).join(', ')}`,
+            start
+          )
+        }
+        tokens.push({ type: 'field', value: name, position: start })
+        if (field[2]) tokens.push({ type: 'word', value: field[2], position: start + field[1].length + 1 })
+      } else if (word === 'AND' || word === '&&') {
+        tokens.push({ type: 'AND', position: start })
+      } else if (word === 'OR' || word === '||') {
+        tokens.push({ type: 'OR', position: start })
+      } else if (word === 'NOT') {
+        tokens.push({ type: 'NOT', position: start })
+      } else if (word === 'NEAR' || word.startsWith('NEAR/')) {
+        const distance = word === 'NEAR' ? DEFAULT_NEAR_DISTANCE : Number(word.slice(5))
+        if (!Number.isInteger(distance) || distance < 1) throw new QuerySyntaxError('NEAR/ needs a number of words, as in NEAR/5', start)
+        tokens.push({ type: 'NEAR', value: distance, position: start })
+      } else {
+        tokens.push({ type: 'word', value: word, position: start })
+      }
+    }
+  }
+
+  return tokens
+}
+
+const OPERATOR_NAMES = { AND: 'AND', OR: 'OR', NOT: 'NOT', NEAR: 'NEAR' }
+
+/**
+ * "1900..1920", "..1920", "1900.." or "1905" as { from, to }, either of which may be null
+ */
+const parseRange = (value, field, position) => {
+  const parts = value.includes('..') ? value.split('..') : [value, value]
+  if (parts.length !== 2 || (!parts[0] && !parts[1])) {
+    throw new QuerySyntaxError(`${field} needs a value or a range such as 1900..1920`, position)
+  }
+
+  const check = (part) => {
+    if (!part) return null
+    const valid = field === QUERY_FIELDS.UPLOADED ? /^\d{4}(-\d{1,2}){0,2}$/.test(part) : /^\d+$/.test(part)
+    if (!valid) {
+      throw new QuerySyntaxError(
+        field === QUERY_FIELDS.UPLOADED
+          ? `uploaded needs dates such as 2024-03-01..2024-03-31, not "${part}"`
+          : `${field} needs whole numbers, not "${part}"`,
+        position
+      )
+    }
+    return field === QUERY_FIELDS.UPLOADED ? part : Number(part)
+  }
+
+  const range = { from: check(parts[0]), to: check(parts[1]) }
+  if (range.from !== null && range.to !== null && range.from > range.to) {
+    throw new QuerySyntaxError(`The ${field} range starts after it ends`, position)
+  }
+  return range
+}
+
+class Parser {
+  constructor(text) {
+    this.text = text
+    this.tokens = lex(text)
+    this.index = 0
+  }
+
+  peek() {
+    return this.tokens[this.index]
+  }
+
+  next() {
+    return this.tokens[this.index++]
+  }
+
+  // Where an error at the current token points; the end of the query once it has run out
+  position() {
+    return this.peek()?.position ?? this.text.length
+  }
+
+  parse() {
+    if (this.tokens.length === 0) return null
+    const node = this.parseOr()
+    const extra = this.peek()
+    if (extra) {
+      throw new QuerySyntaxError(
+        extra.type === ')' ? 'There is a closing parenthesis without an opening one' : `Unexpected ${OPERATOR_NAMES[extra.type] || 'text'}`,
+        extra.position
+      )
+    }
+    return node
+  }
+
+  startsClause(token) {
+    return token && ['(', 'NOT', 'phrase', 'field', 'word'].includes(token.type)
+  }
+
+  /**
+   * Clauses joined by OR or just side by side; NOT clauses among them exclude
+   */
+  parseOr(field = null) {
+    const clauses = [this.parseAnd(field)]
+    while (this.peek()?.type === 'OR' || this.startsClause(this.peek())) {
+      if (this.peek().type === 'OR') {
+        const operator = this.next()
+        if (!this.startsClause(this.peek())) throw new QuerySyntaxError('OR needs something to search for after it', operator.position)
+      }
+      clauses.push(this.parseAnd(field))
+    }
+    if (clauses.length === 1) return clauses[0]
+
+    const include = clauses.filter(clause => clause.type !== 'not')
+    const exclude = clauses.filter(clause => clause.type === 'not')
+    if (exclude.length === 0) return { type: 'or', children: include }
+
+    const children = include.length ? [include.length === 1 ? include[0] : { type: 'or', children: include }] : []
+    return { type: 'and', children: [...children, ...exclude] }
+  }
+
+  parseAnd(field) {
+    if (this.peek()?.type === 'AND') throw new QuerySyntaxError('AND needs something to search for before it', this.position())
+
+    const clauses = [this.parseNear(field)]
+    while (this.peek()?.type === 'AND') {
+      const operator = this.next()
+      if (!this.startsClause(this.peek())) throw new QuerySyntaxError('AND needs something to search for after it', operator.position)
+      clauses.push(this.parseNear(field))
+    }
+    return clauses.length === 1 ? clauses[0] : { type: 'and', children: clauses }
+  }
+
+  parseNear(field) {
+    let left = this.parseUnary(field)
+    while (this.peek()?.type === 'NEAR') {
+      const operator = this.next()
+      const right = this.parseUnary(field)
+      if (left.type !== 'term' || right.type !== 'term' || left.field !== right.field) {
+        throw new QuerySyntaxError('NEAR goes between two words, as in Smith NEAR/5 Ireland', operator.position)
+      }
+      left = { type: 'near', field: left.field, left, right, distance: operator.value }
+    }
+    return left
+  }
+
+  parseUnary(field) {
+    if (this.peek()?.type === 'NOT') {
+      const operator = this.next()
+      if (!this.startsClause(this.peek())) throw new QuerySyntaxError('NOT needs something to leave out after it', operator.position)
+      return { type: 'not', child: this.parseUnary(field) }
+    }
+    return this.parsePrimary(field)
+  }
+
+  parsePrimary(field) {
+    const token = this.next()
+    if (!token) throw new QuerySyntaxError('The query ends too soon', this.text.length)
+
+    switch (token.type) {
+      case '(': {
+        if (this.peek()?.type === ')') throw new QuerySyntaxError('Parentheses need something inside them', token.position)
+        const node = this.parseOr(field)
+        if (this.peek()?.type !== ')') throw new QuerySyntaxError('An opening parenthesis is never closed', token.position)
+        this.next()
+        return node
+      }
+      case 'field': {
+        if (field) throw new QuerySyntaxError('A field cannot be used inside another field', token.position)
+        if (RANGE_FIELDS.includes(token.value)) {
+          const value = this.next()
+          if (value?.type !== 'word') throw new QuerySyntaxError(`${token.value} needs a value or a range such as 1900..1920`, token.position)
+          return { type: 'range', field: token.value, ...parseRange(value.value, token.value, value.position) }
+        }
+        if (!this.startsClause(this.peek()) || this.peek().type === 'field') {
+          throw new QuerySyntaxError(`${token.value} needs something to search for after it`, token.position)
+        }
+        return this.parsePrimary(token.value)
+      }
+      case 'phrase':
+        if (!token.value.trim()) throw new QuerySyntaxError('The quotes have nothing between them', token.position)
+        return { type: 'phrase', field, text: token.value }
+      case 'word':
+        return { type: 'term', field, text: token.value, wildcard: /[*?]/.test(token.value) }
+      case ')':
+        throw new QuerySyntaxError('There is a closing parenthesis without an opening one', token.position)
+      default:
+        throw new QuerySyntaxError(`${OPERATOR_NAMES[token.type]} needs something to search for before it`, token.position)
+    }
+  }
+}
+
+/**
+ * Parse a query into a tree of { type: 'and' | 'or', children }, { type: 'not', child },
+ * { type: 'term', field, text, wildcard }, { type: 'phrase', field, text },
+ * { type: 'near', field, left, right, distance } and { type: 'range', field, from, to } nodes,
+ * `field` being null for document text and file name together. Returns null for an empty query
+ * and throws QuerySyntaxError, with the position of the problem, for one that cannot be read.
+ */
+export const parseQuery = (text) => new Parser(text || '').parse()
+
+/**
+ * A wildcard word as a regular expression over whole words: `*` any run of letters, `?` one
+ */
+export const wildcardToRegExp = (pattern) => new RegExp(`^${pattern
+  .toLowerCase()
+  .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '\\w*')
+  .replace(/\?/g, '\\w')}$`)
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest'
+import { parseQuery, wildcardToRegExp, QuerySyntaxError, DEFAULT_NEAR_DISTANCE } from './queryParser'
+
+const term = (text, field = null) => ({ type: 'term', field, text, wildcard: /[*?]/.test(text) })
+
+// The error a query throws
+const errorFor = (query) => {
+  try {
+    parseQuery(query)
+  } catch (error) {
+    return error
+  }
+  throw new Error(`"${query}" parsed`)
+}
+
+describe('parseQuery', () => {
+  it('returns null for an empty query', () => {
+    expect(parseQuery('')).toBeNull()
+    expect(parseQuery('   ')).toBeNull()
+    expect(parseQuery(null)).toBeNull()
+  })
+
+  it('matches any of the words side by side', () => {
+    expect(parseQuery('Smith Jones')).toEqual({ type: 'or', children: [term('Smith'), term('Jones')] })
+  })
+
+  it('binds AND tighter than OR', () => {
+    expect(parseQuery('Smith AND Ireland OR Jones')).toEqual({
+      type: 'or',
+      children: [{ type: 'and', children: [term('Smith'), term('Ireland')] }, term('Jones')]
+    })
+    expect(parseQuery('Smith && (Ireland || Scotland)')).toEqual({
+      type: 'and',
+      children: [term('Smith'), { type: 'or', children: [term('Ireland'), term('Scotland')] }]
+    })
+  })
+
+  it('excludes NOT clauses among words side by side', () => {
+    expect(parseQuery('Smith Jones NOT deed')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'or', children: [term('Smith'), term('Jones')] },
+        { type: 'not', child: term('deed') }
+      ]
+    })
+    expect(parseQuery('Smith -deed')).toEqual({
+      type: 'and',
+      children: [term('Smith'), { type: 'not', child: term('deed') }]
+    })
+  })
+
+  it('keeps hyphens inside words', () => {
+    expect(parseQuery('Anglo-Irish')).toEqual(term('Anglo-Irish'))
+  })
+
+  it('reads phrases, wildcards and NEAR', () => {
+    expect(parseQuery('"John Smith"')).toEqual({ type: 'phrase', field: null, text: 'John Smith' })
+    expect(parseQuery('immigra*')).toEqual({ type: 'term', field: null, text: 'immigra*', wildcard: true })
+    expect(parseQuery('Smith NEAR/5 Ireland')).toEqual({
+      type: 'near', field: null, left: term('Smith'), right: term('Ireland'), distance: 5
+    })
+    expect(parseQuery('Smith NEAR Ireland').distance).toBe(DEFAULT_NEAR_DISTANCE)
+  })
+
+  it('scopes clauses to a field, by name or alias', () => {
+    expect(parseQuery('name:"John Smith"')).toEqual({ type: 'phrase', field: 'name', text: 'John Smith' })
+    expect(parseQuery('file:manifest')).toEqual(term('manifest', 'fileName'))
+    expect(parseQuery('tags:(irish OR scottish)')).toEqual({
+      type: 'or', children: [term('irish', 'tags'), term('scottish', 'tags')]
+    })
+  })
+
+  it('reads ranges', () => {
+    expect(parseQuery('year:1900..1920')).toEqual({ type: 'range', field: 'year', from: 1900, to: 1920 })
+    expect(parseQuery('year:1905')).toEqual({ type: 'range', field: 'year', from: 1905, to: 1905 })
+    expect(parseQuery('pages:..3')).toEqual({ type: 'range', field: 'pages', from: null, to: 3 })
+    expect(parseQuery('uploaded:2024-03-01..')).toEqual({ type: 'range', field: 'uploaded', from: '2024-03-01', to: null })
+  })
+
+  it('leaves words with a colon that do not start a field alone', () => {
+    expect(parseQuery('10:30')).toEqual(term('10:30'))
+  })
+
+  it('points at the problem in queries it cannot read', () => {
+    const cases = [
+      ['"John Smith', 0, /closing quote/],
+      ['(Smith OR Jones', 0, /never closed/],
+      ['Smith)', 5, /closing parenthesis/],
+      ['Smith AND', 6, /after it/],
+      ['OR Smith', 0, /before it/],
+      ['county:Cork', 0, /Unknown field "county"/],
+      ['year:1920..1900', 5, /starts after it ends/],
+      ['year:nineteen', 5, /whole numbers/],
+      ['Smith NEAR/0 Ireland', 6, /NEAR\/5/],
+      ['"John Smith" NEAR Ireland', 13, /between two words/],
+      ['name:(source:Cork)', 6, /inside another field/],
+      ['()', 0, /something inside/]
+    ]
+
+    for (const [query, position, message] of cases) {
+      const error = errorFor(query)
+      expect(error, query).toBeInstanceOf(QuerySyntaxError)
+      expect(error.message, query).toMatch(message)
+      expect(error.position, query).toBe(position)
+    }
+  })
+})
+
+describe('wildcardToRegExp', () => {
+  it('matches whole words, * for any run of letters and ? for one', () => {
+    expect(wildcardToRegExp('immigra*').test('immigrant')).toBe(true)
+    expect(wildcardToRegExp('immigra*').test('emigrant')).toBe(false)
+    expect(wildcardToRegExp('Sm?th').test('smyth')).toBe(true)
+    expect(wildcardToRegExp('sm?th').test('smiith')).toBe(false)
+  })
+
+  it('escapes other characters', () => {
+    expect(wildcardToRegExp('st.*').test('st.john')).toBe(true)
+    expect(wildcardToRegExp('st.*').test('saint')).toBe(false)
+  })
+})
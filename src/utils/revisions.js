@@ -0,0 +1,91 @@
+/**
+ * Transcription revision helpers
+ * Every correction is stored on the document as a full snapshot of its page texts, so any two
+ * revisions can be diffed and any revision restored.
+ */
+
+import { entityService } from '../services/entities'
+import { toDocumentDateFields } from './historicalDate'
+
+const authorOf = (user) => ({
+  userId: user?.userId || null,
+  name: [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email || 'Unknown'
+})
+
+const getPageTexts = (document) => (
+  document.pages?.length ? document.pages.map(page => page.text || '') : [document.ocrText || '']
+)
+
+export const joinPageTexts = (pageTexts) => pageTexts.join('\n\n')
+
+/**
+ * All revisions, oldest first. Documents that have never been edited get a synthetic
+ * revision for the original OCR output.
+ */
+export const getRevisions = (document) => {
+  if (document.revisions?.length) return document.revisions
+
+  return [{
+    revisionId: 'ocr',
+    pageTexts: getPageTexts(document),
+    author: { userId: null, name: `OCR (${document.ocrProvider || 'unknown'})` },
+    timestamp: document.uploadDate,
+    note: 'Original OCR output'
+  }]
+}
+
+/**
+ * Build the document updates for a new set of page texts, recording it as a new revision
+ */
+export const createRevisionUpdates = (document, pageTexts, user, note = '') => {
+  const revisions = getRevisions(document)
+  const originalTexts = revisions[0].pageTexts
+
+  const revision = {
+    revisionId: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    pageTexts,
+    author: authorOf(user),
+    timestamp: new Date().toISOString(),
+    note
+  }
+
+  const ocrText = joinPageTexts(pageTexts)
+  const entities = entityService.extract(ocrText)
+  const updates = {
+    ocrText,
+    // Corrections often fix names and dates, so entities and the record date follow the text
+    entities,
+    ...toDocumentDateFields(document, entities),
+    revisions: [...revisions, revision]
+  }
+
+  if (document.pages?.length) {
+    updates.pages = document.pages.map((page, index) => ({
+      ...page,
+      text: pageTexts[index],
+      // Corrected pages no longer match their OCR word boxes
+      corrected: pageTexts[index] !== originalTexts[index]
+    }))
+  }
+
+  return updates
+}
+
+/**
+ * Replace the text of a single page (or the whole document when it has no pages)
+ */
+export const correctPage = (document, pageIndex, text, user) => {
+  const pageTexts = [...getPageTexts(document)]
+  pageTexts[pageIndex] = text
+
+  const note = document.pages?.length > 1 ? `Corrected page ${pageIndex + 1}` : 'Corrected transcription'
+  return createRevisionUpdates(document, pageTexts, user, note)
+}
+
+/**
+ * Restore an older revision; the restore itself is recorded as a new revision
+ */
+export const restoreRevision = (document, revision, user) => {
+  const note = `Restored revision from ${new Date(revision.timestamp).toLocaleString()}`
+  return createRevisionUpdates(document, [...revision.pageTexts], user, note)
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest'
+import { getRevisions, correctPage, restoreRevision } from './revisions'
+
+const user = { userId: 'user_1', firstName: 'Ada', lastName: 'Byron' }
+
+const document = {
+  documentId: 'doc_1',
+  uploadDate: '2024-01-01T00:00:00.000Z',
+  ocrProvider: 'ocr.space',
+  ocrText: 'Page one\n\nPage tw0',
+  pages: [{ text: 'Page one' }, { text: 'Page tw0' }]
+}
+
+describe('transcription revisions', () => {
+  it('treats an unedited document as its OCR output', () => {
+    expect(getRevisions(document)).toEqual([expect.objectContaining({
+      revisionId: 'ocr',
+      pageTexts: ['Page one', 'Page tw0'],
+      author: { userId: null, name: 'OCR (ocr.space)' }
+    })])
+  })
+
+  it('records a page correction as a new revision and flags the page', () => {
+    const updates = correctPage(document, 1, 'Page two', user)
+
+    expect(updates.ocrText).toBe('Page one\n\nPage two')
+    expect(updates.pages.map(page => page.corrected)).toEqual([false, true])
+    expect(updates.revisions).toHaveLength(2)
+    expect(updates.revisions[1]).toMatchObject({
+      pageTexts: ['Page one', 'Page two'],
+      author: { userId: 'user_1', name: 'Ada Byron' },
+      note: 'Corrected page 2'
+    })
+  })
+
+  it('restores an older revision as a further revision', () => {
+    const corrected = { ...document, ...correctPage(document, 1, 'Page two', user) }
+    const updates = restoreRevision(corrected, corrected.revisions[0], user)
+
+    expect(updates.ocrText).toBe(document.ocrText)
+    expect(updates.revisions).toHaveLength(3)
+    expect(updates.pages[1].corrected).toBe(false)
+  })
+})
@@ -0,0 +1,194 @@
+/**
+ * Horizontal timeline layout
+ * Events are placed on a time axis in swimlanes, one per theme. Within a lane, events too close
+ * together to tell apart at the current zoom are gathered into clusters, and the rest are stacked
+ * into as few rows as keep their labels from overlapping.
+ */
+
+import { getEventDates } from './historicalDate'
+
+export const DAY_MS = 24 * 60 * 60 * 1000
+const YEAR_MS = 365.2425 * DAY_MS
+const MONTH_MS = YEAR_MS / 12
+
+export const UNTAGGED_LANE = 'Untagged'
+
+// Ticks are at least this far apart, in pixels
+const MIN_TICK_SPACING = 80
+
+// Events closer than this, in pixels, are clustered
+export const CLUSTER_DISTANCE = 14
+
+// Rows per lane before marks share a row without their labels
+export const MAX_ROWS = 4
+
+// Lanes take these in turn
+export const LANE_COLORS = ['#7c3aed', '#2563eb', '#16a34a', '#ea580c', '#db2777', '#0d9488', '#ca8a04', '#4b5563']
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const TICK_UNITS = [
+  { days: 1 },
+  { days: 7 },
+  { months: 1 },
+  { months: 3 },
+  { years: 1 },
+  { years: 5 },
+  { years: 10 },
+  { years: 25 },
+  { years: 50 },
+  { years: 100 }
+]
+
+const unitMs = (unit) => (unit.years ? unit.years * YEAR_MS : unit.months ? unit.months * MONTH_MS : unit.days * DAY_MS)
+
+const toTime = (iso) => Date.parse(iso)
+
+/**
+ * An event's place in time, in milliseconds: `start` and `end` are its sort dates (equal for
+ * events on one date), `earliest` and `latest` how far uncertainty could stretch them
+ */
+export const getEventSpan = (event) => {
+  const { start, end } = getEventDates(event)
+  if (!start) return null
+  const last = end || start
+  const span = { start: toTime(start.sortKey), end: toTime(last.sortKey) }
+  span.earliest = start.earliest ? Math.min(toTime(start.earliest), span.start) : span.start
+  span.latest = last.latest ? Math.max(toTime(last.latest), span.end) : span.end
+  return span
+}
+
+/**
+ * The range covering every event, with a margin either side, for the chart's initial view
+ */
+export const getExtent = (events) => {
+  const spans = events.map(getEventSpan).filter(Boolean)
+  if (!spans.length) return null
+  const from = Math.min(...spans.map(span => span.start))
+  const to = Math.max(...spans.map(span => span.end))
+  const margin = Math.max((to - from) * 0.05, 180 * DAY_MS)
+  return { from: from - margin, to: to + margin }
+}
+
+const tickLabel = (date, unit) => {
+  if (unit.years) return String(date.getUTCFullYear())
+  if (unit.months) return `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCFullYear()}`
+  return `${MONTH_NAMES[date.getUTCMonth()]} ${date.getUTCDate()}`
+}
+
+const nextTick = (date, unit) => {
+  const next = new Date(date)
+  if (unit.years) next.setUTCFullYear(date.getUTCFullYear() + unit.years)
+  else if (unit.months) next.setUTCMonth(date.getUTCMonth() + unit.months)
+  else next.setUTCDate(date.getUTCDate() + unit.days)
+  return next
+}
+
+// The first tick at or before `time`, on a round number of the unit
+const firstTick = (time, unit) => {
+  const date = new Date(time)
+  if (unit.years) {
+    const year = Math.floor(date.getUTCFullYear() / unit.years) * unit.years
+    return new Date(Date.UTC(year, 0, 1))
+  }
+  if (unit.months) {
+    const month = Math.floor(date.getUTCMonth() / unit.months) * unit.months
+    return new Date(Date.UTC(date.getUTCFullYear(), month, 1))
+  }
+  const day = Math.floor(time / DAY_MS / unit.days) * unit.days
+  return new Date(day * DAY_MS)
+}
+
+/**
+ * Axis ticks ({ time, label }) between `from` and `to` at the finest unit, from days to
+ * centuries, that leaves room for their labels across `width` pixels
+ */
+export const getTicks = (from, to, width) => {
+  const msPerPixel = (to - from) / width
+  const unit = TICK_UNITS.find(candidate => unitMs(candidate) / msPerPixel >= MIN_TICK_SPACING) ||
+    TICK_UNITS[TICK_UNITS.length - 1]
+
+  const ticks = []
+  for (let date = firstTick(from, unit); date.getTime() <= to; date = nextTick(date, unit)) {
+    if (date.getTime() >= from) ticks.push({ time: date.getTime(), label: tickLabel(date, unit) })
+  }
+  return ticks
+}
+
+/**
+ * Events grouped by theme, lanes in alphabetical order with untagged events last
+ */
+export const groupByTheme = (events) => {
+  const lanes = new Map()
+  events.forEach(event => {
+    const theme = event.themeTag || UNTAGGED_LANE
+    if (!lanes.has(theme)) lanes.set(theme, [])
+    lanes.get(theme).push(event)
+  })
+  return [...lanes.entries()]
+    .sort(([a], [b]) => (a === UNTAGGED_LANE) - (b === UNTAGGED_LANE) || a.localeCompare(b))
+    .map(([theme, laneEvents]) => ({ theme, events: laneEvents }))
+}
+
+// Room a label takes after its mark, roughly, at the chart's 11px font
+const labelWidth = (title) => Math.min(title.length * 6, 150) + 12
+
+/**
+ * Marks for one lane. `xOf` turns a time into a pixel position. Each mark is
+ * { type: 'event' | 'cluster', events, span, x0, x1, row, showLabel }; duration events
+ * long enough to see stay single, as bars, while nearby points merge into clusters
+ * unless `cluster` is false.
+ */
+export const layoutLane = (events, xOf, { cluster = true, maxRows = MAX_ROWS } = {}) => {
+  const items = events
+    .map(event => ({ event, span: getEventSpan(event) }))
+    .filter(item => item.span)
+    .map(item => ({ ...item, x0: xOf(item.span.start), x1: xOf(item.span.end) }))
+    .sort((a, b) => a.x0 - b.x0 || a.x1 - b.x1)
+
+  const groups = []
+  items.forEach(item => {
+    const isPoint = item.x1 - item.x0 < CLUSTER_DISTANCE
+    const last = groups[groups.length - 1]
+    if (cluster && isPoint && last?.isPoint && item.x0 - last.x1 < CLUSTER_DISTANCE) {
+      last.items.push(item)
+      last.x1 = Math.max(last.x1, item.x1)
+    } else {
+      groups.push({ isPoint, items: [item], x0: item.x0, x1: item.x1 })
+    }
+  })
+
+  const rowEnds = []
+  const marks = groups.map(group => {
+    const single = group.items.length === 1
+    const first = group.items[0]
+    const reach = single ? group.x1 + labelWidth(first.event.title || '') : group.x1 + 14
+    const start = group.x0 - (single ? 8 : 14)
+
+    let row = rowEnds.findIndex(end => end < start)
+    let showLabel = true
+    if (row === -1 && rowEnds.length < maxRows) {
+      row = rowEnds.length
+      rowEnds.push(-Infinity)
+    } else if (row === -1) {
+      row = rowEnds.indexOf(Math.min(...rowEnds))
+      showLabel = false
+    }
+    rowEnds[row] = Math.max(rowEnds[row], showLabel ? reach : group.x1 + 8)
+
+    return {
+      type: single ? 'event' : 'cluster',
+      events: group.items.map(item => item.event),
+      span: single ? first.span : {
+        start: Math.min(...group.items.map(item => item.span.start)),
+        end: Math.max(...group.items.map(item => item.span.end))
+      },
+      x0: group.x0,
+      x1: group.x1,
+      row,
+      showLabel
+    }
+  })
+
+  return { marks, rows: Math.max(rowEnds.length, 1) }
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getEventSpan,
+  getExtent,
+  getTicks,
+  groupByTheme,
+  layoutLane,
+  DAY_MS,
+  MAX_ROWS,
+  UNTAGGED_LANE
+} from './timelineLayout'
+
+const time = (iso) => Date.parse(iso)
+
+// One pixel per day from the start of 1900
+const xOf = (t) => (t - time('1900-01-01')) / DAY_MS
+
+const event = (eventId, date, extra = {}) => ({ eventId, title: eventId, date, ...extra })
+
+describe('timelineLayout', () => {
+  it('spans an event from its start to its end, stretched by uncertainty', () => {
+    expect(getEventSpan(event('fire', '1905-04-15'))).toEqual({
+      start: time('1905-04-15'), end: time('1905-04-15'), earliest: time('1905-04-15'), latest: time('1905-04-15')
+    })
+    expect(getEventSpan(event('strike', 'c. 1905', { endDate: '1910', endDateText: '1910' }))).toEqual({
+      start: time('1905-07-02'), end: time('1910-07-02'), earliest: time('1900-01-01'), latest: time('1910-12-31')
+    })
+    expect(getEventSpan({ eventId: 'undated', title: 'Undated' })).toBeNull()
+  })
+
+  it('pads the extent of the events by at least half a year', () => {
+    const extent = getExtent([event('a', '1905-04-15'), event('b', '1905-04-20'), { eventId: 'undated' }])
+    expect(extent).toEqual({ from: time('1905-04-15') - 180 * DAY_MS, to: time('1905-04-20') + 180 * DAY_MS })
+    expect(getExtent([])).toBeNull()
+  })
+
+  it('picks tick units that leave room for their labels', () => {
+    const decades = getTicks(time('1900-01-01'), time('1950-01-01'), 500)
+    expect(decades.map(tick => tick.label)).toEqual(['1900', '1910', '1920', '1930', '1940', '1950'])
+
+    const months = getTicks(time('1905-01-01'), time('1905-07-01'), 600)
+    expect(months.map(tick => tick.label)).toEqual(['Jan 1905', 'Feb 1905', 'Mar 1905', 'Apr 1905', 'May 1905', 'Jun 1905', 'Jul 1905'])
+
+    const days = getTicks(time('1905-04-15'), time('1905-04-18'), 800)
+    expect(days.map(tick => tick.label)).toEqual(['Apr 15', 'Apr 16', 'Apr 17', 'Apr 18'])
+  })
+
+  it('puts each theme in its own lane, untagged events last', () => {
+    const lanes = groupByTheme([
+      event('a', '1905', { themeTag: 'Industry' }),
+      event('b', '1906'),
+      event('c', '1907', { themeTag: 'Family' }),
+      event('d', '1908', { themeTag: 'Industry' })
+    ])
+
+    expect(lanes.map(lane => [lane.theme, lane.events.map(e => e.eventId)])).toEqual([
+      ['Family', ['c']],
+      ['Industry', ['a', 'd']],
+      [UNTAGGED_LANE, ['b']]
+    ])
+  })
+
+  it('clusters events too close together to tell apart', () => {
+    const { marks } = layoutLane([
+      event('fire', '1905-04-15'),
+      event('flood', '1905-04-20'),
+      event('wedding', '1908-06-01')
+    ], xOf)
+
+    expect(marks.map(mark => [mark.type, mark.events.map(e => e.eventId)])).toEqual([
+      ['cluster', ['fire', 'flood']],
+      ['event', ['wedding']]
+    ])
+    expect(marks[0].span).toEqual({ start: time('1905-04-15'), end: time('1905-04-20') })
+  })
+
+  it('keeps events apart when clustering is off, and bars long enough to see', () => {
+    const { marks } = layoutLane([event('fire', '1905-04-15'), event('flood', '1905-04-20')], xOf, { cluster: false })
+    expect(marks.map(mark => mark.type)).toEqual(['event', 'event'])
+
+    const { marks: bars } = layoutLane([
+      event('mill', '1905-01-01', { endDate: '1906-01-01' }),
+      event('fire', '1905-01-05')
+    ], xOf)
+    expect(bars.map(mark => mark.type)).toEqual(['event', 'event'])
+  })
+
+  it('stacks overlapping labels into rows and hides labels past the last row', () => {
+    const crowded = Array.from({ length: MAX_ROWS + 1 }, (_, index) =>
+      event(`event ${index}`, `1905-0${index + 1}-01`, { title: 'A title long enough to overlap the next' }))
+
+    const { marks, rows } = layoutLane(crowded, xOf)
+
+    expect(rows).toBe(MAX_ROWS)
+    expect(marks.map(mark => mark.row)).toEqual([0, 1, 2, 3, 0])
+    expect(marks.map(mark => mark.showLabel)).toEqual([true, true, true, true, false])
+  })
+})